@@ -11,6 +11,7 @@ import PublicRoute from './src/context/PublicRoute';
 import { MainTabs } from './src/navigation/MainTabs';
 import LoginScreen from './src/screens/LoginScreen';
 import RegisterScreen from './src/screens/RegisterScreen';
+import ForgotPasswordScreen from './src/screens/ForgotPasswordScreen';
 import CreateRoomScreen from './src/screens/CreateRoomScreen';
 import RoomDashboardScreen from './src/screens/RoomDashboardScreen';
 import SelectMembersScreen from './src/screens/SelectMembersScreen';
@@ -21,9 +22,25 @@ import GameResultsScreen from './src/screens/GameResultsScreen';
 import HistoryScreen from './src/screens/HistoryScreen';
 import AddPlayersToRoomScreen from './src/screens/AddPlayersToRoomScreen';
 import UserProfileViewScreen from './src/screens/UserProfileViewScreen';
+import SpectatorScreen from './src/screens/SpectatorScreen';
+import SeasonsScreen from './src/screens/SeasonsScreen';
+import VerifyMobileScreen from './src/screens/VerifyMobileScreen';
+import { APP_LINK_PREFIX } from './src/api';
+// Installs the axios interceptors that keep the session refreshed
+import './utils/axiosConfig';
 
 const Stack = createNativeStackNavigator();
 
+// Deep links - spectator links open the read-only game view, logged in or not
+const linking = {
+  prefixes: [APP_LINK_PREFIX],
+  config: {
+    screens: {
+      Spectator: 'spectate/:token',
+    },
+  },
+};
+
 const ProtectedScreen = (ScreenComponent) => {
   return (props) => (
     <ProtectedRoute>
@@ -77,7 +94,7 @@ export default function App() {
 
   return (
     <SafeAreaProvider>
-      <NavigationContainer>
+      <NavigationContainer linking={linking}>
         <Stack.Navigator
           initialRouteName={initialRoute}
           screenOptions={{ headerShown: false }}
@@ -90,6 +107,10 @@ export default function App() {
             name="Register"
             component={PublicScreen(RegisterScreen)}
           />
+          <Stack.Screen
+            name="ForgotPassword"
+            component={PublicScreen(ForgotPasswordScreen)}
+          />
           <Stack.Screen
             name="HomePage"
             component={ProtectedScreen(MainTabs)}
@@ -144,6 +165,21 @@ export default function App() {
             component={ProtectedScreen(UserProfileViewScreen)}
             options={{ headerShown: false }}
           />
+          <Stack.Screen
+            name="Seasons"
+            component={ProtectedScreen(SeasonsScreen)}
+            options={{ headerShown: false }}
+          />
+          <Stack.Screen
+            name="VerifyMobile"
+            component={ProtectedScreen(VerifyMobileScreen)}
+            options={{ headerShown: false }}
+          />
+          <Stack.Screen
+            name="Spectator"
+            component={SpectatorScreen}
+            options={{ headerShown: false }}
+          />
         </Stack.Navigator>
       </NavigationContainer>
       <StatusBar style="auto" />
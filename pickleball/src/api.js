@@ -1,3 +1,6 @@
 // API Configuration
 // Production backend URL
 export const API_BASE_URL = 'https://pickle-match.vercel.app'
+
+// Deep link prefix for links that open the app (matches "scheme" in app.json)
+export const APP_LINK_PREFIX = 'picklematch://'
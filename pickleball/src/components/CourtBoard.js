@@ -0,0 +1,134 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { palette } from '../theme/colors.js';
+
+const getTeamLabel = (team) => {
+    const names = (team?.players || []).map((p) => p.name).filter(Boolean);
+    return names.length > 0 ? names.join(' & ') : `Team ${team?.letter || '?'}`;
+};
+
+// Which match is on each court of a multi-court game, plus the matches waiting for one
+export const CourtBoard = ({ courts = 1, matches = [], currentRound = 1, onSelectMatch = null }) => {
+    const roundMatches = matches.filter((m) => m && (m.roundNumber || 1) === currentRound && !m.isBye);
+    const onCourt = roundMatches.filter((m) => m.status === 'live' && m.court);
+    const waitingCount = roundMatches.filter((m) => m.status === 'pending').length;
+
+    const courtNumbers = Array.from({ length: courts }, (_, index) => index + 1);
+
+    return (
+        <View style={styles.container}>
+            <Text style={styles.title}>Court Board</Text>
+            <View style={styles.grid}>
+                {courtNumbers.map((court) => {
+                    const match = onCourt.find((m) => m.court === court);
+                    return (
+                        <TouchableOpacity
+                            key={court}
+                            style={[styles.court, match && styles.courtBusy]}
+                            onPress={() => match && onSelectMatch?.(match)}
+                            disabled={!match || !onSelectMatch}
+                            activeOpacity={0.8}
+                        >
+                            <View style={styles.courtHeader}>
+                                <Text style={styles.courtName}>Court {court}</Text>
+                                <View style={[styles.statusDot, match && styles.statusDotLive]} />
+                            </View>
+                            {match ? (
+                                <>
+                                    <Text style={styles.teamText} numberOfLines={1}>{getTeamLabel(match.teamA)}</Text>
+                                    <Text style={styles.vsText}>vs</Text>
+                                    <Text style={styles.teamText} numberOfLines={1}>{getTeamLabel(match.teamB)}</Text>
+                                </>
+                            ) : (
+                                <Text style={styles.freeText}>Free</Text>
+                            )}
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+            <View style={styles.footer}>
+                <Feather name="clock" size={14} color={palette.textSecondary} />
+                <Text style={styles.footerText}>
+                    {waitingCount === 0
+                        ? 'No matches waiting'
+                        : `${waitingCount} match${waitingCount === 1 ? '' : 'es'} waiting for a court`}
+                </Text>
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: palette.textPrimary,
+        marginBottom: 12,
+    },
+    grid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 10,
+    },
+    court: {
+        width: '48%',
+        flexGrow: 1,
+        borderRadius: 12,
+        padding: 12,
+        backgroundColor: palette.card,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    courtBusy: {
+        borderColor: palette.success,
+    },
+    courtHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 6,
+    },
+    courtName: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: palette.accent,
+    },
+    statusDot: {
+        width: 8,
+        height: 8,
+        borderRadius: 4,
+        backgroundColor: palette.border,
+    },
+    statusDotLive: {
+        backgroundColor: palette.success,
+    },
+    teamText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    vsText: {
+        fontSize: 11,
+        color: palette.textSecondary,
+        marginVertical: 2,
+    },
+    freeText: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+    footer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        marginTop: 12,
+    },
+    footerText: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+});
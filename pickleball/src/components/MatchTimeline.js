@@ -1,9 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { palette } from '../theme/colors.js';
+import { useRealtimeChannel } from '../realtime.js';
+
+export const MatchTimeline = ({ gameId = null, matches = [], currentRound = 1, maxMatchesToShow = 5 }) => {
+    // Live score calls ("7-4-2") of matches being scored rally by rally, keyed by match id
+    const [liveCalls, setLiveCalls] = useState({});
+
+    useRealtimeChannel('game', gameId, {
+        'match:updated': ({ match, liveScore }) => {
+            if (!match?._id) return;
+            setLiveCalls((calls) => ({ ...calls, [match._id]: liveScore?.call || null }));
+        },
+    });
 
-export const MatchTimeline = ({ matches = [], currentRound = 1, maxMatchesToShow = 5 }) => {
     if (!matches || matches.length === 0) {
         return (
             <View style={styles.container}>
@@ -98,6 +109,11 @@ export const MatchTimeline = ({ matches = [], currentRound = 1, maxMatchesToShow
                                 <Text style={styles.matchTeams}>
                                     Team {teamALetter} vs Team {teamBLetter}
                                 </Text>
+                                {isLive && liveCalls[match._id] && (
+                                    <Text style={styles.liveCallText}>
+                                        Score call: {liveCalls[match._id]}
+                                    </Text>
+                                )}
                                 {isFinished && winnerLetter && (
                                     <View style={styles.winnerContainer}>
                                         <Feather name="award" size={12} color={palette.accent} />
@@ -187,6 +203,12 @@ const styles = StyleSheet.create({
         justifyContent: 'space-between',
         marginBottom: 4,
     },
+    liveCallText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#10b981',
+        marginTop: 2,
+    },
     matchLabel: {
         fontSize: 13,
         fontWeight: '600',
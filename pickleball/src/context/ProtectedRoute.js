@@ -48,6 +48,7 @@ const ProtectedRoute = ({ children }) => {
                     // If token is invalid, clear storage and redirect to login
                     if (error.response?.status === 401) {
                         await AsyncStorage.removeItem('token');
+                        await AsyncStorage.removeItem('refreshToken');
                         await AsyncStorage.removeItem('userData');
                         authCache.isAuthenticated = false;
                         authCache.hasChecked = false;
@@ -27,6 +27,7 @@ const PublicRoute = ({ children }) => {
                     // If token is invalid, clear storage
                     if (error.response?.status === 401) {
                         await AsyncStorage.removeItem('token');
+                        await AsyncStorage.removeItem('refreshToken');
                         await AsyncStorage.removeItem('userData');
                     }
                 }
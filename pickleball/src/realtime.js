@@ -0,0 +1,73 @@
+// Real-time room and game updates over Socket.IO
+// One shared connection per app, authenticated with the stored token. Screens subscribe to a
+// room or game channel with useRealtimeChannel and get the server's events as they happen.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { API_BASE_URL } from './api.js';
+
+let socket = null;
+
+// Create the shared socket on first use; the token is read again on every (re)connect
+const getSocket = () => {
+    if (!socket) {
+        socket = io(API_BASE_URL, {
+            transports: ['websocket'],
+            auth: (callback) => {
+                AsyncStorage.getItem('token')
+                    .then((token) => callback({ token }))
+                    .catch(() => callback({}));
+            },
+        });
+        socket.on('connect_error', (error) => {
+            console.log('🔌 [Realtime] Connection error:', error?.message);
+        });
+    }
+    return socket;
+};
+
+// Subscribe to a room or game channel while the component is mounted
+// channel: 'room' | 'game', id: roomId or gameId
+// handlers: { 'match:updated': (payload) => {}, ... } - only events for this id are passed on
+export const useRealtimeChannel = (channel, id, handlers) => {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        if (!id) return undefined;
+
+        const activeSocket = getSocket();
+        const idKey = `${channel}Id`;
+        const channelPayload = { [idKey]: id };
+
+        // Join (and re-join after a reconnect) the channel
+        const join = () => {
+            activeSocket.emit(`${channel}:join`, channelPayload, (ack) => {
+                if (!ack?.success) {
+                    console.log(`🔌 [Realtime] Unable to join ${channel} ${id}:`, ack?.message);
+                }
+            });
+        };
+
+        const listeners = Object.keys(handlersRef.current || {}).map((event) => {
+            const listener = (payload) => {
+                if (payload?.[idKey] && payload[idKey].toString() !== id.toString()) return;
+                handlersRef.current?.[event]?.(payload);
+            };
+            activeSocket.on(event, listener);
+            return [event, listener];
+        });
+
+        activeSocket.on('connect', join);
+        if (activeSocket.connected) {
+            join();
+        }
+
+        return () => {
+            activeSocket.emit(`${channel}:leave`, channelPayload);
+            activeSocket.off('connect', join);
+            listeners.forEach(([event, listener]) => activeSocket.off(event, listener));
+        };
+    }, [channel, id]);
+};
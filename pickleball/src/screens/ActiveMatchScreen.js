@@ -2,7 +2,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Feather } from '@expo/vector-icons';
 import axios from 'axios';
 import { StatusBar } from 'expo-status-bar';
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     ActivityIndicator,
     Alert,
@@ -20,6 +20,7 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { palette } from '../theme/colors.js';
 import { API_BASE_URL } from '../api.js';
+import { useRealtimeChannel } from '../realtime.js';
 
 // Helper function to get auth headers
 const getAuthHeaders = async () => {
@@ -40,6 +41,17 @@ const getInitials = (name) => {
     return name.substring(0, 2).toUpperCase();
 };
 
+// Short description of a game's scoring rules, e.g. "Games to 11 · Win by 2 · Best of 3"
+const describeScoringRules = (rules) => {
+    if (!rules) return null;
+    return [
+        `Games to ${rules.pointsToWin}`,
+        rules.winByTwo ? 'Win by 2' : 'Win by 1',
+        ...(rules.cap ? [`Cap ${rules.cap}`] : []),
+        `Best of ${rules.bestOf}`,
+    ].join(' · ');
+};
+
 // Helper function to generate match schedule for round robin style
 const generateMatchSchedule = (allTeams) => {
     if (!allTeams || allTeams.length < 2) return [];
@@ -69,6 +81,7 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
         completedMatches = [],
         roundNumber = 1,
         matches = [],
+        matchId: selectedMatchId = null,
     } = route.params || {};
     console.log('🏓 [ActiveMatch] Screen Loaded with params:', {
         gameId,
@@ -146,11 +159,18 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
 
     // Find the first pending match in current round, or use the one at currentMatchIndex
     if (currentRoundMatches.length > 0) {
-        // First try to find a valid pending match (not finished, not bye)
-        const pendingMatch = currentRoundMatches.find(m => {
+        // First try to find a valid pending match (not finished, not bye): a match picked from
+        // the court board, then a match already on court, then the next one in schedule order
+        const isOpenMatch = (m) => {
             const isPending = m.status === 'pending' || m.status === 'live' || !m.status;
             return isPending && isValidMatch(m);
-        });
+        };
+        const selectedMatch = selectedMatchId && currentRoundMatches.find(m =>
+            (m._id || m.id)?.toString() === selectedMatchId.toString() && isOpenMatch(m)
+        );
+        const pendingMatch = selectedMatch
+            || currentRoundMatches.find(m => m.status === 'live' && isValidMatch(m))
+            || currentRoundMatches.find(isOpenMatch);
 
         if (pendingMatch) {
             const matchData = pendingMatch;
@@ -231,6 +251,39 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
     const [teamAScore, setTeamAScore] = useState('');
     const [teamBScore, setTeamBScore] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [scoringRules, setScoringRules] = useState(null);
+    // Courts the game is played on - more than one means other matches are scored elsewhere
+    const [courtCount, setCourtCount] = useState(null);
+    // Finished games of the current match (best-of-3/5), submitted together once the match is decided
+    const [savedGames, setSavedGames] = useState([]);
+    // 'final' enters the final score, 'live' records every rally and lets the server keep score
+    const [scoringMode, setScoringMode] = useState('final');
+    const [liveScore, setLiveScore] = useState(null);
+    const [firstServer, setFirstServer] = useState('A');
+    // Idempotency key of the result being submitted - resending the same result reuses it,
+    // so a retry after a dropped connection can't record the match twice
+    const resultSubmissionRef = useRef(null);
+
+    const bestOf = scoringRules?.bestOf || 1;
+    const gamesToWin = Math.ceil(bestOf / 2);
+    const gamesWonA = savedGames.filter((g) => g.scoreA > g.scoreB).length;
+    const gamesWonB = savedGames.length - gamesWonA;
+
+    // Load the game's scoring rules (points to win, win by two, best of) and court count
+    useEffect(() => {
+        const fetchScoringRules = async () => {
+            if (!gameId) return;
+            try {
+                const headers = await getAuthHeaders();
+                const response = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
+                setScoringRules(response.data?.game?.scoringRules || null);
+                setCourtCount(response.data?.game?.courts || null);
+            } catch (error) {
+                console.log('Error loading scoring rules:', error?.response?.data || error?.message);
+            }
+        };
+        fetchScoringRules();
+    }, [gameId]);
 
     // Calculate total matches in current round
     const totalMatchesInRound = currentRoundMatches.length || matchSchedule?.length || 0;
@@ -240,473 +293,613 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
     useEffect(() => {
         setTeamAScore('');
         setTeamBScore('');
-    }, [currentMatchIndex]);
-
-    const handleSubmitResult = async () => {
-        // Prevent submitting if current match is already finished
-        if (currentMatchData?.status === 'finished') {
-            Alert.alert('Match Already Finished', 'This match has already been completed. Please navigate to the next match.');
-            return;
-        }
-
-        // Validate scores
-        if (!teamAScore.trim() || !teamBScore.trim()) {
-            Alert.alert('Missing Scores', 'Please enter scores for both teams.');
-            return;
-        }
-
-        const scoreA = parseInt(teamAScore, 10);
-        const scoreB = parseInt(teamBScore, 10);
-
-        if (isNaN(scoreA) || isNaN(scoreB)) {
-            Alert.alert('Invalid Scores', 'Please enter valid numbers for scores.');
-            return;
-        }
-
-        if (scoreA === scoreB) {
-            Alert.alert('Tie Not Allowed', 'The scores cannot be equal. Please enter different scores.');
-            return;
-        }
+        setSavedGames([]);
+        setLiveScore(null);
+        setFirstServer('A');
+        resultSubmissionRef.current = null;
+    }, [currentMatchIndex, matchId]);
+
+    // Helper function to handle game completion
+    const handleGameCompletion = async (headers, completedMatchesList) => {
+        try {
+            // Calculate winners
+            const calcResponse = await axios.post(
+                `${API_BASE_URL}/api/v1/game/${gameId}/calculate-winners`,
+                {},
+                { headers }
+            );
 
-        // Helper function to handle game completion
-        const handleGameCompletion = async (headers, completedMatchesList) => {
-            try {
-                // Calculate winners
-                const calcResponse = await axios.post(
-                    `${API_BASE_URL}/api/v1/game/${gameId}/calculate-winners`,
+            if (calcResponse?.data?.success) {
+                // Assign points
+                await axios.post(
+                    `${API_BASE_URL}/api/v1/game/${gameId}/assign-points`,
                     {},
                     { headers }
                 );
 
-                if (calcResponse?.data?.success) {
-                    // Assign points
-                    await axios.post(
-                        `${API_BASE_URL}/api/v1/game/${gameId}/assign-points`,
-                        {},
-                        { headers }
-                    );
-
-                    // Navigate to results screen
-                    console.log('🏓 [ActiveMatch] ✅ handleGameCompletion: Navigating to GameResults...');
-                    if (navigation?.replace) {
-                        console.log('🏓 [ActiveMatch] Navigation.replace available, navigating with params:', {
-                            gameId,
-                            roomId,
-                            roomName,
-                            gameFormat,
-                        });
-                        navigation.replace('GameResults', {
-                            gameId: gameId,
-                            roomId: roomId,
-                            roomName: roomName,
-                            gameFormat: gameFormat,
-                            completedMatches: completedMatchesList,
-                        });
-                    } else if (navigation?.navigate) {
-                        console.log('🏓 [ActiveMatch] Navigation.navigate available, navigating...');
-                        navigation.navigate('GameResults', {
-                            gameId: gameId,
-                            roomId: roomId,
-                            roomName: roomName,
-                            gameFormat: gameFormat,
-                            completedMatches: completedMatchesList,
-                        });
-                    } else {
-                        console.log('🏓 [ActiveMatch] ⚠️ Navigation not available!');
-                    }
+                // Navigate to results screen
+                console.log('🏓 [ActiveMatch] ✅ handleGameCompletion: Navigating to GameResults...');
+                if (navigation?.replace) {
+                    console.log('🏓 [ActiveMatch] Navigation.replace available, navigating with params:', {
+                        gameId,
+                        roomId,
+                        roomName,
+                        gameFormat,
+                    });
+                    navigation.replace('GameResults', {
+                        gameId: gameId,
+                        roomId: roomId,
+                        roomName: roomName,
+                        gameFormat: gameFormat,
+                        completedMatches: completedMatchesList,
+                    });
+                } else if (navigation?.navigate) {
+                    console.log('🏓 [ActiveMatch] Navigation.navigate available, navigating...');
+                    navigation.navigate('GameResults', {
+                        gameId: gameId,
+                        roomId: roomId,
+                        roomName: roomName,
+                        gameFormat: gameFormat,
+                        completedMatches: completedMatchesList,
+                    });
+                } else {
+                    console.log('🏓 [ActiveMatch] ⚠️ Navigation not available!');
                 }
-            } catch (error) {
-                console.log('Error completing game:', error);
-                Alert.alert('Error', 'Unable to calculate results. Please try again.');
             }
-        };
+        } catch (error) {
+            console.log('Error completing game:', error);
+            Alert.alert('Error', 'Unable to calculate results. Please try again.');
+        }
+    };
 
-        try {
-            setIsSubmitting(true);
-            console.log('🏓 [ActiveMatch] Submit Result Button Pressed');
-            console.log('🏓 [ActiveMatch] Match Details:', {
-                matchId,
-                gameId,
-                roundNumber,
-                currentMatchIndex,
-                teamAScore: scoreA,
-                teamBScore: scoreB,
-                teamA: teamA?.letter,
-                teamB: teamB?.letter,
+    // Shared by final-score submission and live scoring: record the finished match
+    // locally and move on to the next match, the next round or the results screen
+    const continueAfterResult = async (response, headers) => {
+        if (response.data?.success) {
+            // For best-of matches the server reports games won as the match score
+            const savedMatch = response.data?.match;
+            const matchResult = {
+                teamA: teamA,
+                teamB: teamB,
+                scoreA: savedMatch?.scoreA,
+                scoreB: savedMatch?.scoreB,
+                games: savedMatch?.games || [],
+                winner: savedMatch?.winner === 'A' ? teamA : teamB,
+                matchNumber: currentMatchNumber,
+                roundNumber: roundNumber,
+            };
+
+            const updatedCompletedMatches = [...(completedMatches || []), matchResult];
+
+            // Get updated game data
+            const updatedGame = response.data?.game || null;
+            const allRoundFinished = response.data?.allRoundMatchesFinished || false;
+            const nextRoundCreated = response.data?.nextRoundCreated || false;
+            const newMatches = response.data?.newMatches || [];
+            console.log('🏓 [ActiveMatch] After submit - navigation check:', {
+                allRoundFinished,
+                nextRoundCreated,
+                newMatchesCount: newMatches.length,
+                newMatchesDetails: newMatches.map(m => ({
+                    id: m._id?.toString() || m.id?.toString(),
+                    round: m.roundNumber,
+                    match: m.matchNumber,
+                    teamA: m.teamA?.letter,
+                    teamB: m.teamB?.letter,
+                    status: m.status,
+                })),
+                currentRound: roundNumber,
+                updatedGameStatus: updatedGame?.status,
+                responseGameStatus: response.data?.game?.status,
+                updatedGameCurrentRound: updatedGame?.currentRound,
             });
 
-            if (!matchId) {
-                throw new Error('Match ID is missing');
+            // Multi-court games: every court is scored on its own, so go back to the court board
+            // for the next match unless the game is over
+            if (courtCount > 1 && updatedGame?.status !== 'completed') {
+                setIsSubmitting(false);
+                returnToDashboard('Match Saved', 'The next match has been sent on court. Pick it from the court board.');
+                return;
             }
 
-            // Submit match result to backend API
-            const headers = await getAuthHeaders();
-            console.log('🏓 [ActiveMatch] Submitting result to backend:', { matchId, scoreA, scoreB });
-            const response = await axios.put(
-                `${API_BASE_URL}/api/v1/game/match/${matchId}/result`,
-                { scoreA, scoreB },
-                { headers }
-            );
-            console.log('🏓 [ActiveMatch] Result submitted successfully:', {
-                allRoundFinished: response.data?.allRoundMatchesFinished,
-                nextRoundCreated: response.data?.nextRoundCreated,
-                newMatchesCount: response.data?.newMatches?.length || 0,
-                gameStatus: response.data?.game?.status,
-            });
+            // Get updated matches list (including newly created ones) - ensure it's populated
+            let allMatches = [];
+            if (updatedGame?.matches && Array.isArray(updatedGame.matches)) {
+                allMatches = updatedGame.matches;
+            } else {
+                // Fallback: fetch fresh game data
+                try {
+                    const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
+                    if (gameResponse?.data?.success && gameResponse.data.game) {
+                        allMatches = gameResponse.data.game.matches || [];
+                    }
+                } catch (e) {
+                    console.log('Error fetching game:', e);
+                    allMatches = matches || [];
+                }
+            }
 
-            if (response.data?.success) {
-                const matchResult = {
-                    teamA: teamA,
-                    teamB: teamB,
-                    scoreA: scoreA,
-                    scoreB: scoreB,
-                    winner: scoreA > scoreB ? teamA : teamB,
-                    matchNumber: currentMatchNumber,
-                    roundNumber: roundNumber,
-                };
+            // Filter matches for current round and sort by matchNumber
+            const currentRoundMatchesList = allMatches
+                .filter((m) => {
+                    if (!m || typeof m !== 'object') return false;
+                    const matchRound = m.roundNumber !== undefined ? m.roundNumber : roundNumber;
+                    return matchRound === roundNumber;
+                })
+                .sort((a, b) => {
+                    const matchNumA = a.matchNumber || 0;
+                    const matchNumB = b.matchNumber || 0;
+                    return matchNumA - matchNumB;
+                });
 
-                const updatedCompletedMatches = [...(completedMatches || []), matchResult];
+            // Find current match in the list
+            const currentMatchInList = currentRoundMatchesList.find((m) => {
+                return m._id === matchId || m.id === matchId;
+            });
+            const currentMatchPosition = currentMatchInList
+                ? currentRoundMatchesList.indexOf(currentMatchInList)
+                : currentMatchIndex;
+
+            console.log('🏓 [ActiveMatch] Checking for next match:', {
+                currentRound: roundNumber,
+                currentRoundMatchesCount: currentRoundMatchesList.length,
+                currentMatchPosition,
+                matchId: matchId?.toString(),
+            });
 
-                // Get updated game data
-                const updatedGame = response.data?.game || null;
-                const allRoundFinished = response.data?.allRoundMatchesFinished || false;
-                const nextRoundCreated = response.data?.nextRoundCreated || false;
-                const newMatches = response.data?.newMatches || [];
-                console.log('🏓 [ActiveMatch] After submit - navigation check:', {
+            // IMPORTANT: Check for next round FIRST before checking same round matches
+            // This ensures we navigate to next round when it's created, not get stuck in current round
+            const shouldNavigateToNextRound = allRoundFinished && (nextRoundCreated || (updatedGame?.currentRound && updatedGame.currentRound > roundNumber));
+
+            // Check if there's a next match in current round (only if not navigating to next round)
+            const nextMatchPosition = currentMatchPosition + 1;
+            const hasNextMatchInRound = !shouldNavigateToNextRound && nextMatchPosition < currentRoundMatchesList.length;
+
+            console.log('🏓 [ActiveMatch] Navigation decision:', {
+                shouldNavigateToNextRound,
+                hasNextMatchInRound,
+                allRoundFinished,
+                nextRoundCreated,
+                updatedGameCurrentRound: updatedGame?.currentRound,
+                currentRound: roundNumber,
+                newMatchesCount: newMatches.length,
+            });
+
+            // PRIORITY 1: Navigate to next round if round is finished and next round was created
+            if (shouldNavigateToNextRound) {
+                // Round is finished and new round was created - navigate to first match of new round
+                console.log('🏓 [ActiveMatch] ✅ Round finished condition met:', {
                     allRoundFinished,
                     nextRoundCreated,
                     newMatchesCount: newMatches.length,
-                    newMatchesDetails: newMatches.map(m => ({
-                        id: m._id?.toString() || m.id?.toString(),
-                        round: m.roundNumber,
-                        match: m.matchNumber,
-                        teamA: m.teamA?.letter,
-                        teamB: m.teamB?.letter,
-                        status: m.status,
-                    })),
-                    currentRound: roundNumber,
-                    updatedGameStatus: updatedGame?.status,
-                    responseGameStatus: response.data?.game?.status,
                     updatedGameCurrentRound: updatedGame?.currentRound,
+                    currentRound: roundNumber,
                 });
 
-                // Get updated matches list (including newly created ones) - ensure it's populated
-                let allMatches = [];
-                if (updatedGame?.matches && Array.isArray(updatedGame.matches)) {
-                    allMatches = updatedGame.matches;
-                } else {
-                    // Fallback: fetch fresh game data
-                    try {
-                        const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
-                        if (gameResponse?.data?.success && gameResponse.data.game) {
-                            allMatches = gameResponse.data.game.matches || [];
-                        }
-                    } catch (e) {
-                        console.log('Error fetching game:', e);
-                        allMatches = matches || [];
-                    }
-                }
-
-                // Filter matches for current round and sort by matchNumber
-                const currentRoundMatchesList = allMatches
+                // Determine next round number - use updatedGame.currentRound if available, otherwise calculate
+                const nextRound = updatedGame?.currentRound || (newMatches.length > 0 ? newMatches[0]?.roundNumber : null) || (roundNumber + 1);
+                console.log('🏓 [ActiveMatch] ✅ Determined next round:', nextRound);
+                console.log('🏓 [ActiveMatch] All matches by round:', allMatches.map(m => ({
+                    id: m._id?.toString() || m.id?.toString(),
+                    round: m.roundNumber,
+                    match: m.matchNumber,
+                    status: m.status,
+                })));
+
+                // Find first VALID (pending, non-bye) match of next round in allMatches
+                const nextRoundMatches = allMatches
                     .filter((m) => {
                         if (!m || typeof m !== 'object') return false;
-                        const matchRound = m.roundNumber !== undefined ? m.roundNumber : roundNumber;
-                        return matchRound === roundNumber;
+                        const matchRound = m.roundNumber !== undefined ? m.roundNumber : nextRound;
+                        if (matchRound !== nextRound) return false;
+
+                        // Filter out finished matches
+                        if (m.status === 'finished') return false;
+
+                        // Filter out bye matches (teamA === teamB or teamB is missing)
+                        const teamALetter = m.teamA?.letter || m.teamA;
+                        const teamBLetter = m.teamB?.letter || m.teamB;
+                        if (!teamBLetter || teamALetter === teamBLetter) return false;
+
+                        return true;
                     })
                     .sort((a, b) => {
+                        // Sort by match number
                         const matchNumA = a.matchNumber || 0;
                         const matchNumB = b.matchNumber || 0;
                         return matchNumA - matchNumB;
                     });
 
-                // Find current match in the list
-                const currentMatchInList = currentRoundMatchesList.find((m) => {
-                    return m._id === matchId || m.id === matchId;
-                });
-                const currentMatchPosition = currentMatchInList
-                    ? currentRoundMatchesList.indexOf(currentMatchInList)
-                    : currentMatchIndex;
-
-                console.log('🏓 [ActiveMatch] Checking for next match:', {
-                    currentRound: roundNumber,
-                    currentRoundMatchesCount: currentRoundMatchesList.length,
-                    currentMatchPosition,
-                    matchId: matchId?.toString(),
-                });
-
-                // IMPORTANT: Check for next round FIRST before checking same round matches
-                // This ensures we navigate to next round when it's created, not get stuck in current round
-                const shouldNavigateToNextRound = allRoundFinished && (nextRoundCreated || (updatedGame?.currentRound && updatedGame.currentRound > roundNumber));
-
-                // Check if there's a next match in current round (only if not navigating to next round)
-                const nextMatchPosition = currentMatchPosition + 1;
-                const hasNextMatchInRound = !shouldNavigateToNextRound && nextMatchPosition < currentRoundMatchesList.length;
+                console.log('🏓 [ActiveMatch] Next round matches found (filtered):', nextRoundMatches.length);
+                console.log('🏓 [ActiveMatch] Next round matches details:', nextRoundMatches.map(m => ({
+                    id: m._id?.toString() || m.id?.toString(),
+                    round: m.roundNumber,
+                    match: m.matchNumber,
+                    teamA: m.teamA?.letter,
+                    teamB: m.teamB?.letter,
+                    status: m.status,
+                })));
+
+                if (nextRoundMatches.length > 0) {
+                    const firstNextRoundMatch = nextRoundMatches[0];
+                    const nextMatchIndexInAll = allMatches.findIndex((m) => {
+                        const matchId = m._id?.toString() || m.id?.toString();
+                        const targetId = firstNextRoundMatch._id?.toString() || firstNextRoundMatch.id?.toString();
+                        return matchId === targetId;
+                    });
 
-                console.log('🏓 [ActiveMatch] Navigation decision:', {
-                    shouldNavigateToNextRound,
-                    hasNextMatchInRound,
-                    allRoundFinished,
-                    nextRoundCreated,
-                    updatedGameCurrentRound: updatedGame?.currentRound,
-                    currentRound: roundNumber,
-                    newMatchesCount: newMatches.length,
-                });
+                    console.log('🏓 [ActiveMatch] ✅ Navigating to first valid match of next round:', {
+                        nextRound,
+                        nextMatchIndex: nextMatchIndexInAll,
+                        matchId: firstNextRoundMatch._id?.toString() || firstNextRoundMatch.id?.toString(),
+                        teamA: firstNextRoundMatch.teamA?.letter,
+                        teamB: firstNextRoundMatch.teamB?.letter,
+                        status: firstNextRoundMatch.status,
+                    });
 
-                // PRIORITY 1: Navigate to next round if round is finished and next round was created
-                if (shouldNavigateToNextRound) {
-                    // Round is finished and new round was created - navigate to first match of new round
-                    console.log('🏓 [ActiveMatch] ✅ Round finished condition met:', {
-                        allRoundFinished,
-                        nextRoundCreated,
-                        newMatchesCount: newMatches.length,
-                        updatedGameCurrentRound: updatedGame?.currentRound,
-                        currentRound: roundNumber,
+                    console.log('🏓 [ActiveMatch] 🚀 About to navigate to Round', nextRound, 'Match', firstNextRoundMatch.matchNumber);
+                    setIsSubmitting(false); // Reset submitting state before navigating
+                    navigation?.replace('ActiveMatch', {
+                        teams: teams,
+                        roomId: roomId,
+                        roomName: roomName,
+                        gameFormat: gameFormat,
+                        gameId: gameId,
+                        currentMatchIndex: nextMatchIndexInAll >= 0 ? nextMatchIndexInAll : 0,
+                        completedMatches: updatedCompletedMatches,
+                        roundNumber: nextRound,
+                        matches: allMatches,
+                    });
+                    return; // Important: return early to prevent further execution
+                } else {
+                    // No valid pending matches in next round - check if all matches are finished/bye matches
+                    const allNextRoundMatches = allMatches.filter((m) => {
+                        if (!m || typeof m !== 'object') return false;
+                        const matchRound = m.roundNumber !== undefined ? m.roundNumber : nextRound;
+                        return matchRound === nextRound;
                     });
 
-                    // Determine next round number - use updatedGame.currentRound if available, otherwise calculate
-                    const nextRound = updatedGame?.currentRound || (newMatches.length > 0 ? newMatches[0]?.roundNumber : null) || (roundNumber + 1);
-                    console.log('🏓 [ActiveMatch] ✅ Determined next round:', nextRound);
-                    console.log('🏓 [ActiveMatch] All matches by round:', allMatches.map(m => ({
+                    console.log('🏓 [ActiveMatch] No valid pending matches found in next round');
+                    console.log('🏓 [ActiveMatch] All matches in next round:', allNextRoundMatches.map(m => ({
                         id: m._id?.toString() || m.id?.toString(),
                         round: m.roundNumber,
                         match: m.matchNumber,
+                        teamA: m.teamA?.letter,
+                        teamB: m.teamB?.letter,
                         status: m.status,
                     })));
 
-                    // Find first VALID (pending, non-bye) match of next round in allMatches
-                    const nextRoundMatches = allMatches
-                        .filter((m) => {
-                            if (!m || typeof m !== 'object') return false;
-                            const matchRound = m.roundNumber !== undefined ? m.roundNumber : nextRound;
-                            if (matchRound !== nextRound) return false;
-
-                            // Filter out finished matches
-                            if (m.status === 'finished') return false;
-
-                            // Filter out bye matches (teamA === teamB or teamB is missing)
-                            const teamALetter = m.teamA?.letter || m.teamA;
-                            const teamBLetter = m.teamB?.letter || m.teamB;
-                            if (!teamBLetter || teamALetter === teamBLetter) return false;
-
-                            return true;
-                        })
-                        .sort((a, b) => {
-                            // Sort by match number
-                            const matchNumA = a.matchNumber || 0;
-                            const matchNumB = b.matchNumber || 0;
-                            return matchNumA - matchNumB;
-                        });
-
-                    console.log('🏓 [ActiveMatch] Next round matches found (filtered):', nextRoundMatches.length);
-                    console.log('🏓 [ActiveMatch] Next round matches details:', nextRoundMatches.map(m => ({
+                    // If all matches in next round are finished, check if game is complete
+                    const allFinished = allNextRoundMatches.every(m => m.status === 'finished');
+                    if (allFinished) {
+                        console.log('🏓 [ActiveMatch] All matches in next round are finished, checking game completion...');
+                        // Fetch fresh game data to check if game is completed
+                        try {
+                            const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
+                            if (gameResponse?.data?.success && gameResponse.data.game) {
+                                const freshGame = gameResponse.data.game;
+                                if (freshGame.status === 'completed') {
+                                    console.log('🏓 [ActiveMatch] Game is completed, navigating to results...');
+                                    await handleGameCompletion(headers, updatedCompletedMatches);
+                                    return;
+                                }
+                            }
+                        } catch (e) {
+                            console.log('Error fetching fresh game data:', e);
+                        }
+                    }
+                    console.log('🏓 [ActiveMatch] WARNING: No matches found in next round despite newMatches.length > 0');
+                    console.log('🏓 [ActiveMatch] allMatches:', allMatches.map(m => ({
                         id: m._id?.toString() || m.id?.toString(),
                         round: m.roundNumber,
                         match: m.matchNumber,
-                        teamA: m.teamA?.letter,
-                        teamB: m.teamB?.letter,
                         status: m.status,
                     })));
-
-                    if (nextRoundMatches.length > 0) {
-                        const firstNextRoundMatch = nextRoundMatches[0];
-                        const nextMatchIndexInAll = allMatches.findIndex((m) => {
-                            const matchId = m._id?.toString() || m.id?.toString();
-                            const targetId = firstNextRoundMatch._id?.toString() || firstNextRoundMatch.id?.toString();
-                            return matchId === targetId;
-                        });
-
-                        console.log('🏓 [ActiveMatch] ✅ Navigating to first valid match of next round:', {
-                            nextRound,
-                            nextMatchIndex: nextMatchIndexInAll,
-                            matchId: firstNextRoundMatch._id?.toString() || firstNextRoundMatch.id?.toString(),
-                            teamA: firstNextRoundMatch.teamA?.letter,
-                            teamB: firstNextRoundMatch.teamB?.letter,
-                            status: firstNextRoundMatch.status,
-                        });
-
-                        console.log('🏓 [ActiveMatch] 🚀 About to navigate to Round', nextRound, 'Match', firstNextRoundMatch.matchNumber);
-                        setIsSubmitting(false); // Reset submitting state before navigating
-                        navigation?.replace('ActiveMatch', {
-                            teams: teams,
-                            roomId: roomId,
-                            roomName: roomName,
-                            gameFormat: gameFormat,
-                            gameId: gameId,
-                            currentMatchIndex: nextMatchIndexInAll >= 0 ? nextMatchIndexInAll : 0,
-                            completedMatches: updatedCompletedMatches,
-                            roundNumber: nextRound,
-                            matches: allMatches,
-                        });
-                        return; // Important: return early to prevent further execution
+                    console.log('🏓 [ActiveMatch] newMatches:', newMatches);
+                    console.log('🏓 [ActiveMatch] nextRound:', nextRound);
+                    // Fallback: game completed
+                    if (updatedGame?.status === 'completed') {
+                        await handleGameCompletion(headers, updatedCompletedMatches);
                     } else {
-                        // No valid pending matches in next round - check if all matches are finished/bye matches
-                        const allNextRoundMatches = allMatches.filter((m) => {
-                            if (!m || typeof m !== 'object') return false;
-                            const matchRound = m.roundNumber !== undefined ? m.roundNumber : nextRound;
-                            return matchRound === nextRound;
-                        });
-
-                        console.log('🏓 [ActiveMatch] No valid pending matches found in next round');
-                        console.log('🏓 [ActiveMatch] All matches in next round:', allNextRoundMatches.map(m => ({
-                            id: m._id?.toString() || m.id?.toString(),
-                            round: m.roundNumber,
-                            match: m.matchNumber,
-                            teamA: m.teamA?.letter,
-                            teamB: m.teamB?.letter,
-                            status: m.status,
-                        })));
-
-                        // If all matches in next round are finished, check if game is complete
-                        const allFinished = allNextRoundMatches.every(m => m.status === 'finished');
-                        if (allFinished) {
-                            console.log('🏓 [ActiveMatch] All matches in next round are finished, checking game completion...');
-                            // Fetch fresh game data to check if game is completed
-                            try {
-                                const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
-                                if (gameResponse?.data?.success && gameResponse.data.game) {
-                                    const freshGame = gameResponse.data.game;
-                                    if (freshGame.status === 'completed') {
-                                        console.log('🏓 [ActiveMatch] Game is completed, navigating to results...');
-                                        await handleGameCompletion(headers, updatedCompletedMatches);
-                                        return;
-                                    }
-                                }
-                            } catch (e) {
-                                console.log('Error fetching fresh game data:', e);
-                            }
-                        }
-                        console.log('🏓 [ActiveMatch] WARNING: No matches found in next round despite newMatches.length > 0');
-                        console.log('🏓 [ActiveMatch] allMatches:', allMatches.map(m => ({
-                            id: m._id?.toString() || m.id?.toString(),
-                            round: m.roundNumber,
-                            match: m.matchNumber,
-                            status: m.status,
-                        })));
-                        console.log('🏓 [ActiveMatch] newMatches:', newMatches);
-                        console.log('🏓 [ActiveMatch] nextRound:', nextRound);
-                        // Fallback: game completed
-                        if (updatedGame?.status === 'completed') {
-                            await handleGameCompletion(headers, updatedCompletedMatches);
-                        } else {
-                            Alert.alert('Round Complete', 'Next round is being prepared...');
-                        }
+                        Alert.alert('Round Complete', 'Next round is being prepared...');
                     }
-                } else if (hasNextMatchInRound) {
-                    // PRIORITY 2: Navigate to next match in current round
-                    console.log('🏓 [ActiveMatch] Navigating to next match in same round');
-                    const nextMatch = currentRoundMatchesList[nextMatchPosition];
-                    // Find the index in allMatches array
-                    const nextMatchIndexInAll = allMatches.findIndex((m) => {
-                        return m._id === nextMatch._id || m.id === nextMatch.id || m._id?.toString() === nextMatch._id?.toString();
-                    });
-
-                    navigation?.replace('ActiveMatch', {
-                        teams: teams,
-                        roomId: roomId,
-                        roomName: roomName,
-                        gameFormat: gameFormat,
-                        gameId: gameId,
-                        currentMatchIndex: nextMatchIndexInAll >= 0 ? nextMatchIndexInAll : nextMatchPosition,
-                        completedMatches: updatedCompletedMatches,
-                        roundNumber: roundNumber,
-                        matches: allMatches,
-                    });
-                    return; // Return early to prevent further execution
                 }
+            } else if (hasNextMatchInRound) {
+                // PRIORITY 2: Navigate to next match in current round
+                console.log('🏓 [ActiveMatch] Navigating to next match in same round');
+                const nextMatch = currentRoundMatchesList[nextMatchPosition];
+                // Find the index in allMatches array
+                const nextMatchIndexInAll = allMatches.findIndex((m) => {
+                    return m._id === nextMatch._id || m.id === nextMatch.id || m._id?.toString() === nextMatch._id?.toString();
+                });
 
-                // PRIORITY 3: Check if game is completed (must check after all other navigation options)
-                const gameStatusFromResponse = response.data?.game?.status;
-                const gameStatusFromGameData = response.data?.gameStatus;
-                const isGameCompleted = updatedGame?.status === 'completed' ||
-                    gameStatusFromResponse === 'completed' ||
-                    gameStatusFromGameData === 'completed';
-
-                console.log('🏓 [ActiveMatch] Checking game completion status:', {
-                    allRoundFinished,
-                    updatedGameStatus: updatedGame?.status,
-                    responseGameStatus: gameStatusFromResponse,
-                    responseGameStatusFromGameData: gameStatusFromGameData,
-                    isGameCompleted,
-                    shouldNavigateToResults: allRoundFinished && isGameCompleted,
-                    fullResponseData: {
-                        hasGame: !!response.data?.game,
-                        gameKeys: response.data?.game ? Object.keys(response.data.game) : [],
-                        gameStatusDirect: response.data?.game?.status,
-                    },
+                navigation?.replace('ActiveMatch', {
+                    teams: teams,
+                    roomId: roomId,
+                    roomName: roomName,
+                    gameFormat: gameFormat,
+                    gameId: gameId,
+                    currentMatchIndex: nextMatchIndexInAll >= 0 ? nextMatchIndexInAll : nextMatchPosition,
+                    completedMatches: updatedCompletedMatches,
+                    roundNumber: roundNumber,
+                    matches: allMatches,
                 });
+                return; // Return early to prevent further execution
+            }
 
-                // CRITICAL: Check game completion - this should ALWAYS be checked after round navigation
-                if (allRoundFinished && isGameCompleted) {
-                    console.log('🏓 [ActiveMatch] ✅✅✅ GAME COMPLETED! Calling handleGameCompletion...');
-                    setIsSubmitting(false); // Reset submitting state
-                    // All matches completed - calculate winners and show results
-                    await handleGameCompletion(headers, updatedCompletedMatches);
-                    console.log('🏓 [ActiveMatch] handleGameCompletion finished, should have navigated to GameResults');
-                    return; // Return early after handling completion
-                } else if (allRoundFinished) {
-                    // Round finished but game not completed - might need to wait
-                    console.log('🏓 [ActiveMatch] Round finished but game not completed yet, game status:', updatedGame?.status);
-                    // Try fetching fresh game data to check if backend has marked it as completed
-                    try {
-                        const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
-                        if (gameResponse?.data?.success && gameResponse.data.game) {
-                            const freshGame = gameResponse.data.game;
-                            console.log('🏓 [ActiveMatch] Fresh game status:', freshGame.status);
-                            if (freshGame.status === 'completed') {
-                                console.log('🏓 [ActiveMatch] Game is now completed, navigating to results...');
-                                await handleGameCompletion(headers, updatedCompletedMatches);
-                                return;
-                            }
+            // PRIORITY 3: Check if game is completed (must check after all other navigation options)
+            const gameStatusFromResponse = response.data?.game?.status;
+            const gameStatusFromGameData = response.data?.gameStatus;
+            const isGameCompleted = updatedGame?.status === 'completed' ||
+                gameStatusFromResponse === 'completed' ||
+                gameStatusFromGameData === 'completed';
+
+            console.log('🏓 [ActiveMatch] Checking game completion status:', {
+                allRoundFinished,
+                updatedGameStatus: updatedGame?.status,
+                responseGameStatus: gameStatusFromResponse,
+                responseGameStatusFromGameData: gameStatusFromGameData,
+                isGameCompleted,
+                shouldNavigateToResults: allRoundFinished && isGameCompleted,
+                fullResponseData: {
+                    hasGame: !!response.data?.game,
+                    gameKeys: response.data?.game ? Object.keys(response.data.game) : [],
+                    gameStatusDirect: response.data?.game?.status,
+                },
+            });
+
+            // CRITICAL: Check game completion - this should ALWAYS be checked after round navigation
+            if (allRoundFinished && isGameCompleted) {
+                console.log('🏓 [ActiveMatch] ✅✅✅ GAME COMPLETED! Calling handleGameCompletion...');
+                setIsSubmitting(false); // Reset submitting state
+                // All matches completed - calculate winners and show results
+                await handleGameCompletion(headers, updatedCompletedMatches);
+                console.log('🏓 [ActiveMatch] handleGameCompletion finished, should have navigated to GameResults');
+                return; // Return early after handling completion
+            } else if (allRoundFinished) {
+                // Round finished but game not completed - might need to wait
+                console.log('🏓 [ActiveMatch] Round finished but game not completed yet, game status:', updatedGame?.status);
+                // Try fetching fresh game data to check if backend has marked it as completed
+                try {
+                    const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
+                    if (gameResponse?.data?.success && gameResponse.data.game) {
+                        const freshGame = gameResponse.data.game;
+                        console.log('🏓 [ActiveMatch] Fresh game status:', freshGame.status);
+                        if (freshGame.status === 'completed') {
+                            console.log('🏓 [ActiveMatch] Game is now completed, navigating to results...');
+                            await handleGameCompletion(headers, updatedCompletedMatches);
+                            return;
                         }
-                    } catch (e) {
-                        console.log('Error fetching fresh game data:', e);
                     }
-                    Alert.alert('Round Complete', 'All matches in this round are finished.');
-                } else {
-                    // Should not happen - reload and try again
-                    console.log('Unexpected state - reloading game data');
-                    // Fetch fresh game and navigate to next match
-                    try {
-                        const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
-                        if (gameResponse?.data?.success && gameResponse.data.game) {
-                            const freshGame = gameResponse.data.game;
-                            const freshMatches = freshGame.matches || [];
-
-                            // Find next pending match
-                            const pendingMatches = freshMatches.filter(m =>
-                                m && (m.status === 'pending' || m.status === 'live')
+                } catch (e) {
+                    console.log('Error fetching fresh game data:', e);
+                }
+                Alert.alert('Round Complete', 'All matches in this round are finished.');
+            } else {
+                // Should not happen - reload and try again
+                console.log('Unexpected state - reloading game data');
+                // Fetch fresh game and navigate to next match
+                try {
+                    const gameResponse = await axios.get(`${API_BASE_URL}/api/v1/game/${gameId}`, { headers });
+                    if (gameResponse?.data?.success && gameResponse.data.game) {
+                        const freshGame = gameResponse.data.game;
+                        const freshMatches = freshGame.matches || [];
+
+                        // Find next pending match
+                        const pendingMatches = freshMatches.filter(m =>
+                            m && (m.status === 'pending' || m.status === 'live')
+                        );
+
+                        if (pendingMatches.length > 0) {
+                            const nextMatch = pendingMatches[0];
+                            const nextMatchIndex = freshMatches.findIndex(m =>
+                                m._id === nextMatch._id || m.id === nextMatch.id
                             );
 
-                            if (pendingMatches.length > 0) {
-                                const nextMatch = pendingMatches[0];
-                                const nextMatchIndex = freshMatches.findIndex(m =>
-                                    m._id === nextMatch._id || m.id === nextMatch.id
-                                );
-
-                                navigation?.replace('ActiveMatch', {
-                                    teams: teams,
-                                    roomId: roomId,
-                                    roomName: roomName,
-                                    gameFormat: gameFormat,
-                                    gameId: gameId,
-                                    currentMatchIndex: nextMatchIndex >= 0 ? nextMatchIndex : 0,
-                                    completedMatches: updatedCompletedMatches,
-                                    roundNumber: nextMatch.roundNumber || roundNumber,
-                                    matches: freshMatches,
-                                });
-                            } else if (freshGame.status === 'completed') {
-                                await handleGameCompletion(headers, updatedCompletedMatches);
-                            }
+                            navigation?.replace('ActiveMatch', {
+                                teams: teams,
+                                roomId: roomId,
+                                roomName: roomName,
+                                gameFormat: gameFormat,
+                                gameId: gameId,
+                                currentMatchIndex: nextMatchIndex >= 0 ? nextMatchIndex : 0,
+                                completedMatches: updatedCompletedMatches,
+                                roundNumber: nextMatch.roundNumber || roundNumber,
+                                matches: freshMatches,
+                            });
+                        } else if (freshGame.status === 'completed') {
+                            await handleGameCompletion(headers, updatedCompletedMatches);
                         }
-                    } catch (e) {
-                        console.log('Error reloading game:', e);
-                        Alert.alert('Error', 'Unable to proceed to next match. Please try again.');
                     }
+                } catch (e) {
+                    console.log('Error reloading game:', e);
+                    Alert.alert('Error', 'Unable to proceed to next match. Please try again.');
                 }
-            } else {
-                throw new Error(response.data?.message || 'Failed to submit match result');
             }
+        } else {
+            throw new Error(response.data?.message || 'Failed to submit match result');
+        }
+    };
+
+    // Load the live score of the current match when live scoring is switched on
+    useEffect(() => {
+        const fetchLiveScore = async () => {
+            if (scoringMode !== 'live' || !matchId) return;
+            try {
+                const headers = await getAuthHeaders();
+                const response = await axios.get(
+                    `${API_BASE_URL}/api/v1/game/match/${matchId}/events`,
+                    { headers }
+                );
+                setLiveScore(response.data?.liveScore || null);
+            } catch (error) {
+                console.log('Error loading live score:', error?.response?.data || error?.message);
+            }
+        };
+        fetchLiveScore();
+    }, [scoringMode, matchId]);
+
+    // Leave for the dashboard when the match or game is finished elsewhere
+    const returnToDashboard = (title, message) => {
+        Alert.alert(title, message);
+        if (navigation?.navigate && roomId) {
+            navigation.navigate('RoomDashboard', {
+                roomId: roomId,
+                roomName: roomName,
+            });
+        }
+    };
+
+    // Live updates from other scorers in the room
+    useRealtimeChannel('game', gameId, {
+        'match:updated': ({ match, liveScore: updatedLiveScore }) => {
+            if (!match || match._id?.toString() !== matchId?.toString()) return;
+            if (updatedLiveScore) {
+                setLiveScore(updatedLiveScore);
+            }
+            if (match.status === 'finished' && !isSubmitting) {
+                returnToDashboard('Match Finished', 'The result of this match was entered on another device.');
+            }
+        },
+        'game:cancelled': () => {
+            returnToDashboard('Game Cancelled', 'This game has been cancelled.');
+        },
+    });
+
+    // Live scoring: record who won a rally; the server finalises the match on match point
+    const handleRally = async (wonBy) => {
+        if (!matchId || isSubmitting) return;
+        try {
+            setIsSubmitting(true);
+            const headers = await getAuthHeaders();
+            const isFirstRally = !liveScore || (liveScore.outcomes || []).length === 0;
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/game/match/${matchId}/events`,
+                { wonBy, ...(isFirstRally && { firstServer }) },
+                { headers }
+            );
+            setLiveScore(response.data?.liveScore || null);
+            console.log('🎾 [ActiveMatch] Rally recorded:', {
+                wonBy,
+                call: response.data?.liveScore?.call,
+                matchFinished: response.data?.matchFinished,
+            });
+
+            if (response.data?.matchFinished) {
+                await continueAfterResult(response, headers);
+            }
+        } catch (error) {
+            console.log('Error recording rally:', error?.response?.data || error?.message);
+            Alert.alert(
+                'Error',
+                error?.response?.data?.message || 'Failed to record rally. Please try again.'
+            );
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    // Live scoring: remove the last recorded rally
+    const handleUndoRally = async () => {
+        if (!matchId || isSubmitting) return;
+        try {
+            setIsSubmitting(true);
+            const headers = await getAuthHeaders();
+            const response = await axios.delete(
+                `${API_BASE_URL}/api/v1/game/match/${matchId}/events/last`,
+                { headers }
+            );
+            setLiveScore(response.data?.liveScore || null);
+        } catch (error) {
+            console.log('Error undoing rally:', error?.response?.data || error?.message);
+            Alert.alert(
+                'Error',
+                error?.response?.data?.message || 'Failed to undo rally. Please try again.'
+            );
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSubmitResult = async () => {
+        // Prevent submitting if current match is already finished
+        if (currentMatchData?.status === 'finished') {
+            Alert.alert('Match Already Finished', 'This match has already been completed. Please navigate to the next match.');
+            return;
+        }
+
+        // Validate scores
+        if (!teamAScore.trim() || !teamBScore.trim()) {
+            Alert.alert('Missing Scores', 'Please enter scores for both teams.');
+            return;
+        }
+
+        const scoreA = parseInt(teamAScore, 10);
+        const scoreB = parseInt(teamBScore, 10);
+
+        if (isNaN(scoreA) || isNaN(scoreB)) {
+            Alert.alert('Invalid Scores', 'Please enter valid numbers for scores.');
+            return;
+        }
+
+        if (scoreA === scoreB) {
+            Alert.alert('Tie Not Allowed', 'The scores cannot be equal. Please enter different scores.');
+            return;
+        }
+
+        // Best-of matches: keep the game and move on to the next one until a side has won enough games
+        const gameScores = [...savedGames, { scoreA, scoreB }];
+        const winsA = gameScores.filter((g) => g.scoreA > g.scoreB).length;
+        const winsB = gameScores.length - winsA;
+        if (bestOf > 1 && winsA < gamesToWin && winsB < gamesToWin) {
+            setSavedGames(gameScores);
+            setTeamAScore('');
+            setTeamBScore('');
+            return;
+        }
+
+        try {
+            setIsSubmitting(true);
+            console.log('🏓 [ActiveMatch] Submit Result Button Pressed');
+            console.log('🏓 [ActiveMatch] Match Details:', {
+                matchId,
+                gameId,
+                roundNumber,
+                currentMatchIndex,
+                teamAScore: scoreA,
+                teamBScore: scoreB,
+                teamA: teamA?.letter,
+                teamB: teamB?.letter,
+            });
+
+            if (!matchId) {
+                throw new Error('Match ID is missing');
+            }
+
+            // Submit match result to backend API
+            const headers = await getAuthHeaders();
+            const payload = bestOf > 1 ? { games: gameScores } : { scoreA, scoreB };
+            const payloadKey = JSON.stringify(payload);
+            if (resultSubmissionRef.current?.payloadKey !== payloadKey) {
+                resultSubmissionRef.current = {
+                    payloadKey,
+                    idempotencyKey: `${matchId}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+                };
+            }
+            console.log('🏓 [ActiveMatch] Submitting result to backend:', { matchId, games: gameScores });
+            const response = await axios.put(
+                `${API_BASE_URL}/api/v1/game/match/${matchId}/result`,
+                payload,
+                { headers: { ...headers, 'Idempotency-Key': resultSubmissionRef.current.idempotencyKey } }
+            );
+            console.log('🏓 [ActiveMatch] Result submitted successfully:', {
+                allRoundFinished: response.data?.allRoundMatchesFinished,
+                nextRoundCreated: response.data?.nextRoundCreated,
+                newMatchesCount: response.data?.newMatches?.length || 0,
+                gameStatus: response.data?.game?.status,
+            });
+
+            await continueAfterResult(response, headers);
         } catch (error) {
             console.log('Error submitting result:', error?.response?.data || error?.message);
             Alert.alert(
@@ -718,6 +911,10 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
         }
     };
 
+    // Whether the score being entered ends a best-of match
+    const enteredWinnerIsA = parseInt(teamAScore || 0, 10) > parseInt(teamBScore || 0, 10);
+    const decidesMatch = (enteredWinnerIsA ? gamesWonA : gamesWonB) + 1 >= gamesToWin;
+
     // Check if match is invalid (missing teams or bye match where teamA === teamB)
     const teamALetter = teamA?.letter || teamA;
     const teamBLetter = teamB?.letter || teamB;
@@ -785,7 +982,13 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
                     </TouchableOpacity>
                     <View style={styles.headerContent}>
                         <Text style={styles.headerTitle}>Active Match</Text>
-                        <Text style={styles.headerSubtitle}>Round {roundNumber} - Match {currentMatchNumber}</Text>
+                        <Text style={styles.headerSubtitle}>
+                            Round {roundNumber} - Match {currentMatchNumber}
+                            {currentMatchData?.court ? ` · Court ${currentMatchData.court}` : ''}
+                        </Text>
+                        {scoringRules && (
+                            <Text style={styles.rulesText}>{describeScoringRules(scoringRules)}</Text>
+                        )}
                     </View>
                     <View style={styles.headerSpacer} />
                 </View>
@@ -796,6 +999,91 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
                     showsVerticalScrollIndicator={false}
                     keyboardShouldPersistTaps="handled"
                 >
+                    {/* Scoring mode: final score or rally-by-rally */}
+                    <View style={styles.modeToggle}>
+                        {[
+                            { mode: 'final', label: 'Final Score', icon: 'edit-3' },
+                            { mode: 'live', label: 'Live Scoring', icon: 'activity' },
+                        ].map(({ mode, label, icon }) => (
+                            <TouchableOpacity
+                                key={mode}
+                                style={[styles.modeOption, scoringMode === mode && styles.modeOptionActive]}
+                                onPress={() => setScoringMode(mode)}
+                                disabled={isSubmitting}
+                                activeOpacity={0.8}
+                            >
+                                <Feather name={icon} size={14} color={scoringMode === mode ? '#ffffff' : palette.textSecondary} />
+                                <Text style={[styles.modeOptionText, scoringMode === mode && styles.modeOptionTextActive]}>
+                                    {label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {/* Live score call: serving score - receiving score - server number */}
+                    {scoringMode === 'live' && (
+                        <View style={styles.liveCard}>
+                            <Text style={styles.liveCall}>{liveScore?.call || '0-0-2'}</Text>
+                            {liveScore?.servingSide && (
+                                <Text style={styles.liveServing}>
+                                    Team {(liveScore.servingSide === 'A' ? teamA : teamB)?.letter || liveScore.servingSide} serving
+                                    {liveScore.serverNumber ? ` · Server ${liveScore.serverNumber}` : ''}
+                                </Text>
+                            )}
+                            {liveScore?.currentGame && (
+                                <Text style={styles.liveGameScore}>
+                                    Game {liveScore.gameNumber}: {teamA?.letter || 'A'} {liveScore.currentGame.scoreA} - {liveScore.currentGame.scoreB} {teamB?.letter || 'B'}
+                                </Text>
+                            )}
+                            {(liveScore?.games || []).map((g, index) => (
+                                <Text key={`live-game-${index}`} style={styles.gameScoreText}>
+                                    Game {index + 1}: {g.scoreA} - {g.scoreB}
+                                </Text>
+                            ))}
+                            {(!liveScore || (liveScore.outcomes || []).length === 0) && (
+                                <View style={styles.firstServerRow}>
+                                    <Text style={styles.firstServerLabel}>First serve</Text>
+                                    {['A', 'B'].map((side) => (
+                                        <TouchableOpacity
+                                            key={side}
+                                            style={[styles.firstServerChip, firstServer === side && styles.modeOptionActive]}
+                                            onPress={() => setFirstServer(side)}
+                                            activeOpacity={0.8}
+                                        >
+                                            <Text style={[styles.modeOptionText, firstServer === side && styles.modeOptionTextActive]}>
+                                                Team {(side === 'A' ? teamA : teamB)?.letter || side}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            )}
+                        </View>
+                    )}
+
+                    {/* Games played so far in a best-of match */}
+                    {scoringMode === 'final' && bestOf > 1 && (
+                        <View style={styles.gamesCard}>
+                            <View style={styles.gamesHeader}>
+                                <Text style={styles.gamesTitle}>
+                                    Game {savedGames.length + 1} of up to {bestOf}
+                                </Text>
+                                <Text style={styles.gamesTally}>
+                                    {teamA?.letter || 'A'} {gamesWonA} - {gamesWonB} {teamB?.letter || 'B'}
+                                </Text>
+                            </View>
+                            {savedGames.map((g, index) => (
+                                <Text key={`game-${index}`} style={styles.gameScoreText}>
+                                    Game {index + 1}: {g.scoreA} - {g.scoreB}
+                                </Text>
+                            ))}
+                            {savedGames.length > 0 && (
+                                <TouchableOpacity onPress={() => setSavedGames([])} disabled={isSubmitting}>
+                                    <Text style={styles.clearGamesText}>Re-enter games</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    )}
+
                     {/* Team A Card */}
                     <View style={styles.teamCard}>
                         <View style={styles.teamHeader}>
@@ -825,17 +1113,19 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
                             ))}
                         </View>
 
-                        <View style={styles.scoreInputContainer}>
-                            <TextInput
-                                style={styles.scoreInput}
-                                placeholder="Score"
-                                placeholderTextColor={palette.textSecondary}
-                                value={teamAScore}
-                                onChangeText={setTeamAScore}
-                                keyboardType="number-pad"
-                                returnKeyType="done"
-                            />
-                        </View>
+                        {scoringMode === 'final' && (
+                            <View style={styles.scoreInputContainer}>
+                                <TextInput
+                                    style={styles.scoreInput}
+                                    placeholder="Score"
+                                    placeholderTextColor={palette.textSecondary}
+                                    value={teamAScore}
+                                    onChangeText={setTeamAScore}
+                                    keyboardType="number-pad"
+                                    returnKeyType="done"
+                                />
+                            </View>
+                        )}
                     </View>
 
                     {/* VS Separator */}
@@ -874,45 +1164,87 @@ export const ActiveMatchScreen = ({ route, navigation }) => {
                             ))}
                         </View>
 
-                        <View style={styles.scoreInputContainer}>
-                            <TextInput
-                                style={styles.scoreInput}
-                                placeholder="Score"
-                                placeholderTextColor={palette.textSecondary}
-                                value={teamBScore}
-                                onChangeText={setTeamBScore}
-                                keyboardType="number-pad"
-                                returnKeyType="done"
-                            />
-                        </View>
+                        {scoringMode === 'final' && (
+                            <View style={styles.scoreInputContainer}>
+                                <TextInput
+                                    style={styles.scoreInput}
+                                    placeholder="Score"
+                                    placeholderTextColor={palette.textSecondary}
+                                    value={teamBScore}
+                                    onChangeText={setTeamBScore}
+                                    keyboardType="number-pad"
+                                    returnKeyType="done"
+                                />
+                            </View>
+                        )}
                     </View>
                 </ScrollView>
 
+                {/* Live scoring: rally buttons and undo */}
+                {scoringMode === 'live' && (
+                    <View style={styles.footer}>
+                        <View style={styles.rallyRow}>
+                            {['A', 'B'].map((side) => (
+                                <TouchableOpacity
+                                    key={side}
+                                    style={[styles.rallyButton, isSubmitting && styles.submitButtonDisabled]}
+                                    onPress={() => handleRally(side)}
+                                    disabled={isSubmitting}
+                                    activeOpacity={0.8}
+                                >
+                                    <Text style={styles.submitButtonText}>
+                                        Team {(side === 'A' ? teamA : teamB)?.letter || side} won rally
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                        <TouchableOpacity
+                            style={styles.undoButton}
+                            onPress={handleUndoRally}
+                            disabled={isSubmitting || !liveScore || (liveScore.outcomes || []).length === 0}
+                            activeOpacity={0.8}
+                        >
+                            {isSubmitting ? (
+                                <ActivityIndicator size="small" color={palette.accent} />
+                            ) : (
+                                <>
+                                    <Feather name="rotate-ccw" size={16} color={palette.accent} />
+                                    <Text style={styles.undoButtonText}>Undo Last Rally</Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                )}
+
                 {/* Submit Button */}
-                <View style={styles.footer}>
-                    <TouchableOpacity
-                        style={[
-                            styles.submitButton,
-                            (isSubmitting || !teamAScore.trim() || !teamBScore.trim() || Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0) && styles.submitButtonDisabled
-                        ]}
-                        onPress={handleSubmitResult}
-                        disabled={isSubmitting || !teamAScore.trim() || !teamBScore.trim() || Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0}
-                        activeOpacity={0.8}
-                    >
-                        {isSubmitting ? (
-                            <ActivityIndicator size="small" color="#ffffff" />
-                        ) : (
-                            <>
-                                <Feather name="check" size={18} color="#ffffff" />
-                                <Text style={styles.submitButtonText}>
-                                    {Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0
-                                        ? 'Enter Different Scores'
-                                        : 'Submit Result & Continue'}
-                                </Text>
-                            </>
-                        )}
-                    </TouchableOpacity>
-                </View>
+                {scoringMode === 'final' && (
+                    <View style={styles.footer}>
+                        <TouchableOpacity
+                            style={[
+                                styles.submitButton,
+                                (isSubmitting || !teamAScore.trim() || !teamBScore.trim() || Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0) && styles.submitButtonDisabled
+                            ]}
+                            onPress={handleSubmitResult}
+                            disabled={isSubmitting || !teamAScore.trim() || !teamBScore.trim() || Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0}
+                            activeOpacity={0.8}
+                        >
+                            {isSubmitting ? (
+                                <ActivityIndicator size="small" color="#ffffff" />
+                            ) : (
+                                <>
+                                    <Feather name="check" size={18} color="#ffffff" />
+                                    <Text style={styles.submitButtonText}>
+                                        {Math.abs(parseInt(teamAScore || 0) - parseInt(teamBScore || 0)) === 0
+                                            ? 'Enter Different Scores'
+                                            : bestOf > 1 && !decidesMatch
+                                                ? `Save Game ${savedGames.length + 1}`
+                                                : 'Submit Result & Continue'}
+                                    </Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                )}
             </KeyboardAvoidingView>
         </SafeAreaView>
     );
@@ -984,6 +1316,12 @@ const styles = StyleSheet.create({
         color: palette.textSecondary,
         marginTop: 2,
     },
+    rulesText: {
+        fontSize: 12,
+        color: palette.accent,
+        fontWeight: '600',
+        marginTop: 2,
+    },
     headerSpacer: {
         width: 32,
     },
@@ -995,6 +1333,134 @@ const styles = StyleSheet.create({
         gap: 16,
         paddingBottom: 100,
     },
+    gamesCard: {
+        backgroundColor: palette.card,
+        borderRadius: 16,
+        padding: 16,
+        borderWidth: 1,
+        borderColor: palette.border,
+        gap: 6,
+    },
+    gamesHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 4,
+    },
+    gamesTitle: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    gamesTally: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: palette.accent,
+    },
+    gameScoreText: {
+        fontSize: 14,
+        color: palette.textSecondary,
+    },
+    clearGamesText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: palette.accent,
+        marginTop: 4,
+    },
+    modeToggle: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    modeOption: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        paddingVertical: 10,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: palette.border,
+        backgroundColor: palette.card,
+    },
+    modeOptionActive: {
+        backgroundColor: palette.accent,
+        borderColor: palette.accent,
+    },
+    modeOptionText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: palette.textSecondary,
+    },
+    modeOptionTextActive: {
+        color: '#ffffff',
+    },
+    liveCard: {
+        backgroundColor: palette.card,
+        borderRadius: 20,
+        padding: 20,
+        borderWidth: 1,
+        borderColor: palette.border,
+        alignItems: 'center',
+        gap: 6,
+    },
+    liveCall: {
+        fontSize: 44,
+        fontWeight: '800',
+        color: palette.textPrimary,
+        letterSpacing: 2,
+    },
+    liveServing: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: palette.accent,
+    },
+    liveGameScore: {
+        fontSize: 14,
+        color: palette.textPrimary,
+    },
+    firstServerRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 8,
+    },
+    firstServerLabel: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+    firstServerChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    rallyRow: {
+        flexDirection: 'row',
+        gap: 12,
+    },
+    rallyButton: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: palette.accent,
+        paddingVertical: 16,
+        borderRadius: 12,
+    },
+    undoButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        paddingVertical: 10,
+        marginTop: 8,
+    },
+    undoButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: palette.accent,
+    },
     teamCard: {
         backgroundColor: palette.card,
         borderRadius: 20,
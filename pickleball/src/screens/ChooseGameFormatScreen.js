@@ -70,24 +70,89 @@ const gameFormats = [
         requiredPlayers: [4, 6, 8], // Multiple of 2, at least 4
         details: [
             'All teams face each other once',
-            'Ranked by total wins and point differences',
+            'Ranked by wins - ties broken by head-to-head, then point difference',
             'Best overall performance wins',
             'Most balanced format for skill assessment',
         ],
         medals: '🥇 Gold: Most wins | 🥈 Silver: 2nd place | 🥉 Bronze: 3rd place',
         tags: ['All teams compete', 'Fair rotation', 'Comprehensive'],
     },
+    {
+        id: 'double-elimination',
+        name: 'Double Elimination',
+        description: 'True double elimination for any number of teams. Lose once and drop to the losers bracket - lose twice and you\'re out. The losers bracket champion can still win it all.',
+        icon: 'git-merge',
+        iconColor: '#ef4444',
+        requiredPlayers: [4, 6, 8], // At least 4 players
+        details: [
+            'Winners and losers brackets play side by side',
+            'Every team is guaranteed at least two matches',
+            'Grand final: winners bracket vs losers bracket champion',
+            'Bracket reset if the losers bracket champion wins the grand final',
+        ],
+        medals: '🥇 Gold: Grand final winner | 🥈 Silver: Grand final runner-up | 🥉 Bronze: Losers bracket runner-up',
+        tags: ['Two lives', 'Any team count', 'Full tournament'],
+    },
+    {
+        id: 'pools-to-knockout',
+        name: 'Pools to Knockout',
+        description: 'Weekend tournament style: teams play a round robin in their pool, then the top teams from every pool advance to knockout playoffs.',
+        icon: 'grid',
+        iconColor: '#14b8a6',
+        requiredPlayers: [8, 10, 12], // At least 4 teams (2 pools of 2)
+        details: [
+            'Pool stage: round robin inside each pool',
+            'Pools balanced by seeding',
+            'Top teams from each pool advance to the playoffs',
+            'Playoffs: semifinals, bronze match and final',
+        ],
+        medals: '🥇 Gold: Final winner | 🥈 Silver: Final runner-up | 🥉 Bronze: 3rd place playoff winner',
+        tags: ['Groups then playoffs', 'Guaranteed matches', 'Tournament day'],
+    },
+    {
+        id: 'mixer',
+        name: 'Mixer',
+        description: 'Social rotating-partner format. You get a new partner and new opponents every round, so everyone plays with everyone. Standings are per player.',
+        icon: 'shuffle',
+        iconColor: '#ec4899',
+        requiredPlayers: [4, 5, 6, 7, 8], // At least 4 players, any count
+        details: [
+            'New doubles partner every round',
+            'Repeat partners and opponents kept to a minimum',
+            'Players sit out in turn when the count is not a multiple of 4',
+            'Ranked individually by wins, then point difference',
+        ],
+        medals: '🥇 Gold: Top player | 🥈 Silver: 2nd player | 🥉 Bronze: 3rd player',
+        tags: ['Social night', 'Rotating partners', 'Individual standings'],
+    },
+    {
+        id: 'swiss',
+        name: 'Swiss System',
+        description: 'Built for big sessions. Every round pairs teams with the same record and never repeats a matchup - far fewer matches than round robin, and nobody is knocked out.',
+        icon: 'bar-chart-2',
+        iconColor: '#3b82f6',
+        requiredPlayers: [4, 6, 8], // At least 4 players, best for 16+
+        details: [
+            'Round 1: top seeds play the bottom half',
+            'Each round pairs teams with equal records',
+            'No rematches - odd team out gets a bye',
+            'Ranked by wins, then Buchholz (opponents\' wins)',
+        ],
+        medals: '🥇 Gold: 1st in standings | 🥈 Silver: 2nd place | 🥉 Bronze: 3rd place',
+        tags: ['Large groups', 'No elimination', 'Fair pairings'],
+    },
     {
         id: 'quick-knockout',
         name: 'Quick Knockout',
-        description: 'Fast-paced single-elimination tournament. Win or go home! Perfect for time-limited sessions or quick competitive rounds.',
+        description: 'Seeded single-elimination bracket for 3 to 32 teams. Win or go home! Perfect for time-limited sessions or quick competitive rounds.',
         icon: 'zap',
         iconColor: '#eab308',
-        requiredPlayers: [4, 6, 8], // Multiple of 2, at least 4
+        requiredPlayers: [4, 6, 8], // At least 4 players
+        maxPlayers: 64, // 32 teams of 2
         details: [
-            'Quarterfinals → Semifinals → Final',
+            'Teams seeded by player points - top seeds get byes',
             'Single elimination: one loss and you\'re out',
-            'Fast-paced tournament format',
+            'Top two seeds can only meet in the final',
             '3rd place playoff determines bronze',
         ],
         medals: '🥇 Gold: Final champion | 🥈 Silver: Final runner-up | 🥉 Bronze: 3rd place playoff winner',
@@ -118,7 +183,7 @@ export const ChooseGameFormatScreen = ({ route, navigation }) => {
                 return selectedPlayersCount === 4;
             }
 
-            // For other formats (pickle, round-robin, quick-knockout)
+            // For other formats (pickle, round-robin, quick-knockout, double-elimination, pools-to-knockout, mixer, swiss)
             // Show if player count is 4 or more (odd or even - system handles odd players)
             if (Array.isArray(format.requiredPlayers)) {
                 const minPlayers = Math.min(...format.requiredPlayers);
@@ -131,6 +196,9 @@ export const ChooseGameFormatScreen = ({ route, navigation }) => {
                 if (selectedPlayersCount === 3) {
                     return false;
                 }
+                if (format.maxPlayers && selectedPlayersCount > format.maxPlayers) {
+                    return false;
+                }
                 return selectedPlayersCount >= minPlayers;
             }
 
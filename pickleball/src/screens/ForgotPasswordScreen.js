@@ -0,0 +1,380 @@
+import { Feather, MaterialIcons, Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import React, { useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View, Alert, KeyboardAvoidingView, Platform, StatusBar } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { LinearGradient } from 'expo-linear-gradient';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+// Forgotten password: a reset code is sent to the account's mobile number, then the code and a
+// new password are entered together
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ForgotPasswordScreen = () => {
+    const [phone, setPhone] = useState('');
+    const [code, setCode] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [isPasswordVisible, setIsPasswordVisible] = useState(false);
+    const [codeSent, setCodeSent] = useState(false);
+    const [codeLength, setCodeLength] = useState(6);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [info, setInfo] = useState('');
+    const navigation = useNavigation();
+
+    const handlePhoneChange = (text) => {
+        setPhone(text.replace(/\D/g, '').slice(0, 10));
+        setError('');
+    };
+
+    const handleRequestCode = async () => {
+        if (phone.length !== 10) {
+            setError('Please enter your 10-digit mobile number');
+            return;
+        }
+
+        try {
+            setIsLoading(true);
+            setError('');
+            const response = await axios.post(`${API_BASE_URL}/api/v1/user/password-reset/request`, {
+                mobile: phone,
+            });
+
+            setCodeSent(true);
+            setCodeLength(response.data?.codeLength || 6);
+            setInfo(response.data?.message || 'A reset code has been sent');
+        } catch (error) {
+            console.log('Error requesting reset code:', error?.response?.data || error?.message);
+            setError(error?.response?.data?.message || 'Unable to send a reset code. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleResetPassword = async () => {
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+
+        try {
+            setIsLoading(true);
+            setError('');
+            const response = await axios.post(`${API_BASE_URL}/api/v1/user/password-reset/confirm`, {
+                mobile: phone,
+                code: code.trim(),
+                newPassword,
+            });
+
+            Alert.alert(
+                'Password Updated',
+                response.data?.message || 'Please log in with your new password.',
+                [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+            );
+        } catch (error) {
+            console.log('Error resetting password:', error?.response?.data || error?.message);
+            setError(error?.response?.data?.message || 'Unable to reset your password. Please try again.');
+            // No attempts left on this code - a new one is needed
+            if (error?.response?.data?.attemptsLeft === 0) {
+                setCode('');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const canSubmit = codeSent
+        ? code.trim().length === codeLength && newPassword.length > 0
+        : phone.length === 10;
+    const isDisabled = isLoading || !canSubmit;
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="light-content" backgroundColor="#8b5cf6" />
+
+            <KeyboardAvoidingView
+                style={styles.keyboardContainer}
+                behavior={Platform.OS === "ios" ? "padding" : "height"}
+                keyboardVerticalOffset={Platform.OS === "ios" ? 0 : 20}
+            >
+                <View style={styles.contentContainer}>
+                    <View style={styles.card}>
+                        <View style={styles.welcomeSection}>
+                            <Text style={styles.title}>Reset Password</Text>
+                            <Text style={styles.subtitle}>
+                                {codeSent
+                                    ? 'Enter the code we sent and choose a new password'
+                                    : 'Enter your mobile number and we will send you a reset code'}
+                            </Text>
+                        </View>
+
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.inputLabel}>Phone Number</Text>
+                            <View style={styles.inputContainer}>
+                                <MaterialIcons name="phone" size={20} color="#8b5cf6" style={styles.icon} />
+                                <TextInput
+                                    style={styles.input}
+                                    placeholder="Enter 10-digit mobile number"
+                                    placeholderTextColor="#9ca3af"
+                                    value={phone}
+                                    onChangeText={handlePhoneChange}
+                                    keyboardType="phone-pad"
+                                    maxLength={10}
+                                    editable={!codeSent}
+                                />
+                            </View>
+                        </View>
+
+                        {codeSent && (
+                            <>
+                                <View style={styles.inputGroup}>
+                                    <Text style={styles.inputLabel}>Reset Code</Text>
+                                    <View style={styles.inputContainer}>
+                                        <Feather name="hash" size={20} color="#8b5cf6" style={styles.icon} />
+                                        <TextInput
+                                            style={styles.input}
+                                            placeholder={`${codeLength}-digit code`}
+                                            placeholderTextColor="#9ca3af"
+                                            value={code}
+                                            onChangeText={(text) => {
+                                                setCode(text.replace(/\D/g, '').slice(0, codeLength));
+                                                setError('');
+                                            }}
+                                            keyboardType="number-pad"
+                                            maxLength={codeLength}
+                                        />
+                                    </View>
+                                </View>
+
+                                <View style={styles.inputGroup}>
+                                    <Text style={styles.inputLabel}>New Password</Text>
+                                    <View style={styles.inputContainer}>
+                                        <Feather name="lock" size={20} color="#8b5cf6" style={styles.icon} />
+                                        <TextInput
+                                            style={styles.input}
+                                            placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                                            placeholderTextColor="#9ca3af"
+                                            value={newPassword}
+                                            onChangeText={(text) => {
+                                                setNewPassword(text);
+                                                setError('');
+                                            }}
+                                            secureTextEntry={!isPasswordVisible}
+                                            autoCapitalize="none"
+                                        />
+                                        <TouchableOpacity
+                                            onPress={() => setIsPasswordVisible(!isPasswordVisible)}
+                                            style={styles.eyeIcon}
+                                        >
+                                            <Feather
+                                                name={isPasswordVisible ? 'eye' : 'eye-off'}
+                                                size={20}
+                                                color="#8b5cf6"
+                                            />
+                                        </TouchableOpacity>
+                                    </View>
+                                </View>
+                            </>
+                        )}
+
+                        {info && !error ? <Text style={styles.info}>{info}</Text> : null}
+                        {error ? <Text style={styles.error}>{error}</Text> : null}
+
+                        <TouchableOpacity
+                            style={[styles.button, isDisabled && styles.buttonDisabled]}
+                            onPress={codeSent ? handleResetPassword : handleRequestCode}
+                            disabled={isDisabled}
+                            activeOpacity={0.8}
+                        >
+                            <LinearGradient
+                                colors={isDisabled ? ['#9ca3af', '#6b7280'] : ['#3b82f6', '#2563eb']}
+                                style={styles.buttonGradient}
+                            >
+                                <View style={styles.buttonContent}>
+                                    {isLoading && <Ionicons name="hourglass-outline" size={20} color="#ffffff" style={styles.buttonIcon} />}
+                                    <Text style={styles.buttonText}>
+                                        {codeSent
+                                            ? (isLoading ? 'Updating...' : 'Set New Password')
+                                            : (isLoading ? 'Sending...' : 'Send Reset Code')}
+                                    </Text>
+                                </View>
+                            </LinearGradient>
+                        </TouchableOpacity>
+
+                        {codeSent && (
+                            <TouchableOpacity onPress={handleRequestCode} disabled={isLoading} activeOpacity={0.7}>
+                                <Text style={[styles.link, styles.resendLink]}>Send a new code</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        <View style={styles.linkContainer}>
+                            <Text style={styles.linkText}>Remembered it? </Text>
+                            <TouchableOpacity onPress={() => navigation.navigate('Login')} activeOpacity={0.7}>
+                                <Text style={styles.link}>Sign In</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+    keyboardContainer: {
+        flex: 1,
+    },
+    contentContainer: {
+        flex: 1,
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+        justifyContent: 'center',
+    },
+    card: {
+        backgroundColor: '#ffffff',
+        borderRadius: 24,
+        paddingVertical: 32,
+        paddingHorizontal: 24,
+        shadowColor: '#3b82f6',
+        shadowOffset: { width: 0, height: 8 },
+        shadowOpacity: 0.15,
+        shadowRadius: 20,
+        elevation: 12,
+        borderWidth: 1,
+        borderColor: 'rgba(139, 92, 246, 0.1)',
+    },
+    welcomeSection: {
+        alignItems: 'center',
+        marginBottom: 32,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 8,
+    },
+    subtitle: {
+        fontSize: 16,
+        color: '#6b7280',
+        textAlign: 'center',
+        lineHeight: 24,
+    },
+    inputGroup: {
+        marginBottom: 20,
+    },
+    inputLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151',
+        marginBottom: 8,
+        marginLeft: 4,
+    },
+    inputContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#f9fafb',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        borderWidth: 2,
+        borderColor: '#e5e7eb',
+        height: 56,
+    },
+    input: {
+        flex: 1,
+        fontSize: 16,
+        color: '#1f2937',
+        backgroundColor: 'transparent',
+    },
+    icon: {
+        marginRight: 12,
+    },
+    eyeIcon: {
+        padding: 8,
+    },
+    button: {
+        borderRadius: 16,
+        marginTop: 24,
+        marginBottom: 16,
+        shadowColor: '#3b82f6',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.3,
+        shadowRadius: 8,
+        elevation: 8,
+    },
+    buttonGradient: {
+        borderRadius: 16,
+        paddingVertical: 16,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    buttonContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    buttonIcon: {
+        marginRight: 8,
+    },
+    buttonText: {
+        color: '#ffffff',
+        fontWeight: 'bold',
+        fontSize: 18,
+    },
+    buttonDisabled: {
+        shadowOpacity: 0.1,
+    },
+    linkContainer: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    linkText: {
+        color: '#6b7280',
+        fontSize: 15,
+    },
+    link: {
+        color: '#8b5cf6',
+        fontWeight: 'bold',
+        fontSize: 15,
+        marginLeft: 4,
+    },
+    resendLink: {
+        textAlign: 'center',
+        marginBottom: 8,
+    },
+    info: {
+        color: '#047857',
+        fontSize: 15,
+        marginBottom: 16,
+        textAlign: 'center',
+        backgroundColor: '#ecfdf5',
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#a7f3d0',
+        fontWeight: '500',
+    },
+    error: {
+        color: '#ef4444',
+        fontSize: 15,
+        marginBottom: 16,
+        textAlign: 'center',
+        backgroundColor: '#fef2f2',
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#fecaca',
+        fontWeight: '500',
+    },
+});
+
+export default ForgotPasswordScreen;
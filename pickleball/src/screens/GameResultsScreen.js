@@ -45,6 +45,14 @@ const medalEmojis = {
     bronze: '🥉',
 };
 
+// Labels for the tiebreaker that separated a standings row from the next one
+const tiebreakLabels = {
+    headToHead: 'Head-to-head',
+    pointDiff: 'Point difference',
+    pointsFor: 'Points scored',
+    fallback: 'Seeding',
+};
+
 const medalColors = {
     gold: {
         primary: '#FFD700',
@@ -70,6 +78,7 @@ export const GameResultsScreen = ({ route, navigation }) => {
     const { gameId, roomId, roomName, gameFormat, completedMatches = [] } = route.params || {};
 
     const [game, setGame] = useState(null);
+    const [standings, setStandings] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [showConfetti, setShowConfetti] = useState(true);
 
@@ -98,6 +107,7 @@ export const GameResultsScreen = ({ route, navigation }) => {
                     gameData.matches = [];
                 }
                 setGame(gameData);
+                setStandings(response.data.standings || null);
             } else {
                 Alert.alert('Error', 'Failed to load game results.');
                 navigation?.goBack();
@@ -207,6 +217,10 @@ export const GameResultsScreen = ({ route, navigation }) => {
             'pickle': 'Pickle Format',
             'round-robin': 'Round Robin',
             'quick-knockout': 'Quick Knockout',
+            'double-elimination': 'Double Elimination',
+            'mixer': 'Mixer',
+            'swiss': 'Swiss',
+            'pools-to-knockout': 'Pools to Knockout',
             'one-vs-one': '1 vs 1',
             'two-vs-two': '2 vs 2',
         };
@@ -459,6 +473,39 @@ export const GameResultsScreen = ({ route, navigation }) => {
                     )}
                 </View>
 
+                {/* Standings Table Section (table formats) */}
+                {standings && standings.length > 0 && (
+                    <View style={styles.matchesSection}>
+                        <Text style={styles.sectionTitle}>📊 Standings</Text>
+                        <View style={styles.matchCard}>
+                            {standings.map((row, index) => (
+                                <View
+                                    key={`standing-${row.pool || 0}-${row.letter}`}
+                                    style={[styles.standingsRow, index > 0 && styles.standingsRowDivider]}
+                                >
+                                    <Text style={styles.standingsRank}>{row.rank}</Text>
+                                    <View style={styles.standingsTeam}>
+                                        <Text style={styles.standingsTeamName}>
+                                            {row.player?.name || `Team ${row.letter}`}
+                                            {row.pool ? ` • Pool ${row.pool}` : ''}
+                                        </Text>
+                                        <Text style={styles.standingsDetail}>
+                                            {`${row.wins}W-${row.losses}L • Diff ${row.pointDiff > 0 ? '+' : ''}${row.pointDiff} • ${row.pointsFor} pts`}
+                                            {row.buchholz !== undefined ? ` • Buchholz ${row.buchholz}` : ''}
+                                            {row.headToHead !== null && row.headToHead !== undefined ? ` • H2H ${row.headToHead}` : ''}
+                                        </Text>
+                                    </View>
+                                    {row.decidedBy && row.decidedBy !== 'wins' && (
+                                        <Text style={styles.standingsTiebreak}>
+                                            {tiebreakLabels[row.decidedBy] || row.decidedBy}
+                                        </Text>
+                                    )}
+                                </View>
+                            ))}
+                        </View>
+                    </View>
+                )}
+
                 {/* Match Breakdown Section */}
                 {matches && matches.length > 0 && (
                     <View style={styles.matchesSection}>
@@ -810,6 +857,40 @@ const styles = StyleSheet.create({
         shadowRadius: 3,
         elevation: 2,
     },
+    standingsRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        paddingVertical: 10,
+    },
+    standingsRowDivider: {
+        borderTopWidth: 1,
+        borderTopColor: palette.border,
+    },
+    standingsRank: {
+        width: 24,
+        fontSize: 16,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    standingsTeam: {
+        flex: 1,
+        gap: 2,
+    },
+    standingsTeamName: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    standingsDetail: {
+        fontSize: 12,
+        color: palette.textSecondary,
+    },
+    standingsTiebreak: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: palette.accent,
+    },
     matchHeader: {
         flexDirection: 'row',
         justifyContent: 'space-between',
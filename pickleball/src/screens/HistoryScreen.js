@@ -31,7 +31,7 @@ export const HistoryScreen = ({ navigation }) => {
     const [history, setHistory] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [isRefreshing, setIsRefreshing] = useState(false);
-    const [filter, setFilter] = useState('all'); // 'all', 'won', 'lost', 'pickle', 'round-robin', 'quick-knockout', 'one-vs-one', 'two-vs-two'
+    const [filter, setFilter] = useState('all'); // 'all', 'won', 'lost', 'pickle', 'round-robin', 'quick-knockout', 'double-elimination', 'mixer', 'swiss', 'pools-to-knockout', 'one-vs-one', 'two-vs-two'
     const [sortBy, setSortBy] = useState('date'); // 'date', 'points'
 
     const fetchHistory = useCallback(
@@ -98,6 +98,10 @@ export const HistoryScreen = ({ navigation }) => {
                     'pickle': 'Pickle Format',
                     'round-robin': 'Round Robin',
                     'quick-knockout': 'Quick Knockout',
+                    'double-elimination': 'Double Elimination',
+                    'mixer': 'Mixer',
+                    'swiss': 'Swiss',
+                    'pools-to-knockout': 'Pools to Knockout',
                     'one-vs-one': '1 vs 1',
                     'two-vs-two': '2 vs 2',
                 };
@@ -184,6 +188,10 @@ export const HistoryScreen = ({ navigation }) => {
         { id: 'pickle', label: 'Pickle', icon: 'target' },
         { id: 'round-robin', label: 'Round Robin', icon: 'refresh-cw' },
         { id: 'quick-knockout', label: 'Knockout', icon: 'zap' },
+        { id: 'double-elimination', label: 'Double Elim', icon: 'git-merge' },
+        { id: 'mixer', label: 'Mixer', icon: 'shuffle' },
+        { id: 'swiss', label: 'Swiss', icon: 'bar-chart-2' },
+        { id: 'pools-to-knockout', label: 'Pools', icon: 'grid' },
         { id: 'one-vs-one', label: '1 vs 1', icon: 'user' },
         { id: 'two-vs-two', label: '2 vs 2', icon: 'users' },
     ];
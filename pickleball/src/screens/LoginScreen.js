@@ -7,6 +7,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { API_BASE_URL } from '../api.js';
+import { storeSession } from '../../utils/axiosConfig';
 
 // Optional imports - handle gracefully if not available
 let SignInHeader = null;
@@ -63,7 +64,7 @@ const LoginScreen = () => {
         }
     };
 
-    const showWelcomeMessage = async () => {
+    const showWelcomeMessage = async (nextScreen = 'HomePage') => {
         setShowWelcome(true);
         Animated.sequence([
             Animated.timing(welcomeOpacity, {
@@ -79,9 +80,9 @@ const LoginScreen = () => {
             }),
         ]).start(() => {
             setShowWelcome(false);
-            // Navigate to home page
+            // Navigate to home page (or to mobile verification first)
             if (navigation?.replace) {
-                navigation.replace('HomePage');
+                navigation.replace(nextScreen);
             }
         });
     };
@@ -139,24 +140,23 @@ const LoginScreen = () => {
                 throw new Error(response.data.message || 'Login failed');
             }
 
-            // Store both token and user data from server response
-            await AsyncStorage.setItem('token', response.data.token);
+            // Store the session tokens and user data from server response
+            await storeSession(response.data);
             await storeUserData(response.data.user);
 
             // Log user data and token
             console.log('User Data:', response.data.user);
             console.log('Token:', response.data.token);
 
-            // Show welcome message with animation
-            showWelcomeMessage();
+            // Show welcome message with animation - history played under this number before
+            // registering is only linked once the number is verified
+            showWelcomeMessage(response.data.user?.historyLink === 'pending' ? 'VerifyMobile' : 'HomePage');
         } catch (error) {
             console.error("Login error:", error);
             let errorMessage = "Login failed";
 
             if (error.response) {
-                if (error.response.status === 404) {
-                    errorMessage = "User not found. Please register first.";
-                } else if (error.response.data?.message) {
+                if (error.response.data?.message) {
                     errorMessage = error.response.data.message;
                 }
             } else if (error.message) {
@@ -247,6 +247,18 @@ const LoginScreen = () => {
                             </View>
                         </View>
 
+                        <TouchableOpacity
+                            style={styles.forgotPassword}
+                            onPress={() => {
+                                if (navigation?.navigate) {
+                                    navigation.navigate('ForgotPassword');
+                                }
+                            }}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={styles.link}>Forgot password?</Text>
+                        </TouchableOpacity>
+
                         {error ? <Text style={styles.error}>{error}</Text> : null}
 
                         <TouchableOpacity
@@ -405,6 +417,11 @@ const styles = StyleSheet.create({
         fontSize: 15,
         marginLeft: 4,
     },
+    forgotPassword: {
+        alignSelf: 'flex-end',
+        marginTop: -8,
+        marginBottom: 8,
+    },
     error: {
         color: '#ef4444',
         fontSize: 15,
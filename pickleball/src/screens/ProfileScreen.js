@@ -24,7 +24,7 @@ import { palette } from '../theme/colors.js';
 import { API_BASE_URL } from '../api.js';
 import { AlertModal } from '../components/AlertModal.js';
 import { useAlert } from '../utils/alertUtils.js';
-import { clearAuthCache } from '../context/ProtectedRoute.js';
+import { logout } from '../../utils/axiosConfig';
 
 // Helper function to get auth headers
 const getAuthHeaders = async () => {
@@ -322,12 +322,8 @@ export const ProfileScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              // Clear AsyncStorage
-              await AsyncStorage.removeItem('token');
-              await AsyncStorage.removeItem('userData');
-
-              // Clear auth cache
-              clearAuthCache();
+              // End the session on the server, clear AsyncStorage and the auth cache
+              await logout();
 
               // Navigate to Login screen
               // ProfileScreen is nested: Stack > HomePage (MainTabs) > Profile
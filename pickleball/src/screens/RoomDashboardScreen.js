@@ -12,6 +12,7 @@ import {
     Modal,
     RefreshControl,
     ScrollView,
+    Share,
     StyleSheet,
     Text,
     TouchableOpacity,
@@ -20,8 +21,10 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Feather } from '@expo/vector-icons';
 import { palette } from '../theme/colors.js';
-import { API_BASE_URL } from '../api.js';
+import { API_BASE_URL, APP_LINK_PREFIX } from '../api.js';
 import { MatchTimeline } from '../components/MatchTimeline.js';
+import { CourtBoard } from '../components/CourtBoard.js';
+import { useRealtimeChannel } from '../realtime.js';
 
 // Helper function to get auth headers
 const getAuthHeaders = async () => {
@@ -165,6 +168,28 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
         fetchRoomData(false);
     }, [fetchRoomData]);
 
+    // Live room updates instead of refreshing: patch match results and new rounds into the
+    // active game, reload when a game starts, finishes, is cancelled or a result is corrected
+    useRealtimeChannel('room', roomId, {
+        'match:updated': ({ gameId, match }) => {
+            setActiveGame((game) => (game && game._id === gameId
+                ? { ...game, matches: (game.matches || []).map((m) => (m?._id === match._id ? match : m)) }
+                : game));
+        },
+        'round:created': ({ gameId, roundNumber, matches }) => {
+            setActiveGame((game) => (game && game._id === gameId
+                ? { ...game, currentRound: roundNumber, matches: [...(game.matches || []), ...(matches || [])] }
+                : game));
+        },
+        'match:corrected': () => fetchRoomData(false),
+        'game:started': () => fetchRoomData(false),
+        'game:completed': () => fetchRoomData(false),
+        'game:cancelled': () => fetchRoomData(false),
+        'room:updated': ({ room }) => {
+            if (room) setRoomData(room);
+        },
+    });
+
     const handleCopyRoomCode = async (roomCode) => {
         try {
             await Clipboard.setStringAsync(roomCode);
@@ -319,9 +344,9 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                 return;
             }
 
-            // If there are pending matches, navigate to the first one
+            // If there are pending matches, navigate to the first one (a match already on court first)
             if (pendingMatches.length > 0) {
-                const nextMatch = pendingMatches[0];
+                const nextMatch = pendingMatches.find(m => m.status === 'live') || pendingMatches[0];
                 const matchIndex = freshMatches.findIndex(m => m._id === nextMatch._id);
 
                 navigation.navigate('ActiveMatch', {
@@ -333,6 +358,7 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                     matches: freshMatches,
                     currentMatchIndex: matchIndex >= 0 ? matchIndex : 0,
                     roundNumber: nextMatch.roundNumber || freshGame.currentRound || 1,
+                    matchId: nextMatch._id,
                 });
                 return;
             }
@@ -352,6 +378,25 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
         }
     };
 
+    // Score the match on a court picked from the court board
+    const handleOpenCourtMatch = (match) => {
+        if (!activeGame?._id || !match?._id) return;
+        const matches = activeGame.matches || [];
+        const matchIndex = matches.findIndex(m => m?._id === match._id);
+
+        navigation.navigate('ActiveMatch', {
+            gameId: activeGame._id,
+            roomId: roomId,
+            roomName: roomName || roomData?.name,
+            gameFormat: activeGame.type,
+            teams: activeGame.teams || [],
+            matches,
+            currentMatchIndex: matchIndex >= 0 ? matchIndex : 0,
+            roundNumber: match.roundNumber || activeGame.currentRound || 1,
+            matchId: match._id,
+        });
+    };
+
     const calculateAndShowResults = async (gameId, headers) => {
         try {
             setIsLoading(true);
@@ -390,6 +435,75 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
         }
     };
 
+    const handleCancelGame = () => {
+        if (!activeGame?._id) return;
+
+        Alert.alert(
+            'Cancel Game',
+            'This will abandon the current game and remove any match points already awarded. This cannot be undone.',
+            [
+                {
+                    text: 'Keep Playing',
+                    style: 'cancel',
+                },
+                {
+                    text: 'Cancel Game',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            const headers = await getAuthHeaders();
+                            const response = await axios.post(
+                                `${API_BASE_URL}/api/v1/game/${activeGame._id}/cancel`,
+                                {},
+                                { headers }
+                            );
+
+                            if (response.data?.success) {
+                                fetchRoomData(false);
+                            } else {
+                                throw new Error(response.data?.message || 'Failed to cancel game');
+                            }
+                        } catch (error) {
+                            console.error('Error cancelling game:', error?.response?.data || error?.message);
+                            Alert.alert(
+                                'Error',
+                                error?.response?.data?.message || 'Failed to cancel game. Please try again.'
+                            );
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    // Create a read-only spectator link for family and friends and open the share sheet
+    const handleShareGame = async () => {
+        if (!activeGame?._id) return;
+        try {
+            const headers = await getAuthHeaders();
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/game/${activeGame._id}/share`,
+                {},
+                { headers }
+            );
+
+            if (response.data?.success && response.data.shareToken) {
+                const link = `${APP_LINK_PREFIX}spectate/${response.data.shareToken}`;
+                await Share.share({
+                    message: `Follow our ${getGameTypeDisplayName(activeGame.type)} game live in PickleMatch: ${link}`,
+                });
+            } else {
+                throw new Error(response.data?.message || 'Failed to create spectator link');
+            }
+        } catch (error) {
+            console.error('Error sharing game:', error?.response?.data || error?.message);
+            Alert.alert(
+                'Error',
+                error?.response?.data?.message || 'Failed to create spectator link. Please try again.'
+            );
+        }
+    };
+
     const handleViewResults = () => {
         if (activeGame?._id && navigation?.navigate) {
             navigation.navigate('GameResults', {
@@ -403,6 +517,10 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
             'pickle': 'Pickle Format',
             'round-robin': 'Round Robin',
             'quick-knockout': 'Quick Knockout',
+            'double-elimination': 'Double Elimination',
+            'mixer': 'Mixer',
+            'swiss': 'Swiss',
+            'pools-to-knockout': 'Pools to Knockout',
         };
         return names[type] || type;
     };
@@ -415,6 +533,8 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                 return { text: 'Pending Start', color: '#f59e0b', bg: '#fef3c7' };
             case 'completed':
                 return { text: 'Completed', color: '#6366f1', bg: '#e0e7ff' };
+            case 'abandoned':
+                return { text: 'Cancelled', color: '#ef4444', bg: '#fee2e2' };
             default:
                 return { text: status || 'Unknown', color: palette.textSecondary, bg: palette.accentLight };
         }
@@ -475,6 +595,25 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                         </TouchableOpacity>
                     ) : null}
 
+                    {/* Seasons Button - Visible to all members */}
+                    {isCurrentUserMember() || isCurrentUserCreator() ? (
+                        <TouchableOpacity
+                            onPress={() => {
+                                if (navigation?.navigate) {
+                                    navigation.navigate('Seasons', {
+                                        roomId: roomId,
+                                        roomName: roomName || roomData?.name,
+                                        isAdmin: isCurrentUserCreator(),
+                                    });
+                                }
+                            }}
+                            style={styles.headerAddButton}
+                            activeOpacity={0.7}
+                        >
+                            <Feather name="calendar" size={20} color={palette.accent} />
+                        </TouchableOpacity>
+                    ) : null}
+
                     {/* Deactivate/Activate Button - Only visible to room creator */}
                     {isCurrentUserCreator() ? (
                         <TouchableOpacity
@@ -593,10 +732,23 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                                 </View>
                             </View>
 
+                            {/* Court Board - games played on several courts at once */}
+                            {activeGame.courts > 1 && (
+                                <View style={styles.timelineSection}>
+                                    <CourtBoard
+                                        courts={activeGame.courts}
+                                        matches={activeGame.matches || []}
+                                        currentRound={activeGame.currentRound || 1}
+                                        onSelectMatch={handleOpenCourtMatch}
+                                    />
+                                </View>
+                            )}
+
                             {/* Match Timeline - Show for active games */}
                             {activeGame.matches && activeGame.matches.length > 0 && (
                                 <View style={styles.timelineSection}>
                                     <MatchTimeline
+                                        gameId={activeGame._id}
                                         matches={activeGame.matches || []}
                                         currentRound={activeGame.currentRound || 1}
                                         maxMatchesToShow={5}
@@ -614,6 +766,24 @@ export const RoomDashboardScreen = ({ route, navigation }) => {
                                     <Feather name="play-circle" size={20} color="#fff" />
                                     <Text style={styles.primaryButtonText}>Continue Game</Text>
                                 </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={styles.cancelGameButton}
+                                    onPress={handleShareGame}
+                                    activeOpacity={0.8}
+                                >
+                                    <Feather name="share-2" size={16} color="#fff" />
+                                    <Text style={styles.cancelGameButtonText}>Share Spectator Link</Text>
+                                </TouchableOpacity>
+                                {isCurrentUserCreator() || activeGame.createdBy?._id === currentUserId ? (
+                                    <TouchableOpacity
+                                        style={styles.cancelGameButton}
+                                        onPress={handleCancelGame}
+                                        activeOpacity={0.8}
+                                    >
+                                        <Feather name="x-circle" size={16} color="#fff" />
+                                        <Text style={styles.cancelGameButtonText}>Cancel Game</Text>
+                                    </TouchableOpacity>
+                                ) : null}
                             </View>
                         </LinearGradient>
                     </TouchableOpacity>
@@ -1139,6 +1309,20 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: '700',
     },
+    cancelGameButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        marginTop: 10,
+        paddingVertical: 10,
+    },
+    cancelGameButtonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+        opacity: 0.9,
+    },
     noActiveGameContainer: {
         gap: 24,
     },
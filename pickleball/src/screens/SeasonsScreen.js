@@ -0,0 +1,516 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Feather } from '@expo/vector-icons';
+import axios from 'axios';
+import { StatusBar } from 'expo-status-bar';
+import React, { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    RefreshControl,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { palette } from '../theme/colors.js';
+import { API_BASE_URL } from '../api.js';
+
+// A room's seasons: the running season's table, archived tables of past seasons,
+// and starting or closing a season for the room admin
+
+// Helper function to get auth headers
+const getAuthHeaders = async () => {
+    const token = await AsyncStorage.getItem('token');
+    return {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+    };
+};
+
+// Season lengths offered when starting a season
+const SEASON_LENGTH_OPTIONS = [
+    { weeks: 4, label: '4 weeks' },
+    { weeks: 8, label: '8 weeks' },
+    { weeks: 12, label: '12 weeks' },
+    { weeks: 26, label: '6 months' },
+];
+
+const medalEmojis = {
+    gold: '🥇',
+    silver: '🥈',
+    bronze: '🥉',
+};
+
+const formatDate = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+// End date of a season starting today, as a plain date (the server counts the whole day)
+const getEndDate = (weeks) => {
+    const end = new Date();
+    end.setDate(end.getDate() + weeks * 7);
+    return end.toISOString().slice(0, 10);
+};
+
+export const SeasonsScreen = ({ route, navigation }) => {
+    const { roomId, roomName, isAdmin = false } = route.params || {};
+
+    const [seasons, setSeasons] = useState([]);
+    const [selectedSeason, setSelectedSeason] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [newSeasonName, setNewSeasonName] = useState('');
+    const [newSeasonWeeks, setNewSeasonWeeks] = useState(8);
+
+    useEffect(() => {
+        fetchSeasons();
+    }, [roomId]);
+
+    const fetchSeasons = async (seasonIdToShow = null) => {
+        try {
+            const headers = await getAuthHeaders();
+            const response = await axios.get(`${API_BASE_URL}/api/v1/season/room/${roomId}`, { headers });
+
+            if (response.data?.success) {
+                const roomSeasons = response.data.seasons || [];
+                setSeasons(roomSeasons);
+
+                // Show the requested season, else the running one, else the latest
+                const seasonToShow = seasonIdToShow
+                    || selectedSeason?._id
+                    || (roomSeasons.find((s) => s.status === 'active') || roomSeasons[0])?._id;
+                if (seasonToShow) {
+                    await fetchSeason(seasonToShow);
+                } else {
+                    setSelectedSeason(null);
+                }
+            }
+        } catch (error) {
+            console.log('Error fetching seasons:', error?.response?.data || error?.message);
+            Alert.alert('Error', error?.response?.data?.message || 'Failed to load seasons. Please try again.');
+        } finally {
+            setIsLoading(false);
+            setRefreshing(false);
+        }
+    };
+
+    const fetchSeason = async (seasonId) => {
+        try {
+            const headers = await getAuthHeaders();
+            const response = await axios.get(`${API_BASE_URL}/api/v1/season/${seasonId}`, { headers });
+            if (response.data?.success && response.data.season) {
+                setSelectedSeason(response.data.season);
+            }
+        } catch (error) {
+            console.log('Error fetching season:', error?.response?.data || error?.message);
+            Alert.alert('Error', error?.response?.data?.message || 'Failed to load the season.');
+        }
+    };
+
+    const handleRefresh = () => {
+        setRefreshing(true);
+        fetchSeasons();
+    };
+
+    const handleStartSeason = async () => {
+        if (!newSeasonName.trim()) {
+            Alert.alert('Season Name', 'Please enter a name for the season.');
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            const headers = await getAuthHeaders();
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/season/create`,
+                {
+                    roomId,
+                    name: newSeasonName.trim(),
+                    endDate: getEndDate(newSeasonWeeks),
+                },
+                { headers }
+            );
+
+            if (response.data?.success && response.data.season) {
+                setNewSeasonName('');
+                await fetchSeasons(response.data.season._id);
+            }
+        } catch (error) {
+            console.log('Error starting season:', error?.response?.data || error?.message);
+            Alert.alert('Error', error?.response?.data?.message || 'Failed to start the season. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const closeSelectedSeason = async () => {
+        try {
+            setIsSaving(true);
+            const headers = await getAuthHeaders();
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/season/${selectedSeason._id}/close`,
+                {},
+                { headers }
+            );
+
+            if (response.data?.success && response.data.season) {
+                setSelectedSeason(response.data.season);
+                await fetchSeasons(response.data.season._id);
+            }
+        } catch (error) {
+            console.log('Error closing season:', error?.response?.data || error?.message);
+            Alert.alert('Error', error?.response?.data?.message || 'Failed to close the season. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCloseSeason = () => {
+        Alert.alert(
+            'Close Season',
+            `Close "${selectedSeason.name}" now? Its table becomes final and no more games count towards it.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Close Season', style: 'destructive', onPress: closeSelectedSeason },
+            ]
+        );
+    };
+
+    const hasActiveSeason = seasons.some((s) => s.status === 'active');
+
+    if (isLoading) {
+        return (
+            <SafeAreaView style={styles.container}>
+                <StatusBar style="dark" />
+                <View style={styles.centered}>
+                    <ActivityIndicator size="large" color={palette.accent} />
+                    <Text style={styles.mutedText}>Loading seasons...</Text>
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar style="dark" />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation?.goBack()} style={styles.headerIcon}>
+                    <Feather name="arrow-left" size={24} color={palette.textPrimary} />
+                </TouchableOpacity>
+                <View style={styles.headerContent}>
+                    <Text style={styles.headerTitle}>Seasons</Text>
+                    {roomName ? <Text style={styles.headerSubtitle} numberOfLines={1}>{roomName}</Text> : null}
+                </View>
+            </View>
+
+            <ScrollView
+                contentContainerStyle={styles.content}
+                refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+            >
+                {/* Start a season - room admin, when none is running */}
+                {isAdmin && !hasActiveSeason && (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Start a Season</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={newSeasonName}
+                            onChangeText={setNewSeasonName}
+                            placeholder="Season name, e.g. Spring League"
+                            placeholderTextColor={palette.textSecondary}
+                        />
+                        <View style={styles.optionRow}>
+                            {SEASON_LENGTH_OPTIONS.map(({ weeks, label }) => {
+                                const isActive = newSeasonWeeks === weeks;
+                                return (
+                                    <TouchableOpacity
+                                        key={weeks}
+                                        style={[styles.optionChip, isActive && styles.optionChipActive]}
+                                        onPress={() => setNewSeasonWeeks(weeks)}
+                                        activeOpacity={0.8}
+                                    >
+                                        <Text style={[styles.optionChipText, isActive && styles.optionChipTextActive]}>
+                                            {label}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                        <TouchableOpacity
+                            style={styles.primaryButton}
+                            onPress={handleStartSeason}
+                            disabled={isSaving}
+                            activeOpacity={0.8}
+                        >
+                            {isSaving ? (
+                                <ActivityIndicator size="small" color="#ffffff" />
+                            ) : (
+                                <Text style={styles.primaryButtonText}>Start Season</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                )}
+
+                {seasons.length === 0 ? (
+                    <View style={styles.emptyState}>
+                        <Feather name="calendar" size={40} color={palette.textSecondary} />
+                        <Text style={styles.mutedText}>
+                            {isAdmin ? 'No seasons yet. Start one to keep a season table.' : 'This room has no seasons yet.'}
+                        </Text>
+                    </View>
+                ) : (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.seasonTabs}>
+                        {seasons.map((season) => {
+                            const isSelected = selectedSeason?._id === season._id;
+                            return (
+                                <TouchableOpacity
+                                    key={season._id}
+                                    style={[styles.optionChip, isSelected && styles.optionChipActive]}
+                                    onPress={() => fetchSeason(season._id)}
+                                    activeOpacity={0.8}
+                                >
+                                    <Text style={[styles.optionChipText, isSelected && styles.optionChipTextActive]}>
+                                        {season.name}{season.status === 'active' ? ' · Live' : ''}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </ScrollView>
+                )}
+
+                {selectedSeason && (
+                    <View style={styles.card}>
+                        <View style={styles.seasonHeader}>
+                            <View style={styles.headerContent}>
+                                <Text style={styles.sectionTitle}>{selectedSeason.name}</Text>
+                                <Text style={styles.mutedText}>
+                                    {formatDate(selectedSeason.startDate)} – {formatDate(selectedSeason.endDate)}
+                                </Text>
+                            </View>
+                            <View style={[styles.statusBadge, selectedSeason.status === 'active' && styles.statusBadgeLive]}>
+                                <Text style={[styles.statusText, selectedSeason.status === 'active' && styles.statusTextLive]}>
+                                    {selectedSeason.status === 'active' ? 'Running' : 'Final'}
+                                </Text>
+                            </View>
+                        </View>
+
+                        {(selectedSeason.standings || []).length === 0 ? (
+                            <Text style={styles.mutedText}>No games have counted towards this season yet.</Text>
+                        ) : (
+                            selectedSeason.standings.map((row) => (
+                                <View key={`${row.rank}-${row.userId || row.name}`} style={styles.row}>
+                                    <Text style={styles.rank}>{row.rank}</Text>
+                                    <Text style={styles.rowText} numberOfLines={1}>{row.name}</Text>
+                                    <Text style={styles.medalText}>
+                                        {['gold', 'silver', 'bronze']
+                                            .filter((medal) => row[medal] > 0)
+                                            .map((medal) => `${medalEmojis[medal]}${row[medal]}`)
+                                            .join(' ')}
+                                    </Text>
+                                    <Text style={styles.pointsText}>{row.points} pts</Text>
+                                </View>
+                            ))
+                        )}
+
+                        {isAdmin && selectedSeason.status === 'active' && (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                onPress={handleCloseSeason}
+                                disabled={isSaving}
+                                activeOpacity={0.8}
+                            >
+                                <Feather name="archive" size={16} color={palette.textPrimary} />
+                                <Text style={styles.secondaryButtonText}>Close Season</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: palette.background,
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        gap: 16,
+    },
+    mutedText: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingVertical: 18,
+        gap: 12,
+        backgroundColor: palette.card,
+        borderBottomWidth: 1,
+        borderBottomColor: palette.border,
+    },
+    headerIcon: {
+        padding: 4,
+    },
+    headerContent: {
+        flex: 1,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    headerSubtitle: {
+        fontSize: 13,
+        color: palette.textSecondary,
+        marginTop: 2,
+    },
+    content: {
+        padding: 20,
+        gap: 16,
+    },
+    card: {
+        backgroundColor: palette.card,
+        borderRadius: 16,
+        padding: 16,
+        gap: 12,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: palette.border,
+        borderRadius: 12,
+        paddingHorizontal: 14,
+        paddingVertical: 12,
+        fontSize: 15,
+        color: palette.textPrimary,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    optionChip: {
+        paddingHorizontal: 14,
+        paddingVertical: 8,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: palette.border,
+        backgroundColor: palette.card,
+    },
+    optionChipActive: {
+        backgroundColor: palette.accent,
+        borderColor: palette.accent,
+    },
+    optionChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    optionChipTextActive: {
+        color: '#ffffff',
+    },
+    seasonTabs: {
+        gap: 8,
+    },
+    primaryButton: {
+        alignItems: 'center',
+        paddingVertical: 12,
+        backgroundColor: palette.accent,
+        borderRadius: 12,
+    },
+    primaryButtonText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#ffffff',
+    },
+    secondaryButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        paddingVertical: 12,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    secondaryButtonText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    emptyState: {
+        alignItems: 'center',
+        gap: 12,
+        paddingVertical: 32,
+    },
+    seasonHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+    },
+    statusBadge: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 999,
+        backgroundColor: palette.border,
+    },
+    statusBadgeLive: {
+        backgroundColor: palette.accentLight,
+    },
+    statusText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: palette.textSecondary,
+    },
+    statusTextLive: {
+        color: palette.accent,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+        paddingVertical: 6,
+        borderTopWidth: 1,
+        borderTopColor: palette.border,
+    },
+    rank: {
+        width: 24,
+        fontSize: 14,
+        fontWeight: '700',
+        color: palette.accent,
+    },
+    rowText: {
+        flex: 1,
+        fontSize: 14,
+        color: palette.textPrimary,
+    },
+    medalText: {
+        fontSize: 12,
+        color: palette.textSecondary,
+    },
+    pointsText: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+});
+
+export default SeasonsScreen;
@@ -0,0 +1,402 @@
+import { Feather } from '@expo/vector-icons';
+import axios from 'axios';
+import { StatusBar } from 'expo-status-bar';
+import React, { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    RefreshControl,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { palette } from '../theme/colors.js';
+import { API_BASE_URL } from '../api.js';
+
+// Read-only view of a game opened from a shared spectator link - no login needed
+
+const medalEmojis = {
+    gold: '🥇',
+    silver: '🥈',
+    bronze: '🥉',
+};
+
+const gameTypeNames = {
+    'pickle': 'Pickle Format',
+    'round-robin': 'Round Robin',
+    'quick-knockout': 'Quick Knockout',
+    'double-elimination': 'Double Elimination',
+    'pools-to-knockout': 'Pools to Knockout',
+    'mixer': 'Mixer',
+    'swiss': 'Swiss',
+    'one-vs-one': '1 vs 1',
+    'two-vs-two': '2 vs 2',
+};
+
+const statusLabels = {
+    live: 'Live',
+    completed: 'Completed',
+    pending: 'Not started',
+};
+
+const getTeamName = (team) => {
+    if (!team) return 'TBD';
+    const names = (team.players || []).map((p) => p.name).filter(Boolean);
+    return names.length > 0 ? names.join(' & ') : `Team ${team.letter}`;
+};
+
+// Score line for a match: its court while in play, then each game when more than one was played
+const getScoreText = (match) => {
+    if (match.isBye) return 'Bye';
+    if (match.status === 'live') return match.court ? `On court ${match.court}` : 'In play';
+    if (match.status !== 'finished') return 'Up next';
+    if (match.games?.length > 1) {
+        return match.games.map((g) => `${g.scoreA}-${g.scoreB}`).join(', ');
+    }
+    return `${match.scoreA ?? 0} - ${match.scoreB ?? 0}`;
+};
+
+// Group matches by round, in round order
+const groupMatchesByRound = (matches = []) => {
+    const rounds = new Map();
+    matches.forEach((match) => {
+        const round = match.roundNumber || 1;
+        if (!rounds.has(round)) rounds.set(round, []);
+        rounds.get(round).push(match);
+    });
+    return [...rounds.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([round, roundMatches]) => ({
+            round,
+            matches: roundMatches.sort((a, b) => (a.matchNumber || 0) - (b.matchNumber || 0)),
+        }));
+};
+
+export const SpectatorScreen = ({ route, navigation }) => {
+    const { token } = route.params || {};
+
+    const [game, setGame] = useState(null);
+    const [standings, setStandings] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(null);
+
+    useEffect(() => {
+        fetchSpectatorView();
+    }, [token]);
+
+    const fetchSpectatorView = async () => {
+        if (!token) {
+            setErrorMessage('This spectator link is invalid.');
+            setIsLoading(false);
+            return;
+        }
+
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/v1/game/spectate/${encodeURIComponent(token)}`);
+
+            if (response.data?.success && response.data.game) {
+                setGame(response.data.game);
+                setStandings(response.data.standings || null);
+                setErrorMessage(null);
+            } else {
+                setErrorMessage(response.data?.message || 'Unable to load this game.');
+            }
+        } catch (error) {
+            console.log('Error fetching spectator view:', error?.response?.data || error?.message);
+            setErrorMessage(error?.response?.data?.message || 'Unable to load this game. Please try again.');
+        } finally {
+            setIsLoading(false);
+            setRefreshing(false);
+        }
+    };
+
+    const handleRefresh = () => {
+        setRefreshing(true);
+        fetchSpectatorView();
+    };
+
+    const handleClose = () => {
+        if (navigation?.canGoBack()) {
+            navigation.goBack();
+        } else {
+            navigation?.reset({ index: 0, routes: [{ name: 'Login' }] });
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <SafeAreaView style={styles.container}>
+                <StatusBar style="dark" />
+                <View style={styles.centered}>
+                    <ActivityIndicator size="large" color={palette.accent} />
+                    <Text style={styles.mutedText}>Loading game...</Text>
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    if (!game) {
+        return (
+            <SafeAreaView style={styles.container}>
+                <StatusBar style="dark" />
+                <View style={styles.centered}>
+                    <Feather name="link-2" size={40} color={palette.textSecondary} />
+                    <Text style={styles.errorText}>{errorMessage || 'Unable to load this game.'}</Text>
+                    <TouchableOpacity style={styles.primaryButton} onPress={handleClose} activeOpacity={0.8}>
+                        <Text style={styles.primaryButtonText}>Close</Text>
+                    </TouchableOpacity>
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    const rounds = groupMatchesByRound(game.matches);
+    const medalTeams = ['gold', 'silver', 'bronze']
+        .filter((medal) => game.medals?.[medal])
+        .map((medal) => ({ medal, team: game.teams.find((t) => t.letter === game.medals[medal]) }));
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar style="dark" />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={handleClose} style={styles.headerIcon}>
+                    <Feather name="x" size={22} color={palette.textPrimary} />
+                </TouchableOpacity>
+                <View style={styles.headerContent}>
+                    <Text style={styles.headerTitle} numberOfLines={1}>{game.roomName || 'PickleMatch Game'}</Text>
+                    <Text style={styles.headerSubtitle}>
+                        {gameTypeNames[game.type] || game.type} · {statusLabels[game.status] || game.status}
+                    </Text>
+                </View>
+                <View style={styles.spectatorBadge}>
+                    <Feather name="eye" size={14} color={palette.accent} />
+                    <Text style={styles.spectatorBadgeText}>Spectator</Text>
+                </View>
+            </View>
+
+            <ScrollView
+                contentContainerStyle={styles.content}
+                refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+            >
+                {errorMessage ? <Text style={styles.warningText}>{errorMessage}</Text> : null}
+
+                {medalTeams.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Podium</Text>
+                        {medalTeams.map(({ medal, team }) => (
+                            <View key={medal} style={styles.row}>
+                                <Text style={styles.medalEmoji}>{medalEmojis[medal]}</Text>
+                                <Text style={styles.rowText}>{getTeamName(team)}</Text>
+                            </View>
+                        ))}
+                    </View>
+                )}
+
+                {standings?.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Standings</Text>
+                        {standings.map((row, index) => {
+                            const team = game.teams.find((t) => t.letter === row.letter);
+                            const name = row.player?.name || getTeamName(team);
+                            const pointDiff = row.pointDiff ?? ((row.pointsFor || 0) - (row.pointsAgainst || 0));
+                            return (
+                                <View key={`${row.pool || ''}-${row.letter}`} style={styles.row}>
+                                    <Text style={styles.rank}>{index + 1}</Text>
+                                    <Text style={styles.rowText} numberOfLines={1}>{name}</Text>
+                                    <Text style={styles.mutedText}>
+                                        {row.wins}-{row.losses ?? 0} · {pointDiff > 0 ? `+${pointDiff}` : pointDiff}
+                                    </Text>
+                                </View>
+                            );
+                        })}
+                    </View>
+                )}
+
+                {rounds.map(({ round, matches }) => (
+                    <View key={round} style={styles.card}>
+                        <Text style={styles.sectionTitle}>Round {round}</Text>
+                        {matches.map((match) => (
+                            <View key={match._id} style={styles.matchRow}>
+                                <View style={styles.matchTeams}>
+                                    <Text
+                                        style={[styles.teamName, match.winner === 'A' && styles.winnerText]}
+                                        numberOfLines={1}
+                                    >
+                                        {getTeamName(match.teamA)}
+                                    </Text>
+                                    {!match.isBye && (
+                                        <Text
+                                            style={[styles.teamName, match.winner === 'B' && styles.winnerText]}
+                                            numberOfLines={1}
+                                        >
+                                            {getTeamName(match.teamB)}
+                                        </Text>
+                                    )}
+                                </View>
+                                <Text style={[styles.scoreText, match.status === 'live' && styles.liveText]}>
+                                    {getScoreText(match)}
+                                </Text>
+                            </View>
+                        ))}
+                    </View>
+                ))}
+
+                <Text style={styles.footerText}>Pull down to refresh · Powered by PickleMatch</Text>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: palette.background,
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+        gap: 16,
+    },
+    errorText: {
+        fontSize: 16,
+        color: palette.textSecondary,
+        textAlign: 'center',
+    },
+    warningText: {
+        fontSize: 13,
+        color: palette.warning,
+        textAlign: 'center',
+    },
+    mutedText: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+    primaryButton: {
+        paddingHorizontal: 20,
+        paddingVertical: 12,
+        backgroundColor: palette.accent,
+        borderRadius: 12,
+    },
+    primaryButtonText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#ffffff',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingVertical: 18,
+        gap: 12,
+        backgroundColor: palette.card,
+        borderBottomWidth: 1,
+        borderBottomColor: palette.border,
+    },
+    headerIcon: {
+        padding: 4,
+    },
+    headerContent: {
+        flex: 1,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    headerSubtitle: {
+        fontSize: 13,
+        color: palette.textSecondary,
+        marginTop: 2,
+    },
+    spectatorBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 999,
+        backgroundColor: palette.accentLight,
+    },
+    spectatorBadgeText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: palette.accent,
+    },
+    content: {
+        padding: 20,
+        gap: 16,
+    },
+    card: {
+        backgroundColor: palette.card,
+        borderRadius: 16,
+        padding: 16,
+        gap: 10,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+    },
+    rowText: {
+        flex: 1,
+        fontSize: 14,
+        color: palette.textPrimary,
+    },
+    rank: {
+        width: 20,
+        fontSize: 14,
+        fontWeight: '700',
+        color: palette.accent,
+    },
+    medalEmoji: {
+        fontSize: 18,
+    },
+    matchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: palette.border,
+        gap: 12,
+    },
+    matchTeams: {
+        flex: 1,
+        gap: 4,
+    },
+    teamName: {
+        fontSize: 14,
+        color: palette.textSecondary,
+    },
+    winnerText: {
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    scoreText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    liveText: {
+        color: palette.success,
+    },
+    footerText: {
+        fontSize: 12,
+        color: palette.textSecondary,
+        textAlign: 'center',
+    },
+});
+
+export default SpectatorScreen;
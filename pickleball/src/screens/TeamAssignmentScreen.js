@@ -45,16 +45,6 @@ const getInitials = (name) => {
     return name.substring(0, 2).toUpperCase();
 };
 
-// Shuffle array utility
-const shuffleArray = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-};
-
 export const TeamAssignmentScreen = ({ route, navigation }) => {
     const { roomId, roomName, gameFormat, selectedPlayers } = route.params || {};
     console.log('👥 [TeamAssignment] Screen Loaded with params:', {
@@ -68,6 +58,21 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
     const [oddPlayer, setOddPlayer] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [isCreatingGame, setIsCreatingGame] = useState(false);
+    const [scoringRules, setScoringRules] = useState({ pointsToWin: 11, winByTwo: true, bestOf: 1 });
+    const [courts, setCourts] = useState(1);
+    // 'balanced' pairs players by rating and splits recent partners, 'random' shuffles
+    const [teamMode, setTeamMode] = useState('balanced');
+    const [balanceSummary, setBalanceSummary] = useState(null);
+    // How an odd player count is handled - see ODD_PLAYER_OPTIONS
+    const [oddPlayerMode, setOddPlayerMode] = useState('plays-twice');
+    const [bench, setBench] = useState([]);
+    // Doubles formats can handle an odd player count differently
+    const canChooseOddPlayerMode = !['mixer', 'one-vs-one', 'two-vs-two'].includes(gameFormat);
+    const hasOddPlayerCount = (room?.allPlayers?.length || 0) % 2 === 1;
+    // Rotating lineups are played one match at a time
+    const isRotating = oddPlayerMode === 'sit-out' || oddPlayerMode === 'substitute';
+    // Single-match formats only ever need one court
+    const canUseCourts = !['one-vs-one', 'two-vs-two'].includes(gameFormat) && !(hasOddPlayerCount && isRotating);
 
     // Fetch room data and generate teams
     useEffect(() => {
@@ -167,8 +172,8 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
         }
     };
 
-    const generateTeams = (players) => {
-        console.log('👥 [TeamAssignment] generateTeams called with', players?.length || 0, 'players');
+    const generateTeams = async (players, mode = teamMode, oddMode = oddPlayerMode) => {
+        console.log('👥 [TeamAssignment] generateTeams called with', players?.length || 0, 'players', { mode, oddMode });
         if (!players || players.length < 2) {
             console.log('👥 [TeamAssignment] Not enough players to generate teams');
             Alert.alert(
@@ -184,73 +189,6 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
             return;
         }
 
-        // Shuffle players randomly
-        const shuffledPlayers = shuffleArray([...players]);
-        console.log('👥 [TeamAssignment] Players shuffled:', shuffledPlayers.map(p => p.name || p.mobile));
-
-        // Determine number of teams and players per team based on game format
-        const numPlayers = shuffledPlayers.length;
-        let numTeams;
-        let playersPerTeam;
-        let hasOddPlayer = false;
-
-        if (gameFormat === 'one-vs-one') {
-            // 1 vs 1: 2 teams with 1 player each
-            if (numPlayers !== 2) {
-                Alert.alert(
-                    'Invalid Player Count',
-                    '1 vs 1 format requires exactly 2 players.',
-                    [
-                        {
-                            text: 'OK',
-                            onPress: () => navigation?.goBack(),
-                        },
-                    ]
-                );
-                return;
-            }
-            numTeams = 2;
-            playersPerTeam = 1;
-        } else if (gameFormat === 'two-vs-two') {
-            // 2 vs 2: 2 teams with 2 players each
-            if (numPlayers !== 4) {
-                Alert.alert(
-                    'Invalid Player Count',
-                    '2 vs 2 format requires exactly 4 players.',
-                    [
-                        {
-                            text: 'OK',
-                            onPress: () => navigation?.goBack(),
-                        },
-                    ]
-                );
-                return;
-            }
-            numTeams = 2;
-            playersPerTeam = 2;
-        } else {
-            // Other formats: teams of 2 players each
-            numTeams = Math.floor(numPlayers / 2);
-            playersPerTeam = 2;
-            hasOddPlayer = numPlayers % 2 !== 0;
-        }
-
-        if (numTeams < 1) {
-            Alert.alert(
-                'Not Enough Players',
-                'You need at least 2 players to create teams. Please add more players to the room.',
-                [
-                    {
-                        text: 'OK',
-                        onPress: () => navigation?.goBack(),
-                    },
-                ]
-            );
-            return;
-        }
-
-        // Generate team letters (A, B, C, D, E, F, ...)
-        const teamLetters = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
         const availableColors = [
             { primary: '#10b981', light: '#d1fae5' }, // Green
             { primary: '#f97316', light: '#fed7aa' }, // Orange
@@ -262,119 +200,167 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
             { primary: '#f59e0b', light: '#fef3c7' }, // Amber
         ];
 
-        const newTeams = [];
-        let playerIndex = 0;
-        const allAssignedPlayers = []; // Track all players assigned to teams
-
-        // Create teams based on playersPerTeam
-        for (let i = 0; i < numTeams; i++) {
-            const teamPlayers = shuffledPlayers.slice(playerIndex, playerIndex + playersPerTeam);
-            playerIndex += playersPerTeam;
+        try {
+            // The server pairs players: balanced by rating (avoiding recent partners) or random
+            const headers = await getAuthHeaders();
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/game/generate-teams`,
+                {
+                    roomId,
+                    gameType: gameFormat || 'pickle',
+                    mode,
+                    ...(canChooseOddPlayerMode && { oddPlayerMode: oddMode }),
+                    players: players.map((player) => ({
+                        userId: player.userId || null,
+                        name: player.name || 'Unknown Player',
+                        mobile: player.mobile || null,
+                    })),
+                },
+                { headers }
+            );
 
-            // Store all assigned players for potential reuse
-            allAssignedPlayers.push(...teamPlayers);
+            if (!response.data?.success || !Array.isArray(response.data.teams)) {
+                throw new Error(response.data?.message || 'Failed to generate teams');
+            }
 
-            // Calculate total team points
-            const totalPoints = teamPlayers.reduce((sum, player) => sum + (player.individualPoints || 0), 0);
+            // Find the room data (points, avatar) of a generated team player
+            const findPlayer = (teamPlayer) => players.find((p) =>
+                (teamPlayer.userId && p.userId?.toString() === teamPlayer.userId.toString()) ||
+                (!teamPlayer.userId && teamPlayer.mobile && p.mobile === teamPlayer.mobile)
+            ) || {};
 
-            newTeams.push({
-                letter: teamLetters[i],
-                players: teamPlayers.map((player, playerIdx) => ({
-                    id: `${player.userId || player._id || `player-${Date.now()}-${Math.random()}`}-team-${i}-${playerIdx}`,
-                    name: player.name || 'Unknown Player',
-                    mobile: player.mobile || null,
+            const toScreenPlayer = (teamPlayer, idPrefix) => {
+                const player = findPlayer(teamPlayer);
+                return {
+                    id: `${teamPlayer.userId || teamPlayer.mobile || `player-${Date.now()}-${Math.random()}`}-${idPrefix}`,
+                    name: teamPlayer.name || 'Unknown Player',
+                    mobile: teamPlayer.mobile || null,
                     points: player.individualPoints || 0,
+                    rating: teamPlayer.rating,
                     avatar: player.avatarUrl || null,
-                    playsTwice: false, // Will be marked true if selected for last team
-                    originalUserId: player.userId || player._id, // Store original ID for matching
-                })),
-                totalPoints,
-                color: availableColors[i % availableColors.length],
-            });
-        }
+                    playsTwice: teamPlayer.playsTwice || false,
+                    originalUserId: teamPlayer.userId || player._id, // Store original ID for matching
+                };
+            };
 
-        // Handle odd player: create a new team with odd player + one random player from previous teams
-        let oddPlayerData = null;
-        if (hasOddPlayer && shuffledPlayers[playerIndex]) {
-            const oddPlayer = shuffledPlayers[playerIndex];
-
-            // Select a random player from already assigned teams
-            const randomIndex = Math.floor(Math.random() * allAssignedPlayers.length);
-            const playerToPlayTwice = allAssignedPlayers[randomIndex];
-
-            // Mark this player as playing twice in their original team
-            const playerToPlayTwiceId = (playerToPlayTwice.userId || playerToPlayTwice._id)?.toString();
-            newTeams.forEach((team) => {
-                team.players.forEach((player) => {
-                    // Match by originalUserId instead of id to avoid ID format issues
-                    const playerOriginalId = player.originalUserId?.toString();
-                    if (playerToPlayTwiceId && playerOriginalId === playerToPlayTwiceId) {
-                        player.playsTwice = true;
-                    }
-                });
-            });
+            const newTeams = response.data.teams.map((team, i) => {
+                const teamPlayers = team.players.map((teamPlayer, playerIdx) =>
+                    toScreenPlayer(teamPlayer, `team-${i}-${playerIdx}`)
+                );
 
-            // Create the last team with odd player + selected player
-            const lastTeamPlayers = [
-                {
-                    id: `${oddPlayer.userId || oddPlayer._id || `player-${Date.now()}-${Math.random()}`}-last-team-0`,
-                    name: oddPlayer.name || 'Unknown Player',
-                    mobile: oddPlayer.mobile || null,
-                    points: oddPlayer.individualPoints || 0,
-                    avatar: oddPlayer.avatarUrl || null,
-                    playsTwice: false,
-                    originalUserId: oddPlayer.userId || oddPlayer._id,
-                },
-                {
-                    id: `${playerToPlayTwice.userId || playerToPlayTwice._id || `player-${Date.now()}-${Math.random()}`}-last-team-1`,
-                    name: playerToPlayTwice.name || 'Unknown Player',
-                    mobile: playerToPlayTwice.mobile || null,
-                    points: playerToPlayTwice.individualPoints || 0,
-                    avatar: playerToPlayTwice.avatarUrl || null,
-                    playsTwice: true, // This player is in two teams
-                    originalUserId: playerToPlayTwice.userId || playerToPlayTwice._id,
-                }
-            ];
+                return {
+                    letter: team.letter,
+                    players: teamPlayers,
+                    substitutes: (team.substitutes || []).map((teamPlayer, playerIdx) =>
+                        toScreenPlayer(teamPlayer, `team-${i}-sub-${playerIdx}`)
+                    ),
+                    totalPoints: teamPlayers.reduce((sum, player) => sum + (player.points || 0), 0),
+                    strength: team.strength,
+                    color: availableColors[i % availableColors.length],
+                };
+            });
 
-            const lastTeamPoints = lastTeamPlayers.reduce((sum, player) => sum + (player.points || 0), 0);
+            // The extra team of an odd player count pairs the odd player with someone playing twice
+            const lastTeam = newTeams[newTeams.length - 1];
+            const oddPlayerData = lastTeam?.players.some((p) => p.playsTwice) && newTeams.length > 1
+                ? lastTeam.players.find((p) => !p.playsTwice) || null
+                : null;
 
-            newTeams.push({
-                letter: teamLetters[numTeams], // Next letter (e.g., Team D)
-                players: lastTeamPlayers,
-                totalPoints: lastTeamPoints,
-                color: availableColors[numTeams % availableColors.length],
+            console.log('👥 [TeamAssignment] Teams generated:', {
+                mode: response.data.mode,
+                teamCount: newTeams.length,
+                spread: response.data.spread,
+                repeatedPartners: response.data.repeatedPartners,
+                teams: newTeams.map(t => ({
+                    letter: t.letter,
+                    playerCount: t.players.length,
+                    players: t.players.map(p => p.name),
+                })),
+                hasOddPlayer: !!oddPlayerData,
             });
-
-            // Store odd player data for display (no longer needed separately, but keeping for compatibility)
-            oddPlayerData = {
-                id: oddPlayer.userId || oddPlayer._id,
-                name: oddPlayer.name || 'Unknown Player',
-                points: oddPlayer.individualPoints || 0,
-                avatar: oddPlayer.avatarUrl || null,
-            };
+            setTeams(newTeams);
+            setOddPlayer(oddPlayerData);
+            setBench((response.data.bench || []).map((teamPlayer, playerIdx) =>
+                toScreenPlayer(teamPlayer, `bench-${playerIdx}`)
+            ));
+            setBalanceSummary({
+                mode: response.data.mode,
+                spread: response.data.spread,
+                repeatedPartners: response.data.repeatedPartners,
+            });
+        } catch (error) {
+            console.log('Error generating teams:', error?.response?.data || error?.message);
+            Alert.alert(
+                'Unable to Create Teams',
+                error?.response?.data?.message || 'Failed to generate teams. Please try again.',
+                [
+                    {
+                        text: 'OK',
+                        onPress: () => {
+                            if (error?.response?.status === 400) navigation?.goBack();
+                        },
+                    },
+                ]
+            );
         }
-
-        console.log('👥 [TeamAssignment] Teams generated:', {
-            teamCount: newTeams.length,
-            teams: newTeams.map(t => ({
-                letter: t.letter,
-                playerCount: t.players.length,
-                players: t.players.map(p => p.name),
-            })),
-            hasOddPlayer: !!oddPlayerData,
-        });
-        setTeams(newTeams);
-        setOddPlayer(oddPlayerData);
     };
 
-    const handleShuffleTeams = () => {
+    const handleShuffleTeams = (mode = teamMode, oddMode = oddPlayerMode) => {
         if (room?.allPlayers) {
-            generateTeams(room.allPlayers);
+            generateTeams(room.allPlayers, mode, oddMode);
         } else if (room?.players) {
-            generateTeams(room.players);
+            generateTeams(room.players, mode, oddMode);
         }
     };
 
+    const handleOddPlayerModeChange = (mode) => {
+        if (mode === oddPlayerMode) return;
+        setOddPlayerMode(mode);
+        handleShuffleTeams(teamMode, mode);
+    };
+
+    const handleTeamModeChange = (mode) => {
+        if (mode === teamMode) return;
+        setTeamMode(mode);
+        handleShuffleTeams(mode);
+    };
+
+    // One player in a team card or the bench, with an optional badge ({ icon, label })
+    const renderPlayerRow = (player, color, key, badge = null) => (
+        <View key={key} style={styles.playerRow}>
+            <View style={[styles.playerAvatar, { backgroundColor: color }]}>
+                {player.avatar ? (
+                    <Image
+                        source={{ uri: player.avatar }}
+                        style={styles.playerAvatarImage}
+                    />
+                ) : (
+                    <Text style={styles.playerAvatarText}>
+                        {getInitials(player.name)}
+                    </Text>
+                )}
+            </View>
+            <View style={styles.playerInfo}>
+                <View style={styles.playerNameRow}>
+                    <Text style={styles.playerName}>{player.name}</Text>
+                    {player.playsTwice && (
+                        <View style={styles.playsTwiceBadge}>
+                            <Feather name="repeat" size={12} color={palette.accent} />
+                            <Text style={styles.playsTwiceText}>Plays twice</Text>
+                        </View>
+                    )}
+                    {badge && (
+                        <View style={styles.playsTwiceBadge}>
+                            <Feather name={badge.icon} size={12} color={palette.accent} />
+                            <Text style={styles.playsTwiceText}>{badge.label}</Text>
+                        </View>
+                    )}
+                </View>
+                <Text style={styles.playerPoints}>{player.points} points</Text>
+            </View>
+        </View>
+    );
+
     const handleAcceptAndStart = async () => {
         console.log('👥 [TeamAssignment] Accept & Start Game Button Pressed');
         console.log('👥 [TeamAssignment] Teams to create game with:', {
@@ -405,14 +391,29 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
                         mobile: player.mobile || null,
                         playsTwice: player.playsTwice || false,
                     })),
+                    substitutes: (team.substitutes || []).map((player) => ({
+                        userId: player.originalUserId || null,
+                        name: player.name,
+                        mobile: player.mobile || null,
+                    })),
                     totalPoints: team.totalPoints || 0,
                     wins: 0,
                 })),
+                bench: bench.map((player) => ({
+                    userId: player.originalUserId || null,
+                    name: player.name,
+                    mobile: player.mobile || null,
+                })),
+                ...(canChooseOddPlayerMode && { oddPlayerMode }),
+                scoringRules,
+                ...(canUseCourts && courts > 1 && { courts }),
             };
             console.log('👥 [TeamAssignment] Creating game with data:', {
                 roomId: gameData.roomId,
                 gameType: gameData.gameType,
                 teamCount: gameData.teams.length,
+                scoringRules: gameData.scoringRules,
+                courts: gameData.courts || 1,
             });
 
             const response = await axios.post(
@@ -464,6 +465,11 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
             if (error?.response?.data?.message) {
                 errorMessage = error.response.data.message;
             }
+            // Team validation lists every problem with the teams
+            const teamErrors = error?.response?.data?.errors;
+            if (Array.isArray(teamErrors) && teamErrors.length > 0) {
+                errorMessage = teamErrors.map((teamError) => `• ${teamError.message}`).join('\n');
+            }
 
             // If there's an existing game, offer to navigate to it
             if (error?.response?.status === 400 && error?.response?.data?.existingGameId) {
@@ -489,6 +495,8 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
                         },
                     ]
                 );
+            } else if (Array.isArray(teamErrors) && teamErrors.length > 0) {
+                Alert.alert('Teams Need Fixing', errorMessage);
             } else {
                 Alert.alert('Error', errorMessage);
             }
@@ -532,6 +540,116 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
                 contentContainerStyle={styles.scrollContent}
                 showsVerticalScrollIndicator={false}
             >
+                {/* How teams are drawn - regenerates the teams when changed */}
+                <View style={styles.scoringCard}>
+                    <Text style={styles.scoringTitle}>Team Generation</Text>
+                    <View style={styles.optionRow}>
+                        {TEAM_MODE_OPTIONS.map(({ value, label }) => {
+                            const isActive = teamMode === value;
+                            return (
+                                <TouchableOpacity
+                                    key={value}
+                                    style={[styles.optionChip, isActive && styles.optionChipActive]}
+                                    onPress={() => handleTeamModeChange(value)}
+                                    activeOpacity={0.8}
+                                >
+                                    <Text style={[styles.optionChipText, isActive && styles.optionChipTextActive]}>
+                                        {label}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                    {balanceSummary && teams.length > 1 && (
+                        <Text style={styles.balanceSummaryText}>
+                            {balanceSummary.mode === 'balanced'
+                                ? `Team ratings within ${balanceSummary.spread} points`
+                                : `Random teams · ratings ${balanceSummary.spread} points apart`}
+                            {balanceSummary.repeatedPartners > 0
+                                ? ` · ${balanceSummary.repeatedPartners} repeat partner${balanceSummary.repeatedPartners === 1 ? '' : 's'}`
+                                : ''}
+                        </Text>
+                    )}
+                </View>
+
+                {/* Odd player count in doubles - regenerates the teams when changed */}
+                {canChooseOddPlayerMode && hasOddPlayerCount && (
+                    <View style={styles.scoringCard}>
+                        <Text style={styles.scoringTitle}>Odd Player</Text>
+                        <View style={styles.optionRow}>
+                            {ODD_PLAYER_OPTIONS.map(({ value, label }) => {
+                                const isActive = oddPlayerMode === value;
+                                return (
+                                    <TouchableOpacity
+                                        key={value}
+                                        style={[styles.optionChip, isActive && styles.optionChipActive]}
+                                        onPress={() => handleOddPlayerModeChange(value)}
+                                        activeOpacity={0.8}
+                                    >
+                                        <Text style={[styles.optionChipText, isActive && styles.optionChipTextActive]}>
+                                            {label}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                        <Text style={styles.balanceSummaryText}>
+                            {ODD_PLAYER_OPTIONS.find((option) => option.value === oddPlayerMode)?.description}
+                        </Text>
+                    </View>
+                )}
+
+                {/* Scoring rules for every match in this game */}
+                <View style={styles.scoringCard}>
+                    <Text style={styles.scoringTitle}>Scoring Rules</Text>
+                    {SCORING_OPTIONS.map((option) => (
+                        <View key={option.key} style={styles.scoringRow}>
+                            <Text style={styles.scoringLabel}>{option.label}</Text>
+                            <View style={styles.optionRow}>
+                                {option.values.map(({ value, label }) => {
+                                    const isActive = scoringRules[option.key] === value;
+                                    return (
+                                        <TouchableOpacity
+                                            key={label}
+                                            style={[styles.optionChip, isActive && styles.optionChipActive]}
+                                            onPress={() => setScoringRules((prev) => ({ ...prev, [option.key]: value }))}
+                                            activeOpacity={0.8}
+                                        >
+                                            <Text style={[styles.optionChipText, isActive && styles.optionChipTextActive]}>
+                                                {label}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </View>
+                        </View>
+                    ))}
+                </View>
+
+                {/* Courts played on at once - several matches run side by side */}
+                {canUseCourts && (
+                    <View style={styles.scoringCard}>
+                        <Text style={styles.scoringTitle}>Courts</Text>
+                        <View style={styles.optionRow}>
+                            {COURT_OPTIONS.map((value) => {
+                                const isActive = courts === value;
+                                return (
+                                    <TouchableOpacity
+                                        key={value}
+                                        style={[styles.optionChip, isActive && styles.optionChipActive]}
+                                        onPress={() => setCourts(value)}
+                                        activeOpacity={0.8}
+                                    >
+                                        <Text style={[styles.optionChipText, isActive && styles.optionChipTextActive]}>
+                                            {value === 1 ? '1 court' : `${value} courts`}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    </View>
+                )}
+
                 {teams.map((team) => (
                     <View key={team.letter} style={styles.teamCard}>
                         <View style={styles.teamHeader}>
@@ -547,45 +665,42 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
                             {team.players.map((player, index) => {
                                 // Ensure unique key by combining team letter, player ID, and index
                                 const uniqueKey = `team-${team.letter}-player-${player.id || player.originalUserId || index}-idx-${index}`;
-                                return (
-                                    <View key={uniqueKey} style={styles.playerRow}>
-                                        <View style={[styles.playerAvatar, { backgroundColor: team.color.primary }]}>
-                                            {player.avatar ? (
-                                                <Image
-                                                    source={{ uri: player.avatar }}
-                                                    style={styles.playerAvatarImage}
-                                                />
-                                            ) : (
-                                                <Text style={styles.playerAvatarText}>
-                                                    {getInitials(player.name)}
-                                                </Text>
-                                            )}
-                                        </View>
-                                        <View style={styles.playerInfo}>
-                                            <View style={styles.playerNameRow}>
-                                                <Text style={styles.playerName}>{player.name}</Text>
-                                                {player.playsTwice && (
-                                                    <View style={styles.playsTwiceBadge}>
-                                                        <Feather name="repeat" size={12} color={palette.accent} />
-                                                        <Text style={styles.playsTwiceText}>Plays twice</Text>
-                                                    </View>
-                                                )}
-                                            </View>
-                                            <Text style={styles.playerPoints}>{player.points} points</Text>
-                                        </View>
-                                    </View>
-                                );
+                                return renderPlayerRow(player, team.color.primary, uniqueKey);
                             })}
+                            {(team.substitutes || []).map((player, index) =>
+                                renderPlayerRow(
+                                    player,
+                                    team.color.primary,
+                                    `team-${team.letter}-sub-${player.id || index}`,
+                                    { icon: 'refresh-cw', label: 'Substitute' }
+                                )
+                            )}
                         </View>
                     </View>
                 ))}
 
+                {/* Sit-out mode: players waiting to rotate in */}
+                {bench.length > 0 && (
+                    <View style={styles.oddPlayerCard}>
+                        <View style={styles.oddPlayerHeader}>
+                            <Feather name="coffee" size={18} color={palette.accent} />
+                            <Text style={styles.oddPlayerTitle}>Sitting Out First</Text>
+                        </View>
+                        <Text style={styles.oddPlayerDescription}>
+                            Players rotate through the bench between matches, so everyone sits out about as often.
+                        </Text>
+                        {bench.map((player, index) =>
+                            renderPlayerRow(player, palette.accent, `bench-${player.id || index}`)
+                        )}
+                    </View>
+                )}
+
             </ScrollView>
 
             <View style={styles.footer}>
                 <TouchableOpacity
                     style={styles.shuffleButton}
-                    onPress={handleShuffleTeams}
+                    onPress={() => handleShuffleTeams()}
                     activeOpacity={0.8}
                 >
                     <Feather name="shuffle" size={18} color={palette.textPrimary} />
@@ -612,11 +727,96 @@ export const TeamAssignmentScreen = ({ route, navigation }) => {
     );
 };
 
+// Scoring rule choices shown before the game starts
+const SCORING_OPTIONS = [
+    {
+        key: 'pointsToWin',
+        label: 'Points to win',
+        values: [11, 15, 21].map((value) => ({ value, label: `${value}` })),
+    },
+    {
+        key: 'winByTwo',
+        label: 'Margin',
+        values: [{ value: true, label: 'Win by 2' }, { value: false, label: 'Win by 1' }],
+    },
+    {
+        key: 'bestOf',
+        label: 'Games per match',
+        values: [1, 3, 5].map((value) => ({ value, label: value === 1 ? 'Single' : `Best of ${value}` })),
+    },
+];
+
+// Number of courts the game can be played on
+const COURT_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+// Ways to handle an odd player count in doubles formats
+const ODD_PLAYER_OPTIONS = [
+    { value: 'plays-twice', label: 'Plays Twice', description: 'One player joins a second team and plays for both.' },
+    { value: 'sit-out', label: 'Sit Out', description: 'One player sits out each match, rotating so everyone rests in turn.' },
+    { value: 'ghost', label: 'Singles Team', description: 'The odd player plays as a team of one.' },
+    { value: 'substitute', label: 'Substitute', description: 'The odd player joins a team as a substitute and rotates in between its matches.' },
+];
+
+// Balanced pairs players by rating and avoids recent partners; random shuffles
+const TEAM_MODE_OPTIONS = [
+    { value: 'balanced', label: 'Balanced' },
+    { value: 'random', label: 'Random' },
+];
+
 const styles = StyleSheet.create({
     container: {
         flex: 1,
         backgroundColor: palette.background,
     },
+    scoringCard: {
+        backgroundColor: palette.card,
+        borderRadius: 16,
+        padding: 16,
+        borderWidth: 1,
+        borderColor: palette.border,
+        gap: 12,
+    },
+    scoringTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: palette.textPrimary,
+    },
+    scoringRow: {
+        gap: 6,
+    },
+    scoringLabel: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    optionChip: {
+        paddingHorizontal: 14,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: palette.border,
+        backgroundColor: '#ffffff',
+    },
+    optionChipActive: {
+        backgroundColor: palette.accent,
+        borderColor: palette.accent,
+    },
+    optionChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: palette.textPrimary,
+    },
+    optionChipTextActive: {
+        color: '#ffffff',
+    },
+    balanceSummaryText: {
+        fontSize: 13,
+        color: palette.textSecondary,
+    },
     loadingContainer: {
         flex: 1,
         justifyContent: 'center',
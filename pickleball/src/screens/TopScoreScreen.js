@@ -48,7 +48,7 @@ const getInitials = (name) => {
 export const TopScoreScreen = () => {
     const navigation = useNavigation();
     const [activeTab, setActiveTab] = useState('individual');
-    const [sortBy, setSortBy] = useState('points'); // 'points' or 'wins'
+    const [sortBy, setSortBy] = useState('points'); // 'points', 'wins' or 'rating'
 
     const [topPlayers, setTopPlayers] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
@@ -342,6 +342,14 @@ export const TopScoreScreen = () => {
                         <Text style={styles.statValue}>{item.wins || 0}</Text>
                         <Text style={styles.statLabel}>Wins</Text>
                     </View>
+                    {item.rating && (
+                        <View style={styles.statItem}>
+                            <Text style={styles.statValue}>
+                                {item.rating.value}{item.rating.provisional ? '?' : ''}
+                            </Text>
+                            <Text style={styles.statLabel}>±{item.rating.deviation}</Text>
+                        </View>
+                    )}
                 </View>
             </View>
         );
@@ -399,7 +407,7 @@ export const TopScoreScreen = () => {
                 </TouchableOpacity>
             </View>
 
-            {/* Filters - Simplified to just Points and Wins */}
+            {/* Filters - Points, Wins and skill Rating */}
             <View style={styles.filtersContainer}>
                 <View style={styles.segmentedControl}>
                     <TouchableOpacity
@@ -426,6 +434,18 @@ export const TopScoreScreen = () => {
                             Wins
                         </Text>
                     </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.segmentedButton, sortBy === 'rating' && styles.segmentedButtonActive]}
+                        onPress={() => {
+                            setSortBy('rating');
+                            loadData(true);
+                        }}
+                        activeOpacity={0.7}
+                    >
+                        <Text style={[styles.segmentedButtonText, sortBy === 'rating' && styles.segmentedButtonTextActive]}>
+                            Rating
+                        </Text>
+                    </TouchableOpacity>
                 </View>
             </View>
 
@@ -324,8 +324,49 @@ export const UserProfileViewScreen = ({ route, navigation }) => {
                         <Text style={styles.winRateLabel}>Win Rate</Text>
                         <Text style={styles.winRateValue}>{profileData.winPercentage || 0}%</Text>
                     </View>
+
+                    {/* Skill rating: value ± deviation, provisional until enough matches are rated */}
+                    {profileData.rating && (
+                        <View style={styles.winRateCard}>
+                            <View style={styles.winRateIconContainer}>
+                                <Feather name="trending-up" size={24} color={palette.accent} />
+                            </View>
+                            <Text style={styles.winRateLabel}>Rating</Text>
+                            <Text style={styles.winRateValue}>{profileData.rating.value}</Text>
+                            <Text style={styles.ratingMeta}>
+                                ±{profileData.rating.deviation} · {profileData.rating.matches} rated matches
+                                {profileData.rating.provisional ? ' · Provisional' : ''}
+                            </Text>
+                        </View>
+                    )}
                 </View>
 
+                {/* Recent rating changes */}
+                {profileData.ratingHistory?.length > 0 && (
+                    <View style={styles.infoSection}>
+                        <View style={styles.sectionHeader}>
+                            <Feather name="bar-chart-2" size={20} color={palette.accent} />
+                            <Text style={styles.sectionTitle}>Recent Rating Changes</Text>
+                        </View>
+                        <View style={styles.ratingHistoryCard}>
+                            {profileData.ratingHistory.slice(0, 5).map((entry) => (
+                                <View key={entry.matchId} style={styles.ratingHistoryRow}>
+                                    <Text style={styles.ratingHistoryResult}>{entry.won ? 'Won' : 'Lost'}</Text>
+                                    <Text style={styles.ratingHistoryValue}>{entry.rating}</Text>
+                                    <Text
+                                        style={[
+                                            styles.ratingHistoryChange,
+                                            { color: entry.change >= 0 ? palette.success : palette.warning },
+                                        ]}
+                                    >
+                                        {entry.change >= 0 ? `+${entry.change}` : entry.change}
+                                    </Text>
+                                </View>
+                            ))}
+                        </View>
+                    </View>
+                )}
+
                 {/* Contact Information */}
                 {profileData.mobile && (
                     <View style={styles.infoSection}>
@@ -607,6 +648,41 @@ const styles = StyleSheet.create({
         fontWeight: '700',
         color: palette.accent,
     },
+    ratingMeta: {
+        fontSize: 13,
+        color: palette.textSecondary,
+        marginTop: 6,
+    },
+    ratingHistoryCard: {
+        backgroundColor: palette.card,
+        paddingHorizontal: 18,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: palette.border,
+    },
+    ratingHistoryRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        gap: 12,
+    },
+    ratingHistoryResult: {
+        flex: 1,
+        fontSize: 15,
+        color: palette.textPrimary,
+        fontWeight: '600',
+    },
+    ratingHistoryValue: {
+        fontSize: 15,
+        color: palette.textSecondary,
+    },
+    ratingHistoryChange: {
+        minWidth: 44,
+        textAlign: 'right',
+        fontSize: 15,
+        fontWeight: '700',
+    },
     infoSection: {
         paddingHorizontal: 20,
         marginTop: 8,
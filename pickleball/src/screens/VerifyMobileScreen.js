@@ -0,0 +1,354 @@
+import { Feather, Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View, Alert, KeyboardAvoidingView, Platform, StatusBar } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { LinearGradient } from 'expo-linear-gradient';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+// Shown after login while games played under the user's number before they registered are
+// waiting to be linked: the number is verified with a code, then the history is moved over
+
+const CODE_LENGTH = 6;
+
+const getAuthHeaders = async () => {
+    const token = await AsyncStorage.getItem('token');
+    return {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+    };
+};
+
+const VerifyMobileScreen = () => {
+    const [user, setUser] = useState(null);
+    const [code, setCode] = useState('');
+    const [codeLength, setCodeLength] = useState(CODE_LENGTH);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [info, setInfo] = useState('');
+    const navigation = useNavigation();
+
+    useEffect(() => {
+        const loadUser = async () => {
+            try {
+                const userData = await AsyncStorage.getItem('userData');
+                if (userData) {
+                    setUser(JSON.parse(userData));
+                }
+            } catch (error) {
+                console.error('Error loading user data:', error);
+            }
+        };
+        loadUser();
+    }, []);
+
+    // Verified already, but linking the history failed - only the link is left to retry
+    const isVerified = Boolean(user?.mobileVerifiedAt);
+
+    const goHome = () => {
+        navigation.replace('HomePage');
+    };
+
+    const finish = async (data) => {
+        if (data.user) {
+            await AsyncStorage.setItem('userData', JSON.stringify(data.user));
+            setUser(data.user);
+        }
+
+        if (data.warning) {
+            setError(data.warning);
+            return;
+        }
+
+        Alert.alert('All Set', data.message || 'Your mobile number is verified.', [
+            { text: 'OK', onPress: goHome },
+        ]);
+    };
+
+    const handleSendCode = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const headers = await getAuthHeaders();
+            const response = await axios.post(`${API_BASE_URL}/api/v1/user/mobile/verify/request`, {}, { headers });
+
+            setCodeLength(response.data?.codeLength || CODE_LENGTH);
+            setInfo(response.data?.message || 'A verification code has been sent');
+        } catch (error) {
+            console.log('Error requesting verification code:', error?.response?.data || error?.message);
+            setError(error?.response?.data?.message || 'Unable to send a code. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleVerify = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const headers = await getAuthHeaders();
+            const response = await axios.post(
+                `${API_BASE_URL}/api/v1/user/mobile/verify/confirm`,
+                { code: code.trim() },
+                { headers }
+            );
+            await finish(response.data);
+        } catch (error) {
+            console.log('Error verifying mobile:', error?.response?.data || error?.message);
+            setError(error?.response?.data?.message || 'Unable to verify your number. Please try again.');
+            // No attempts left on this code - a new one is needed
+            if (error?.response?.data?.attemptsLeft === 0) {
+                setCode('');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRetryLink = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const headers = await getAuthHeaders();
+            const response = await axios.post(`${API_BASE_URL}/api/v1/user/mobile/link-history`, {}, { headers });
+            await finish(response.data);
+        } catch (error) {
+            console.log('Error linking history:', error?.response?.data || error?.message);
+            setError(error?.response?.data?.message || 'Unable to link your history. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const isDisabled = isLoading || (!isVerified && code.trim().length !== codeLength);
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="light-content" backgroundColor="#8b5cf6" />
+
+            <KeyboardAvoidingView
+                style={styles.keyboardContainer}
+                behavior={Platform.OS === "ios" ? "padding" : "height"}
+                keyboardVerticalOffset={Platform.OS === "ios" ? 0 : 20}
+            >
+                <View style={styles.contentContainer}>
+                    <View style={styles.card}>
+                        <View style={styles.welcomeSection}>
+                            <Text style={styles.title}>Verify Your Number</Text>
+                            <Text style={styles.subtitle}>
+                                {isVerified
+                                    ? 'Your number is verified. Link the games and points played under it before you registered.'
+                                    : `Games and points were played under ${user?.mobile || 'your number'} before you registered. Enter the code we sent to it to add them to your account.`}
+                            </Text>
+                        </View>
+
+                        {!isVerified && (
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.inputLabel}>Verification Code</Text>
+                                <View style={styles.inputContainer}>
+                                    <Feather name="hash" size={20} color="#8b5cf6" style={styles.icon} />
+                                    <TextInput
+                                        style={styles.input}
+                                        placeholder={`${codeLength}-digit code`}
+                                        placeholderTextColor="#9ca3af"
+                                        value={code}
+                                        onChangeText={(text) => {
+                                            setCode(text.replace(/\D/g, '').slice(0, codeLength));
+                                            setError('');
+                                        }}
+                                        keyboardType="number-pad"
+                                        maxLength={codeLength}
+                                    />
+                                </View>
+                            </View>
+                        )}
+
+                        {info && !error ? <Text style={styles.info}>{info}</Text> : null}
+                        {error ? <Text style={styles.error}>{error}</Text> : null}
+
+                        <TouchableOpacity
+                            style={[styles.button, isDisabled && styles.buttonDisabled]}
+                            onPress={isVerified ? handleRetryLink : handleVerify}
+                            disabled={isDisabled}
+                            activeOpacity={0.8}
+                        >
+                            <LinearGradient
+                                colors={isDisabled ? ['#9ca3af', '#6b7280'] : ['#3b82f6', '#2563eb']}
+                                style={styles.buttonGradient}
+                            >
+                                <View style={styles.buttonContent}>
+                                    {isLoading && <Ionicons name="hourglass-outline" size={20} color="#ffffff" style={styles.buttonIcon} />}
+                                    <Text style={styles.buttonText}>
+                                        {isVerified
+                                            ? (isLoading ? 'Linking...' : 'Link My History')
+                                            : (isLoading ? 'Verifying...' : 'Verify')}
+                                    </Text>
+                                </View>
+                            </LinearGradient>
+                        </TouchableOpacity>
+
+                        {!isVerified && (
+                            <TouchableOpacity onPress={handleSendCode} disabled={isLoading} activeOpacity={0.7}>
+                                <Text style={[styles.link, styles.secondaryLink]}>Send a new code</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        <TouchableOpacity onPress={goHome} disabled={isLoading} activeOpacity={0.7}>
+                            <Text style={styles.skipLink}>Skip for now</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+    keyboardContainer: {
+        flex: 1,
+    },
+    contentContainer: {
+        flex: 1,
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+        justifyContent: 'center',
+    },
+    card: {
+        backgroundColor: '#ffffff',
+        borderRadius: 24,
+        paddingVertical: 32,
+        paddingHorizontal: 24,
+        shadowColor: '#3b82f6',
+        shadowOffset: { width: 0, height: 8 },
+        shadowOpacity: 0.15,
+        shadowRadius: 20,
+        elevation: 12,
+        borderWidth: 1,
+        borderColor: 'rgba(139, 92, 246, 0.1)',
+    },
+    welcomeSection: {
+        alignItems: 'center',
+        marginBottom: 32,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 8,
+    },
+    subtitle: {
+        fontSize: 16,
+        color: '#6b7280',
+        textAlign: 'center',
+        lineHeight: 24,
+    },
+    inputGroup: {
+        marginBottom: 20,
+    },
+    inputLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151',
+        marginBottom: 8,
+        marginLeft: 4,
+    },
+    inputContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#f9fafb',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        borderWidth: 2,
+        borderColor: '#e5e7eb',
+        height: 56,
+    },
+    input: {
+        flex: 1,
+        fontSize: 16,
+        color: '#1f2937',
+        backgroundColor: 'transparent',
+    },
+    icon: {
+        marginRight: 12,
+    },
+    button: {
+        borderRadius: 16,
+        marginTop: 24,
+        marginBottom: 16,
+        shadowColor: '#3b82f6',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.3,
+        shadowRadius: 8,
+        elevation: 8,
+    },
+    buttonGradient: {
+        borderRadius: 16,
+        paddingVertical: 16,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    buttonContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    buttonIcon: {
+        marginRight: 8,
+    },
+    buttonText: {
+        color: '#ffffff',
+        fontWeight: 'bold',
+        fontSize: 18,
+    },
+    buttonDisabled: {
+        shadowOpacity: 0.1,
+    },
+    link: {
+        color: '#8b5cf6',
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    secondaryLink: {
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    skipLink: {
+        color: '#6b7280',
+        fontSize: 15,
+        textAlign: 'center',
+    },
+    info: {
+        color: '#047857',
+        fontSize: 15,
+        marginBottom: 16,
+        textAlign: 'center',
+        backgroundColor: '#ecfdf5',
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#a7f3d0',
+        fontWeight: '500',
+    },
+    error: {
+        color: '#ef4444',
+        fontSize: 15,
+        marginBottom: 16,
+        textAlign: 'center',
+        backgroundColor: '#fef2f2',
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#fecaca',
+        fontWeight: '500',
+    },
+});
+
+export default VerifyMobileScreen;
@@ -1,6 +1,16 @@
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_BASE_URL } from '../api.js';
+import { API_BASE_URL } from '../src/api.js';
+import { clearAuthCache } from '../src/context/ProtectedRoute';
+
+// Access tokens are short-lived. When a request fails with 401 the interceptors below swap the
+// stored refresh token for a new pair (POST /user/refresh) and retry the request once, so the
+// user stays signed in. If the refresh is refused the stored session is cleared and the next
+// protected screen sends the user to Login.
+
+// Requests that must not trigger a refresh themselves
+const AUTH_PATHS = ['/api/v1/user/login', '/api/v1/user/register', '/api/v1/user/refresh', '/api/v1/user/logout'];
+
 // Create axios instance
 const axiosInstance = axios.create({
     baseURL: API_BASE_URL,
@@ -9,46 +19,108 @@ const axiosInstance = axios.create({
     },
 });
 
-// Request interceptor
-axiosInstance.interceptors.request.use(
-    async (config) => {
-        const token = await AsyncStorage.getItem('token');
-        if (token) {
-            config.headers.Authorization = `Bearer ${token}`;
-        }
-        return config;
-    },
-    (error) => {
-        return Promise.reject(error);
+// Save the tokens of a new or refreshed session
+export const storeSession = async ({ token, refreshToken }) => {
+    await AsyncStorage.setItem('token', token);
+    if (refreshToken) {
+        await AsyncStorage.setItem('refreshToken', refreshToken);
     }
-);
+};
 
-// Response interceptor
-axiosInstance.interceptors.response.use(
-    (response) => response,
-    async (error) => {
-        const originalRequest = error.config;
+// Forget the stored session (logout, or a refresh the server refused)
+export const clearSession = async () => {
+    await AsyncStorage.removeItem('token');
+    await AsyncStorage.removeItem('refreshToken');
+    await AsyncStorage.removeItem('userData');
+    clearAuthCache();
+};
 
-        // If error is 401 and we haven't tried to refresh token yet
-        if (error.response?.status === 401 && !originalRequest._retry) {
-            originalRequest._retry = true;
+// Refresh in flight - requests failing at the same time wait for the same refresh,
+// as a refresh token can only be used once
+let refreshPromise = null;
+
+// Get a new access token with the stored refresh token; resolves to the token, or null
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = await AsyncStorage.getItem('refreshToken');
+            if (!refreshToken) {
+                return null;
+            }
 
             try {
-                // Clear stored data
-                await AsyncStorage.removeItem('token');
-                await AsyncStorage.removeItem('userData');
+                const response = await axios.post(`${API_BASE_URL}/api/v1/user/refresh`, { refreshToken });
+                await storeSession(response.data);
+                return response.data.token;
+            } catch (error) {
+                // Refused - the session is over. Network errors keep it for the next attempt.
+                if (error.response?.status === 400 || error.response?.status === 401) {
+                    await clearSession();
+                }
+                return null;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
 
-                // You might want to navigate to login screen here
-                // You can use a navigation service or event emitter for this
+// Log out on the server as well as on this device
+export const logout = async () => {
+    const refreshToken = await AsyncStorage.getItem('refreshToken');
+    if (refreshToken) {
+        try {
+            await axios.post(`${API_BASE_URL}/api/v1/user/logout`, { refreshToken });
+        } catch (error) {
+            console.log('Logout request failed:', error?.response?.data || error?.message);
+        }
+    }
+    await clearSession();
+};
+
+const isAuthRequest = (config) => AUTH_PATHS.some((path) => (config?.url || '').includes(path));
 
-                return Promise.reject(error);
-            } catch (refreshError) {
-                return Promise.reject(refreshError);
+// Add the stored token to requests and refresh it on 401
+const attachAuthInterceptors = (client) => {
+    // Request interceptor
+    client.interceptors.request.use(
+        async (config) => {
+            const token = await AsyncStorage.getItem('token');
+            if (token && !config.headers.Authorization) {
+                config.headers.Authorization = `Bearer ${token}`;
             }
+            return config;
+        },
+        (error) => {
+            return Promise.reject(error);
         }
+    );
 
-        return Promise.reject(error);
-    }
-);
+    // Response interceptor
+    client.interceptors.response.use(
+        (response) => response,
+        async (error) => {
+            const originalRequest = error.config;
+
+            // If error is 401 and we haven't tried to refresh token yet
+            if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest)) {
+                originalRequest._retry = true;
+
+                const token = await refreshSession();
+                if (token) {
+                    originalRequest.headers.Authorization = `Bearer ${token}`;
+                    return client(originalRequest);
+                }
+            }
+
+            return Promise.reject(error);
+        }
+    );
+};
+
+// Screens call axios directly, so the shared axios instance gets the interceptors too
+attachAuthInterceptors(axios);
+attachAuthInterceptors(axiosInstance);
 
-export default axiosInstance; 
+export default axiosInstance;
@@ -1,8 +1,13 @@
 import mongoose from "mongoose";
+import config from "./env.js";
+
+// Queries and saves inside a transaction join its session without passing it around
+// (see utils/transactionUtils.js)
+mongoose.set("transactionAsyncLocalStorage", true);
 
 const connectDB = async () => {
     try {
-        const conn = await mongoose.connect(process.env.MONGO_URL);
+        const conn = await mongoose.connect(config.mongoUrl);
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
     } catch (error) {
         console.error(`❌ MongoDB Connection Error: ${error.message}`);
@@ -0,0 +1,213 @@
+import crypto from "node:crypto";
+import dotenv from "dotenv";
+
+// Server configuration
+// Every setting that comes from the environment is read and checked here, once, when the server
+// starts; other modules import it from this file instead of reading process.env. In production
+// the server refuses to start with a missing or weak JWT_SECRET, a missing MONGO_URL or CORS
+// open to every origin. In development missing values fall back to local defaults with a warning.
+//
+//   NODE_ENV                   production | development | test (default: development)
+//   PORT                       HTTP port (default: 5000)
+//   MONGO_URL                  mongodb:// or mongodb+srv:// connection string
+//   JWT_SECRET                 at least 32 characters
+//   CORS_ORIGINS               comma-separated browser origins allowed to call the API, or * for
+//                              any (development only). Apps send no origin and are always allowed.
+//   TRUST_PROXY                proxies in front of the server whose X-Forwarded-For is trusted:
+//                              a hop count, true, or addresses (default: none). Needed behind a
+//                              proxy (Vercel) so rate limits see client IPs, not the proxy's.
+//   ACCESS_TOKEN_TTL_MINUTES   access token lifetime (default: 15)
+//   REFRESH_TOKEN_TTL_DAYS     refresh token lifetime (default: 30)
+//   SMS_PROVIDER, EMAIL_PROVIDER, OUTBOX_FILE, SMTP_*, SMS_API_*  see utils/deliveryUtils.js
+
+// Loaded here so the values are in place before any module reads them
+dotenv.config();
+
+// Anything else is refused - a typo such as "prod" must not start with development defaults
+const NODE_ENVS = ["production", "development", "test"];
+
+const MIN_JWT_SECRET_LENGTH = 32;
+// Secrets from examples and old defaults - never accepted in production
+const KNOWN_WEAK_SECRETS = ["your-super-secret-key-123", "secret", "changeme", "jwt_secret"];
+
+const DEFAULT_PORT = 5000;
+const DEFAULT_DEV_MONGO_URL = "mongodb://127.0.0.1:27017/picklematch";
+const MONGO_URL_PATTERN = /^mongodb(\+srv)?:\/\/\S+$/;
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const MAX_ACCESS_TOKEN_TTL_MINUTES = 24 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const MAX_REFRESH_TOKEN_TTL_DAYS = 365;
+
+const DEFAULT_DELIVERY_PROVIDER = "console";
+const DEFAULT_OUTBOX_FILE = "outbox.log";
+
+// Helper: Read a whole number setting - undefined when it isn't a whole number in [min, max]
+const parseInteger = (value, { min, max }) => {
+    if (!/^\d+$/.test(value.trim())) {
+        return undefined;
+    }
+    const number = Number(value);
+    return number >= min && number <= max ? number : undefined;
+};
+
+// Build the configuration from an environment and check it
+// Returns { config, errors, warnings } - the server must not start when there are errors
+const loadConfig = (env = process.env) => {
+    const errors = [];
+    const warnings = [];
+
+    const nodeEnv = env.NODE_ENV || "development";
+    if (!NODE_ENVS.includes(nodeEnv)) {
+        // Checked as production below - the server won't start anyway
+        errors.push(`NODE_ENV must be one of ${NODE_ENVS.join(", ")}, got "${nodeEnv}"`);
+    }
+    const isProduction = !["development", "test"].includes(nodeEnv);
+
+    // Port
+    let port = DEFAULT_PORT;
+    if (env.PORT) {
+        port = parseInteger(env.PORT, { min: 1, max: 65535 });
+        if (port === undefined) {
+            errors.push(`PORT must be a port number, got "${env.PORT}"`);
+        }
+    }
+
+    // Database
+    let mongoUrl = env.MONGO_URL?.trim();
+    if (!mongoUrl) {
+        if (isProduction) {
+            errors.push("MONGO_URL is required");
+        } else {
+            mongoUrl = DEFAULT_DEV_MONGO_URL;
+            warnings.push(`MONGO_URL is not set - using ${DEFAULT_DEV_MONGO_URL}`);
+        }
+    } else if (!MONGO_URL_PATTERN.test(mongoUrl)) {
+        // The URL may hold a password - it is not repeated in the message
+        errors.push("MONGO_URL must be a mongodb:// or mongodb+srv:// connection string");
+    }
+
+    // Token signing secret
+    let jwtSecret = env.JWT_SECRET;
+    const secretProblem = !jwtSecret
+        ? "JWT_SECRET is not set"
+        : KNOWN_WEAK_SECRETS.includes(jwtSecret.toLowerCase())
+            ? "JWT_SECRET is a well-known example value"
+            : jwtSecret.length < MIN_JWT_SECRET_LENGTH
+                ? `JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters`
+                : null;
+    if (secretProblem && isProduction) {
+        errors.push(secretProblem);
+    } else if (secretProblem) {
+        warnings.push(`${secretProblem} - fine for development only`);
+        if (!jwtSecret) {
+            // A secret of its own for this run - logins end when the server restarts
+            jwtSecret = crypto.randomBytes(48).toString("hex");
+            warnings.push("Using a random JWT_SECRET for this run - sessions end when the server restarts");
+        }
+    }
+
+    // CORS
+    const corsOrigins = (env.CORS_ORIGINS || "")
+        .split(",")
+        .map((origin) => origin.trim().replace(/\/$/, ""))
+        .filter(Boolean);
+    const allowAllOrigins = corsOrigins.includes("*") || (!isProduction && corsOrigins.length === 0);
+    if (isProduction && corsOrigins.includes("*")) {
+        errors.push("CORS_ORIGINS must list the allowed origins in production, not *");
+    }
+    corsOrigins
+        .filter((origin) => origin !== "*" && !/^https?:\/\/[^\s/]+$/.test(origin))
+        .forEach((origin) => errors.push(`CORS_ORIGINS entry "${origin}" is not an origin like https://example.com`));
+
+    // Proxies - Express's "trust proxy" setting
+    let trustProxy = false;
+    const trustProxyValue = env.TRUST_PROXY?.trim();
+    if (trustProxyValue) {
+        trustProxy = trustProxyValue === "true"
+            ? true
+            : trustProxyValue === "false"
+                ? false
+                : /^\d+$/.test(trustProxyValue) ? Number(trustProxyValue) : trustProxyValue;
+    }
+
+    // Token lifetimes
+    let accessTokenTtlMinutes = DEFAULT_ACCESS_TOKEN_TTL_MINUTES;
+    if (env.ACCESS_TOKEN_TTL_MINUTES) {
+        accessTokenTtlMinutes = parseInteger(env.ACCESS_TOKEN_TTL_MINUTES, { min: 1, max: MAX_ACCESS_TOKEN_TTL_MINUTES });
+        if (accessTokenTtlMinutes === undefined) {
+            errors.push(`ACCESS_TOKEN_TTL_MINUTES must be between 1 and ${MAX_ACCESS_TOKEN_TTL_MINUTES}`);
+        }
+    }
+    let refreshTokenTtlDays = DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+    if (env.REFRESH_TOKEN_TTL_DAYS) {
+        refreshTokenTtlDays = parseInteger(env.REFRESH_TOKEN_TTL_DAYS, { min: 1, max: MAX_REFRESH_TOKEN_TTL_DAYS });
+        if (refreshTokenTtlDays === undefined) {
+            errors.push(`REFRESH_TOKEN_TTL_DAYS must be between 1 and ${MAX_REFRESH_TOKEN_TTL_DAYS}`);
+        }
+    }
+    if (accessTokenTtlMinutes && refreshTokenTtlDays && accessTokenTtlMinutes >= refreshTokenTtlDays * 24 * 60) {
+        errors.push("ACCESS_TOKEN_TTL_MINUTES must be shorter than REFRESH_TOKEN_TTL_DAYS");
+    }
+
+    // Message delivery
+    const smsProvider = env.SMS_PROVIDER || DEFAULT_DELIVERY_PROVIDER;
+    const emailProvider = env.EMAIL_PROVIDER || DEFAULT_DELIVERY_PROVIDER;
+    if ([smsProvider, emailProvider].includes("smtp") && !env.SMTP_HOST) {
+        errors.push("SMTP_HOST is required for the smtp delivery provider");
+    }
+    if (smsProvider === "http" && !env.SMS_API_URL) {
+        errors.push("SMS_API_URL is required for the http delivery provider");
+    }
+    if (isProduction && smsProvider === "console") {
+        warnings.push("SMS_PROVIDER is console - one-time codes are only written to the server log");
+    }
+
+    const config = {
+        nodeEnv,
+        isProduction,
+        isDevelopment: nodeEnv === "development",
+        port,
+        mongoUrl,
+        jwtSecret,
+        trustProxy,
+        cors: {
+            origins: corsOrigins.filter((origin) => origin !== "*"),
+            allowAllOrigins,
+        },
+        tokens: {
+            accessTokenTtlSeconds: accessTokenTtlMinutes * 60,
+            refreshTokenTtlDays,
+        },
+        delivery: {
+            smsProvider,
+            emailProvider,
+            outboxFile: env.OUTBOX_FILE || DEFAULT_OUTBOX_FILE,
+            smtp: {
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || 587,
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                from: env.SMTP_FROM || env.SMTP_USER,
+            },
+            smsApi: {
+                url: env.SMS_API_URL,
+                key: env.SMS_API_KEY,
+            },
+        },
+    };
+
+    return { config, errors, warnings };
+};
+
+const { config, errors, warnings } = loadConfig();
+
+warnings.forEach((warning) => console.warn(`⚠️ [Config] ${warning}`));
+if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ [Config] ${error}`));
+    throw new Error(`Invalid server configuration (NODE_ENV=${config.nodeEnv}): ${errors.join("; ")}`);
+}
+
+export { loadConfig };
+
+export default config;
@@ -0,0 +1,147 @@
+import jwt from "jsonwebtoken";
+import { Server } from "socket.io";
+import Room from "../models/roomModel.js";
+import Game from "../models/gameModel.js";
+import User from "../models/userModel.js";
+import { afterCommit } from "../utils/transactionUtils.js";
+import config from "./env.js";
+
+// Real-time updates over Socket.IO
+// Clients authenticate with the same JWT as the REST API, then join a channel per room
+// ("room:<roomId>") and per game ("game:<gameId>"). Tokens are checked like authMiddleware
+// does, and a user's sockets are closed when their sessions are revoked (disconnectUserSockets).
+// Controllers broadcast through the
+// emit helpers below; they do nothing when the socket server is not running (e.g. serverless).
+// Events raised inside a database transaction are only sent once it commits.
+//
+// Events sent to clients (every payload carries roomId and, where relevant, gameId):
+//   game:started, game:completed, game:cancelled
+//   match:updated (result or live rally), match:corrected
+//   round:created
+//   room:updated (members or players changed)
+
+let io = null;
+
+const getRoomChannel = (roomId) => `room:${roomId.toString()}`;
+const getGameChannel = (gameId) => `game:${gameId.toString()}`;
+// Every socket of a user, joined automatically
+const getUserChannel = (userId) => `user:${userId.toString()}`;
+
+// Id of a reference that may or may not be populated
+const toId = (ref) => (ref?._id || ref)?.toString();
+
+const isRoomMember = (room, userId) => Boolean(room) && (
+    room.createdBy.toString() === userId ||
+    room.members.some((memberId) => memberId.toString() === userId)
+);
+
+// Start the socket server on the HTTP server that Express listens on
+const initSocket = (httpServer, corsOptions) => {
+    io = new Server(httpServer, { cors: corsOptions });
+
+    // Authenticate every connection with the API token
+    io.use(async (socket, next) => {
+        try {
+            const token = socket.handshake.auth?.token;
+            if (!token) {
+                return next(new Error("No token provided, please log in"));
+            }
+            const decoded = jwt.verify(token, config.jwtSecret);
+
+            // Tokens issued before the user's sessions were revoked are no longer valid
+            const user = await User.findById(decoded.userId).select("tokenVersion");
+            if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+                return next(new Error("Session expired, please log in again"));
+            }
+
+            socket.data.userId = decoded.userId.toString();
+            next();
+        } catch (error) {
+            next(new Error("Invalid token, please log in again"));
+        }
+    });
+
+    io.on("connection", (socket) => {
+        console.log(`🔌 [Socket] Connected: ${socket.id} (user ${socket.data.userId})`);
+        socket.join(getUserChannel(socket.data.userId));
+
+        // Subscribe to a room's updates - room members only
+        socket.on("room:join", async ({ roomId } = {}, ack = () => { }) => {
+            try {
+                const room = await Room.findById(roomId).select("createdBy members");
+                if (!isRoomMember(room, socket.data.userId)) {
+                    return ack({ success: false, message: "You are not a member of this room" });
+                }
+                socket.join(getRoomChannel(roomId));
+                ack({ success: true, message: "Joined room updates" });
+            } catch (error) {
+                ack({ success: false, message: "Unable to join room updates" });
+            }
+        });
+
+        // Subscribe to a game's updates - members of the game's room only
+        socket.on("game:join", async ({ gameId } = {}, ack = () => { }) => {
+            try {
+                const game = await Game.findById(gameId).select("roomId");
+                const room = game && await Room.findById(game.roomId).select("createdBy members");
+                if (!isRoomMember(room, socket.data.userId)) {
+                    return ack({ success: false, message: "You don't have access to this game" });
+                }
+                socket.join(getGameChannel(gameId));
+                ack({ success: true, message: "Joined game updates" });
+            } catch (error) {
+                ack({ success: false, message: "Unable to join game updates" });
+            }
+        });
+
+        socket.on("room:leave", ({ roomId } = {}) => {
+            if (roomId) socket.leave(getRoomChannel(roomId));
+        });
+
+        socket.on("game:leave", ({ gameId } = {}) => {
+            if (gameId) socket.leave(getGameChannel(gameId));
+        });
+
+        socket.on("disconnect", (reason) => {
+            console.log(`🔌 [Socket] Disconnected: ${socket.id} (${reason})`);
+        });
+    });
+
+    console.log("🔌 Socket.IO ready");
+    return io;
+};
+
+// Broadcast to everyone following a room
+const emitToRoom = (roomId, event, payload = {}) => {
+    if (!io || !roomId) return;
+    afterCommit(() => {
+        io.to(getRoomChannel(toId(roomId))).emit(event, { roomId: toId(roomId), ...payload });
+    });
+};
+
+// Broadcast a game event to everyone following the game or its room
+const emitGameEvent = (game, event, payload = {}) => {
+    if (!io || !game) return;
+    afterCommit(() => {
+        io.to(getGameChannel(toId(game))).to(getRoomChannel(toId(game.roomId))).emit(event, {
+            roomId: toId(game.roomId),
+            gameId: toId(game),
+            ...payload,
+        });
+    });
+};
+
+// Close every open socket of a user - their sessions were revoked, so they must log in again
+const disconnectUserSockets = (userId) => {
+    if (!io || !userId) return;
+    afterCommit(() => {
+        io.in(getUserChannel(toId(userId))).disconnectSockets(true);
+    });
+};
+
+export {
+    initSocket,
+    emitToRoom,
+    emitGameEvent,
+    disconnectUserSockets,
+};
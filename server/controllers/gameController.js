@@ -1,148 +1,515 @@
+import jwt from "jsonwebtoken";
 import Game from "../models/gameModel.js";
 import Match from "../models/matchModel.js";
 import Room from "../models/roomModel.js";
 import User from "../models/userModel.js";
+import UnregisteredPlayer from "../models/unregisteredPlayerModel.js";
+import RatingChange from "../models/ratingChangeModel.js";
 import {
     getOrCreateUnregisteredPlayer,
-    addPointsToUnregisteredPlayer,
     trackUnregisteredPlayerParticipation,
-    updateUnregisteredPlayerStats
+    updateUnregisteredPlayerStats,
+    normalizeMobile
 } from "../utils/unregisteredPlayerUtils.js";
+import {
+    MAX_KNOCKOUT_TEAMS,
+    createByeTeam,
+    getBracketSize,
+    generateSeededKnockoutRound,
+    generateSeededKnockoutNextRound,
+    generateDoubleEliminationRound
+} from "../utils/bracketUtils.js";
+import {
+    MIXER_MIN_PLAYERS,
+    splitMixerTeamLetter,
+    getDefaultMixerRounds,
+    generateMixerRound,
+    buildMixerStandings
+} from "../utils/mixerUtils.js";
+import {
+    getDefaultSwissRounds,
+    getMaxSwissRounds,
+    generateSwissRound,
+    buildSwissStandings
+} from "../utils/swissUtils.js";
+import {
+    MIN_TEAMS_PER_POOL,
+    getDefaultPoolCount,
+    getDefaultAdvancePerPool,
+    assignPools,
+    getPoolMatchPairs,
+    buildPoolStandings,
+    generatePlayoffRound
+} from "../utils/poolUtils.js";
+import {
+    isValidTiebreakChain,
+    TIEBREAKERS,
+    DEFAULT_TIEBREAKERS,
+    buildRoundRobinStandings
+} from "../utils/standingsUtils.js";
+import {
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    parseSubmittedGames,
+    evaluateMatchScore
+} from "../utils/scoringUtils.js";
+import { replayRallies } from "../utils/liveScoringUtils.js";
+import { DEFAULT_RATING, getCurrentDeviation, rateMatch } from "../utils/ratingUtils.js";
+import {
+    TEAM_MODES,
+    getTeamLetter,
+    getTeamStrength,
+    getStrengthSpread,
+    countRecentPartners,
+    countRepeatedPartners,
+    pairPlayers,
+    pickSecondTimePartner,
+    pickSubstituteTeam
+} from "../utils/teamBalanceUtils.js";
+import { validateGameTeams } from "../utils/teamValidationUtils.js";
+import { MEDAL_POINTS, PARTICIPATION_POINTS, recordPoints } from "../utils/pointsUtils.js";
+import { findActiveSeason, accrueSeasonPoints } from "../utils/seasonUtils.js";
+import {
+    ODD_PLAYER_MODES,
+    DEFAULT_ODD_PLAYER_MODE,
+    isRotatingMode,
+    countPlayedMatches,
+    rotatePlayers,
+    getMainTeamPlayers
+} from "../utils/lineupUtils.js";
+import { MAX_COURTS, pickRestedMatch, planCourtAssignments } from "../utils/courtUtils.js";
+import { emitGameEvent } from "../config/socket.js";
+import { runInTransaction } from "../utils/transactionUtils.js";
+import config from "../config/env.js";
+
+// Spectator links: signed tokens scoped to one game, valid for 24 hours unless asked otherwise
+const SPECTATOR_TOKEN_SCOPE = "spectator";
+const DEFAULT_SPECTATOR_LINK_HOURS = 24;
+const MAX_SPECTATOR_LINK_HOURS = 168;
+
+// Longest idempotency key accepted with a match result
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// Team generation looks at partnerships from this many of the room's latest games
+const RECENT_PARTNER_GAMES = 10;
+
+// Medals from best to worst
+const MEDALS = ["gold", "silver", "bronze"];
+
+// Helper: Award +1 individual point to each player on a match-winning team
+// Points go through the ledger; unregistered players also get their stats tracked in UnregisteredPlayer
+const awardMatchWinPoints = async (players, { gameId, matchId }) => {
+    for (const player of players) {
+        await recordPoints(player, { reason: "match-win", amount: 1, gameId, matchId });
+
+        if (!player.userId && player.mobile) {
+            await updateUnregisteredPlayerStats(player.mobile, {
+                totalGames: 1,
+                totalWins: 1
+            });
+            // Track participation in this match
+            await trackUnregisteredPlayerParticipation(player.mobile, {
+                gameId,
+                matchId
+            });
+        }
+    }
+};
 
-// Helper: Create a BYE team object for bye matches
-// Always returns a team object with letter "BYE" regardless of originalTeam
-const createByeTeam = (originalTeam = null) => {
-    // Always return a BYE team object with letter "BYE"
-    // The originalTeam parameter is used to get player info if needed, but letter is always "BYE"
-    return {
-        letter: "BYE", // Always "BYE", never use originalTeam.letter
-        players: originalTeam && originalTeam.players ? originalTeam.players.map((p) => ({
-            userId: p.userId || null,
-            name: p.name || "Bye",
-            mobile: p.mobile || null,
-        })) : [],
-        points: originalTeam && originalTeam.totalPoints ? originalTeam.totalPoints : 0,
-    };
+// Helper: Reverse everything awardMatchWinPoints applied for a team
+// The reversal is a ledger entry of its own, so the history shows both
+// Participation tracking is kept - the players still took part in the match
+const revokeMatchWinPoints = async (players, { gameId, matchId }) => {
+    for (const player of players) {
+        await recordPoints(player, { reason: "match-win-reversed", amount: -1, gameId, matchId });
+
+        if (!player.userId && player.mobile) {
+            await updateUnregisteredPlayerStats(player.mobile, {
+                totalGames: -1,
+                totalWins: -1
+            });
+        }
+    }
 };
 
-// Helper: Generate match schedule based on game format
-const generateMatches = (teams, gameType, roundNumber = 1) => {
-    const matches = [];
+// Helper: Find the rating record of a match player
+// Registered players by user id, unregistered players by mobile; null for name-only players
+const findRatedPlayer = async (player) => {
+    if (player.userId) {
+        return User.findById(player.userId).select("rating");
+    }
+    if (player.mobile) {
+        return UnregisteredPlayer.findOne({
+            mobile: normalizeMobile(player.mobile),
+            linkedToUserId: null
+        }).select("mobile rating");
+    }
+    return null;
+};
 
-    if (gameType === "round-robin") {
-        // Round Robin: Every team plays every other team
-        // Use balanced scheduling to ensure teams get rest between matches
-        const allMatchPairs = [];
-        for (let i = 0; i < teams.length; i++) {
-            for (let j = i + 1; j < teams.length; j++) {
-                allMatchPairs.push({
-                    teamA: teams[i],
-                    teamB: teams[j],
-                });
+// Helper: Update the skill rating of every player in a finished match and record the change
+// Players without a record (name only) count at the default rating but are not rated
+const applyMatchRatings = async (game, match) => {
+    if (match.isBye || !match.winner) return;
+
+    const now = new Date();
+    const loadSide = async (players) => {
+        const side = [];
+        for (const player of players) {
+            const record = await findRatedPlayer(player);
+            side.push({
+                player,
+                record,
+                current: {
+                    value: record?.rating?.value ?? DEFAULT_RATING,
+                    deviation: getCurrentDeviation(record?.rating, now),
+                },
+            });
+        }
+        return side;
+    };
+
+    const sideA = await loadSide(match.teamA.players);
+    const sideB = await loadSide(match.teamB.players);
+    if (sideA.length === 0 || sideB.length === 0) return;
+
+    const rated = rateMatch(sideA.map((p) => p.current), sideB.map((p) => p.current), match.winner);
+
+    for (const [letter, side] of [["A", sideA], ["B", sideB]]) {
+        for (const [index, { player, record, current }] of side.entries()) {
+            if (!record) continue;
+            const after = rated[letter].players[index];
+
+            record.rating = {
+                value: after.value,
+                deviation: after.deviation,
+                matches: (record.rating?.matches || 0) + 1,
+                lastRatedAt: now,
+            };
+            await record.save();
+
+            await RatingChange.create({
+                userId: player.userId || null,
+                mobile: player.userId ? null : record.mobile,
+                gameId: game._id,
+                matchId: match._id,
+                before: current,
+                after,
+                expected: rated[letter].expected,
+                won: match.winner === letter,
+            });
+        }
+    }
+};
+
+// Helper: Undo the rating changes a match made
+// Ratings are adjusted by the recorded difference, so later matches keep their own changes
+const revertMatchRatings = async (match) => {
+    const changes = await RatingChange.find({ matchId: match._id });
+
+    for (const change of changes) {
+        const update = {
+            $inc: {
+                "rating.value": change.before.value - change.after.value,
+                "rating.deviation": change.before.deviation - change.after.deviation,
+                "rating.matches": -1,
             }
+        };
+        if (change.userId) {
+            await User.findByIdAndUpdate(change.userId, update);
+        } else if (change.mobile) {
+            await UnregisteredPlayer.updateOne({ mobile: change.mobile, linkedToUserId: null }, update);
         }
+    }
 
-        // Balanced scheduling: Distribute matches so no team plays consecutively
-        const scheduledMatches = [];
-        const teamMatchCounts = {}; // Track how many matches each team has played
+    if (changes.length > 0) {
+        await RatingChange.deleteMany({ matchId: match._id });
+    }
+};
+
+// Helper: Find the game team entries behind a match team letter
+// Mixer matches combine individual entries ("A+C"), every other format uses a single team letter
+const getTeamEntries = (game, letter) =>
+    splitMixerTeamLetter(letter)
+        .map((l) => game.teams.find((t) => t.letter === l))
+        .filter(Boolean);
+
+// Helper: Resolve a match team letter to team data used when creating a match
+const resolveMatchTeam = (game, letter) => {
+    const entries = getTeamEntries(game, letter);
+    if (entries.length <= 1) return entries[0] || null;
+    return {
+        letter,
+        players: entries.flatMap((t) => t.players),
+        totalPoints: 0,
+    };
+};
+
+// Helper: Every player of a game team - the players and any substitutes
+const getTeamRoster = (team) => [...(team.players || []), ...(team.substitutes || [])];
+
+// Helper: The players a medal for a team goes to - everyone who played for it, taken from the
+// match lineups because sit-out and substitute rotation rewrite the team's players and the bench.
+// Needs game.matches populated; falls back to the team record when no lineup names the team
+// (mixer matches, which don't rotate, pair entries under combined letters)
+const getMedalRoster = (game, team) => {
+    const roster = getMainTeamPlayers(game.matches || [], team.letter, getPlayerKey);
+    return roster.length > 0 ? roster : getTeamRoster(team);
+};
+
+// Helper: The players who played for the winning side of a match
+// Match lineups are saved per match, so rotated-out players don't share the win
+const getWinningPlayers = (match) => (match.winner === "A" ? match.teamA : match.teamB)?.players || [];
+
+// Helper: Every player of a finished game once, with the best medal they won
+// Needs game.matches populated (see getMedalRoster)
+// Returns [{ player, medal, medalTeamSize }] - medal is null for players without one
+const getGamePlacements = (game) => {
+    const placements = new Map();
+    const addPlayer = (player, medal = null, medalTeamSize = null) => {
+        const key = getPlayerKey(player);
+        if (!key) return;
+        const current = placements.get(key);
+        const isBetter = !current || (medal && (!current.medal || MEDALS.indexOf(medal) < MEDALS.indexOf(current.medal)));
+        if (isBetter) placements.set(key, { player, medal, medalTeamSize });
+    };
+
+    game.teams.forEach((team) => {
+        const roster = getMedalRoster(game, team);
+        const medal = MEDALS.find((m) => game.medals?.[m]?.team === team.letter) || null;
+        roster.forEach((player) => addPlayer(player, medal, roster.length));
+    });
+    // Everyone else who took part - players still on a team record or the bench at the end
+    [...game.teams.flatMap(getTeamRoster), ...game.bench].forEach((player) => addPlayer(player));
+
+    return [...placements.values()];
+};
 
-        // Helper to get team letter
-        const getTeamLetter = (team) => team?.letter || team;
+// Helper: A player as saved in a match lineup
+const toLineupPlayer = (p) => ({ userId: p.userId || null, name: p.name, mobile: p.mobile || null });
+
+// Helper: Pick who plays a match in sit-out and substitute modes
+// Rested players rotate in for the players who have played the most: from the bench into either
+// team (sit-out), or from a team's own substitutes (substitute). The game teams and bench are
+// updated and the lineups returned as { A, B, before } - before is the rotation as it was, saved
+// on the match as rotationBefore; playCounts counts the match for its players.
+const takeMatchLineups = (game, letterA, letterB, playCounts) => {
+    const teams = [letterA, letterB].map((letter) => game.teams.find((t) => t.letter === letter));
+    if (teams.some((team) => !team)) return null;
+
+    const before = {
+        teams: game.teams.map((team) => ({
+            letter: team.letter,
+            players: team.players.map(toLineupPlayer),
+            substitutes: team.substitutes.map(toLineupPlayer),
+        })),
+        bench: game.bench.map(toLineupPlayer),
+    };
 
-        // Initialize match counts for all teams
-        teams.forEach(team => {
-            const letter = getTeamLetter(team);
-            teamMatchCounts[letter] = 0;
+    if (game.oddPlayerMode === "sit-out" && game.bench.length > 0) {
+        const { rosters, waiting } = rotatePlayers(
+            teams.map((team) => team.players.map(toLineupPlayer)),
+            game.bench.map(toLineupPlayer),
+            playCounts,
+            getPlayerKey
+        );
+        teams.forEach((team, index) => {
+            team.players = rosters[index];
+        });
+        game.bench = waiting;
+    } else if (game.oddPlayerMode === "substitute") {
+        teams.filter((team) => team.substitutes.length > 0).forEach((team) => {
+            const { rosters, waiting } = rotatePlayers(
+                [team.players.map(toLineupPlayer)],
+                team.substitutes.map(toLineupPlayer),
+                playCounts,
+                getPlayerKey
+            );
+            team.players = rosters[0];
+            team.substitutes = waiting;
         });
+    }
 
-        // Helper function to find next best match (avoids consecutive play, balances match distribution)
-        const findNextMatch = (remainingPairs) => {
-            if (remainingPairs.length === 0) return null;
+    const [lineupA, lineupB] = teams.map((team) => team.players.map(toLineupPlayer));
+    [...lineupA, ...lineupB].forEach((player) => {
+        const key = getPlayerKey(player);
+        if (key) playCounts.set(key, (playCounts.get(key) || 0) + 1);
+    });
+    return { A: lineupA, B: lineupB, before };
+};
 
-            // If this is the first match, pick any
-            if (scheduledMatches.length === 0) {
-                return remainingPairs[0];
-            }
+// Helper: Put the team lineups and bench back to a rotation saved by takeMatchLineups
+const restoreRotation = (game, rotation) => {
+    rotation.teams.forEach((saved) => {
+        const team = game.teams.find((t) => t.letter === saved.letter);
+        if (!team) return;
+        team.players = saved.players.map(toLineupPlayer);
+        team.substitutes = saved.substitutes.map(toLineupPlayer);
+    });
+    game.bench = rotation.bench.map(toLineupPlayer);
+};
 
-            // Get teams that played in the last match (to avoid consecutive play)
-            const lastMatch = scheduledMatches[scheduledMatches.length - 1];
-            const lastTeamA = getTeamLetter(lastMatch.teamA);
-            const lastTeamB = getTeamLetter(lastMatch.teamB);
-            const lastTeams = new Set([lastTeamA, lastTeamB]);
+// Helper: Credit a match win to the winning team(s): +1 win, +2 team points, +1 point per player
+const creditMatchWin = async (game, match) => {
+    const winnerLetter = match.winner === "A" ? match.teamA.letter : match.teamB.letter;
+    for (const team of getTeamEntries(game, winnerLetter)) {
+        team.wins = (team.wins || 0) + 1;
+        team.totalPoints = (team.totalPoints || 0) + 2; // +2 points for match win
+    }
 
-            // Filter out matches involving teams that just played (give them rest)
-            const availableMatches = remainingPairs.filter(pair => {
-                const teamA = getTeamLetter(pair.teamA);
-                const teamB = getTeamLetter(pair.teamB);
-                return !lastTeams.has(teamA) && !lastTeams.has(teamB);
-            });
+    // Add +1 individual point to each player who played for the winning side
+    await awardMatchWinPoints(getWinningPlayers(match), { gameId: game._id, matchId: match._id });
+};
 
-            // If no matches avoid last teams, use all remaining (will happen at end)
-            const candidates = availableMatches.length > 0 ? availableMatches : remainingPairs;
+// Helper: Undo a finished match's effect on team standings and player points
+const revertMatchOutcome = async (game, match) => {
+    if (match.status !== "finished" || !match.winner) return;
 
-            // Sort by total matches played by both teams (ascending) - prioritize teams that have played fewer matches
-            candidates.sort((a, b) => {
-                const aTeamA = getTeamLetter(a.teamA);
-                const aTeamB = getTeamLetter(a.teamB);
-                const bTeamA = getTeamLetter(b.teamA);
-                const bTeamB = getTeamLetter(b.teamB);
+    const winnerLetter = match.winner === "A" ? match.teamA.letter : match.teamB.letter;
+    for (const team of getTeamEntries(game, winnerLetter)) {
+        team.wins = (team.wins || 0) - 1;
+        team.totalPoints = (team.totalPoints || 0) - 2; // Reverse the +2 points for match win
+    }
+    await revokeMatchWinPoints(getWinningPlayers(match), { gameId: game._id, matchId: match._id });
+    await revertMatchRatings(match);
+};
 
-                const aTotal = (teamMatchCounts[aTeamA] || 0) + (teamMatchCounts[aTeamB] || 0);
-                const bTotal = (teamMatchCounts[bTeamA] || 0) + (teamMatchCounts[bTeamB] || 0);
-                return aTotal - bTotal;
-            });
+// Helper: Clear medals so calculateWinners can be run again
+const resetGameMedals = (game) => {
+    game.championTeam = null;
+    game.medals = {
+        gold: { team: null, players: [] },
+        silver: { team: null, players: [] },
+        bronze: { team: null, players: [] }
+    };
+    game.teams.forEach((team) => {
+        team.medal = null;
+    });
+};
 
-            return candidates[0];
-        };
+// Helper: Build the standings table for formats that rank by table instead of a final
+const buildStandings = (game) => {
+    if (game.type === "round-robin") return buildRoundRobinStandings(game.teams, game.matches, game.tiebreakers);
+    if (game.type === "mixer") return buildMixerStandings(game.teams, game.matches);
+    if (game.type === "swiss") return buildSwissStandings(game.teams, game.matches);
+    if (game.type === "pools-to-knockout") return buildPoolStandings(game.teams, game.matches, game.tiebreakers);
+    return null;
+};
 
-        // Schedule matches one by one with balanced distribution
-        const remaining = [...allMatchPairs];
-        while (remaining.length > 0) {
-            const nextMatch = findNextMatch(remaining);
-            if (!nextMatch) break;
+// Helper: Give gold, silver and bronze to the top three rows of a standings table
+const assignMedalsFromStandings = (game, standings) => {
+    ["gold", "silver", "bronze"].forEach((medal, index) => {
+        const row = standings[index];
+        const team = row && game.teams.find((t) => t.letter === row.letter);
+        if (!team) return;
+        team.medal = medal;
+        game.medals[medal].team = team.letter;
+        game.medals[medal].players = getMedalRoster(game, team)
+            .filter((p) => p.userId)
+            .map((p) => p.userId);
+    });
+};
 
-            const teamALetter = getTeamLetter(nextMatch.teamA);
-            const teamBLetter = getTeamLetter(nextMatch.teamB);
+// Helper: Order round robin pairings so no team plays two matches in a row
+// and teams that have played fewer matches go first
+const scheduleBalancedMatches = (teams, allMatchPairs, roundNumber) => {
+    const scheduledMatches = [];
+    const teamMatchCounts = {}; // Track how many matches each team has played
 
-            scheduledMatches.push({
-                roundNumber,
-                matchNumber: scheduledMatches.length + 1,
-                teamA: nextMatch.teamA,
-                teamB: nextMatch.teamB,
-            });
+    // Helper to get team letter
+    const getTeamLetter = (team) => team?.letter || team;
 
-            // Update match counts for tracking
-            teamMatchCounts[teamALetter] = (teamMatchCounts[teamALetter] || 0) + 1;
-            teamMatchCounts[teamBLetter] = (teamMatchCounts[teamBLetter] || 0) + 1;
+    // Initialize match counts for all teams
+    teams.forEach(team => {
+        const letter = getTeamLetter(team);
+        teamMatchCounts[letter] = 0;
+    });
 
-            // Remove from remaining pairs
-            const index = remaining.findIndex(p =>
-                (p.teamA === nextMatch.teamA && p.teamB === nextMatch.teamB) ||
-                (p.teamA === nextMatch.teamB && p.teamB === nextMatch.teamA)
-            );
-            if (index !== -1) {
-                remaining.splice(index, 1);
-            }
+    // Helper function to find next best match (avoids consecutive play, balances match distribution)
+    const findNextMatch = (remainingPairs) => {
+        // If this is the first match, pick any
+        if (scheduledMatches.length === 0) {
+            return remainingPairs[0] || null;
         }
 
-        matches.push(...scheduledMatches);
-        console.log('🎮 [Backend] Round Robin - Balanced match schedule (teams get rest):', scheduledMatches.map(m => ({
-            match: m.matchNumber,
-            teamA: getTeamLetter(m.teamA),
-            teamB: getTeamLetter(m.teamB),
-        })));
-    } else if (gameType === "quick-knockout") {
-        // Quick Knockout: Sequential pairing
-        for (let i = 0; i < teams.length; i += 2) {
-            if (i + 1 < teams.length) {
-                matches.push({
-                    roundNumber,
-                    matchNumber: matches.length + 1,
+        // Teams that played in the last match get rest
+        const lastMatch = scheduledMatches[scheduledMatches.length - 1];
+        const lastTeams = new Set([getTeamLetter(lastMatch.teamA), getTeamLetter(lastMatch.teamB)]);
+
+        return pickRestedMatch(remainingPairs, lastTeams, teamMatchCounts);
+    };
+
+    // Schedule matches one by one with balanced distribution
+    const remaining = [...allMatchPairs];
+    while (remaining.length > 0) {
+        const nextMatch = findNextMatch(remaining);
+        if (!nextMatch) break;
+
+        const teamALetter = getTeamLetter(nextMatch.teamA);
+        const teamBLetter = getTeamLetter(nextMatch.teamB);
+
+        scheduledMatches.push({
+            roundNumber,
+            matchNumber: scheduledMatches.length + 1,
+            teamA: nextMatch.teamA,
+            teamB: nextMatch.teamB,
+        });
+
+        // Update match counts for tracking
+        teamMatchCounts[teamALetter] = (teamMatchCounts[teamALetter] || 0) + 1;
+        teamMatchCounts[teamBLetter] = (teamMatchCounts[teamBLetter] || 0) + 1;
+
+        // Remove from remaining pairs
+        const index = remaining.findIndex(p =>
+            (p.teamA === nextMatch.teamA && p.teamB === nextMatch.teamB) ||
+            (p.teamA === nextMatch.teamB && p.teamB === nextMatch.teamA)
+        );
+        if (index !== -1) {
+            remaining.splice(index, 1);
+        }
+    }
+
+    return scheduledMatches;
+};
+
+// Helper: Generate match schedule based on game format
+const generateMatches = (teams, gameType, roundNumber = 1) => {
+    const matches = [];
+
+    if (gameType === "round-robin") {
+        // Round Robin: Every team plays every other team
+        // Use balanced scheduling to ensure teams get rest between matches
+        const allMatchPairs = [];
+        for (let i = 0; i < teams.length; i++) {
+            for (let j = i + 1; j < teams.length; j++) {
+                allMatchPairs.push({
                     teamA: teams[i],
-                    teamB: teams[i + 1],
+                    teamB: teams[j],
                 });
             }
         }
+
+        // Balanced scheduling: Distribute matches so no team plays consecutively
+        const scheduledMatches = scheduleBalancedMatches(teams, allMatchPairs, roundNumber);
+
+        matches.push(...scheduledMatches);
+    } else if (gameType === "quick-knockout") {
+        // Quick Knockout: Seeded single-elimination bracket
+        // Teams arrive sorted by seed, top seeds get byes when the count is not a power of two
+        matches.push(...generateSeededKnockoutRound(teams, roundNumber));
+    } else if (gameType === "double-elimination") {
+        // Double Elimination: every team starts in the winners bracket, paired by seed
+        matches.push(...generateDoubleEliminationRound(teams, [], roundNumber));
+    } else if (gameType === "pools-to-knockout") {
+        // Pools to Knockout: round robin inside each pool, all pools share the balanced schedule
+        const scheduledMatches = scheduleBalancedMatches(teams, getPoolMatchPairs(teams), roundNumber);
+        matches.push(...scheduledMatches.map((m) => ({ ...m, pool: m.teamA.pool })));
+    } else if (gameType === "swiss") {
+        // Swiss: seeded top half vs bottom half, later rounds pair teams with equal records
+        matches.push(...generateSwissRound(teams, [], roundNumber));
+    } else if (gameType === "mixer") {
+        // Mixer: every team is one player, doubles partners are drawn fresh each round
+        matches.push(...generateMixerRound(teams, [], roundNumber));
     } else if (gameType === "one-vs-one") {
         // 1 vs 1: Single match between two players (2 teams of 1 player each)
         if (teams.length === 2) {
@@ -199,15 +566,6 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
     );
 
     if (gameType === "pickle") {
-        console.log('🎮 [Backend] generateNextRoundMatches - Pickle Format');
-        console.log('🎮 [Backend] Completed Round:', completedRound);
-        console.log('🎮 [Backend] Round Matches:', roundMatches.map(m => ({
-            round: m.roundNumber,
-            match: m.matchNumber,
-            teamA: m.teamA?.letter,
-            teamB: m.teamB?.letter,
-            winner: m.winner,
-        })));
         // Pickle Format bracket progression
         if (completedRound === 1) {
             // Round 2: Create winners and losers brackets
@@ -252,16 +610,8 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
                 }
             });
 
-            console.log('🎮 [Backend] Round 1 Results:', {
-                winners: winners.map(w => w.letter),
-                losers: losers.map(l => l.letter),
-                teamsThatPlayed: Array.from(teamsThatPlayed),
-                allGameTeams: game.teams.map(t => t.letter),
-            });
-
             // Find teams that got a bye (didn't play in Round 1)
             const teamsWithBye = game.teams.filter((team) => !teamsThatPlayed.has(team.letter));
-            console.log('🎮 [Backend] Teams with bye:', teamsWithBye.map(t => t.letter));
 
             // For Pickle Format with bye teams (e.g., 3 teams):
             // - Winners bracket: Winner plays against bye team
@@ -454,8 +804,34 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
                 });
             }
         }
+    } else if (gameType === "pools-to-knockout") {
+        // Pools to Knockout: once the pool stage (Round 1) is done, the top teams of each pool
+        // are seeded into the playoff bracket, which then runs like a seeded Quick Knockout
+        if (completedRound === 1) {
+            matches.push(...generatePlayoffRound(game.teams, allMatches, game.advancePerPool, nextRoundNumber, game.tiebreakers));
+        } else {
+            matches.push(...generateSeededKnockoutNextRound(roundMatches, nextRoundNumber));
+        }
+    } else if (gameType === "swiss") {
+        // Swiss: keep pairing equal records (no rematches) until the configured number of rounds
+        if (completedRound < (game.totalRounds || getDefaultSwissRounds(game.teams.length))) {
+            matches.push(...generateSwissRound(game.teams, allMatches, nextRoundNumber));
+        }
+    } else if (gameType === "mixer") {
+        // Mixer: new partners every round until the configured number of rounds is played
+        if (completedRound < (game.totalRounds || getDefaultMixerRounds(game.teams.length))) {
+            matches.push(...generateMixerRound(game.teams, allMatches, nextRoundNumber));
+        }
+    } else if (gameType === "double-elimination") {
+        // Double Elimination: winners/losers brackets run side by side until the grand final
+        matches.push(...generateDoubleEliminationRound(game.teams, allMatches, nextRoundNumber, {
+            bracketReset: game.bracketReset,
+        }));
+    } else if (gameType === "quick-knockout" && game.bracketSize) {
+        // Seeded Quick Knockout: winners advance through the bracket, semifinal losers play for bronze
+        matches.push(...generateSeededKnockoutNextRound(roundMatches, nextRoundNumber));
     } else if (gameType === "quick-knockout") {
-        // Quick Knockout bracket progression
+        // Quick Knockout bracket progression (legacy games created before seeding)
         if (completedRound === 1) {
             // Round 2: Smart seeding based on score differences
             // Team with huge score difference goes directly to finals
@@ -508,17 +884,6 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
             // Find teams that got byes in Round 1 (didn't play)
             const teamsWithBye = game.teams.filter((team) => !teamsThatPlayed.has(team.letter));
 
-            console.log('🎮 [Backend] Quick Knockout Round 1 Results:', {
-                matchResults: matchResults.map(m => ({
-                    winner: m.winner.letter,
-                    loser: m.loser.letter,
-                    scoreDiff: m.scoreDifference,
-                    score: `${m.winnerScore}-${m.loserScore}`,
-                })),
-                teamsWithBye: teamsWithBye.map(t => t.letter),
-                teamsThatPlayed: Array.from(teamsThatPlayed),
-            });
-
             // If there's a bye team (odd number of teams), use smart seeding
             if (teamsWithBye.length > 0 && matchResults.length >= 2) {
                 // Sort matches by score difference (largest first = dominant wins)
@@ -528,14 +893,6 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
                 const closeWinner = matchResults[1].winner; // Smaller score difference → plays with bye
                 const byeTeam = teamsWithBye[0];
 
-                console.log('🎮 [Backend] Smart Seeding Applied:', {
-                    dominantWinner: dominantWinner.letter,
-                    dominantScoreDiff: matchResults[0].scoreDifference,
-                    closeWinner: closeWinner.letter,
-                    closeScoreDiff: matchResults[1].scoreDifference,
-                    byeTeam: byeTeam.letter,
-                });
-
                 // Round 2: Close winner plays with bye team
                 matches.push({
                     roundNumber: nextRoundNumber,
@@ -639,18 +996,8 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
                 if (round1Results.length === 1) {
                     // 3 teams case: single winner goes to finals
                     dominantWinner = round1Results[0].winner;
-                    console.log('🎮 [Backend] 3 teams case - winner goes to finals:', {
-                        dominantWinner: dominantWinner.letter,
-                        scoreDifference: round1Results[0].scoreDifference,
-                    });
                 } else if (round1Results.length >= 2 && round1Results[0].scoreDifference > round1Results[1].scoreDifference) {
                     dominantWinner = round1Results[0].winner;
-                    console.log('🎮 [Backend] Dominant winner found for Round 3:', {
-                        dominantWinner: dominantWinner.letter,
-                        scoreDifference: round1Results[0].scoreDifference,
-                        otherWinner: round1Results[1].winner.letter,
-                        otherScoreDifference: round1Results[1].scoreDifference,
-                    });
                 }
             }
 
@@ -701,11 +1048,6 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
             if (dominantWinner) {
                 // Ensure dominant winner is first in the array
                 finalWinners.unshift(dominantWinner);
-                console.log('🎮 [Backend] Adding dominant winner to finals:', {
-                    dominantWinner: dominantWinner.letter,
-                    semifinalWinner: finalWinners.length > 1 ? finalWinners[1]?.letter : 'none',
-                    totalFinalWinners: finalWinners.length,
-                });
             }
 
             // Bronze Match
@@ -797,198 +1139,1601 @@ const generateNextRoundMatches = async (game, completedRound, allMatches) => {
         }
     }
 
-    console.log('🎮 [Backend] generateNextRoundMatches returning:', {
+    console.log('🎮 [Backend] Next round generated:', {
         gameType,
         completedRound,
-        nextRound: completedRound + 1,
         matchCount: matches.length,
-        matches: matches.map(m => ({
-            round: m.roundNumber,
-            match: m.matchNumber,
-            teamA: m.teamA?.letter,
-            teamB: m.teamB?.letter,
-            bracketType: m.bracketType,
-            isBye: m.isBye,
-        })),
     });
     return matches;
 };
 
-// CREATE - Create a new game
-const createGame = async (req, res) => {
-    try {
-        const { roomId, gameType, teams } = req.body;
-        const userId = req.user._id;
-        console.log('🎮 [Backend] createGame called:', {
-            roomId,
-            gameType,
-            teamCount: teams?.length || 0,
-            userId: userId.toString(),
-        });
+// Helper: Advance a game after a result changes
+// Creates the next round once every match in the current round is finished (including
+// auto-completed bye matches) and marks the game completed when there is nothing left to play
+const advanceGameProgress = async (game) => {
+    const wasCompleted = game.status === "completed";
+
+    // Check if all matches in current round are finished
+    const allMatches = await Match.find({ gameId: game._id }).sort({ roundNumber: 1, matchNumber: 1 });
+    const currentRoundMatches = allMatches.filter((m) => m.roundNumber === game.currentRound);
+    const allFinished = currentRoundMatches.every((m) => m.status === "finished");
+
+    // If round is complete and not round-robin, create next round
+    let nextRoundCreated = false;
+    let newMatches = [];
+
+    if (allFinished && game.type !== "round-robin") {
+        // Generate next round matches
+        newMatches = await generateNextRoundMatches(game, game.currentRound, allMatches);
+
+        if (newMatches.length > 0) {
+            // Create new matches
+            const createdMatchIds = [];
+            const playCounts = countPlayedMatches(allMatches, getPlayerKey);
+            for (const matchData of newMatches) {
+                // Handle bye matches - create match where team automatically wins
+                if (matchData.isBye) {
+                    const teamData = game.teams.find((t) => t.letter === matchData.teamA.letter);
+                    if (!teamData) {
+                        console.error("Team not found for bye match");
+                        continue;
+                    }
 
-        // Validate required fields
-        if (!roomId || !gameType || !teams) {
-            return res.status(400).json({
-                success: false,
-                message: "Room ID, game type, and teams are required",
-            });
-        }
+                    // Create bye match where team automatically wins (plays against BYE)
+                    const byeTeamB = matchData.teamB && matchData.teamB.letter === "BYE"
+                        ? matchData.teamB
+                        : createByeTeam(teamData);
 
-        // Validate game type
-        const validGameTypes = ["pickle", "round-robin", "quick-knockout", "one-vs-one", "two-vs-two"];
-        if (!validGameTypes.includes(gameType)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid game type. Must be: pickle, round-robin, quick-knockout, one-vs-one, or two-vs-two",
-            });
-        }
+                    const byeMatch = new Match({
+                        gameId: game._id,
+                        roundNumber: matchData.roundNumber,
+                        matchNumber: matchData.matchNumber,
+                        teamA: {
+                            letter: teamData.letter,
+                            players: teamData.players.map((p) => ({
+                                userId: p.userId || null,
+                                name: p.name,
+                                mobile: p.mobile || null,
+                            })),
+                            points: teamData.totalPoints || 0,
+                        },
+                        teamB: {
+                            letter: byeTeamB.letter,
+                            players: byeTeamB.players.map((p) => ({
+                                userId: p.userId || null,
+                                name: p.name || "Bye",
+                                mobile: p.mobile || null,
+                            })),
+                            points: byeTeamB.points || 0,
+                        },
+                        scoreA: 21,
+                        scoreB: 0,
+                        winner: "A",
+                        status: "finished",
+                        bracketType: matchData.bracketType || null,
+                        isBye: true,
+                    });
 
-        // Validate teams
-        if (!Array.isArray(teams) || teams.length < 2) {
-            return res.status(400).json({
-                success: false,
-                message: "At least 2 teams are required",
-            });
-        }
+                    await byeMatch.save();
+                    createdMatchIds.push(byeMatch._id);
 
-        // Verify room exists and user has access
-        const room = await Room.findById(roomId);
-        if (!room) {
-            return res.status(404).json({
-                success: false,
-                message: "Room not found",
-            });
-        }
+                    // Update team wins and points
+                    teamData.wins = (teamData.wins || 0) + 1;
+                    teamData.totalPoints = (teamData.totalPoints || 0) + 2; // +2 points for match win (bye match)
 
-        // Check if user is room creator or member
-        const isCreator = room.createdBy.toString() === userId.toString();
-        const isMember = room.members.some(
-            (memberId) => memberId.toString() === userId.toString()
-        );
+                    // Add +1 individual point to each player on the winning team (bye match)
+                    await awardMatchWinPoints(teamData.players, { gameId: game._id, matchId: byeMatch._id });
 
-        if (!isCreator && !isMember) {
-            return res.status(403).json({
-                success: false,
-                message: "You don't have permission to create games in this room",
-            });
-        }
+                    await game.save();
+                    continue;
+                }
 
-        // Check if there's already an active game for this room
-        const existingActiveGame = await Game.findOne({
-            roomId: roomId,
-            status: { $in: ['pending', 'live'] }
-        });
+                // Find team data from game.teams
+                const teamAData = resolveMatchTeam(game, matchData.teamA.letter);
+                // Handle BYE team - if teamB is BYE, use the BYE team object directly
+                const isByeTeam = matchData.teamB && matchData.teamB.letter === "BYE";
+                const teamBData = matchData.teamB && !isByeTeam
+                    ? resolveMatchTeam(game, matchData.teamB.letter)
+                    : (isByeTeam ? matchData.teamB : null);
 
-        if (existingActiveGame) {
-            return res.status(400).json({
-                success: false,
-                message: "There is already an active game in this room. Please complete or cancel it before creating a new one.",
-                existingGameId: existingActiveGame._id,
-            });
-        }
+                if (!teamAData || (matchData.teamB && !isByeTeam && !teamBData)) {
+                    console.error("Team not found for match generation", {
+                        teamA: matchData.teamA?.letter,
+                        teamB: matchData.teamB?.letter,
+                        isByeTeam
+                    });
+                    continue;
+                }
 
-        // Generate matches for Round 1
-        const round1Matches = generateMatches(teams, gameType, 1);
-        console.log('🎮 [Backend] Generated Round 1 matches:', round1Matches.length);
+                // Sit-out and substitute modes: rested players rotate in before the match
+                const lineups = isRotatingMode(game.oddPlayerMode) && teamBData && !isByeTeam
+                    ? takeMatchLineups(game, teamAData.letter, teamBData.letter, playCounts)
+                    : null;
+
+                const newMatch = new Match({
+                    gameId: game._id,
+                    roundNumber: matchData.roundNumber,
+                    matchNumber: matchData.matchNumber,
+                    teamA: {
+                        letter: teamAData.letter,
+                        players: (lineups?.A || teamAData.players).map((p) => ({
+                            userId: p.userId || null,
+                            name: p.name,
+                            mobile: p.mobile || null,
+                        })),
+                        points: teamAData.totalPoints || 0,
+                    },
+                    teamB: teamBData
+                        ? {
+                            letter: teamBData.letter,
+                            players: isByeTeam
+                                ? (teamBData.players || [])
+                                : (lineups?.B || teamBData.players).map((p) => ({
+                                    userId: p.userId || null,
+                                    name: p.name,
+                                    mobile: p.mobile || null,
+                                })),
+                            points: teamBData.points || teamBData.totalPoints || 0,
+                        }
+                        : null,
+                    status: "pending",
+                    bracketType: matchData.bracketType || null,
+                    isBye: matchData.isBye || false,
+                    rotationBefore: lineups?.before || null,
+                });
 
-        // Create game with initialized medals object
-        const game = new Game({
-            roomId,
-            createdBy: userId,
-            type: gameType,
-            teams: teams,
-            status: "pending",
-            currentRound: 1,
-            medals: {
-                gold: { team: null, players: [] },
-                silver: { team: null, players: [] },
-                bronze: { team: null, players: [] }
+                await newMatch.save();
+                createdMatchIds.push(newMatch._id);
             }
-        });
 
-        await game.save();
-        console.log('🎮 [Backend] Game created:', {
-            gameId: game._id.toString(),
-            gameType: game.type,
-            currentRound: game.currentRound,
-        });
+            // Update game with new matches and increment round
+            if (createdMatchIds.length > 0) {
+                game.matches = [...game.matches, ...createdMatchIds];
+                game.currentRound = newMatches[0].roundNumber;
+                await game.save();
+                nextRoundCreated = true;
 
-        // Create matches
-        const createdMatches = [];
-        for (const matchData of round1Matches) {
-            const match = new Match({
-                gameId: game._id,
-                roundNumber: matchData.roundNumber,
-                matchNumber: matchData.matchNumber,
-                teamA: {
-                    letter: matchData.teamA.letter,
-                    players: matchData.teamA.players.map((p) => ({
-                        userId: p.userId || null,
-                        name: p.name,
-                        mobile: p.mobile || null,
-                    })),
-                    points: matchData.teamA.totalPoints || 0,
-                },
-                teamB: {
-                    letter: matchData.teamB.letter,
-                    players: matchData.teamB.players.map((p) => ({
-                        userId: p.userId || null,
-                        name: p.name,
-                        mobile: p.mobile || null,
-                    })),
-                    points: matchData.teamB.totalPoints || 0,
+                // Reload matches
+                const updatedMatches = await Match.find({ gameId: game._id }).sort({
+                    roundNumber: 1,
+                    matchNumber: 1,
+                });
+                // Convert createdMatchIds to strings for comparison
+                const createdMatchIdStrings = createdMatchIds.map(id => id.toString());
+                // Filter to get only the newly created matches
+                const newMatchesArray = [];
+                for (const match of updatedMatches) {
+                    const matchIdStr = match._id.toString();
+                    if (createdMatchIdStrings.includes(matchIdStr)) {
+                        newMatchesArray.push(match);
+                    }
+                }
+                newMatches = newMatchesArray;
+
+                // Check if all Round 2 matches are already finished (all bye matches)
+                // If so, try to generate Round 3. If Round 3 can't be generated, complete the game.
+                if (game.type === "quick-knockout" && !game.bracketSize && game.currentRound === 2) {
+                    const round2Matches = updatedMatches.filter(m => m.roundNumber === 2);
+                    const allRound2Finished = round2Matches.length > 0 && round2Matches.every(m => m.status === "finished");
+
+                    if (allRound2Finished) {
+                        // Try to generate Round 3
+                        const round3Matches = await generateNextRoundMatches(game, 2, updatedMatches);
+                        if (round3Matches.length === 0) {
+                            game.status = "completed";
+                            await game.save();
+                        }
+                    }
+                }
+            } else {
+                // No more rounds, game is complete
+                game.status = "completed";
+                await game.save();
+            }
+        } else {
+            // No more rounds to generate, game is complete
+            game.status = "completed";
+            await game.save();
+        }
+    } else if (allFinished && game.type === "round-robin") {
+        // Round Robin is complete after all matches finish
+        game.status = "completed";
+        await game.save();
+    }
+
+    // A freed court or a new round puts the next matches on court
+    const courtMatches = await fillCourts(game);
+    if (nextRoundCreated) {
+        newMatches = newMatches.map((m) =>
+            courtMatches.find((c) => c._id.toString() === m._id?.toString()) || m
+        );
+    }
+
+    if (nextRoundCreated) {
+        emitGameEvent(game, "round:created", {
+            roundNumber: game.currentRound,
+            matches: newMatches,
+        });
+    }
+    if (!wasCompleted && game.status === "completed") {
+        emitGameEvent(game, "game:completed");
+    }
+
+    return { allFinished, nextRoundCreated, newMatches };
+};
+
+// Helper: Load a game with its matches, creator and room for a response
+const loadGameForResponse = (gameId) => Game.findById(gameId)
+    .populate("matches")
+    .populate("createdBy", "username displayName")
+    .populate("roomId", "name code");
+
+// Helper: Save a validated result on a match, credit the winner and advance the game
+// Shared by final score submission and live scoring once the last rally is played
+// The match is claimed with a conditional update first so a result is only ever applied once -
+// returns { alreadyFinished: true } when another request finished the match in the meantime
+const finalizeMatchResult = async (game, match, result, { idempotencyKey = null } = {}) => {
+    const claim = await Match.updateOne(
+        { _id: match._id, status: { $in: ["pending", "live"] } },
+        { $set: { status: "finished", resultIdempotencyKey: idempotencyKey } }
+    );
+    if (claim.modifiedCount === 0) {
+        return { alreadyFinished: true };
+    }
+
+    match.games = result.games;
+    match.scoreA = result.scoreA;
+    match.scoreB = result.scoreB;
+    match.winner = result.winner;
+    match.status = "finished";
+    match.resultIdempotencyKey = idempotencyKey;
+    await match.save();
+
+    // Update team wins and points
+    await creditMatchWin(game, match);
+    await applyMatchRatings(game, match);
+
+    await game.save();
+    emitGameEvent(game, "match:updated", { match });
+
+    const { allFinished, nextRoundCreated, newMatches } = await advanceGameProgress(game);
+
+    // Reload game with updated matches
+    const updatedGame = await loadGameForResponse(game._id);
+
+    return { alreadyFinished: false, updatedGame, allFinished, nextRoundCreated, newMatches };
+};
+
+// Helper: Derive the live score of a match by replaying its recorded rallies
+// Games created before scoring rules existed are scored live with the default rules
+const getLiveScore = (game, match) => replayRallies(
+    game.scoringRules || DEFAULT_SCORING_RULES,
+    match.events,
+    {
+        firstServer: match.firstServer || "A",
+        doubles: match.teamA.players.length > 1 || match.teamB.players.length > 1,
+    }
+);
+
+// Helper: Check whether a user created or joined a room
+const isRoomMember = (room, userId) => Boolean(room) && (
+    room.createdBy.toString() === userId.toString() ||
+    room.members.some((memberId) => memberId.toString() === userId.toString())
+);
+
+// Helper: Put pending matches of the current round on every free court
+// Only for games played on more than one court; returns the matches sent on court
+const fillCourts = async (game) => {
+    if (!(game.courts > 1) || game.status !== "live") return [];
+
+    const roundMatches = await Match.find({ gameId: game._id, roundNumber: game.currentRound });
+    const assignments = planCourtAssignments(roundMatches, game.courts);
+
+    for (const { match, court } of assignments) {
+        match.court = court;
+        match.status = "live";
+        await match.save();
+        console.log('🏟️ [Backend] Match sent on court:', {
+            matchId: match._id.toString(),
+            court,
+            teamA: match.teamA?.letter,
+            teamB: match.teamB?.letter,
+        });
+        emitGameEvent(game, "match:updated", { match });
+    }
+
+    return assignments.map(({ match }) => match);
+};
+
+// Helper: Whether a match of a multi-court game is still waiting for a free court
+const isWaitingForCourt = (game, match) => game.courts > 1 && match.status === "pending" && !match.isBye;
+
+// Helper: Sort teams into seed order for bracket formats
+// Seeds by the combined individual points of registered players, then team totalPoints,
+// then the order the teams were submitted in
+const seedTeams = async (teams) => {
+    const userIds = teams.flatMap((team) =>
+        (team.players || []).filter((p) => p.userId).map((p) => p.userId)
+    );
+    const users = await User.find({ _id: { $in: userIds } }).select("individualPoints");
+    const pointsByUser = new Map(users.map((u) => [u._id.toString(), u.individualPoints || 0]));
+
+    const ranked = teams.map((team, index) => ({
+        team,
+        index,
+        rating: (team.players || []).reduce(
+            (sum, p) => sum + (p.userId ? pointsByUser.get(p.userId.toString()) || 0 : 0),
+            0
+        ),
+    }));
+
+    ranked.sort((a, b) =>
+        b.rating - a.rating ||
+        (b.team.totalPoints || 0) - (a.team.totalPoints || 0) ||
+        a.index - b.index
+    );
+
+    return ranked.map(({ team }, index) => ({ ...team, seed: index + 1 }));
+};
+
+// Helper: Starting points of each team - the combined individual points of its registered players
+const applyStartingPoints = async (teams) => {
+    const userIds = teams.flatMap((team) => team.players.filter((p) => p.userId).map((p) => p.userId));
+    const users = await User.find({ _id: { $in: userIds } }).select("individualPoints");
+    const pointsByUser = new Map(users.map((u) => [u._id.toString(), u.individualPoints || 0]));
+
+    return teams.map((team) => ({
+        ...team,
+        totalPoints: team.players.reduce(
+            (sum, p) => sum + (p.userId ? pointsByUser.get(p.userId.toString()) || 0 : 0),
+            0
+        ),
+    }));
+};
+
+// Helper: Identity of a player across games - user id, else mobile, else name
+const getPlayerKey = (player) => {
+    if (player.userId) return `user:${(player.userId._id || player.userId).toString()}`;
+    if (player.mobile) return `mobile:${normalizeMobile(player.mobile)}`;
+    return player.name ? `name:${player.name.trim().toLowerCase()}` : null;
+};
+
+// Helper: Strength of each player for team balancing - their rating, or the default for new players
+const loadPlayerStrengths = async (players) => {
+    const userIds = players.filter((p) => p.userId).map((p) => p.userId);
+    const mobiles = players.filter((p) => !p.userId && p.mobile).map((p) => normalizeMobile(p.mobile));
+
+    const users = await User.find({ _id: { $in: userIds } }).select("rating");
+    const unregisteredPlayers = await UnregisteredPlayer.find({
+        mobile: { $in: mobiles },
+        linkedToUserId: null
+    }).select("mobile rating");
+
+    const ratings = new Map([
+        ...users.map((u) => [`user:${u._id.toString()}`, u.rating]),
+        ...unregisteredPlayers.map((u) => [`mobile:${u.mobile}`, u.rating]),
+    ]);
+
+    return players.map((player) => ({
+        ...player,
+        key: getPlayerKey(player),
+        strength: Math.round(ratings.get(getPlayerKey(player))?.value ?? DEFAULT_RATING),
+    }));
+};
+
+// CREATE - Generate teams for a new game
+// Balanced mode evens out team strength by rating and splits up recent partners,
+// random mode shuffles. Teams are only suggested here - createGame stores them.
+const generateTeams = async (req, res) => {
+    try {
+        const {
+            roomId,
+            gameType = "pickle",
+            players,
+            mode = "balanced",
+            avoidRecentPartners = true,
+            oddPlayerMode = DEFAULT_ODD_PLAYER_MODE,
+        } = req.body;
+        const userId = req.user._id;
+
+        if (!roomId || !Array.isArray(players)) {
+            return res.status(400).json({
+                success: false,
+                message: "Room ID and players are required",
+            });
+        }
+
+        if (!TEAM_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Mode must be one of: ${TEAM_MODES.join(", ")}`,
+            });
+        }
+
+        if (!ODD_PLAYER_MODES.includes(oddPlayerMode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Odd player mode must be one of: ${ODD_PLAYER_MODES.join(", ")}`,
+            });
+        }
+
+        if (players.some((p) => !p || !p.name)) {
+            return res.status(400).json({
+                success: false,
+                message: "Every player needs a name",
+            });
+        }
+
+        const room = await Room.findById(roomId);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        if (!isRoomMember(room, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You don't have permission to create games in this room",
+            });
+        }
+
+        // Player count each format needs
+        const requiredCounts = { "one-vs-one": 2, "two-vs-two": 4 };
+        if (requiredCounts[gameType] && players.length !== requiredCounts[gameType]) {
+            return res.status(400).json({
+                success: false,
+                message: `${gameType === "one-vs-one" ? "1 vs 1" : "2 vs 2"} format requires exactly ${requiredCounts[gameType]} players`,
+            });
+        }
+        if (players.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: "You need at least 2 players to create teams",
+            });
+        }
+
+        const ratedPlayers = await loadPlayerStrengths(players.map((p) => ({
+            userId: p.userId || null,
+            name: p.name,
+            mobile: p.mobile || null,
+        })));
+
+        // Partnerships from the room's latest games
+        const recentGames = avoidRecentPartners
+            ? await Game.find({ roomId, status: { $in: ["live", "completed"] } })
+                .sort({ createdAt: -1 })
+                .limit(RECENT_PARTNER_GAMES)
+                .select("teams")
+            : [];
+        const partnerCounts = countRecentPartners(recentGames, getPlayerKey);
+
+        let teamPlayers;
+        let substitutesByTeam = new Map();
+        let bench = [];
+        if (gameType === "one-vs-one" || gameType === "mixer") {
+            // Singles and Mixer: every player is their own team (Mixer draws partners each round)
+            teamPlayers = ratedPlayers.map((player) => [player]);
+        } else {
+            // A random player is the odd one out
+            const pairedPlayers = [...ratedPlayers];
+            const oddPlayer = pairedPlayers.length % 2 !== 0
+                ? pairedPlayers.splice(Math.floor(Math.random() * pairedPlayers.length), 1)[0]
+                : null;
+
+            teamPlayers = pairPlayers(pairedPlayers, { mode, partnerCounts });
+
+            if (oddPlayer && oddPlayerMode === "ghost") {
+                // Odd player out: a singles team of their own
+                teamPlayers.push([oddPlayer]);
+            } else if (oddPlayer && oddPlayerMode === "sit-out") {
+                // Odd player out: starts on the bench and rotates in between matches
+                bench = [oddPlayer];
+            } else if (oddPlayer && oddPlayerMode === "substitute") {
+                // Odd player out: joins a team as its substitute
+                const teamIndex = pickSubstituteTeam(oddPlayer, teamPlayers, { mode, partnerCounts });
+                substitutesByTeam = new Map([[teamIndex, [oddPlayer]]]);
+            } else if (oddPlayer) {
+                // Odd player out: an extra team with someone who plays a second time
+                const partner = pickSecondTimePartner(oddPlayer, teamPlayers, { mode, partnerCounts });
+                teamPlayers.push([oddPlayer, { ...partner, playsTwice: true }]);
+                teamPlayers.forEach((team) => team.forEach((player) => {
+                    if (player.key === partner.key) player.playsTwice = true;
+                }));
+            }
+        }
+
+        const toTeamPlayer = (player) => ({
+            userId: player.userId,
+            name: player.name,
+            mobile: player.mobile,
+            playsTwice: player.playsTwice || false,
+            rating: player.strength,
+        });
+
+        const teams = teamPlayers.map((team, index) => ({
+            letter: getTeamLetter(index),
+            players: team.map(toTeamPlayer),
+            substitutes: (substitutesByTeam.get(index) || []).map(toTeamPlayer),
+            strength: getTeamStrength(team),
+        }));
+
+        const spread = getStrengthSpread(teamPlayers);
+        const repeatedPartners = countRepeatedPartners(teamPlayers, partnerCounts);
+        console.log('👥 [Backend] Teams generated:', {
+            roomId,
+            gameType,
+            mode,
+            oddPlayerMode,
+            teamCount: teams.length,
+            spread,
+            repeatedPartners,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Teams generated",
+            mode,
+            oddPlayerMode,
+            teams,
+            bench: bench.map(toTeamPlayer),
+            spread,
+            repeatedPartners,
+        });
+    } catch (error) {
+        console.error("Error generating teams:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// CREATE - Create a new game
+const createGame = async (req, res) => {
+    try {
+        const {
+            roomId,
+            gameType,
+            teams: postedTeams,
+            bench: postedBench,
+            oddPlayerMode = DEFAULT_ODD_PLAYER_MODE,
+            bracketReset,
+            rounds,
+            pools,
+            advancePerPool,
+            tiebreakers,
+            scoringRules,
+            courts,
+        } = req.body;
+        const userId = req.user._id;
+
+        // Validate required fields
+        if (!roomId || !gameType || !postedTeams) {
+            return res.status(400).json({
+                success: false,
+                message: "Room ID, game type, and teams are required",
+            });
+        }
+
+        // Validate game type
+        const validGameTypes = ["pickle", "round-robin", "quick-knockout", "double-elimination", "pools-to-knockout", "mixer", "swiss", "one-vs-one", "two-vs-two"];
+        if (!validGameTypes.includes(gameType)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid game type. Must be: pickle, round-robin, quick-knockout, double-elimination, pools-to-knockout, mixer, swiss, one-vs-one, or two-vs-two",
+            });
+        }
+
+        // Validate teams
+        if (!Array.isArray(postedTeams) || postedTeams.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: "At least 2 teams are required",
+            });
+        }
+
+        // Verify room exists and user has access
+        const room = await Room.findById(roomId);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        // Check if user is room creator or member
+        const isCreator = room.createdBy.toString() === userId.toString();
+        const isMember = room.members.some(
+            (memberId) => memberId.toString() === userId.toString()
+        );
+
+        if (!isCreator && !isMember) {
+            return res.status(403).json({
+                success: false,
+                message: "You don't have permission to create games in this room",
+            });
+        }
+
+        // Check if there's already an active game for this room
+        const existingActiveGame = await Game.findOne({
+            roomId: roomId,
+            status: { $in: ['pending', 'live'] }
+        });
+
+        if (existingActiveGame) {
+            return res.status(400).json({
+                success: false,
+                message: "There is already an active game in this room. Please complete or cancel it before creating a new one.",
+                existingGameId: existingActiveGame._id,
+            });
+        }
+
+        // How an odd player count is handled - rotation only applies to doubles formats
+        if (!ODD_PLAYER_MODES.includes(oddPlayerMode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Odd player mode must be one of: ${ODD_PLAYER_MODES.join(", ")}`,
+            });
+        }
+        if (oddPlayerMode !== DEFAULT_ODD_PLAYER_MODE && ["mixer", "one-vs-one", "two-vs-two"].includes(gameType)) {
+            return res.status(400).json({
+                success: false,
+                message: "Odd player options are only available for doubles formats",
+            });
+        }
+
+        // Players must belong to the room, once each (except a partner who plays twice), in teams that fit the format
+        const { teams: validatedTeams, bench, errors: teamErrors } = validateGameTeams(postedTeams, room, gameType, {
+            bench: postedBench || [],
+            oddPlayerMode,
+        });
+        if (teamErrors.length > 0) {
+            console.log('🎮 [Backend] createGame rejected teams:', teamErrors);
+            return res.status(400).json({
+                success: false,
+                message: teamErrors[0].message,
+                errors: teamErrors,
+            });
+        }
+        const teams = await applyStartingPoints(validatedTeams);
+
+        // Quick Knockout supports seeded brackets of up to 32 teams
+        if (gameType === "quick-knockout" && teams.length > MAX_KNOCKOUT_TEAMS) {
+            return res.status(400).json({
+                success: false,
+                message: `Quick Knockout supports at most ${MAX_KNOCKOUT_TEAMS} teams`,
+            });
+        }
+
+        // Tiebreak chain for table formats (Round Robin, pool stage)
+        if (tiebreakers !== undefined && !isValidTiebreakChain(tiebreakers)) {
+            return res.status(400).json({
+                success: false,
+                message: `Tiebreakers must be a list using each of these at most once: ${TIEBREAKERS.join(", ")}`,
+            });
+        }
+
+        // Scoring rules for every match (points to win, win by two, cap, best of)
+        const { rules: gameScoringRules, error: scoringRulesError } = normalizeScoringRules(scoringRules);
+        if (scoringRulesError) {
+            return res.status(400).json({
+                success: false,
+                message: scoringRulesError,
+            });
+        }
+
+        // Courts played on at once - more than one puts several matches on court together
+        let courtCount = null;
+        if (courts !== undefined && courts !== null) {
+            courtCount = parseInt(courts, 10);
+            if (!Number.isInteger(courtCount) || courtCount < 1 || courtCount > MAX_COURTS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Courts must be a number between 1 and ${MAX_COURTS}`,
+                });
+            }
+        }
+
+        // Rotating lineups are planned in match order, which only holds when one match is played at a time
+        if (courtCount > 1 && isRotatingMode(oddPlayerMode)) {
+            return res.status(400).json({
+                success: false,
+                message: "Sit-out and substitute rotation can only be played on one court",
+            });
+        }
+
+        // Mixer: one player per team, partners are assigned by the server each round
+        let totalRounds = null;
+        if (gameType === "mixer") {
+            if (teams.length < MIXER_MIN_PLAYERS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Mixer games need at least ${MIXER_MIN_PLAYERS} players`,
+                });
+            }
+            totalRounds = getDefaultMixerRounds(teams.length);
+        }
+
+        // Swiss: default rounds separate a single unbeaten team, more rounds must still avoid rematches
+        if (gameType === "swiss") {
+            totalRounds = getDefaultSwissRounds(teams.length);
+        }
+
+        if (totalRounds !== null && rounds !== undefined) {
+            totalRounds = parseInt(rounds, 10);
+            if (!Number.isInteger(totalRounds) || totalRounds < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Rounds must be a positive number",
+                });
+            }
+            if (gameType === "swiss" && totalRounds > getMaxSwissRounds(teams.length)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Swiss games with ${teams.length} teams can have at most ${getMaxSwissRounds(teams.length)} rounds`,
+                });
+            }
+        }
+
+        // Pools to Knockout: every pool needs at least two teams and the playoffs must fit a bracket
+        let poolCount = null;
+        let poolQualifiers = null;
+        if (gameType === "pools-to-knockout") {
+            poolCount = pools !== undefined ? parseInt(pools, 10) : getDefaultPoolCount(teams.length);
+            if (!Number.isInteger(poolCount) || poolCount < 1 || Math.floor(teams.length / poolCount) < MIN_TEAMS_PER_POOL) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Pools must be a positive number with at least ${MIN_TEAMS_PER_POOL} teams in each pool`,
+                });
+            }
+
+            const smallestPool = Math.floor(teams.length / poolCount);
+            poolQualifiers = advancePerPool !== undefined
+                ? parseInt(advancePerPool, 10)
+                : getDefaultAdvancePerPool(teams.length, poolCount);
+            if (!Number.isInteger(poolQualifiers) || poolQualifiers < 1 || poolQualifiers > smallestPool) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Teams advancing per pool must be between 1 and ${smallestPool}`,
+                });
+            }
+
+            const totalQualifiers = poolQualifiers * poolCount;
+            if (totalQualifiers < 2 || totalQualifiers > MAX_KNOCKOUT_TEAMS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Between 2 and ${MAX_KNOCKOUT_TEAMS} teams must advance to the playoffs`,
+                });
+            }
+        }
+
+        // Bracket formats are seeded strongest first
+        const isSeededFormat = ["quick-knockout", "double-elimination", "swiss", "pools-to-knockout"].includes(gameType);
+        const seededTeams = isSeededFormat ? await seedTeams(teams) : teams;
+        const gameTeams = gameType === "pools-to-knockout" ? assignPools(seededTeams, poolCount) : seededTeams;
+        const bracketSize = gameType === "quick-knockout" ? getBracketSize(gameTeams.length) : null;
+
+        // Generate matches for Round 1
+        const round1Matches = generateMatches(gameTeams, gameType, 1);
+
+        // The game, its first matches and any bye points are written in one transaction
+        const populatedGame = await runInTransaction(async () => {
+            // Create game with initialized medals object
+            const game = new Game({
+                roomId,
+                createdBy: userId,
+                type: gameType,
+                teams: gameTeams,
+                status: "pending",
+                currentRound: 1,
+                bracketSize,
+                totalRounds,
+                poolCount,
+                advancePerPool: poolQualifiers,
+                tiebreakers: tiebreakers || DEFAULT_TIEBREAKERS,
+                scoringRules: gameScoringRules,
+                courts: courtCount,
+                oddPlayerMode,
+                bench,
+                // Double Elimination: play a deciding match if the losers bracket team wins the grand final
+                bracketReset: bracketReset !== false,
+                medals: {
+                    gold: { team: null, players: [] },
+                    silver: { team: null, players: [] },
+                    bronze: { team: null, players: [] }
+                }
+            });
+
+            await game.save();
+            console.log('🎮 [Backend] Game created:', {
+                gameId: game._id.toString(),
+                gameType: game.type,
+                matchCount: round1Matches.length,
+            });
+
+            // Create matches
+            const createdMatches = [];
+            const byeMatches = [];
+            const playCounts = new Map();
+            for (const matchData of round1Matches) {
+                const isBye = matchData.isBye || false;
+                // Sit-out and substitute modes: rested players rotate in before the match
+                const lineups = isRotatingMode(game.oddPlayerMode) && !isBye
+                    ? takeMatchLineups(game, matchData.teamA.letter, matchData.teamB.letter, playCounts)
+                    : null;
+                const match = new Match({
+                    gameId: game._id,
+                    roundNumber: matchData.roundNumber,
+                    matchNumber: matchData.matchNumber,
+                    teamA: {
+                        letter: matchData.teamA.letter,
+                        players: (lineups?.A || matchData.teamA.players).map((p) => ({
+                            userId: p.userId || null,
+                            name: p.name,
+                            mobile: p.mobile || null,
+                        })),
+                        points: matchData.teamA.totalPoints || 0,
+                    },
+                    teamB: {
+                        letter: matchData.teamB.letter,
+                        players: (lineups?.B || matchData.teamB.players).map((p) => ({
+                            userId: p.userId || null,
+                            name: p.name,
+                            mobile: p.mobile || null,
+                        })),
+                        points: matchData.teamB.totalPoints || 0,
+                    },
+                    // Bye matches are won automatically by teamA
+                    ...(isBye && { scoreA: 21, scoreB: 0, winner: "A" }),
+                    status: isBye ? "finished" : "pending",
+                    bracketType: matchData.bracketType || null,
+                    pool: matchData.pool || null,
+                    isBye,
+                    rotationBefore: lineups?.before || null,
+                });
+                await match.save();
+                createdMatches.push(match._id);
+
+                if (isBye) {
+                    const teamData = game.teams.find((t) => t.letter === matchData.teamA.letter);
+                    if (teamData) {
+                        teamData.wins = (teamData.wins || 0) + 1;
+                        teamData.totalPoints = (teamData.totalPoints || 0) + 2; // +2 points for match win (bye match)
+                        byeMatches.push({ teamData, matchId: match._id });
+                    }
+                }
+            }
+
+            // Update game with match IDs
+            game.matches = createdMatches;
+            game.status = "live";
+            await game.save();
+
+            // Put the first matches on court
+            await fillCourts(game);
+
+            // Add game to room history
+            await Room.updateOne({ _id: room._id }, { $push: { history: game._id } });
+
+            // Track unregistered players in this game (substitutes and the bench included)
+            const unregisteredPlayersSet = new Set();
+            for (const player of [...teams.flatMap(getTeamRoster), ...bench]) {
+                if (!player.userId && player.mobile) {
+                    const normalizedMobile = player.mobile.replace(/[\s\-+()]/g, '').replace(/^91/, '').slice(-10);
+                    unregisteredPlayersSet.add(JSON.stringify({ mobile: normalizedMobile, name: player.name }));
+                }
+            }
+
+            // Create/update UnregisteredPlayer records and track participation
+            for (const playerStr of unregisteredPlayersSet) {
+                const player = JSON.parse(playerStr);
+                await getOrCreateUnregisteredPlayer(player.mobile, player.name);
+                await trackUnregisteredPlayerParticipation(player.mobile, {
+                    gameId: game._id,
+                    roomId: roomId
+                });
+            }
+
+            // Add +1 individual point to each player on a team that won a Round 1 bye
+            // (after the UnregisteredPlayer records above exist)
+            for (const { teamData, matchId } of byeMatches) {
+                await awardMatchWinPoints(teamData.players, { gameId: game._id, matchId });
+            }
+
+            // Populate game with matches
+            const populatedGame = await Game.findById(game._id)
+                .populate("matches")
+                .populate("createdBy", "username displayName")
+                .populate("roomId", "name code");
+
+            emitGameEvent(game, "game:started", { game: populatedGame });
+
+            return populatedGame;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Game created successfully",
+            game: populatedGame,
+        });
+    } catch (error) {
+        console.error("Error creating game:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// READ - Get game by ID
+const getGameById = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+
+        const game = await Game.findById(gameId)
+            .populate("matches")
+            .populate("createdBy", "username displayName")
+            .populate("roomId", "name code");
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                message: "Game not found",
+            });
+        }
+
+        // Table formats (Mixer, Swiss) also return their current standings
+        const standings = buildStandings(game);
+
+        res.status(200).json({
+            success: true,
+            game,
+            ...(standings && { standings }),
+        });
+    } catch (error) {
+        console.error("Error getting game:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// Helper: Read-only view of a game for spectators
+// Only names, scores and standings - no mobile numbers, user ids or room codes
+const buildSpectatorView = (game) => {
+    const toPublicPlayers = (players = []) => players.map((p) => ({ name: p.name }));
+    const toPublicMatchTeam = (team) => team && {
+        letter: team.letter,
+        players: toPublicPlayers(team.players),
+    };
+
+    const standings = buildStandings(game);
+
+    return {
+        game: {
+            _id: game._id,
+            roomName: game.roomId?.name || null,
+            type: game.type,
+            status: game.status,
+            currentRound: game.currentRound,
+            totalRounds: game.totalRounds,
+            scoringRules: game.scoringRules,
+            courts: game.courts,
+            championTeam: game.championTeam,
+            medals: {
+                gold: game.medals?.gold?.team || null,
+                silver: game.medals?.silver?.team || null,
+                bronze: game.medals?.bronze?.team || null,
+            },
+            teams: game.teams.map((team) => ({
+                letter: team.letter,
+                players: toPublicPlayers(team.players),
+                substitutes: toPublicPlayers(team.substitutes),
+                wins: team.wins,
+                totalPoints: team.totalPoints,
+                medal: team.medal,
+                seed: team.seed,
+                pool: team.pool,
+            })),
+            bench: toPublicPlayers(game.bench),
+            matches: game.matches.map((match) => ({
+                _id: match._id,
+                roundNumber: match.roundNumber,
+                matchNumber: match.matchNumber,
+                teamA: toPublicMatchTeam(match.teamA),
+                teamB: toPublicMatchTeam(match.teamB),
+                scoreA: match.scoreA,
+                scoreB: match.scoreB,
+                games: match.games,
+                winner: match.winner,
+                status: match.status,
+                court: match.court,
+                bracketType: match.bracketType,
+                pool: match.pool,
+                isBye: match.isBye,
+            })),
+            updatedAt: game.updatedAt,
+        },
+        // Mixer rows carry the full player entry - keep the name only
+        standings: standings && standings.map(({ player, ...row }) => ({
+            ...row,
+            ...(player !== undefined && { player: player && { name: player.name } }),
+        })),
+    };
+};
+
+// Helper: Idempotency key sent with a match result - the Idempotency-Key header, else the body field
+// Returns { key } (null when none was sent) or { error }
+const getIdempotencyKey = (req) => {
+    const key = req.get("Idempotency-Key") ?? req.body?.idempotencyKey ?? null;
+    if (key === null) return { key: null };
+    if (typeof key !== "string" || !key.trim() || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return { error: `Idempotency key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+    }
+    return { key: key.trim() };
+};
+
+// Helper: Response for a result sent for a match that is already finished
+// A retry carrying the key of the result that finished the match gets that result back;
+// any other submission is rejected - changing a result goes through score correction
+const alreadyFinishedResponse = async (match, idempotencyKey) => {
+    if (idempotencyKey && match.resultIdempotencyKey === idempotencyKey) {
+        console.log('🏓 [Backend] Repeated result submission, returning recorded result:', {
+            matchId: match._id.toString(),
+        });
+        // Describe the round the way the first response did, so the client carries on the same way
+        const game = await loadGameForResponse(match.gameId);
+        const nextRoundCreated = game.currentRound > match.roundNumber;
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: "Match result already submitted",
+                replayed: true,
+                match,
+                game,
+                allRoundMatchesFinished: game.matches
+                    .filter((m) => m.roundNumber === match.roundNumber)
+                    .every((m) => m.status === "finished"),
+                nextRoundCreated,
+                newMatches: nextRoundCreated
+                    ? game.matches.filter((m) => m.roundNumber === game.currentRound)
+                    : [],
+            },
+        };
+    }
+
+    return {
+        status: 409,
+        body: {
+            success: false,
+            message: "This match already has a result. Use score correction to change it.",
+            match,
+        },
+    };
+};
+
+// UPDATE - Submit match result
+// Idempotent: clients send an Idempotency-Key with each result, and sending the same result
+// again (a double tap, or a retry after a dropped connection) changes nothing. The result, the
+// points it awards and any next round it creates are written in one transaction.
+const submitMatchResult = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const submittedGames = parseSubmittedGames(req.body);
+
+        if (!submittedGames) {
+            return res.status(400).json({
+                success: false,
+                message: "Both scores are required",
+            });
+        }
+
+        const { key: idempotencyKey, error: keyError } = getIdempotencyKey(req);
+        if (keyError) {
+            return res.status(400).json({
+                success: false,
+                message: keyError,
+            });
+        }
+
+        const { status, body } = await runInTransaction(async () => {
+            // Get match
+            const match = await Match.findById(matchId);
+            if (!match) {
+                return { status: 404, body: { success: false, message: "Match not found" } };
+            }
+
+            const game = await Game.findById(match.gameId);
+            if (!game) {
+                return { status: 404, body: { success: false, message: "Game not found" } };
+            }
+
+            if (match.status === "finished") {
+                return alreadyFinishedResponse(match, idempotencyKey);
+            }
+
+            if (match.status === "cancelled") {
+                return { status: 400, body: { success: false, message: "This match has been cancelled" } };
+            }
+
+            if (isWaitingForCourt(game, match)) {
+                return { status: 400, body: { success: false, message: "This match is waiting for a free court" } };
+            }
+
+            // Validate scores against the game's scoring rules
+            const result = evaluateMatchScore(game.scoringRules, submittedGames);
+            if (result.error) {
+                return { status: 400, body: { success: false, message: result.error } };
+            }
+
+            const {
+                alreadyFinished,
+                updatedGame,
+                allFinished,
+                nextRoundCreated,
+                newMatches,
+            } = await finalizeMatchResult(game, match, result, { idempotencyKey });
+
+            if (alreadyFinished) {
+                const claimedMatch = await Match.findById(matchId);
+                // The game was cancelled in the meantime
+                if (claimedMatch.status === "cancelled") {
+                    return { status: 400, body: { success: false, message: "This match has been cancelled" } };
+                }
+                return alreadyFinishedResponse(claimedMatch, idempotencyKey);
+            }
+
+            console.log('🏓 [Backend] Match result submitted:', {
+                matchId: match._id.toString(),
+                winner: match.winner,
+                nextRoundCreated,
+                newMatchesCount: newMatches.length,
+            });
+
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: "Match result submitted",
+                    match,
+                    game: updatedGame,
+                    allRoundMatchesFinished: allFinished,
+                    nextRoundCreated: nextRoundCreated,
+                    newMatches: newMatches,
                 },
-                status: "pending",
-                bracketType: matchData.bracketType || null,
-                isBye: matchData.isBye || false,
+            };
+        });
+
+        res.status(status).json(body);
+    } catch (error) {
+        console.error("Error submitting match result:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// UPDATE - Correct the score of an already finished match
+// Undoes the old result, applies the new one and, when later rounds depended on it,
+// removes those rounds and replays bracket progression from the corrected round.
+// Everything is written in one transaction, like a result submission.
+const correctMatchResult = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const submittedGames = parseSubmittedGames(req.body);
+        const userId = req.user._id;
+
+        if (!submittedGames) {
+            return res.status(400).json({
+                success: false,
+                message: "Both scores are required",
             });
+        }
+
+        const { status, body } = await runInTransaction(async () => {
+            const match = await Match.findById(matchId);
+            if (!match) {
+                return { status: 404, body: { success: false, message: "Match not found" } };
+            }
+
+            if (match.status !== "finished") {
+                return {
+                    status: 400,
+                    body: { success: false, message: "Only finished matches can be corrected. Submit a result instead." },
+                };
+            }
+
+            if (match.isBye) {
+                return { status: 400, body: { success: false, message: "Bye matches do not have a score to correct" } };
+            }
+
+            const game = await Game.findById(match.gameId);
+            if (!game) {
+                return { status: 404, body: { success: false, message: "Game not found" } };
+            }
+
+            if (game.status === "abandoned") {
+                return { status: 400, body: { success: false, message: "This game has been cancelled" } };
+            }
+
+            if (game.pointsAssigned) {
+                return {
+                    status: 400,
+                    body: {
+                        success: false,
+                        message: "Medal points have already been assigned for this game. Scores can no longer be corrected.",
+                    },
+                };
+            }
+
+            // Only room members can correct scores
+            const room = await Room.findById(game.roomId);
+            if (!isRoomMember(room, userId)) {
+                return {
+                    status: 403,
+                    body: { success: false, message: "You don't have permission to correct scores in this room" },
+                };
+            }
+
+            // Validate the corrected scores against the game's scoring rules
+            const result = evaluateMatchScore(game.scoringRules, submittedGames);
+            if (result.error) {
+                return { status: 400, body: { success: false, message: result.error } };
+            }
+
+            const previousResult = {
+                scoreA: match.scoreA,
+                scoreB: match.scoreB,
+                games: match.games.map(({ scoreA, scoreB, winner }) => ({ scoreA, scoreB, winner })),
+                winner: match.winner,
+            };
+            const newWinner = result.winner;
+            const winnerChanged = previousResult.winner !== newWinner;
+
+            // Later rounds depend on this match when the winner flipped, or when the format
+            // seeds the next round from scores (legacy Quick Knockout Round 1, pool stage tables)
+            const affectsLaterRounds = winnerChanged ||
+                (game.type === "quick-knockout" && !game.bracketSize && match.roundNumber === 1) ||
+                (game.type === "pools-to-knockout" && Boolean(match.pool));
+
+            let downstreamMatchesRemoved = 0;
+            if (affectsLaterRounds) {
+                const laterMatches = (await Match.find({
+                    gameId: game._id,
+                    roundNumber: { $gt: match.roundNumber }
+                })).sort((a, b) => a.roundNumber - b.roundNumber || a.matchNumber - b.matchNumber);
+
+                for (const laterMatch of laterMatches) {
+                    await revertMatchOutcome(game, laterMatch);
+                }
+
+                if (laterMatches.length > 0) {
+                    // Sit-out and substitute modes: the lineups go back to before the first removed match
+                    const rotation = laterMatches.find((m) => m.rotationBefore)?.rotationBefore;
+                    if (rotation) {
+                        restoreRotation(game, rotation);
+                    }
+
+                    const laterMatchIds = laterMatches.map((m) => m._id.toString());
+                    await Match.deleteMany({ _id: { $in: laterMatches.map((m) => m._id) } });
+                    game.matches = game.matches.filter((id) => !laterMatchIds.includes(id.toString()));
+                    downstreamMatchesRemoved = laterMatches.length;
+                }
+
+                game.currentRound = match.roundNumber;
+            }
+
+            // Standings change, so any medals already calculated are stale
+            if (game.status === "completed") {
+                resetGameMedals(game);
+                game.status = "live";
+            }
+
+            // Undo the old result and apply the corrected one
+            await revertMatchOutcome(game, match);
+
+            match.games = result.games;
+            match.scoreA = result.scoreA;
+            match.scoreB = result.scoreB;
+            match.winner = newWinner;
             await match.save();
-            createdMatches.push(match._id);
+
+            await creditMatchWin(game, match);
+            await applyMatchRatings(game, match);
+
+            await game.save();
+            emitGameEvent(game, "match:corrected", { match, downstreamMatchesRemoved });
+
+            console.log('✏️ [Backend] Match result corrected:', {
+                matchId: match._id.toString(),
+                previousResult,
+                newResult: { scoreA: result.scoreA, scoreB: result.scoreB, games: result.games, winner: newWinner },
+                winnerChanged,
+                downstreamMatchesRemoved,
+            });
+
+            // Replay progression from the corrected round (regenerates removed rounds)
+            const { allFinished, nextRoundCreated, newMatches } = await advanceGameProgress(game);
+
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: "Match result corrected",
+                    match,
+                    game: await loadGameForResponse(game._id),
+                    previousResult,
+                    winnerChanged,
+                    downstreamMatchesRemoved,
+                    allRoundMatchesFinished: allFinished,
+                    nextRoundCreated,
+                    newMatches,
+                },
+            };
+        });
+
+        res.status(status).json(body);
+    } catch (error) {
+        console.error("Error correcting match result:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// Helper: Load a match for live scoring and check that the user may score it
+// Returns { match, game } or { status, message } when scoring is not possible
+const loadLiveScoringMatch = async (matchId, userId) => {
+    const match = await Match.findById(matchId);
+    if (!match) {
+        return { status: 404, message: "Match not found" };
+    }
+
+    if (match.isBye) {
+        return { status: 400, message: "Bye matches are not played" };
+    }
+
+    const game = await Game.findById(match.gameId);
+    if (!game) {
+        return { status: 404, message: "Game not found" };
+    }
+
+    if (game.status === "abandoned") {
+        return { status: 400, message: "This game has been cancelled" };
+    }
+
+    // Only room members can score matches
+    const room = await Room.findById(game.roomId);
+    if (!isRoomMember(room, userId)) {
+        return { status: 403, message: "You don't have permission to score matches in this room" };
+    }
+
+    return { match, game };
+};
+
+// READ - Get the recorded rallies and live score of a match
+const getMatchEvents = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const { match, game, status, message } = await loadLiveScoringMatch(matchId, req.user._id);
+        if (!match) {
+            return res.status(status).json({
+                success: false,
+                message,
+            });
         }
 
-        // Update game with match IDs
-        game.matches = createdMatches;
-        game.status = "live";
-        await game.save();
+        res.status(200).json({
+            success: true,
+            message: "Match events fetched",
+            events: match.events,
+            liveScore: getLiveScore(game, match),
+        });
+    } catch (error) {
+        console.error("Error fetching match events:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// CREATE - Record one rally of a live-scored match
+// Body: { wonBy: "A" | "B", firstServer?: "A" | "B" (only before the first rally) }
+// When the rally ends the match it is finalised like a submitted result
+const recordMatchEvent = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const { wonBy, firstServer } = req.body;
+        const userId = req.user._id;
 
-        // Add game to room history
-        room.history.push(game._id);
-        await room.save();
+        if (!["A", "B"].includes(wonBy)) {
+            return res.status(400).json({
+                success: false,
+                message: "wonBy must be \"A\" or \"B\"",
+            });
+        }
 
-        // Track unregistered players in this game
-        const unregisteredPlayersSet = new Set();
-        for (const team of teams) {
-            for (const player of team.players) {
-                if (!player.userId && player.mobile) {
-                    const normalizedMobile = player.mobile.replace(/[\s\-+()]/g, '').replace(/^91/, '').slice(-10);
-                    unregisteredPlayersSet.add(JSON.stringify({ mobile: normalizedMobile, name: player.name }));
+        if (firstServer !== undefined && !["A", "B"].includes(firstServer)) {
+            return res.status(400).json({
+                success: false,
+                message: "firstServer must be \"A\" or \"B\"",
+            });
+        }
+
+        // A rally can finish the match, award points and create the next round -
+        // all of it is written in one transaction
+        const { status, body } = await runInTransaction(async () => {
+            const { match, game, status: loadStatus, message } = await loadLiveScoringMatch(matchId, userId);
+            if (!match) {
+                return { status: loadStatus, body: { success: false, message } };
+            }
+
+            if (match.status === "finished" || match.status === "cancelled") {
+                return {
+                    status: 400,
+                    body: {
+                        success: false,
+                        message: "This match is already over. Use score correction to change the result.",
+                    },
+                };
+            }
+
+            if (isWaitingForCourt(game, match)) {
+                return { status: 400, body: { success: false, message: "This match is waiting for a free court" } };
+            }
+
+            if (firstServer !== undefined) {
+                if (match.events.length > 0 && firstServer !== match.firstServer) {
+                    return {
+                        status: 400,
+                        body: { success: false, message: "The first server can only be chosen before the first rally" },
+                    };
                 }
+                match.firstServer = firstServer;
+            }
+
+            match.events.push({ wonBy, recordedBy: userId });
+            const liveScore = getLiveScore(game, match);
+            match.events[match.events.length - 1].outcome = liveScore.outcomes[liveScore.outcomes.length - 1];
+
+            console.log('🎾 [Backend] Rally recorded:', {
+                matchId: match._id.toString(),
+                wonBy,
+                outcome: liveScore.outcomes[liveScore.outcomes.length - 1],
+                call: liveScore.call,
+                matchWinner: liveScore.matchWinner,
+            });
+
+            if (!liveScore.matchWinner) {
+                match.status = "live";
+                await match.save();
+                emitGameEvent(game, "match:updated", { match, liveScore });
+
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        message: "Rally recorded",
+                        match,
+                        liveScore,
+                        matchFinished: false,
+                    },
+                };
+            }
+
+            // Match point won - finalise through the same flow as a submitted result
+            const result = evaluateMatchScore(game.scoringRules || DEFAULT_SCORING_RULES, liveScore.games);
+            if (result.error) {
+                return { status: 400, body: { success: false, message: result.error } };
+            }
+
+            const {
+                alreadyFinished,
+                updatedGame,
+                allFinished,
+                nextRoundCreated,
+                newMatches,
+            } = await finalizeMatchResult(game, match, result);
+
+            if (alreadyFinished) {
+                return {
+                    status: 409,
+                    body: {
+                        success: false,
+                        message: "This match is already over. Use score correction to change the result.",
+                    },
+                };
             }
+
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: "Match result submitted",
+                    match,
+                    liveScore,
+                    matchFinished: true,
+                    game: updatedGame,
+                    allRoundMatchesFinished: allFinished,
+                    nextRoundCreated,
+                    newMatches,
+                },
+            };
+        });
+
+        res.status(status).json(body);
+    } catch (error) {
+        console.error("Error recording match event:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// DELETE - Undo the last recorded rally of a live-scored match
+const undoMatchEvent = async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const { match, game, status, message } = await loadLiveScoringMatch(matchId, req.user._id);
+        if (!match) {
+            return res.status(status).json({
+                success: false,
+                message,
+            });
         }
 
-        // Create/update UnregisteredPlayer records and track participation
-        for (const playerStr of unregisteredPlayersSet) {
-            const player = JSON.parse(playerStr);
-            await getOrCreateUnregisteredPlayer(player.mobile, player.name);
-            await trackUnregisteredPlayerParticipation(player.mobile, {
-                gameId: game._id,
-                roomId: roomId
+        if (match.status === "finished" || match.status === "cancelled") {
+            return res.status(400).json({
+                success: false,
+                message: "This match is already over. Use score correction to change the result.",
             });
         }
 
-        // Populate game with matches
-        const populatedGame = await Game.findById(game._id)
-            .populate("matches")
-            .populate("createdBy", "username displayName")
-            .populate("roomId", "name code");
+        if (match.events.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "There are no rallies to undo",
+            });
+        }
 
-        res.status(201).json({
+        const undone = match.events.pop();
+        if (match.events.length === 0) {
+            match.status = "pending";
+        }
+        await match.save();
+
+        const liveScore = getLiveScore(game, match);
+        emitGameEvent(game, "match:updated", { match, liveScore });
+
+        console.log('↩️ [Backend] Rally undone:', {
+            matchId: match._id.toString(),
+            wonBy: undone.wonBy,
+            remainingEvents: match.events.length,
+        });
+
+        res.status(200).json({
             success: true,
-            message: "Game created successfully",
-            game: populatedGame,
+            message: "Last rally undone",
+            match,
+            liveScore,
         });
     } catch (error) {
-        console.error("Error creating game:", error);
+        console.error("Error undoing match event:", error);
         res.status(500).json({
             success: false,
             message: "Server error",
@@ -997,16 +2742,23 @@ const createGame = async (req, res) => {
     }
 };
 
-// READ - Get game by ID
-const getGameById = async (req, res) => {
+// CREATE - Create a spectator link for a game
+// Body: { expiresInHours?: number } - returns a signed token anyone can use to follow the game
+const createSpectatorLink = async (req, res) => {
     try {
         const { gameId } = req.params;
+        const { expiresInHours = DEFAULT_SPECTATOR_LINK_HOURS } = req.body || {};
+        const userId = req.user._id;
 
-        const game = await Game.findById(gameId)
-            .populate("matches")
-            .populate("createdBy", "username displayName")
-            .populate("roomId", "name code");
+        const hours = Number(expiresInHours);
+        if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SPECTATOR_LINK_HOURS) {
+            return res.status(400).json({
+                success: false,
+                message: `Link expiry must be between 1 and ${MAX_SPECTATOR_LINK_HOURS} hours`,
+            });
+        }
 
+        const game = await Game.findById(gameId);
         if (!game) {
             return res.status(404).json({
                 success: false,
@@ -1014,12 +2766,43 @@ const getGameById = async (req, res) => {
             });
         }
 
-        res.status(200).json({
+        if (game.status === "abandoned") {
+            return res.status(400).json({
+                success: false,
+                message: "This game has been cancelled",
+            });
+        }
+
+        // Only room members can share a game
+        const room = await Room.findById(game.roomId);
+        if (!isRoomMember(room, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You don't have permission to share games in this room",
+            });
+        }
+
+        const shareToken = jwt.sign(
+            { gameId: game._id.toString(), scope: SPECTATOR_TOKEN_SCOPE },
+            config.jwtSecret,
+            { expiresIn: `${hours}h` }
+        );
+        const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+        console.log('👀 [Backend] Spectator link created:', {
+            gameId: game._id.toString(),
+            createdBy: userId.toString(),
+            expiresAt: expiresAt.toISOString(),
+        });
+
+        res.status(201).json({
             success: true,
-            game,
+            message: "Spectator link created",
+            shareToken,
+            expiresAt,
         });
     } catch (error) {
-        console.error("Error getting game:", error);
+        console.error("Error creating spectator link:", error);
         res.status(500).json({
             success: false,
             message: "Server error",
@@ -1028,366 +2811,58 @@ const getGameById = async (req, res) => {
     }
 };
 
-// UPDATE - Submit match result
-const submitMatchResult = async (req, res) => {
+// READ - Public read-only view of a game from a spectator link (no login required)
+const getSpectatorView = async (req, res) => {
     try {
-        const { matchId } = req.params;
-        const { scoreA, scoreB } = req.body;
+        const { token } = req.params;
 
-        // Validate scores
-        if (scoreA === undefined || scoreB === undefined) {
-            return res.status(400).json({
+        let decoded;
+        try {
+            decoded = jwt.verify(token, config.jwtSecret);
+        } catch (error) {
+            return res.status(401).json({
                 success: false,
-                message: "Both scores are required",
+                message: error.name === "TokenExpiredError"
+                    ? "This spectator link has expired"
+                    : "This spectator link is not valid",
             });
         }
 
-        if (scoreA === scoreB) {
-            return res.status(400).json({
+        if (decoded.scope !== SPECTATOR_TOKEN_SCOPE || !decoded.gameId) {
+            return res.status(401).json({
                 success: false,
-                message: "Scores cannot be equal",
+                message: "This spectator link is not valid",
             });
         }
 
-        // Get match
-        const match = await Match.findById(matchId).populate("gameId");
-        if (!match) {
-            return res.status(404).json({
-                success: false,
-                message: "Match not found",
-            });
-        }
+        const game = await Game.findById(decoded.gameId)
+            .populate("matches")
+            .populate("roomId", "name");
 
-        const game = await Game.findById(match.gameId);
         if (!game) {
             return res.status(404).json({
                 success: false,
                 message: "Game not found",
             });
         }
-        console.log('🏓 [Backend] Match found, game details:', {
-            gameId: game._id.toString(),
-            gameType: game.type,
-            currentRound: game.currentRound,
-            matchRound: match.roundNumber,
-        });
-
-        // Update match
-        match.scoreA = scoreA;
-        match.scoreB = scoreB;
-        match.winner = scoreA > scoreB ? "A" : "B";
-        match.status = "finished";
-        await match.save();
-
-        // Update team wins and points
-        const winnerLetter = match.winner === "A" ? match.teamA.letter : match.teamB.letter;
-        const team = game.teams.find((t) => t.letter === winnerLetter);
-        if (team) {
-            team.wins = (team.wins || 0) + 1;
-            team.totalPoints = (team.totalPoints || 0) + 2; // +2 points for match win
-
-            // Add +1 individual point to each player on the winning team
-            for (const player of team.players) {
-                if (player.userId) {
-                    // Registered player - award points directly
-                    await User.findByIdAndUpdate(player.userId, {
-                        $inc: { individualPoints: 1 }
-                    });
-                } else if (player.mobile) {
-                    // Unregistered player - track points in UnregisteredPlayer model
-                    await addPointsToUnregisteredPlayer(player.mobile, 1);
-                    await updateUnregisteredPlayerStats(player.mobile, {
-                        totalGames: 1,
-                        totalWins: 1
-                    });
-                    // Track participation in this match
-                    await trackUnregisteredPlayerParticipation(player.mobile, {
-                        gameId: game._id,
-                        matchId: match._id
-                    });
-                }
-            }
-        }
-
-        await game.save();
-
-        // Check if all matches in current round are finished
-        const allMatches = await Match.find({ gameId: game._id }).sort({ roundNumber: 1, matchNumber: 1 });
-        const currentRoundMatches = allMatches.filter((m) => m.roundNumber === game.currentRound);
-        const allFinished = currentRoundMatches.every((m) => m.status === "finished");
-
-        // If round is complete and not round-robin, create next round
-        let nextRoundCreated = false;
-        let newMatches = [];
-
-        if (allFinished && game.type !== "round-robin") {
-            // Generate next round matches
-            newMatches = await generateNextRoundMatches(game, game.currentRound, allMatches);
-
-            if (newMatches.length > 0) {
-                console.log('🏓 [Backend] Creating new matches, count:', newMatches.length);
-                // Create new matches
-                const createdMatchIds = [];
-                for (const matchData of newMatches) {
-                    console.log('🏓 [Backend] Processing match data:', {
-                        round: matchData.roundNumber,
-                        match: matchData.matchNumber,
-                        teamA: matchData.teamA?.letter,
-                        teamB: matchData.teamB?.letter,
-                        bracketType: matchData.bracketType,
-                        isBye: matchData.isBye,
-                    });
-                    // Handle bye matches - create match where team automatically wins
-                    if (matchData.isBye) {
-                        const teamData = game.teams.find((t) => t.letter === matchData.teamA.letter);
-                        if (!teamData) {
-                            console.error("Team not found for bye match");
-                            continue;
-                        }
-
-                        // Create bye match where team automatically wins (plays against BYE)
-                        const byeTeamB = matchData.teamB && matchData.teamB.letter === "BYE"
-                            ? matchData.teamB
-                            : createByeTeam(teamData);
-
-                        const byeMatch = new Match({
-                            gameId: game._id,
-                            roundNumber: matchData.roundNumber,
-                            matchNumber: matchData.matchNumber,
-                            teamA: {
-                                letter: teamData.letter,
-                                players: teamData.players.map((p) => ({
-                                    userId: p.userId || null,
-                                    name: p.name,
-                                    mobile: p.mobile || null,
-                                })),
-                                points: teamData.totalPoints || 0,
-                            },
-                            teamB: {
-                                letter: byeTeamB.letter,
-                                players: byeTeamB.players.map((p) => ({
-                                    userId: p.userId || null,
-                                    name: p.name || "Bye",
-                                    mobile: p.mobile || null,
-                                })),
-                                points: byeTeamB.points || 0,
-                            },
-                            scoreA: 21,
-                            scoreB: 0,
-                            winner: "A",
-                            status: "finished",
-                            bracketType: matchData.bracketType || null,
-                            isBye: true,
-                        });
-
-                        await byeMatch.save();
-                        createdMatchIds.push(byeMatch._id);
-
-                        // Update team wins and points
-                        teamData.wins = (teamData.wins || 0) + 1;
-                        teamData.totalPoints = (teamData.totalPoints || 0) + 2; // +2 points for match win (bye match)
-
-                        // Add +1 individual point to each player on the winning team (bye match)
-                        for (const player of teamData.players) {
-                            if (player.userId) {
-                                // Registered player - award points directly
-                                await User.findByIdAndUpdate(player.userId, {
-                                    $inc: { individualPoints: 1 }
-                                });
-                            } else if (player.mobile) {
-                                // Unregistered player - track points in UnregisteredPlayer model
-                                await addPointsToUnregisteredPlayer(player.mobile, 1);
-                                await updateUnregisteredPlayerStats(player.mobile, {
-                                    totalGames: 1,
-                                    totalWins: 1
-                                });
-                                // Track participation in this match
-                                await trackUnregisteredPlayerParticipation(player.mobile, {
-                                    gameId: game._id,
-                                    matchId: byeMatch._id
-                                });
-                            }
-                        }
-
-                        await game.save();
-                        continue;
-                    }
-
-                    // Find team data from game.teams
-                    const teamAData = game.teams.find((t) => t.letter === matchData.teamA.letter);
-                    // Handle BYE team - if teamB is BYE, use the BYE team object directly
-                    const isByeTeam = matchData.teamB && matchData.teamB.letter === "BYE";
-                    const teamBData = matchData.teamB && !isByeTeam
-                        ? game.teams.find((t) => t.letter === matchData.teamB.letter)
-                        : (isByeTeam ? matchData.teamB : null);
-
-                    if (!teamAData || (matchData.teamB && !isByeTeam && !teamBData)) {
-                        console.error("Team not found for match generation", {
-                            teamA: matchData.teamA?.letter,
-                            teamB: matchData.teamB?.letter,
-                            isByeTeam
-                        });
-                        continue;
-                    }
-
-                    const newMatch = new Match({
-                        gameId: game._id,
-                        roundNumber: matchData.roundNumber,
-                        matchNumber: matchData.matchNumber,
-                        teamA: {
-                            letter: teamAData.letter,
-                            players: teamAData.players.map((p) => ({
-                                userId: p.userId || null,
-                                name: p.name,
-                                mobile: p.mobile || null,
-                            })),
-                            points: teamAData.totalPoints || 0,
-                        },
-                        teamB: teamBData
-                            ? {
-                                letter: teamBData.letter,
-                                players: isByeTeam
-                                    ? (teamBData.players || [])
-                                    : teamBData.players.map((p) => ({
-                                        userId: p.userId || null,
-                                        name: p.name,
-                                        mobile: p.mobile || null,
-                                    })),
-                                points: teamBData.points || teamBData.totalPoints || 0,
-                            }
-                            : null,
-                        status: "pending",
-                        bracketType: matchData.bracketType || null,
-                        isBye: matchData.isBye || false,
-                    });
-
-                    await newMatch.save();
-                    createdMatchIds.push(newMatch._id);
-                    console.log('🏓 [Backend] Match created and saved:', {
-                        matchId: newMatch._id.toString(),
-                        round: newMatch.roundNumber,
-                        matchNumber: newMatch.matchNumber,
-                    });
-                }
-
-                console.log('🏓 [Backend] All matches created, total:', createdMatchIds.length);
-
-                // Update game with new matches and increment round
-                if (createdMatchIds.length > 0) {
-                    console.log('🏓 [Backend] Updating game with new matches:', {
-                        createdMatchIdsCount: createdMatchIds.length,
-                        currentRound: game.currentRound,
-                        nextRound: newMatches[0].roundNumber,
-                    });
-                    game.matches = [...game.matches, ...createdMatchIds];
-                    game.currentRound = newMatches[0].roundNumber;
-                    await game.save();
-                    nextRoundCreated = true;
 
-                    // Reload matches
-                    const updatedMatches = await Match.find({ gameId: game._id }).sort({
-                        roundNumber: 1,
-                        matchNumber: 1,
-                    });
-                    // Convert createdMatchIds to strings for comparison
-                    const createdMatchIdStrings = createdMatchIds.map(id => id.toString());
-                    console.log('🏓 [Backend] Reloading matches after creation:', {
-                        createdMatchIdsCount: createdMatchIds.length,
-                        createdMatchIds: createdMatchIdStrings,
-                        totalMatches: updatedMatches.length,
-                        allMatchIds: updatedMatches.map(m => m._id.toString()),
-                    });
-                    // Filter to get only the newly created matches
-                    const newMatchesArray = [];
-                    for (const match of updatedMatches) {
-                        const matchIdStr = match._id.toString();
-                        if (createdMatchIdStrings.includes(matchIdStr)) {
-                            newMatchesArray.push(match);
-                            console.log('🏓 [Backend] Found new match:', {
-                                matchId: matchIdStr,
-                                round: match.roundNumber,
-                                match: match.matchNumber,
-                                teamA: match.teamA?.letter,
-                                teamB: match.teamB?.letter,
-                                status: match.status,
-                            });
-                        }
-                    }
-                    newMatches = newMatchesArray;
-                    console.log('🏓 [Backend] Filtered new matches count:', newMatches.length);
-                    console.log('🏓 [Backend] New matches details:', newMatches.map(m => ({
-                        id: m._id.toString(),
-                        round: m.roundNumber,
-                        match: m.matchNumber,
-                        teamA: m.teamA?.letter,
-                        teamB: m.teamB?.letter,
-                    })));
-
-                    // Check if all Round 2 matches are already finished (all bye matches)
-                    // If so, try to generate Round 3. If Round 3 can't be generated, complete the game.
-                    if (game.type === "quick-knockout" && game.currentRound === 2) {
-                        const round2Matches = updatedMatches.filter(m => m.roundNumber === 2);
-                        const allRound2Finished = round2Matches.length > 0 && round2Matches.every(m => m.status === "finished");
-
-                        if (allRound2Finished) {
-                            console.log('🏓 [Backend] All Round 2 matches finished, checking if game should complete...');
-                            // Try to generate Round 3
-                            const round3Matches = await generateNextRoundMatches(game, 2, updatedMatches);
-                            if (round3Matches.length === 0) {
-                                console.log('🏓 [Backend] No Round 3 to generate, completing game');
-                                game.status = "completed";
-                                await game.save();
-                            }
-                        }
-                    }
-                } else {
-                    // No more rounds, game is complete
-                    game.status = "completed";
-                    await game.save();
-                }
-            } else {
-                // No more rounds to generate, game is complete
-                game.status = "completed";
-                await game.save();
-            }
-        } else if (allFinished && game.type === "round-robin") {
-            // Round Robin is complete after all matches finish
-            game.status = "completed";
-            await game.save();
+        if (game.status === "abandoned") {
+            return res.status(410).json({
+                success: false,
+                message: "This game has been cancelled",
+            });
         }
 
-        // Reload game with updated matches
-        const updatedGame = await Game.findById(game._id)
-            .populate("matches")
-            .populate("createdBy", "username displayName")
-            .populate("roomId", "name code");
-
-        console.log('🏓 [Backend] Final response data:', {
-            allRoundFinished: allFinished,
-            nextRoundCreated: nextRoundCreated,
-            newMatchesCount: newMatches.length,
-            newMatchesDetails: newMatches.map(m => ({
-                _id: m._id?.toString() || 'no-id',
-                round: m.roundNumber,
-                match: m.matchNumber,
-                teamA: m.teamA?.letter,
-                teamB: m.teamB?.letter,
-                status: m.status,
-            })),
-            updatedGameMatchesCount: updatedGame?.matches?.length || 0,
-        });
+        const { game: spectatorGame, standings } = buildSpectatorView(game);
 
         res.status(200).json({
             success: true,
-            message: "Match result submitted",
-            match,
-            game: updatedGame,
-            allRoundMatchesFinished: allFinished,
-            nextRoundCreated: nextRoundCreated,
-            newMatches: newMatches,
+            game: spectatorGame,
+            ...(standings && { standings }),
+            expiresAt: new Date(decoded.exp * 1000),
         });
     } catch (error) {
-        console.error("Error submitting match result:", error);
+        console.error("Error getting spectator view:", error);
         res.status(500).json({
             success: false,
             message: "Server error",
@@ -1397,6 +2872,7 @@ const submitMatchResult = async (req, res) => {
 };
 
 // Calculate winners and assign medals
+// Only for finished games - a cancelled game or one still being played has no winners
 const calculateWinners = async (req, res) => {
     try {
         const { gameId } = req.params;
@@ -1409,31 +2885,36 @@ const calculateWinners = async (req, res) => {
             });
         }
 
+        if (game.status === "abandoned") {
+            return res.status(400).json({
+                success: false,
+                message: "This game has been cancelled",
+            });
+        }
+
+        if (game.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                message: "This game is not finished yet",
+            });
+        }
+
+        // Medal points were paid out for the medals as they are - they stay
+        if (game.pointsAssigned) {
+            return res.status(200).json({
+                success: true,
+                message: "Winners already calculated",
+                game,
+            });
+        }
+
+        let standings = null;
+
         if (game.type === "round-robin") {
-            // Round Robin: Rank by wins
-            const sortedTeams = [...game.teams].sort((a, b) => (b.wins || 0) - (a.wins || 0));
-
-            if (sortedTeams.length >= 1) {
-                sortedTeams[0].medal = "gold";
-                game.medals.gold.team = sortedTeams[0].letter;
-                game.medals.gold.players = sortedTeams[0].players
-                    .filter((p) => p.userId)
-                    .map((p) => p.userId);
-            }
-            if (sortedTeams.length >= 2) {
-                sortedTeams[1].medal = "silver";
-                game.medals.silver.team = sortedTeams[1].letter;
-                game.medals.silver.players = sortedTeams[1].players
-                    .filter((p) => p.userId)
-                    .map((p) => p.userId);
-            }
-            if (sortedTeams.length >= 3) {
-                sortedTeams[2].medal = "bronze";
-                game.medals.bronze.team = sortedTeams[2].letter;
-                game.medals.bronze.players = sortedTeams[2].players
-                    .filter((p) => p.userId)
-                    .map((p) => p.userId);
-            }
+            // Round Robin: Rank by wins, then the game's tiebreak chain
+            // (head-to-head, point differential, points scored by default)
+            standings = buildStandings(game);
+            assignMedalsFromStandings(game, standings);
         } else if (game.type === "pickle") {
             // Pickle Format: Final winner gets Gold, Final loser gets Silver, Losers bracket winner gets Bronze
             const finalMatch = game.matches.find((m) => m.bracketType === "final" && m.status === "finished");
@@ -1451,13 +2932,13 @@ const calculateWinners = async (req, res) => {
 
                 if (winnerTeam) {
                     winnerTeam.medal = "gold";
-                    game.medals.gold.players = winnerTeam.players
+                    game.medals.gold.players = getMedalRoster(game, winnerTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                 }
                 if (loserTeam) {
                     loserTeam.medal = "silver";
-                    game.medals.silver.players = loserTeam.players
+                    game.medals.silver.players = getMedalRoster(game, loserTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                 }
@@ -1477,14 +2958,52 @@ const calculateWinners = async (req, res) => {
                     if (bronzeTeam) {
                         bronzeTeam.medal = "bronze";
                         game.medals.bronze.team = bronzeWinner.letter;
-                        game.medals.bronze.players = bronzeTeam.players
+                        game.medals.bronze.players = getMedalRoster(game, bronzeTeam)
                             .filter((p) => p.userId)
                             .map((p) => p.userId);
                     }
                 }
             }
-        } else if (game.type === "quick-knockout") {
-            // Quick Knockout: Final winner gets Gold, Final loser gets Silver, Bronze match winner gets Bronze
+        } else if (game.type === "mixer" || game.type === "swiss") {
+            // Mixer: standings are per player - most wins, then point differential, then points scored
+            // Swiss: most wins, then Buchholz (opponents' wins), then point differential
+            standings = buildStandings(game);
+            assignMedalsFromStandings(game, standings);
+        } else if (game.type === "double-elimination") {
+            // Double Elimination: Grand final (or bracket reset) decides Gold and Silver,
+            // the team knocked out in the last losers bracket match gets Bronze
+            const decidingMatch =
+                game.matches.find((m) => m.bracketType === "reset" && m.status === "finished") ||
+                game.matches.find((m) => m.bracketType === "final" && m.status === "finished");
+
+            if (decidingMatch) {
+                const winner = decidingMatch.winner === "A" ? decidingMatch.teamA : decidingMatch.teamB;
+                const loser = decidingMatch.winner === "A" ? decidingMatch.teamB : decidingMatch.teamA;
+
+                const medalTeams = [["gold", winner.letter], ["silver", loser.letter]];
+
+                const losersBracketMatches = game.matches
+                    .filter((m) => m.bracketType === "losers" && m.status === "finished" && !m.isBye)
+                    .sort((a, b) => a.roundNumber - b.roundNumber || a.matchNumber - b.matchNumber);
+                const lastLosersMatch = losersBracketMatches[losersBracketMatches.length - 1];
+                if (lastLosersMatch && lastLosersMatch.winner) {
+                    const bronzeTeam = lastLosersMatch.winner === "A" ? lastLosersMatch.teamB : lastLosersMatch.teamA;
+                    medalTeams.push(["bronze", bronzeTeam.letter]);
+                }
+
+                medalTeams.forEach(([medal, letter]) => {
+                    const team = game.teams.find((t) => t.letter === letter);
+                    game.medals[medal].team = letter;
+                    if (team) {
+                        team.medal = medal;
+                        game.medals[medal].players = getMedalRoster(game, team)
+                            .filter((p) => p.userId)
+                            .map((p) => p.userId);
+                    }
+                });
+            }
+        } else if (game.type === "quick-knockout" || game.type === "pools-to-knockout") {
+            // Quick Knockout / Pools to Knockout playoffs: Final winner gets Gold, Final loser gets Silver, Bronze match winner gets Bronze
             const finalMatch = game.matches.find((m) => m.bracketType === "final" && m.status === "finished");
             const bronzeMatch = game.matches.find((m) => m.bracketType === "bronze" && m.status === "finished");
 
@@ -1501,13 +3020,13 @@ const calculateWinners = async (req, res) => {
 
                 if (winnerTeam) {
                     winnerTeam.medal = "gold";
-                    game.medals.gold.players = winnerTeam.players
+                    game.medals.gold.players = getMedalRoster(game, winnerTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                 }
                 if (loserTeam) {
                     loserTeam.medal = "silver";
-                    game.medals.silver.players = loserTeam.players
+                    game.medals.silver.players = getMedalRoster(game, loserTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                 }
@@ -1521,7 +3040,7 @@ const calculateWinners = async (req, res) => {
                     if (bronzeTeam) {
                         bronzeTeam.medal = "bronze";
                         game.medals.bronze.team = bronzeWinner.letter;
-                        game.medals.bronze.players = bronzeTeam.players
+                        game.medals.bronze.players = getMedalRoster(game, bronzeTeam)
                             .filter((p) => p.userId)
                             .map((p) => p.userId);
                     }
@@ -1577,14 +3096,14 @@ const calculateWinners = async (req, res) => {
 
                 if (winnerTeam) {
                     winnerTeam.medal = "gold";
-                    game.medals.gold.players = winnerTeam.players
+                    game.medals.gold.players = getMedalRoster(game, winnerTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                     console.log(`🏆 [CalculateWinners] Gold medal assigned to Team ${winnerLetter}`);
                 }
                 if (loserTeam) {
                     loserTeam.medal = "silver";
-                    game.medals.silver.players = loserTeam.players
+                    game.medals.silver.players = getMedalRoster(game, loserTeam)
                         .filter((p) => p.userId)
                         .map((p) => p.userId);
                     console.log(`🏆 [CalculateWinners] Silver medal assigned to Team ${loserLetter}`);
@@ -1599,13 +3118,13 @@ const calculateWinners = async (req, res) => {
             }
         }
 
-        game.status = "completed";
         await game.save();
 
         res.status(200).json({
             success: true,
             message: "Winners calculated successfully",
             game,
+            ...(standings && { standings }),
         });
     } catch (error) {
         console.error("Error calculating winners:", error);
@@ -1618,72 +3137,70 @@ const calculateWinners = async (req, res) => {
 };
 
 // Assign points based on medals
+// The game is claimed for payout with a conditional update and the points are written in one
+// transaction, so concurrent requests can't both pay out
 const assignPoints = async (req, res) => {
     try {
         const { gameId } = req.params;
-        const game = await Game.findById(gameId);
-
-        if (!game) {
-            return res.status(404).json({
-                success: false,
-                message: "Game not found",
-            });
-        }
-
-        if (game.pointsAssigned) {
-            return res.status(200).json({
-                success: true,
-                message: "Points already assigned",
-            });
-        }
 
-        const pointValues = {
-            gold: { individual: 3, team: 4 },
-            silver: { individual: 1, team: 2 },
-            bronze: { individual: 1, team: 1 },
-        };
+        const { status, body } = await runInTransaction(async () => {
+            // Match lineups decide who shares each medal
+            const game = await Game.findOneAndUpdate(
+                { _id: gameId, status: "completed", pointsAssigned: { $ne: true } },
+                { $set: { pointsAssigned: true } },
+                { new: true }
+            ).populate("matches");
+
+            if (!game) {
+                const existingGame = await Game.findById(gameId).select("status pointsAssigned");
+                if (!existingGame) {
+                    return { status: 404, body: { success: false, message: "Game not found" } };
+                }
+                if (existingGame.pointsAssigned) {
+                    return { status: 200, body: { success: true, message: "Points already assigned" } };
+                }
+                if (existingGame.status === "abandoned") {
+                    return { status: 400, body: { success: false, message: "This game has been cancelled" } };
+                }
+                return { status: 400, body: { success: false, message: "This game is not finished yet" } };
+            }
 
-        // Assign points for medal winners
-        for (const medalType of ["gold", "silver", "bronze"]) {
-            const medalData = game.medals[medalType];
-            if (medalData.team) {
-                // Find the team that won this medal
-                const medalTeam = game.teams.find((t) => t.letter === medalData.team);
-                if (!medalTeam) continue;
-
-                const points = pointValues[medalType];
-                const totalPlayers = medalTeam.players.length;
-                const teamPointsPerPlayer = points.team / totalPlayers;
-
-                // Award points to all players on the medal-winning team
-                for (const player of medalTeam.players) {
-                    if (player.userId) {
-                        // Registered player - award points directly
-                        await User.findByIdAndUpdate(player.userId, {
-                            $inc: {
-                                individualPoints: points.individual,
-                                teamPoints: teamPointsPerPlayer
-                            },
+            const pointValues = MEDAL_POINTS;
+
+            // Assign points for medal winners
+            for (const medalType of ["gold", "silver", "bronze"]) {
+                const medalData = game.medals[medalType];
+                if (medalData.team) {
+                    // Find the team that won this medal
+                    const medalTeam = game.teams.find((t) => t.letter === medalData.team);
+                    if (!medalTeam) continue;
+
+                    const points = pointValues[medalType];
+                    const medalPlayers = getMedalRoster(game, medalTeam);
+                    const teamPointsPerPlayer = points.team / medalPlayers.length;
+
+                    // Award points to everyone who played for the medal-winning team
+                    for (const player of medalPlayers) {
+                        await recordPoints(player, {
+                            reason: "medal",
+                            medal: medalType,
+                            amount: points.individual,
+                            teamAmount: teamPointsPerPlayer,
+                            gameId: game._id,
                         });
-                    } else if (player.mobile) {
-                        // Unregistered player - track points in UnregisteredPlayer model
-                        await addPointsToUnregisteredPlayer(player.mobile, points.individual);
-                        // Note: Team points can be tracked separately if needed
-                        // For now, we'll track them as individual points
                     }
                 }
             }
-        }
 
-        // Assign participation points (0.5 points) to all other players
-        const allRegisteredPlayerIds = new Set();
-        const allUnregisteredPlayers = new Set(); // Store mobile numbers
-        const medalWinnersRegistered = new Set();
-        const medalWinnersUnregistered = new Set(); // Store mobile numbers
+            // Assign participation points (0.5 points) to all other players
+            const allRegisteredPlayerIds = new Set();
+            const allUnregisteredPlayers = new Set(); // Store mobile numbers
+            const medalWinnersRegistered = new Set();
+            const medalWinnersUnregistered = new Set(); // Store mobile numbers
 
-        // Collect all players
-        game.teams.forEach((team) => {
-            team.players.forEach((player) => {
+            // Collect all players
+            // (substitutes and anyone left on the bench took part too)
+            [...game.teams.flatMap(getTeamRoster), ...game.bench].forEach((player) => {
                 if (player.userId) {
                     allRegisteredPlayerIds.add(player.userId.toString());
                 } else if (player.mobile) {
@@ -1691,125 +3208,144 @@ const assignPoints = async (req, res) => {
                     allUnregisteredPlayers.add(normalizedMobile);
                 }
             });
-        });
 
-        // Collect medal winners (both registered and unregistered)
-        for (const medalType of ["gold", "silver", "bronze"]) {
-            const medalData = game.medals[medalType];
-            if (medalData && medalData.team) {
-                const medalTeam = game.teams.find((t) => t.letter === medalData.team);
-                if (medalTeam) {
-                    medalTeam.players.forEach((player) => {
-                        if (player.userId) {
-                            medalWinnersRegistered.add(player.userId.toString());
-                        } else if (player.mobile) {
-                            const normalizedMobile = player.mobile.replace(/[\s\-+()]/g, '').replace(/^91/, '').slice(-10);
-                            medalWinnersUnregistered.add(normalizedMobile);
-                        }
-                    });
+            // Collect medal winners (both registered and unregistered)
+            for (const medalType of ["gold", "silver", "bronze"]) {
+                const medalData = game.medals[medalType];
+                if (medalData && medalData.team) {
+                    const medalTeam = game.teams.find((t) => t.letter === medalData.team);
+                    if (medalTeam) {
+                        getMedalRoster(game, medalTeam).forEach((player) => {
+                            if (player.userId) {
+                                medalWinnersRegistered.add(player.userId.toString());
+                            } else if (player.mobile) {
+                                const normalizedMobile = player.mobile.replace(/[\s\-+()]/g, '').replace(/^91/, '').slice(-10);
+                                medalWinnersUnregistered.add(normalizedMobile);
+                            }
+                        });
+                    }
                 }
             }
-        }
-
-        // Remove medal winners from participation list
-        medalWinnersRegistered.forEach((playerId) => {
-            allRegisteredPlayerIds.delete(playerId);
-        });
-        medalWinnersUnregistered.forEach((mobile) => {
-            allUnregisteredPlayers.delete(mobile);
-        });
 
-        // Assign participation points to registered players (0.5 individual points)
-        for (const playerId of allRegisteredPlayerIds) {
-            await User.findByIdAndUpdate(playerId, {
-                $inc: { individualPoints: 0.5 },
+            // Remove medal winners from participation list
+            medalWinnersRegistered.forEach((playerId) => {
+                allRegisteredPlayerIds.delete(playerId);
+            });
+            medalWinnersUnregistered.forEach((mobile) => {
+                allUnregisteredPlayers.delete(mobile);
             });
-        }
 
-        // Assign participation points to unregistered players (0.5 individual points)
-        for (const mobile of allUnregisteredPlayers) {
-            await addPointsToUnregisteredPlayer(mobile, 0.5);
-        }
+            // Assign participation points to registered players (0.5 individual points)
+            for (const playerId of allRegisteredPlayerIds) {
+                await recordPoints({ userId: playerId }, {
+                    reason: "participation",
+                    amount: PARTICIPATION_POINTS,
+                    gameId: game._id,
+                });
+            }
+
+            // Assign participation points to unregistered players (0.5 individual points)
+            for (const mobile of allUnregisteredPlayers) {
+                await recordPoints({ mobile }, {
+                    reason: "participation",
+                    amount: PARTICIPATION_POINTS,
+                    gameId: game._id,
+                });
+            }
 
-        // Update user statistics (totalGames, totalWins, streak)
-        // Collect all registered players and determine who won (got a medal)
-        const allPlayerIds = new Set();
-        const medalWinnersSet = new Set(); // Players who got gold, silver, or bronze
+            // Update user statistics (totalGames, totalWins, streak)
+            // Collect all registered players and determine who won (got a medal)
+            const allPlayerIds = new Set();
+            const medalWinnersSet = new Set(); // Players who got gold, silver, or bronze
 
-        // Collect all players first
-        game.teams.forEach((team) => {
-            team.players.forEach((player) => {
+            // Collect all players first
+            [...game.teams.flatMap(getTeamRoster), ...game.bench].forEach((player) => {
                 if (player.userId) {
                     allPlayerIds.add(player.userId.toString());
                 }
             });
-        });
 
-        // Collect medal winners (gold, silver, bronze all count as wins)
-        for (const medalType of ["gold", "silver", "bronze"]) {
-            const medalData = game.medals[medalType];
-            if (medalData && medalData.team) {
-                const medalTeam = game.teams.find((t) => t.letter === medalData.team);
-                if (medalTeam) {
-                    medalTeam.players.forEach((player) => {
-                        if (player.userId) {
-                            medalWinnersSet.add(player.userId.toString());
-                        }
-                    });
+            // Collect medal winners (gold, silver, bronze all count as wins)
+            for (const medalType of ["gold", "silver", "bronze"]) {
+                const medalData = game.medals[medalType];
+                if (medalData && medalData.team) {
+                    const medalTeam = game.teams.find((t) => t.letter === medalData.team);
+                    if (medalTeam) {
+                        getMedalRoster(game, medalTeam).forEach((player) => {
+                            if (player.userId) {
+                                medalWinnersSet.add(player.userId.toString());
+                            }
+                        });
+                    }
                 }
             }
-        }
 
-        // Update stats for all registered players
-        for (const userId of allPlayerIds) {
-            const user = await User.findById(userId);
-            if (!user) continue;
+            // Update stats for all registered players
+            for (const userId of allPlayerIds) {
+                const user = await User.findById(userId);
+                if (!user) continue;
+
+                // Initialize stats if not exists
+                if (!user.stats || typeof user.stats !== 'object') {
+                    user.stats = {
+                        totalGames: 0,
+                        totalWins: 0,
+                        streak: 0
+                    };
+                }
 
-            // Initialize stats if not exists
-            if (!user.stats || typeof user.stats !== 'object') {
-                user.stats = {
-                    totalGames: 0,
-                    totalWins: 0,
-                    streak: 0
-                };
-            }
+                // Ensure stats fields exist
+                if (typeof user.stats.totalGames !== 'number') user.stats.totalGames = 0;
+                if (typeof user.stats.totalWins !== 'number') user.stats.totalWins = 0;
+                if (typeof user.stats.streak !== 'number') user.stats.streak = 0;
 
-            // Ensure stats fields exist
-            if (typeof user.stats.totalGames !== 'number') user.stats.totalGames = 0;
-            if (typeof user.stats.totalWins !== 'number') user.stats.totalWins = 0;
-            if (typeof user.stats.streak !== 'number') user.stats.streak = 0;
+                // Increment totalGames for all players who participated
+                user.stats.totalGames = (user.stats.totalGames || 0) + 1;
 
-            // Increment totalGames for all players who participated
-            user.stats.totalGames = (user.stats.totalGames || 0) + 1;
+                // Check if player won (got a medal)
+                const won = medalWinnersSet.has(userId);
 
-            // Check if player won (got a medal)
-            const won = medalWinnersSet.has(userId);
+                if (won) {
+                    // Increment totalWins for medal winners
+                    user.stats.totalWins = (user.stats.totalWins || 0) + 1;
 
-            if (won) {
-                // Increment totalWins for medal winners
-                user.stats.totalWins = (user.stats.totalWins || 0) + 1;
+                    // Update streak - increment if won
+                    const currentStreak = user.stats.streak || 0;
+                    user.stats.streak = currentStreak + 1;
+                } else {
+                    // If player didn't win, reset streak to 0
+                    user.stats.streak = 0;
+                }
 
-                // Update streak - increment if won
-                const currentStreak = user.stats.streak || 0;
-                user.stats.streak = currentStreak + 1;
-            } else {
-                // If player didn't win, reset streak to 0
-                user.stats.streak = 0;
+                // Mark stats as modified to ensure Mongoose saves it
+                user.markModified('stats');
+                await user.save();
             }
 
-            // Mark stats as modified to ensure Mongoose saves it
-            user.markModified('stats');
-            await user.save();
-        }
+            // Season points for the room's running season, scored by the season's own rules
+            const season = await findActiveSeason(game.roomId);
+            if (season) {
+                await accrueSeasonPoints(season, getGamePlacements(game));
+                game.seasonId = season._id;
+                console.log('🏅 [Backend] Game added to season:', {
+                    gameId: game._id.toString(),
+                    seasonId: season._id.toString(),
+                });
+            }
 
-        game.pointsAssigned = true;
-        await game.save();
+            await game.save();
 
-        res.status(200).json({
-            success: true,
-            message: "Points assigned successfully",
-            game,
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: "Points assigned successfully",
+                    game,
+                },
+            };
         });
+
+        res.status(status).json(body);
     } catch (error) {
         console.error("Error assigning points:", error);
         res.status(500).json({
@@ -1830,13 +3366,15 @@ const getUserRecentGames = async (req, res) => {
         const games = await Game.find({
             $or: [
                 { createdBy: userId },
-                { 'teams.players.userId': userId }
+                { 'teams.players.userId': userId },
+                { 'teams.substitutes.userId': userId },
+                { 'bench.userId': userId }
             ],
             status: 'completed'
         })
             .populate('roomId', 'name code')
             .populate('createdBy', 'username displayName')
-            .select('type status championTeam medals createdAt roomId createdBy teams')
+            .select('type status championTeam medals createdAt roomId createdBy teams bench')
             .sort({ createdAt: -1 })
             .limit(limit);
 
@@ -1847,7 +3385,7 @@ const getUserRecentGames = async (req, res) => {
             let userPoints = 0;
 
             for (const team of game.teams) {
-                const isInTeam = team.players.some(p =>
+                const isInTeam = getTeamRoster(team).some(p =>
                     p.userId && p.userId.toString() === userId.toString()
                 );
                 if (isInTeam) {
@@ -1870,6 +3408,10 @@ const getUserRecentGames = async (req, res) => {
                 'pickle': 'Pickle Format',
                 'round-robin': 'Round Robin',
                 'quick-knockout': 'Quick Knockout',
+                'double-elimination': 'Double Elimination',
+                'mixer': 'Mixer',
+                'swiss': 'Swiss',
+                'pools-to-knockout': 'Pools to Knockout',
                 'one-vs-one': '1 vs 1',
                 'two-vs-two': '2 vs 2'
             };
@@ -1940,5 +3482,117 @@ const getActiveGameForRoom = async (req, res) => {
     }
 };
 
-export { createGame, getGameById, submitMatchResult, calculateWinners, assignPoints, getUserRecentGames, getActiveGameForRoom };
+// UPDATE - Cancel (abandon) an active game and roll back match win points
+// The rollback runs in one transaction. Unplayed matches are claimed with a conditional update,
+// as finalizeMatchResult does, so a result submitted meanwhile is either rejected or rolled back.
+const cancelGame = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const { reason = null } = req.body || {};
+        const userId = req.user._id;
+
+        if (reason !== null && typeof reason !== "string") {
+            return res.status(400).json({
+                success: false,
+                message: "Reason must be text",
+            });
+        }
+
+        const { status, body } = await runInTransaction(async () => {
+            const game = await Game.findById(gameId);
+            if (!game) {
+                return { status: 404, body: { success: false, message: "Game not found" } };
+            }
+
+            // Only the room admin or the person who started the game can cancel it
+            const room = await Room.findById(game.roomId);
+            const isRoomCreator = room && room.createdBy.toString() === userId.toString();
+            const isGameCreator = game.createdBy.toString() === userId.toString();
+
+            if (!isRoomCreator && !isGameCreator) {
+                return {
+                    status: 403,
+                    body: { success: false, message: "Only the room admin or game creator can cancel this game" },
+                };
+            }
+
+            if (!["pending", "live"].includes(game.status)) {
+                return {
+                    status: 400,
+                    body: { success: false, message: `Only active games can be cancelled. This game is ${game.status}.` },
+                };
+            }
+
+            if (game.pointsAssigned) {
+                return {
+                    status: 400,
+                    body: { success: false, message: "Medal points have already been assigned for this game and cannot be rolled back" },
+                };
+            }
+
+            const matches = await Match.find({ gameId: game._id });
+            let matchesReverted = 0;
+            let matchesCancelled = 0;
+
+            for (let match of matches) {
+                if (["pending", "live"].includes(match.status)) {
+                    // Unplayed matches will never be played
+                    const claim = await Match.updateOne(
+                        { _id: match._id, status: { $in: ["pending", "live"] } },
+                        { $set: { status: "cancelled" } }
+                    );
+                    if (claim.modifiedCount > 0) {
+                        matchesCancelled++;
+                        continue;
+                    }
+                    // Finished in the meantime - rolled back below
+                    match = await Match.findById(match._id);
+                }
+
+                if (match.status === "finished" && match.winner) {
+                    // Reverse the +1 individual point awarded to each winning player
+                    await revokeMatchWinPoints(getWinningPlayers(match), { gameId: game._id, matchId: match._id });
+                    await revertMatchRatings(match);
+                    matchesReverted++;
+                }
+            }
+
+            game.status = "abandoned";
+            game.cancelledBy = userId;
+            game.cancelledAt = new Date();
+            game.cancelReason = reason?.trim() || null;
+            await game.save();
+
+            console.log('🛑 [Backend] Game cancelled:', {
+                gameId: game._id.toString(),
+                matchesReverted,
+                matchesCancelled,
+            });
+
+            emitGameEvent(game, "game:cancelled", { reason: game.cancelReason });
+
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: "Game cancelled successfully",
+                    game: await loadGameForResponse(game._id),
+                    matchesReverted,
+                    matchesCancelled,
+                },
+            };
+        });
+
+        res.status(status).json(body);
+    } catch (error) {
+        console.error("Error cancelling game:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+export { generateTeams, createGame, getGameById, submitMatchResult, correctMatchResult, getMatchEvents, recordMatchEvent, undoMatchEvent, createSpectatorLink, getSpectatorView, calculateWinners, assignPoints, getUserRecentGames, getActiveGameForRoom, cancelGame };
 
@@ -5,6 +5,7 @@ import {
     getOrCreateUnregisteredPlayer,
     trackUnregisteredPlayerParticipation
 } from "../utils/unregisteredPlayerUtils.js";
+import { emitToRoom } from "../config/socket.js";
 
 // Generate a unique 6-character room code
 const generateRoomCode = async () => {
@@ -503,6 +504,8 @@ const updateRoom = async (req, res) => {
             .populate('members', 'username displayName mobile avatarUrl individualPoints')
             .select('-__v');
 
+        emitToRoom(room._id, "room:updated", { room: updatedRoom });
+
         res.status(200).json({
             success: true,
             message: "Room updated successfully",
@@ -619,6 +622,8 @@ const joinRoom = async (req, res) => {
             .populate('members', 'username displayName mobile avatarUrl individualPoints')
             .select('-__v');
 
+        emitToRoom(room._id, "room:updated", { room: populatedRoom });
+
         res.status(200).json({
             success: true,
             message: "You have successfully joined the room!",
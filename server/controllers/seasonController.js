@@ -0,0 +1,301 @@
+import Season from "../models/seasonModel.js";
+import SeasonStanding from "../models/seasonStandingModel.js";
+import Room from "../models/roomModel.js";
+import {
+    normalizeSeasonScoring,
+    rankSeasonStandings,
+    closeSeason as archiveSeason,
+    closeExpiredSeasons
+} from "../utils/seasonUtils.js";
+
+// Longest a season can run
+const MAX_SEASON_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: Check if user is the room creator or a member
+const isRoomMember = (room, userId) => Boolean(room) && (
+    room.createdBy.toString() === userId.toString() ||
+    room.members.some((memberId) => memberId.toString() === userId.toString())
+);
+
+// Helper: Parse a season date - a plain date ("2026-03-31") as an end date covers that whole day
+const parseSeasonDate = (value, { endOfDay = false } = {}) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+// Helper: Season as returned to clients, with its table
+// Active seasons show the running totals, closed seasons their archived final table
+const toSeasonResponse = async (season, { withStandings = true } = {}) => {
+    const data = {
+        _id: season._id,
+        roomId: season.roomId,
+        name: season.name,
+        startDate: season.startDate,
+        endDate: season.endDate,
+        scoringRules: season.scoringRules,
+        status: season.status,
+        closedAt: season.closedAt,
+        createdAt: season.createdAt,
+    };
+    if (!withStandings) return data;
+
+    const standings = season.status === "closed"
+        ? season.finalStandings
+        : rankSeasonStandings(await SeasonStanding.find({ seasonId: season._id }).lean());
+
+    // Mobile numbers identify unregistered players internally - they are not shown
+    return {
+        ...data,
+        standings: standings.map(({ mobile, ...row }) => row),
+    };
+};
+
+// CREATE - Start a new season for a room (room admin only)
+const createSeason = async (req, res) => {
+    try {
+        const { roomId, name, startDate, endDate, scoringRules } = req.body;
+        const userId = req.user._id;
+
+        if (!roomId || !name || !name.trim() || !endDate) {
+            return res.status(400).json({
+                success: false,
+                message: "Room ID, season name and end date are required",
+            });
+        }
+
+        const room = await Room.findById(roomId);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        if (room.createdBy.toString() !== userId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: "Only room admin can start a season",
+            });
+        }
+
+        const start = startDate ? parseSeasonDate(startDate) : new Date();
+        const end = parseSeasonDate(endDate, { endOfDay: true });
+        if (!start || !end || end <= start) {
+            return res.status(400).json({
+                success: false,
+                message: "End date must be a valid date after the start date",
+            });
+        }
+        if (end - start > MAX_SEASON_DAYS * DAY_MS) {
+            return res.status(400).json({
+                success: false,
+                message: `A season can run for at most ${MAX_SEASON_DAYS} days`,
+            });
+        }
+
+        const { rules, error: scoringError } = normalizeSeasonScoring(scoringRules);
+        if (scoringError) {
+            return res.status(400).json({
+                success: false,
+                message: scoringError,
+            });
+        }
+
+        // One season at a time - a finished season must be closed first
+        await closeExpiredSeasons(roomId);
+        const overlapping = await Season.findOne({
+            roomId,
+            status: "active",
+            startDate: { $lte: end },
+            endDate: { $gte: start },
+        });
+        if (overlapping) {
+            return res.status(400).json({
+                success: false,
+                message: `Season "${overlapping.name}" is still running. Close it before starting a new one.`,
+                existingSeasonId: overlapping._id,
+            });
+        }
+
+        const season = await Season.create({
+            roomId,
+            name: name.trim(),
+            startDate: start,
+            endDate: end,
+            scoringRules: rules,
+            createdBy: userId,
+        });
+        console.log('🏅 [Backend] Season created:', {
+            seasonId: season._id.toString(),
+            roomId: roomId.toString(),
+            startDate: start.toISOString(),
+            endDate: end.toISOString(),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Season created successfully",
+            season: await toSeasonResponse(season),
+        });
+    } catch (error) {
+        console.error("Error creating season:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// READ - List a room's seasons, newest first
+const getRoomSeasons = async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const userId = req.user._id;
+
+        const room = await Room.findById(roomId);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        if (!isRoomMember(room, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You are not a member of this room",
+            });
+        }
+
+        await closeExpiredSeasons(roomId);
+        const seasons = await Season.find({ roomId })
+            .select("-finalStandings")
+            .sort({ startDate: -1 });
+
+        const seasonList = [];
+        for (const season of seasons) {
+            seasonList.push(await toSeasonResponse(season, { withStandings: false }));
+        }
+
+        res.status(200).json({
+            success: true,
+            seasons: seasonList,
+        });
+    } catch (error) {
+        console.error("Error getting room seasons:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// READ - Get a season with its table
+const getSeasonById = async (req, res) => {
+    try {
+        const { seasonId } = req.params;
+        const userId = req.user._id;
+
+        let season = await Season.findById(seasonId);
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: "Season not found",
+            });
+        }
+
+        const room = await Room.findById(season.roomId);
+        if (!isRoomMember(room, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You are not a member of this room",
+            });
+        }
+
+        if (season.status === "active" && season.endDate < new Date()) {
+            season = await archiveSeason(season, season.endDate);
+        }
+
+        res.status(200).json({
+            success: true,
+            season: await toSeasonResponse(season),
+        });
+    } catch (error) {
+        console.error("Error getting season:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// UPDATE - Close a season and archive its final table (room admin only)
+const closeSeason = async (req, res) => {
+    try {
+        const { seasonId } = req.params;
+        const userId = req.user._id;
+
+        const season = await Season.findById(seasonId);
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: "Season not found",
+            });
+        }
+
+        const room = await Room.findById(season.roomId);
+        if (!room || room.createdBy.toString() !== userId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: "Only room admin can close a season",
+            });
+        }
+
+        if (season.status === "closed") {
+            return res.status(400).json({
+                success: false,
+                message: "This season is already closed",
+            });
+        }
+
+        // A season closed early ends now
+        const now = new Date();
+        if (season.endDate > now) {
+            season.endDate = now;
+        }
+        await archiveSeason(season, now);
+        console.log('🏅 [Backend] Season closed:', {
+            seasonId: season._id.toString(),
+            players: season.finalStandings.length,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Season closed",
+            season: await toSeasonResponse(season),
+        });
+    } catch (error) {
+        console.error("Error closing season:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+export {
+    createSeason,
+    getRoomSeasons,
+    getSeasonById,
+    closeSeason,
+};
@@ -5,21 +5,31 @@
 
 import User from "../models/userModel.js";
 import Game from "../models/gameModel.js";
+import { toPublicRating } from "../utils/ratingUtils.js";
+import { MEDAL_POINTS, PARTICIPATION_POINTS } from "../utils/pointsUtils.js";
 
 // GET - Get top individual players
-// Query params: sortBy (points|wins|streak), limit (default: 50)
+// Query params: sortBy (points|wins|streak|rating), limit (default: 50)
 const getTopIndividualPlayers = async (req, res) => {
     try {
         const { sortBy = 'points', limit = 50 } = req.query;
         const limitNum = parseInt(limit, 10);
 
         const users = await User.find({})
-            .select('username displayName avatarUrl individualPoints stats teamPoints')
+            .select('username displayName avatarUrl individualPoints stats teamPoints rating')
             .lean();
 
+        // Current ratings, with deviation grown for inactivity
+        const ratings = new Map(users.map((user) => [user._id.toString(), toPublicRating(user.rating)]));
+
         // Sort users based on sortBy parameter
         users.sort((a, b) => {
-            if (sortBy === 'wins') {
+            if (sortBy === 'rating') {
+                // Settled ratings rank above provisional ones
+                const ratingA = ratings.get(a._id.toString());
+                const ratingB = ratings.get(b._id.toString());
+                return (ratingA.provisional - ratingB.provisional) || (ratingB.value - ratingA.value);
+            } else if (sortBy === 'wins') {
                 const winsA = a.stats?.totalWins || 0;
                 const winsB = b.stats?.totalWins || 0;
                 return winsB - winsA;
@@ -55,6 +65,7 @@ const getTopIndividualPlayers = async (req, res) => {
                 games: user.stats?.totalGames || 0,
                 streak: user.stats?.streak || 0,
                 winPercentage: parseFloat(winPercentage),
+                rating: ratings.get(user._id.toString()),
             };
         });
 
@@ -75,6 +86,7 @@ const getTopIndividualPlayers = async (req, res) => {
 
 // GET - Get seasonal leaderboard
 // Query params: period (weekly|monthly), metric (points|wins|streak|games), limit (default: 50)
+// Points are scored like assignPoints: medal points, or participation points without a medal
 const getSeasonalLeaderboard = async (req, res) => {
     try {
         const { period = 'monthly', metric = 'points', limit = 50 } = req.query;
@@ -97,7 +109,7 @@ const getSeasonalLeaderboard = async (req, res) => {
 
         // Get users with their game participation in the period
         const users = await User.find({})
-            .select('username displayName avatarUrl individualPoints stats teamPoints createdAt')
+            .select('username displayName avatarUrl individualPoints stats teamPoints rating createdAt')
             .lean();
 
         // Filter games by date if period is specified
@@ -107,7 +119,7 @@ const getSeasonalLeaderboard = async (req, res) => {
         }
 
         const gamesInPeriod = await Game.find(gamesQuery)
-            .select('teams medals createdAt')
+            .select('teams bench medals createdAt')
             .lean();
 
         // Calculate metrics for each user in the period
@@ -123,54 +135,45 @@ const getSeasonalLeaderboard = async (req, res) => {
                 wins: 0,
                 games: 0,
                 streak: user.stats?.streak || 0, // Current streak
+                rating: toPublicRating(user.rating), // Current rating
             });
         });
 
         // Process games to calculate period-specific metrics
         gamesInPeriod.forEach((game) => {
-            // Count games played
-            if (game.teams && Array.isArray(game.teams)) {
-                game.teams.forEach((team) => {
-                    if (team.players && Array.isArray(team.players)) {
-                        team.players.forEach((player) => {
-                            if (player.userId) {
-                                const userIdStr = player.userId.toString();
-                                const metrics = userMetrics.get(userIdStr);
-                                if (metrics) {
-                                    metrics.games += 1;
-
-                                    // Check if this team won (got a medal)
-                                    if (team.medal && team.medal !== null) {
-                                        metrics.wins += 1;
-                                    }
-                                }
-                            }
-                        });
+            // Each player counts once per game, with the best medal they won
+            const gamePlayers = new Map(); // userId -> medal or null
+            const medalOrder = ['gold', 'silver', 'bronze'];
+            (game.teams || []).forEach((team) => {
+                const medal = medalOrder.find((m) => game.medals?.[m]?.team === team.letter) || null;
+                [...(team.players || []), ...(team.substitutes || [])].forEach((player) => {
+                    if (!player.userId) return;
+                    const userIdStr = player.userId.toString();
+                    const current = gamePlayers.get(userIdStr);
+                    if (!gamePlayers.has(userIdStr) || (medal && (!current || medalOrder.indexOf(medal) < medalOrder.indexOf(current)))) {
+                        gamePlayers.set(userIdStr, medal);
                     }
                 });
-            }
+            });
+            (game.bench || []).forEach((player) => {
+                if (player.userId && !gamePlayers.has(player.userId.toString())) {
+                    gamePlayers.set(player.userId.toString(), null);
+                }
+            });
 
-            // Calculate points from medals (if medals exist)
-            if (game.medals) {
-                ['gold', 'silver', 'bronze'].forEach((medalType) => {
-                    if (game.medals[medalType] && game.medals[medalType].players) {
-                        game.medals[medalType].players.forEach((playerId) => {
-                            const userIdStr = playerId.toString();
-                            const metrics = userMetrics.get(userIdStr);
-                            if (metrics) {
-                                // Medal points: Gold = 10, Silver = 7, Bronze = 5, Participation = 2
-                                if (medalType === 'gold') {
-                                    metrics.points += 10;
-                                } else if (medalType === 'silver') {
-                                    metrics.points += 7;
-                                } else if (medalType === 'bronze') {
-                                    metrics.points += 5;
-                                }
-                            }
-                        });
-                    }
-                });
-            }
+            gamePlayers.forEach((medal, userIdStr) => {
+                const metrics = userMetrics.get(userIdStr);
+                if (!metrics) return;
+
+                metrics.games += 1;
+                if (medal) {
+                    // Medal winners count as a win
+                    metrics.wins += 1;
+                    metrics.points += MEDAL_POINTS[medal].individual;
+                } else {
+                    metrics.points += PARTICIPATION_POINTS;
+                }
+            });
         });
 
         // Convert to array and sort by metric
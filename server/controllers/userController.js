@@ -3,12 +3,36 @@ import Game from "../models/gameModel.js";
 import Match from "../models/matchModel.js";
 import Room from "../models/roomModel.js";
 import UnregisteredPlayer from "../models/unregisteredPlayerModel.js";
-import jwt from "jsonwebtoken";
+import RatingChange from "../models/ratingChangeModel.js";
+import PointsTransaction from "../models/pointsTransactionModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
 import bcrypt from "bcryptjs";
 import { transferUnregisteredPlayerToUser, generateSystemName } from "../utils/unregisteredPlayerUtils.js";
+import { toPublicRating } from "../utils/ratingUtils.js";
+import { getLedgerTotals, openLedger, reconcilePoints } from "../utils/pointsUtils.js";
+import { issueSession, rotateRefreshToken, revokeSession, revokeAllSessions } from "../utils/tokenUtils.js";
+import { OTP_LENGTH, sendOtp, verifyOtp } from "../utils/otpUtils.js";
+import { runInTransaction } from "../utils/transactionUtils.js";
+import config from "../config/env.js";
+import { LOGIN_ACCOUNT_RATE_LIMIT, consumeRateLimit, getUserAccountKey, getLoginAttemptKey, getAccountKey, getLoginLockout, recordLoginFailure, clearLoginFailures } from "../utils/rateLimitUtils.js";
 
-// Ensure we have a JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-123';
+// Rating changes returned with a user profile
+const RATING_HISTORY_LIMIT = 20;
+
+// Shortest password accepted when resetting a password
+const MIN_PASSWORD_LENGTH = 6;
+
+// Compared against when a login names no account, so unknown accounts take as long to answer
+const UNKNOWN_ACCOUNT_PASSWORD_HASH = bcrypt.hashSync("unknown-account", 10);
+
+// The one answer to a failed login - it doesn't say whether the account exists
+const INVALID_LOGIN_MESSAGE = "Invalid mobile number, username or password";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Points transactions per page of a player's point history
+const DEFAULT_POINTS_HISTORY_LIMIT = 50;
+const MAX_POINTS_HISTORY_LIMIT = 200;
 
 const normalizeMobile = (mobile) => {
     // Remove spaces, dashes, parentheses, and plus signs
@@ -114,6 +138,96 @@ const linkUnregisteredUserData = async (userId, normalizedMobile, unregisteredPl
     }
 };
 
+// Helper: Whether games were played under this mobile number before it was registered
+const hasUnregisteredHistory = async (normalizedMobile) => {
+    return Boolean(await UnregisteredPlayer.exists({ mobile: normalizedMobile, linkedToUserId: null }));
+};
+
+// Helper: Send a code to the user's mobile to prove the number is theirs
+// Returns { expiresAt } or { error, retryAfter } - see sendOtp
+const sendMobileVerificationCode = (user) => {
+    return sendOtp({
+        userId: user._id,
+        purpose: "mobile-verification",
+        channel: "sms",
+        destination: user.mobile,
+    });
+};
+
+// Helper: Move the points, stats and rating played under a verified user's mobile number to
+// their account and link their Games, Matches and Rooms
+// All or nothing - a failed link stays pending and can be retried
+// Returns { found, linkedData }
+const linkUnregisteredHistory = async (userId) => {
+    return runInTransaction(async () => {
+        const user = await User.findById(userId);
+
+        // Generate unique system name for privacy (e.g., "user1234")
+        // This will replace all personal names/nicknames with anonymous identifier
+        const systemName = await generateSystemName();
+        console.log(`🔒 Generated unique system name for privacy: ${systemName}`);
+
+        // Both ledgers must hold every point before the user's points are set from them:
+        // the pending points, and whatever the user had before the ledger was kept
+        await reconcilePoints({ userId: null, mobile: user.mobile });
+        await openLedger({ userId: user._id, mobile: null });
+
+        // Transfer data from UnregisteredPlayer model
+        const transferResult = await transferUnregisteredPlayerToUser(user._id, user.mobile, systemName);
+        console.log('🔗 Transfer result:', transferResult);
+
+        if (!transferResult.found) {
+            user.historyLink = "none";
+            await user.save();
+            return { found: false, linkedData: null };
+        }
+
+        // The player's points transactions now belong to the user - their points are the ledger's totals
+        const ledgerTotals = await getLedgerTotals({ userId: user._id, mobile: null });
+        user.individualPoints = ledgerTotals.amount;
+        user.teamPoints = ledgerTotals.teamAmount;
+
+        // Merge stats
+        if (transferResult.stats) {
+            if (!user.stats) {
+                user.stats = {};
+            }
+            user.stats.totalGames = (user.stats.totalGames || 0) + (transferResult.stats.totalGames || 0);
+            user.stats.totalWins = (user.stats.totalWins || 0) + (transferResult.stats.totalWins || 0);
+            if (transferResult.stats.streak) {
+                user.stats.streak = Math.max(user.stats.streak || 0, transferResult.stats.streak || 0);
+            }
+        }
+
+        // Carry over the rating earned before registering
+        if (transferResult.rating?.matches > 0) {
+            user.rating = transferResult.rating;
+        }
+
+        user.historyLink = "linked";
+        await user.save();
+
+        // Now link userId to all Games, Matches, and Rooms
+        // This will also replace all names with the system-generated name for privacy
+        const linkResults = await linkUnregisteredUserData(user._id, user.mobile, {
+            gameIds: transferResult.gameIds || [],
+            matchIds: transferResult.matchIds || [],
+            roomIds: transferResult.roomIds || []
+        }, systemName);
+
+        return {
+            found: true,
+            linkedData: {
+                rooms: linkResults.roomsUpdated,
+                games: linkResults.gamesUpdated,
+                matches: linkResults.matchesUpdated,
+                pointsAwarded: transferResult.individualPoints,
+                teamPointsAwarded: transferResult.teamPoints
+            }
+        };
+    });
+};
+
 const registerUser = async (req, res) => {
     try {
         const { username, displayName, mobile, password } = req.body;
@@ -147,106 +261,52 @@ const registerUser = async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const passwordHash = await bcrypt.hash(password, salt);
 
+        // History played under this mobile number waits until the user proves the number is theirs -
+        // otherwise anyone registering with a friend's number would take over their points and games
+        const hasHistory = await hasUnregisteredHistory(normalizedMobile);
+
         // Create new user
         const newUser = new User({
             username: username.toLowerCase(),
             displayName,
             mobile: normalizedMobile,
             passwordHash,
-            avatarUrl: req.body.avatarUrl || `https://ui-avatars.com/api/?name=${encodeURIComponent(displayName)}&background=random`
+            avatarUrl: req.body.avatarUrl || `https://ui-avatars.com/api/?name=${encodeURIComponent(displayName)}&background=random`,
+            historyLink: hasHistory ? "pending" : "none"
         });
 
         await newUser.save();
 
-        // Check for and transfer unregistered player data
-        try {
-            // Generate unique system name for privacy (e.g., "user1234")
-            // This will replace all personal names/nicknames with anonymous identifier
-            const systemName = await generateSystemName();
-            console.log(`🔒 Generated unique system name for privacy: ${systemName}`);
-
-            // Transfer data from UnregisteredPlayer model
-            const transferResult = await transferUnregisteredPlayerToUser(newUser._id, normalizedMobile, systemName);
-            console.log('🔗 Transfer result:', transferResult);
-
-            if (transferResult.found) {
-                // Transfer points and stats to user
-                const user = await User.findById(newUser._id);
-
-                // Add pending points
-                if (transferResult.individualPoints > 0) {
-                    user.individualPoints = (user.individualPoints || 0) + transferResult.individualPoints;
-                }
-                if (transferResult.teamPoints > 0) {
-                    user.teamPoints = (user.teamPoints || 0) + transferResult.teamPoints;
-                }
-
-                // Merge stats
-                if (transferResult.stats) {
-                    if (!user.stats) {
-                        user.stats = {};
-                    }
-                    user.stats.totalGames = (user.stats.totalGames || 0) + (transferResult.stats.totalGames || 0);
-                    user.stats.totalWins = (user.stats.totalWins || 0) + (transferResult.stats.totalWins || 0);
-                    if (transferResult.stats.streak) {
-                        user.stats.streak = Math.max(user.stats.streak || 0, transferResult.stats.streak || 0);
-                    }
-                }
+        const userResponse = newUser.toObject();
+        delete userResponse.__v;
+        delete userResponse.passwordHash;
 
-                await user.save();
-
-                // Now link userId to all Games, Matches, and Rooms
-                // This will also replace all names with the system-generated name for privacy
-                const linkResults = await linkUnregisteredUserData(newUser._id, normalizedMobile, {
-                    gameIds: transferResult.gameIds || [],
-                    matchIds: transferResult.matchIds || [],
-                    roomIds: transferResult.roomIds || []
-                }, systemName);
-
-                // Refresh user data
-                const updatedUser = await User.findById(newUser._id);
-                const userResponse = updatedUser.toObject();
-                delete userResponse.__v;
-                delete userResponse.passwordHash;
-
-                res.status(201).json({
-                    success: true,
-                    message: "User registered successfully. Previous match history and points have been linked.",
-                    user: userResponse,
-                    linkedData: {
-                        rooms: linkResults.roomsUpdated,
-                        games: linkResults.gamesUpdated,
-                        matches: linkResults.matchesUpdated,
-                        pointsAwarded: transferResult.individualPoints,
-                        teamPointsAwarded: transferResult.teamPoints
-                    }
-                });
-            } else {
-                // No unregistered player data found - normal registration
-                const userResponse = newUser.toObject();
-                delete userResponse.__v;
-                delete userResponse.passwordHash;
-
-                res.status(201).json({
-                    success: true,
-                    message: "User registered successfully",
-                    user: userResponse,
-                });
-            }
-        } catch (linkError) {
-            console.error('Error linking user data (non-critical):', linkError);
-            // Still return success - user is registered, linking can happen later
-            const userResponse = newUser.toObject();
-            delete userResponse.__v;
-            delete userResponse.passwordHash;
-
-            res.status(201).json({
+        if (!hasHistory) {
+            return res.status(201).json({
                 success: true,
                 message: "User registered successfully",
                 user: userResponse,
-                warning: "Could not link previous match history automatically. Please contact support if needed."
             });
         }
+
+        let verification = null;
+        try {
+            const sent = await sendMobileVerificationCode(newUser);
+            if (!sent.error) {
+                verification = { codeLength: OTP_LENGTH, expiresAt: sent.expiresAt };
+            }
+        } catch (sendError) {
+            // Non-critical - the user can ask for a new code after logging in
+            console.error('Error sending mobile verification code:', sendError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "User registered successfully. Verify your mobile number to link your previous match history and points.",
+            user: userResponse,
+            pendingLink: true,
+            verification,
+        });
     } catch (err) {
         console.error("Registration error:", err);
 
@@ -277,6 +337,17 @@ const registerUser = async (req, res) => {
     }
 };
 
+// Helper: Answer for a locked account, telling the user how long to wait
+const respondLoginLocked = (res, retryAfter) => {
+    const minutes = Math.ceil(retryAfter / 60);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        retryAfter,
+    });
+};
+
 const loginUser = async (req, res) => {
     const { username, mobile, password } = req.body;
 
@@ -330,32 +401,45 @@ const loginUser = async (req, res) => {
             console.log('Looking up user with username:', username.toLowerCase());
         }
 
-        if (!user) {
-            return res.status(404).json({
+        // Attempts are counted per account - by user id, so mobile and username share one count;
+        // unknown accounts by the identifier that was tried
+        const account = user ? getUserAccountKey(user) : getAccountKey({ mobile, username });
+        // Failed logins lock out only the address they came from
+        const attemptKey = getLoginAttemptKey(account, req.ip);
+        const limit = await consumeRateLimit("login-account", account, LOGIN_ACCOUNT_RATE_LIMIT);
+        if (limit.limited) {
+            res.set("Retry-After", String(limit.retryAfter));
+            return res.status(429).json({
                 success: false,
-                message: "User not found. Please register first.",
+                message: "Too many login attempts for this account. Please try again later.",
+                retryAfter: limit.retryAfter,
             });
         }
 
-        // Verify password
-        const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
-        if (!isPasswordValid) {
+        // Failed logins lock the account for a while, for longer with every further failure
+        const lockout = await getLoginLockout(attemptKey);
+        if (lockout) {
+            return respondLoginLocked(res, lockout.retryAfter);
+        }
+
+        // Verify password - unknown accounts fail the same way, so login doesn't reveal which
+        // numbers are registered (they count towards the lockout too)
+        const isPasswordValid = await bcrypt.compare(password, user?.passwordHash || UNKNOWN_ACCOUNT_PASSWORD_HASH);
+        if (!user || !isPasswordValid) {
+            const failure = await recordLoginFailure(attemptKey);
+            if (failure.retryAfter) {
+                return respondLoginLocked(res, failure.retryAfter);
+            }
             return res.status(401).json({
                 success: false,
-                message: "Invalid password",
+                message: INVALID_LOGIN_MESSAGE,
             });
         }
 
-        // Generate JWT token with longer expiration (30 days)
-        const tokenPayload = {
-            userId: user._id,
-            username: user.username,
-            mobile: user.mobile,
-        };
+        await clearLoginFailures(attemptKey);
 
-        const token = jwt.sign(tokenPayload, JWT_SECRET, {
-            expiresIn: '30d' // 30 days expiration
-        });
+        // Short-lived access token plus a refresh token to renew it
+        const session = await issueSession(user, { userAgent: req.get("User-Agent") || null });
 
         // Prepare user data for response (excluding sensitive data)
         const userData = {
@@ -369,6 +453,8 @@ const loginUser = async (req, res) => {
             teamPoints: user.teamPoints,
             stats: user.stats,
             avatarUrl: user.avatarUrl,
+            mobileVerifiedAt: user.mobileVerifiedAt,
+            historyLink: user.historyLink,
             createdAt: user.createdAt,
             updatedAt: user.updatedAt,
         };
@@ -377,7 +463,9 @@ const loginUser = async (req, res) => {
             success: true,
             message: "Login successful",
             user: userData,
-            token: token
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         });
         console.log('Login successful for user:', userData.username || userData.mobile);
     } catch (err) {
@@ -390,6 +478,377 @@ const loginUser = async (req, res) => {
     }
 };
 
+// POST - Exchange a refresh token for a new access token and refresh token
+// The refresh token sent is used up - the client must keep the new one
+const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== "string") {
+            return res.status(400).json({
+                success: false,
+                message: "Refresh token is required",
+            });
+        }
+
+        const session = await rotateRefreshToken(refreshToken, { userAgent: req.get("User-Agent") || null });
+        if (session.error) {
+            return res.status(401).json({
+                success: false,
+                message: session.error,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Session refreshed",
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
+        });
+    } catch (error) {
+        console.error("Error refreshing session:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// POST - Log out: end the session of the refresh token sent
+// Works with an expired access token, so a client can always log out
+const logoutUser = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== "string") {
+            return res.status(400).json({
+                success: false,
+                message: "Refresh token is required",
+            });
+        }
+
+        // Unknown or already revoked tokens are not an error - the session is over either way
+        await revokeSession(refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out",
+        });
+    } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// POST - Log out everywhere: end every session of the current user
+const logoutAllSessions = async (req, res) => {
+    try {
+        await revokeAllSessions(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out on all devices",
+        });
+    } catch (error) {
+        console.error("Error logging out all sessions:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// Helper: Find the account a password reset is for - by mobile, else by email
+// Returns { user, channel } (user null when no account matches) or { error }
+const findPasswordResetUser = async ({ mobile, email }) => {
+    if (typeof mobile === "string" && mobile.trim()) {
+        return { user: await User.findOne({ mobile: normalizeMobile(mobile) }), channel: "sms" };
+    }
+    if (typeof email === "string" && email.trim()) {
+        if (!EMAIL_PATTERN.test(email.trim())) {
+            return { error: "Please enter a valid email address" };
+        }
+        return { user: await User.findOne({ email: email.trim().toLowerCase() }), channel: "email" };
+    }
+    return { error: "Mobile number or email is required" };
+};
+
+// POST - Send a password reset code to the account's mobile or email
+// The response is the same whether or not an account matches - and whether or not a code was
+// actually sent (resend cooldown, delivery failure) - so it can't be used to find accounts
+const requestPasswordReset = async (req, res) => {
+    try {
+        const { user, channel, error } = await findPasswordResetUser(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        if (user) {
+            try {
+                const sent = await sendOtp({
+                    userId: user._id,
+                    purpose: "password-reset",
+                    channel,
+                    destination: channel === "sms" ? user.mobile : user.email,
+                });
+                if (sent.error) {
+                    // The code sent moments ago is still valid
+                    console.log('🔐 Password reset code not resent:', { userId: user._id.toString(), retryAfter: sent.retryAfter });
+                }
+            } catch (sendError) {
+                console.error("Error sending password reset code:", sendError);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: channel === "sms"
+                ? "If an account uses this mobile number, a reset code has been sent to it"
+                : "If an account uses this email, a reset code has been sent to it",
+            codeLength: OTP_LENGTH,
+        });
+    } catch (error) {
+        console.error("Error requesting password reset:", error);
+        res.status(500).json({
+            success: false,
+            message: "Unable to send a reset code right now. Please try again later.",
+            error: error.message,
+        });
+    }
+};
+
+// POST - Set a new password with a reset code
+// Every existing session is ended - the user logs in again with the new password
+const resetPassword = async (req, res) => {
+    try {
+        const { code, newPassword } = req.body;
+
+        if (!code || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: "Reset code and new password are required",
+            });
+        }
+
+        if (typeof newPassword !== "string" || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        const { user, channel, error } = await findPasswordResetUser(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        // No account - answer like an expired code, so accounts can't be discovered this way
+        const verified = user
+            ? await verifyOtp({ userId: user._id, purpose: "password-reset", code: String(code) })
+            : { error: "This code has expired. Please request a new one.", attemptsLeft: 0 };
+        if (verified.error) {
+            return res.status(400).json({
+                success: false,
+                message: verified.error,
+                attemptsLeft: verified.attemptsLeft,
+            });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.passwordHash = await bcrypt.hash(newPassword, salt);
+        // A code received by SMS proves the mobile number too - a pending history link can then be
+        // completed with POST /mobile/link-history
+        if (channel === "sms" && !user.mobileVerifiedAt && verified.otp.destination === user.mobile) {
+            user.mobileVerifiedAt = new Date();
+        }
+        await user.save();
+        await revokeAllSessions(user);
+        console.log('🔐 Password reset for user:', user._id.toString());
+
+        res.status(200).json({
+            success: true,
+            message: "Password updated. Please log in with your new password.",
+        });
+    } catch (error) {
+        console.error("Error resetting password:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// POST - Send a code to the logged-in user's mobile number to verify it
+const requestMobileVerification = async (req, res) => {
+    try {
+        if (req.user.mobileVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Your mobile number is already verified",
+            });
+        }
+
+        const sent = await sendMobileVerificationCode(req.user);
+        if (sent.error) {
+            return res.status(429).json({
+                success: false,
+                message: sent.error,
+                retryAfter: sent.retryAfter,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "A verification code has been sent to your mobile number",
+            codeLength: OTP_LENGTH,
+            expiresAt: sent.expiresAt,
+        });
+    } catch (error) {
+        console.error("Error requesting mobile verification:", error);
+        res.status(500).json({
+            success: false,
+            message: "Unable to send a verification code right now. Please try again later.",
+            error: error.message,
+        });
+    }
+};
+
+// Helper: Link a verified user's pending history and build the response
+const respondWithHistoryLink = async (res, userId, message) => {
+    try {
+        const { found, linkedData } = await linkUnregisteredHistory(userId);
+        const user = await User.findById(userId).select("-__v -passwordHash");
+        console.log('🔗 History link for user:', userId.toString(), found ? linkedData : 'nothing to link');
+
+        return res.status(200).json({
+            success: true,
+            message: found
+                ? `${message} Previous match history and points have been linked.`
+                : message,
+            user,
+            linkedData,
+        });
+    } catch (linkError) {
+        console.error('Error linking user data:', linkError);
+        // The link stays pending - POST /mobile/link-history tries again
+        const user = await User.findById(userId).select("-__v -passwordHash");
+        return res.status(200).json({
+            success: true,
+            message,
+            user,
+            warning: "Could not link previous match history right now. Please try again later.",
+        });
+    }
+};
+
+// POST - Verify the logged-in user's mobile number with a code, then link the history
+// played under it before registering
+const verifyMobile = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: "Verification code is required",
+            });
+        }
+
+        if (req.user.mobileVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Your mobile number is already verified",
+            });
+        }
+
+        const verified = await verifyOtp({ userId: req.user._id, purpose: "mobile-verification", code: String(code) });
+        if (verified.error) {
+            return res.status(400).json({
+                success: false,
+                message: verified.error,
+                attemptsLeft: verified.attemptsLeft,
+            });
+        }
+
+        // The code was sent to the number the account has now - make sure it hasn't changed since
+        if (verified.otp.destination !== req.user.mobile) {
+            return res.status(400).json({
+                success: false,
+                message: "This code was sent to a different number. Please request a new one.",
+                attemptsLeft: 0,
+            });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $set: { mobileVerifiedAt: new Date() } });
+        console.log('📱 Mobile verified for user:', req.user._id.toString());
+
+        if (req.user.historyLink !== "pending") {
+            const user = await User.findById(req.user._id).select("-__v -passwordHash");
+            return res.status(200).json({
+                success: true,
+                message: "Mobile number verified",
+                user,
+            });
+        }
+
+        await respondWithHistoryLink(res, req.user._id, "Mobile number verified.");
+    } catch (error) {
+        console.error("Error verifying mobile:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// POST - Link the history played under the user's mobile number before registering, for a
+// verified user whose link is still pending (the link failed after verification)
+const retryHistoryLink = async (req, res) => {
+    try {
+        if (!req.user.mobileVerifiedAt) {
+            return res.status(403).json({
+                success: false,
+                message: "Verify your mobile number first",
+                historyLink: req.user.historyLink,
+            });
+        }
+
+        if (req.user.historyLink !== "pending") {
+            return res.status(200).json({
+                success: true,
+                message: req.user.historyLink === "linked"
+                    ? "Your previous match history is already linked"
+                    : "There is no previous match history to link",
+                historyLink: req.user.historyLink,
+            });
+        }
+
+        await respondWithHistoryLink(res, req.user._id, "History link complete.");
+    } catch (error) {
+        console.error("Error retrying history link:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
 const getAllUsers = async (req, res) => {
     try {
         const users = await User.find({}).select("-__v -passwordHash");
@@ -433,13 +892,13 @@ const getCurrentUser = async (req, res) => {
         res.status(500).json({
             success: false,
             message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined
+            error: config.isDevelopment ? error.message : undefined
         });
     }
 };
 
 const updateUser = async (req, res) => {
-    const { username, displayName, mobile, showMobile, avatarUrl, password } = req.body;
+    const { username, displayName, mobile, email, showMobile, avatarUrl, password } = req.body;
     const userId = req.user._id;
 
     try {
@@ -482,10 +941,41 @@ const updateUser = async (req, res) => {
             }
         }
 
+        if (email) {
+            if (!EMAIL_PATTERN.test(email.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Please enter a valid email address",
+                });
+            }
+
+            const emailExists = await User.findOne({
+                email: email.trim().toLowerCase(),
+                _id: { $ne: userId },
+            });
+
+            if (emailExists) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Email is already in use by another user",
+                });
+            }
+        }
+
         // Update user information
         if (username) user.username = username.toLowerCase();
+        if (email) user.email = email.trim().toLowerCase();
         if (displayName) user.displayName = displayName;
-        if (mobile) user.mobile = normalizeMobile(mobile);
+        if (mobile && normalizeMobile(mobile) !== user.mobile) {
+            user.mobile = normalizeMobile(mobile);
+            // A new number has to be verified again before any history under it is linked
+            user.mobileVerifiedAt = null;
+            if (await hasUnregisteredHistory(user.mobile)) {
+                user.historyLink = "pending";
+            } else if (user.historyLink === "pending") {
+                user.historyLink = "none";
+            }
+        }
         if (showMobile !== undefined) user.showMobile = showMobile;
         if (avatarUrl) user.avatarUrl = avatarUrl;
 
@@ -497,6 +987,13 @@ const updateUser = async (req, res) => {
 
         await user.save();
 
+        // A new password logs out every device - this one gets a fresh session
+        let session = null;
+        if (password) {
+            await revokeAllSessions(user);
+            session = await issueSession(user, { userAgent: req.get("User-Agent") || null });
+        }
+
         // Remove sensitive data from response
         const userResponse = user.toObject();
         delete userResponse.passwordHash;
@@ -506,6 +1003,11 @@ const updateUser = async (req, res) => {
             success: true,
             message: "User updated successfully",
             user: userResponse,
+            ...(session && {
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn,
+            }),
         });
     } catch (error) {
         console.error("Error updating user:", error);
@@ -540,8 +1042,9 @@ const deleteUser = async (req, res) => {
             });
         }
 
-        // Delete user
+        // Delete user and end their sessions
         await User.findByIdAndDelete(userId);
+        await RefreshToken.deleteMany({ userId });
 
         res.status(200).json({
             success: true,
@@ -1029,7 +1532,7 @@ const getUserProfile = async (req, res) => {
 
         // Get the user profile
         const user = await User.findById(userId)
-            .select('username displayName mobile avatarUrl individualPoints teamPoints stats showMobile')
+            .select('username displayName mobile avatarUrl individualPoints teamPoints stats showMobile rating')
             .lean();
 
         if (!user) {
@@ -1054,6 +1557,12 @@ const getUserProfile = async (req, res) => {
             ? ((user.stats.totalWins / user.stats.totalGames) * 100).toFixed(1)
             : 0;
 
+        // Most recent rating changes, newest first
+        const ratingChanges = await RatingChange.find({ userId: user._id })
+            .sort({ createdAt: -1 })
+            .limit(RATING_HISTORY_LIMIT)
+            .lean();
+
         // Prepare response
         const profileData = {
             _id: user._id,
@@ -1066,6 +1575,16 @@ const getUserProfile = async (req, res) => {
             games: user.stats?.totalGames || 0,
             streak: user.stats?.streak || 0,
             winPercentage: parseFloat(winPercentage),
+            rating: toPublicRating(user.rating),
+            ratingHistory: ratingChanges.map((change) => ({
+                gameId: change.gameId,
+                matchId: change.matchId,
+                rating: Math.round(change.after.value),
+                change: Math.round(change.after.value - change.before.value),
+                expected: change.expected,
+                won: change.won,
+                playedAt: change.createdAt,
+            })),
             isFriend: isFriend || false,
             isSelf: isSelf,
         };
@@ -1093,9 +1612,155 @@ const getUserProfile = async (req, res) => {
     }
 };
 
+// GET - Get a player's point history from the points ledger, newest first
+// The current user's own history at /points/history, another player's at /profile/:userId/points -
+// for the admin of a room they're a member of only
+// Query params: limit (default: 50, max: 200), before (createdAt of the last entry of the previous page)
+const getPointsHistory = async (req, res) => {
+    try {
+        const userId = req.params.userId || req.user._id;
+        const limitNum = Math.min(
+            parseInt(req.query.limit, 10) || DEFAULT_POINTS_HISTORY_LIMIT,
+            MAX_POINTS_HISTORY_LIMIT
+        );
+
+        const isOwnHistory = userId.toString() === req.user._id.toString();
+        if (!isOwnHistory && !(await Room.exists({ createdBy: req.user._id, members: userId }))) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only view your own points history",
+            });
+        }
+
+        const user = await User.findById(userId)
+            .select('username displayName individualPoints teamPoints pointsLedgerOpenedAt')
+            .lean();
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        const filter = { userId: user._id };
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (Number.isNaN(before.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: "before must be a valid date",
+                });
+            }
+            filter.createdAt = { $lt: before };
+        }
+
+        const transactions = await PointsTransaction.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limitNum)
+            .populate({
+                path: 'gameId',
+                select: 'type roomId',
+                populate: { path: 'roomId', select: 'name' },
+            })
+            .lean();
+
+        const ledger = await getLedgerTotals({ userId: user._id, mobile: null });
+        const points = user.individualPoints || 0;
+        const teamPoints = user.teamPoints || 0;
+
+        // Until a player's ledger is opened (their first points change), points from before the
+        // ledger was kept aren't in it yet - they are reported as the opening balance to come
+        const openingBalance = user.pointsLedgerOpenedAt
+            ? null
+            : { points: points - ledger.amount, teamPoints: teamPoints - ledger.teamAmount };
+
+        res.status(200).json({
+            success: true,
+            userId: user._id,
+            displayName: user.displayName,
+            points,
+            teamPoints,
+            ledger: {
+                points: ledger.amount,
+                teamPoints: ledger.teamAmount,
+                transactions: ledger.transactions,
+            },
+            openingBalance,
+            inSync: Boolean(openingBalance) ||
+                (Math.abs(points - ledger.amount) < 1e-6 && Math.abs(teamPoints - ledger.teamAmount) < 1e-6),
+            history: transactions.map((transaction) => ({
+                _id: transaction._id,
+                reason: transaction.reason,
+                medal: transaction.medal,
+                points: transaction.amount,
+                teamPoints: transaction.teamAmount,
+                gameId: transaction.gameId?._id || null,
+                gameType: transaction.gameId?.type || null,
+                roomName: transaction.gameId?.roomId?.name || null,
+                matchId: transaction.matchId,
+                createdAt: transaction.createdAt,
+            })),
+            nextBefore: transactions.length === limitNum
+                ? transactions[transactions.length - 1].createdAt
+                : null,
+        });
+    } catch (error) {
+        console.error("Error getting point history:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
+// UPDATE - Reconcile the current user's points with the points ledger
+const reconcileUserPoints = async (req, res) => {
+    try {
+        const result = await runInTransaction(() => reconcilePoints({ userId: req.user._id, mobile: null }));
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: result.corrected
+                ? "Points corrected to match the points history"
+                : "Points already match the points history",
+            points: result.ledger.amount,
+            teamPoints: result.ledger.teamAmount,
+            corrected: result.corrected,
+            drift: {
+                points: result.drift.amount,
+                teamPoints: result.drift.teamAmount,
+            },
+        });
+    } catch (error) {
+        console.error("Error reconciling points:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message,
+        });
+    }
+};
+
 export {
     registerUser,
     loginUser,
+    refreshSession,
+    logoutUser,
+    logoutAllSessions,
+    requestPasswordReset,
+    resetPassword,
+    requestMobileVerification,
+    verifyMobile,
+    retryHistoryLink,
     getAllUsers,
     getCurrentUser,
     updateUser,
@@ -1106,4 +1771,6 @@ export {
     getUserPartnerStats,
     searchUsers,
     getUserProfile,
+    getPointsHistory,
+    reconcileUserPoints,
 };
@@ -1,7 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/userModel.js";
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-123';
+import config from "../config/env.js";
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -18,7 +17,7 @@ const authMiddleware = async (req, res, next) => {
         const token = authHeader.split(' ')[1];
 
         // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = jwt.verify(token, config.jwtSecret);
 
         // Find user
         const user = await User.findById(decoded.userId).select('-__v');
@@ -30,6 +29,14 @@ const authMiddleware = async (req, res, next) => {
             });
         }
 
+        // Tokens issued before the user's sessions were revoked (e.g. a password change) are no longer valid
+        if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: "Session expired, please log in again"
+            });
+        }
+
         // Attach user to request object
         req.user = user;
         next();
@@ -57,7 +64,7 @@ const authMiddleware = async (req, res, next) => {
         res.status(401).json({
             success: false,
             message: "Authentication failed",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined
+            error: config.isDevelopment ? error.message : undefined
         });
     }
 };
@@ -0,0 +1,137 @@
+import { consumeRateLimit, getAccountKey } from "../utils/rateLimitUtils.js";
+
+// Request rate limits
+// Each limit counts requests per key (client IP, account named in the body, or logged-in user)
+// in a fixed window and answers 429 with Retry-After once the key is over the limit. Counters
+// are kept in the rate limit store (see utils/rateLimitUtils.js). Behind a proxy, TRUST_PROXY
+// must be set for req.ip to be the client's address (see config/env.js).
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Request keys
+const byIp = (req) => req.ip;
+const byAccount = (req) => getAccountKey(req.body);
+const byUser = (req) => req.user?._id?.toString() || null;
+
+// Searches by phone number (7+ digits) - the ones that could be used to look up numbers
+const byUserPhoneSearch = (req) => {
+    const query = typeof req.query.q === "string" ? req.query.q.replace(/[\s\-+()]/g, '') : "";
+    return /^\d+$/.test(query) ? byUser(req) : null;
+};
+
+// Build a rate limit middleware
+// name keeps the counters of different limits apart; key(req) returns the key to count, or
+// null to let the request through uncounted
+const rateLimit = ({ name, windowMs, max, key, message = "Too many requests. Please try again later." }) => {
+    return async (req, res, next) => {
+        const requestKey = key(req);
+        if (!requestKey) {
+            return next();
+        }
+
+        let result;
+        try {
+            result = await consumeRateLimit(name, requestKey, { windowMs, max });
+        } catch (error) {
+            // A store outage shouldn't take the API down with it
+            console.error(`Rate limit store error (${name}):`, error);
+            return next();
+        }
+
+        const { retryAfter } = result;
+        res.set("RateLimit-Limit", String(max));
+        res.set("RateLimit-Remaining", String(result.remaining));
+        res.set("RateLimit-Reset", String(retryAfter));
+
+        if (result.limited) {
+            console.log('🚦 [RateLimit] Limit reached:', { limit: name, key: requestKey, path: req.originalUrl });
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message,
+                retryAfter,
+            });
+        }
+
+        next();
+    };
+};
+
+// Login - the per-account limit and the lockout after failed logins are applied in loginUser,
+// once the account is known, so a user can't be tried by mobile and username separately
+const loginRateLimit = [
+    rateLimit({
+        name: "login-ip",
+        windowMs: 15 * MINUTE_MS,
+        max: 30,
+        key: byIp,
+        message: "Too many login attempts. Please try again later.",
+    }),
+];
+
+const registerRateLimit = [
+    rateLimit({
+        name: "register-ip",
+        windowMs: HOUR_MS,
+        max: 10,
+        key: byIp,
+        message: "Too many sign-ups from this network. Please try again later.",
+    }),
+    rateLimit({
+        name: "register-account",
+        windowMs: HOUR_MS,
+        max: 5,
+        key: byAccount,
+        message: "Too many sign-up attempts for this number. Please try again later.",
+    }),
+];
+
+// Password reset codes - the code itself allows only a few guesses (see utils/otpUtils.js)
+const passwordResetRateLimit = [
+    rateLimit({
+        name: "password-reset-ip",
+        windowMs: 15 * MINUTE_MS,
+        max: 20,
+        key: byIp,
+    }),
+    rateLimit({
+        name: "password-reset-account",
+        windowMs: 15 * MINUTE_MS,
+        max: 10,
+        key: byAccount,
+    }),
+];
+
+// User search - goes after authMiddleware
+const searchRateLimit = [
+    rateLimit({
+        name: "search-ip",
+        windowMs: MINUTE_MS,
+        max: 60,
+        key: byIp,
+        message: "Too many searches. Please slow down.",
+    }),
+    rateLimit({
+        name: "search-user",
+        windowMs: MINUTE_MS,
+        max: 30,
+        key: byUser,
+        message: "Too many searches. Please slow down.",
+    }),
+    rateLimit({
+        name: "search-phone",
+        windowMs: HOUR_MS,
+        max: 20,
+        key: byUserPhoneSearch,
+        message: "Too many phone number searches. Please try again later.",
+    }),
+];
+
+export {
+    rateLimit,
+    loginRateLimit,
+    registerRateLimit,
+    passwordResetRateLimit,
+    searchRateLimit,
+};
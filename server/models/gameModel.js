@@ -1,5 +1,22 @@
 import mongoose from "mongoose";
 
+// A player waiting to rotate in - a team substitute or a player on the bench
+const waitingPlayerSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        name: {
+            type: String,
+            required: true
+        },
+        mobile: String
+    },
+    { _id: false }
+);
+
 const teamSchema = new mongoose.Schema(
     {
         letter: {
@@ -24,6 +41,11 @@ const teamSchema = new mongoose.Schema(
                 }
             }
         ],
+        // Substitute mode: players who rotate into this team between its matches
+        substitutes: {
+            type: [waitingPlayerSchema],
+            default: []
+        },
         totalPoints: {
             type: Number,
             default: 0
@@ -36,6 +58,16 @@ const teamSchema = new mongoose.Schema(
             type: String,
             enum: ["gold", "silver", "bronze", null],
             default: null
+        },
+        // Seed position for bracket formats (1 = strongest)
+        seed: {
+            type: Number,
+            default: null
+        },
+        // Pool number for Pools to Knockout
+        pool: {
+            type: Number,
+            default: null
         }
     },
     { _id: false }
@@ -55,7 +87,7 @@ const gameSchema = new mongoose.Schema(
         },
         type: {
             type: String,
-            enum: ["pickle", "round-robin", "quick-knockout", "one-vs-one", "two-vs-two"],
+            enum: ["pickle", "round-robin", "quick-knockout", "double-elimination", "pools-to-knockout", "mixer", "swiss", "one-vs-one", "two-vs-two"],
             required: true
         },
         teams: [teamSchema],
@@ -69,6 +101,81 @@ const gameSchema = new mongoose.Schema(
             type: Number,
             default: 1
         },
+        // Seeded bracket size (power of two) - null for games created before seeding
+        bracketSize: {
+            type: Number,
+            default: null
+        },
+        // Number of rounds for formats that run a fixed schedule (Mixer, Swiss)
+        totalRounds: {
+            type: Number,
+            default: null
+        },
+        // Pools to Knockout: number of pools and how many teams from each reach the playoffs
+        poolCount: {
+            type: Number,
+            default: null
+        },
+        advancePerPool: {
+            type: Number,
+            default: null
+        },
+        // Tiebreak order after wins for Round Robin and pool stage standings
+        tiebreakers: {
+            type: [{
+                type: String,
+                enum: ["headToHead", "pointDiff", "pointsFor"]
+            }],
+            default: ["headToHead", "pointDiff", "pointsFor"]
+        },
+        // Scoring rules for every match - null for games created before scoring rules
+        scoringRules: {
+            type: {
+                pointsToWin: {
+                    type: Number,
+                    enum: [11, 15, 21],
+                    default: 11
+                },
+                winByTwo: {
+                    type: Boolean,
+                    default: true
+                },
+                // Score at which the next point wins even without a two point lead
+                cap: {
+                    type: Number,
+                    default: null
+                },
+                bestOf: {
+                    type: Number,
+                    enum: [1, 3, 5],
+                    default: 1
+                }
+            },
+            default: null,
+            _id: false
+        },
+        // Number of courts matches are played on at once - null plays one match at a time
+        courts: {
+            type: Number,
+            min: 1,
+            default: null
+        },
+        // How an odd player count is handled: plays-twice, sit-out, ghost (singles team) or substitute
+        oddPlayerMode: {
+            type: String,
+            enum: ["plays-twice", "sit-out", "ghost", "substitute"],
+            default: "plays-twice"
+        },
+        // Sit-out mode: players waiting to rotate in, first in line first
+        bench: {
+            type: [waitingPlayerSchema],
+            default: []
+        },
+        // Double Elimination: replay the grand final if the losers bracket team wins it
+        bracketReset: {
+            type: Boolean,
+            default: true
+        },
         championTeam: {
             type: String,
             default: null
@@ -100,10 +207,31 @@ const gameSchema = new mongoose.Schema(
             type: Boolean,
             default: false
         },
+        // Season the game's points counted towards, set when points are assigned
+        seasonId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Season",
+            default: null
+        },
         status: {
             type: String,
-            enum: ["pending", "live", "completed"],
+            enum: ["pending", "live", "completed", "abandoned"],
             default: "pending"
+        },
+        // Set when an active game is cancelled (e.g. rained out)
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        cancelledAt: {
+            type: Date,
+            default: null
+        },
+        cancelReason: {
+            type: String,
+            trim: true,
+            default: null
         }
     },
     { timestamps: true }
@@ -1,5 +1,34 @@
 import mongoose from "mongoose";
 
+const lineupPlayerSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        name: String,
+        mobile: String
+    },
+    { _id: false }
+);
+
+// The game's team lineups, substitutes and bench at one point of a sit-out/substitute rotation
+const rotationSchema = new mongoose.Schema(
+    {
+        teams: [
+            {
+                letter: String,
+                players: [lineupPlayerSchema],
+                substitutes: [lineupPlayerSchema],
+                _id: false
+            }
+        ],
+        bench: [lineupPlayerSchema]
+    },
+    { _id: false }
+);
+
 const matchSchema = new mongoose.Schema(
     {
         gameId: {
@@ -71,19 +100,84 @@ const matchSchema = new mongoose.Schema(
             enum: ["A", "B", null],
             default: null
         },
+        // Individual game scores - for best-of-3/5 matches scoreA/scoreB hold games won
+        games: [
+            {
+                scoreA: Number,
+                scoreB: Number,
+                winner: {
+                    type: String,
+                    enum: ["A", "B"]
+                },
+                _id: false
+            }
+        ],
+        // Live scoring: side serving first in game 1 and every rally recorded so far
+        // The score is always derived by replaying the rallies (see liveScoringUtils)
+        firstServer: {
+            type: String,
+            enum: ["A", "B"],
+            default: "A"
+        },
+        events: [
+            {
+                wonBy: {
+                    type: String,
+                    enum: ["A", "B"],
+                    required: true
+                },
+                outcome: {
+                    type: String,
+                    enum: ["point", "second-server", "side-out"]
+                },
+                recordedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                    default: null
+                },
+                recordedAt: {
+                    type: Date,
+                    default: Date.now
+                },
+                _id: false
+            }
+        ],
+        // Court the match is (or was) played on - set when a multi-court game puts it on court
+        court: {
+            type: Number,
+            default: null
+        },
         status: {
             type: String,
-            enum: ["pending", "live", "finished"],
+            enum: ["pending", "live", "finished", "cancelled"],
             default: "pending"
         },
+        // Key the client sent with the result that finished the match - a retry with the same
+        // key gets the recorded result back instead of being rejected
+        resultIdempotencyKey: {
+            type: String,
+            default: null
+        },
+        // "reset" is the deciding rematch after a Double Elimination grand final
         bracketType: {
             type: String,
-            enum: ["winners", "losers", "semifinal", "bronze", "final", null],
+            enum: ["winners", "losers", "semifinal", "bronze", "final", "reset", null],
+            default: null
+        },
+        // Pool number for pool stage matches (Pools to Knockout), null for playoff matches
+        pool: {
+            type: Number,
             default: null
         },
         isBye: {
             type: Boolean,
             default: false
+        },
+        // Sit-out and substitute modes: the rotation before this match took its lineups - put
+        // back when a score correction removes the match
+        rotationBefore: {
+            type: rotationSchema,
+            default: null
         }
     },
     { timestamps: true }
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// A one-time code sent to a user's mobile or email
+// Only a hash of the code is stored. A code expires after a few minutes, allows a limited
+// number of wrong guesses and can be used once; requesting a new code replaces the old one.
+const otpSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        // What the code unlocks
+        purpose: {
+            type: String,
+            enum: ["password-reset", "mobile-verification"],
+            required: true
+        },
+        channel: {
+            type: String,
+            enum: ["sms", "email"],
+            required: true
+        },
+        // Mobile number or email address the code was sent to
+        destination: {
+            type: String,
+            required: true
+        },
+        codeHash: {
+            type: String,
+            required: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        // Codes entered so far
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        },
+        // Set when a newer code replaces this one
+        replacedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+otpSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// Expired codes are removed by MongoDB a day after they expire
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model("Otp", otpSchema);
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Why a points transaction was recorded
+const POINTS_REASONS = [
+    "match-win",          // +1 for each player on a match-winning side
+    "match-win-reversed", // a corrected or cancelled match takes its win back
+    "medal",              // medal points when a finished game's points are assigned
+    "participation",      // points for taking part in a game without a medal
+    "opening-balance",    // points a player already had before the ledger was kept
+];
+
+// One change to a player's points - the ledger behind individualPoints and teamPoints
+// Unregistered players are identified by mobile until they register, when their entries
+// move to the new user
+const pointsTransactionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        mobile: {
+            type: String,
+            default: null
+        },
+        gameId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Game",
+            default: null
+        },
+        matchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Match",
+            default: null
+        },
+        reason: {
+            type: String,
+            enum: POINTS_REASONS,
+            required: true
+        },
+        medal: {
+            type: String,
+            enum: ["gold", "silver", "bronze", null],
+            default: null
+        },
+        // Change to individual points (negative for reversals)
+        amount: {
+            type: Number,
+            default: 0
+        },
+        // Change to team points
+        teamAmount: {
+            type: Number,
+            default: 0
+        }
+    },
+    { timestamps: true }
+);
+
+pointsTransactionSchema.index({ userId: 1, createdAt: -1 });
+pointsTransactionSchema.index({ mobile: 1, userId: 1 });
+pointsTransactionSchema.index({ matchId: 1 });
+
+export default mongoose.model("PointsTransaction", pointsTransactionSchema);
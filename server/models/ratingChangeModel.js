@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const ratingSnapshotSchema = new mongoose.Schema(
+    {
+        value: Number,
+        deviation: Number
+    },
+    { _id: false }
+);
+
+// One player's rating change from one match
+// Unregistered players are identified by mobile until they register
+const ratingChangeSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        mobile: {
+            type: String,
+            default: null
+        },
+        gameId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Game",
+            required: true
+        },
+        matchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Match",
+            required: true
+        },
+        before: ratingSnapshotSchema,
+        after: ratingSnapshotSchema,
+        // Chance of winning the player's side had going into the match (0-1)
+        expected: Number,
+        won: Boolean
+    },
+    { timestamps: true }
+);
+
+ratingChangeSchema.index({ userId: 1, createdAt: -1 });
+ratingChangeSchema.index({ matchId: 1 });
+ratingChangeSchema.index({ mobile: 1 });
+
+export default mongoose.model("RatingChange", ratingChangeSchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// A refresh token issued at login
+// Only a hash of the token is stored. Each token is used once: a refresh replaces it with a new
+// token of the same family (one family per login). A used token presented again means it was
+// copied, so the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        familyId: {
+            type: String,
+            required: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        // Set when the token is exchanged for a new one
+        usedAt: {
+            type: Date,
+            default: null
+        },
+        // Set on logout, password change or detected reuse
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        userAgent: {
+            type: String,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ familyId: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
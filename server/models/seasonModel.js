@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+const medalScoringSchema = new mongoose.Schema(
+    {
+        individual: {
+            type: Number,
+            min: 0,
+            required: true
+        },
+        team: {
+            type: Number,
+            min: 0,
+            required: true
+        }
+    },
+    { _id: false }
+);
+
+// One row of a closed season's final table
+const finalStandingSchema = new mongoose.Schema(
+    {
+        rank: Number,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        mobile: {
+            type: String,
+            default: null
+        },
+        name: String,
+        points: Number,
+        teamPoints: Number,
+        games: Number,
+        wins: Number,
+        gold: Number,
+        silver: Number,
+        bronze: Number
+    },
+    { _id: false }
+);
+
+// A room's season: games whose points are assigned between the start and end date count
+// towards the season table, scored by the season's own rules. Closing a season archives
+// the final table, which never changes afterwards.
+const seasonSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Room",
+            required: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        startDate: {
+            type: Date,
+            required: true
+        },
+        endDate: {
+            type: Date,
+            required: true
+        },
+        scoringRules: {
+            gold: medalScoringSchema,
+            silver: medalScoringSchema,
+            bronze: medalScoringSchema,
+            participation: {
+                type: Number,
+                min: 0,
+                required: true
+            }
+        },
+        status: {
+            type: String,
+            enum: ["active", "closed"],
+            default: "active"
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        closedAt: {
+            type: Date,
+            default: null
+        },
+        // Archived when the season is closed
+        finalStandings: {
+            type: [finalStandingSchema],
+            default: []
+        }
+    },
+    { timestamps: true }
+);
+
+seasonSchema.index({ roomId: 1, startDate: -1 });
+
+export default mongoose.model("Season", seasonSchema);
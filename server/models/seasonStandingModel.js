@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// A player's running totals in an active season
+// Unregistered players are identified by mobile until they register
+const seasonStandingSchema = new mongoose.Schema(
+    {
+        seasonId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Season",
+            required: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        mobile: {
+            type: String,
+            default: null
+        },
+        name: String,
+        points: {
+            type: Number,
+            default: 0
+        },
+        teamPoints: {
+            type: Number,
+            default: 0
+        },
+        games: {
+            type: Number,
+            default: 0
+        },
+        wins: {
+            type: Number,
+            default: 0
+        },
+        gold: {
+            type: Number,
+            default: 0
+        },
+        silver: {
+            type: Number,
+            default: 0
+        },
+        bronze: {
+            type: Number,
+            default: 0
+        }
+    },
+    { timestamps: true }
+);
+
+seasonStandingSchema.index({ seasonId: 1, userId: 1, mobile: 1 }, { unique: true });
+
+export default mongoose.model("SeasonStanding", seasonStandingSchema);
@@ -9,6 +9,16 @@ const statsSchema = new mongoose.Schema(
     { _id: false }
 );
 
+const ratingSchema = new mongoose.Schema(
+    {
+        value: { type: Number, default: 1500 },
+        deviation: { type: Number, default: 350 },
+        matches: { type: Number, default: 0 },
+        lastRatedAt: { type: Date, default: null }
+    },
+    { _id: false }
+);
+
 const unregisteredPlayerSchema = new mongoose.Schema(
     {
         mobile: {
@@ -31,11 +41,22 @@ const unregisteredPlayerSchema = new mongoose.Schema(
             type: Number,
             default: 0
         },
+        // Set when the points ledger starts for this player - points they had before then are
+        // recorded once as an opening balance (see utils/pointsUtils.js)
+        pointsLedgerOpenedAt: {
+            type: Date,
+            default: null
+        },
         // Pending stats
         pendingStats: {
             type: statsSchema,
             default: () => ({})
         },
+        // Skill rating (Glicko), carried over to the user when they register
+        rating: {
+            type: ratingSchema,
+            default: () => ({})
+        },
         // Track which games, matches, and rooms they're in
         gameIds: [{
             type: mongoose.Schema.Types.ObjectId,
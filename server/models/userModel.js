@@ -9,6 +9,16 @@ const statsSchema = new mongoose.Schema(
     { _id: false }
 );
 
+const ratingSchema = new mongoose.Schema(
+    {
+        value: { type: Number, default: 1500 },
+        deviation: { type: Number, default: 350 },
+        matches: { type: Number, default: 0 },
+        lastRatedAt: { type: Date, default: null }
+    },
+    { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
     {
         username: {
@@ -28,6 +38,14 @@ const userSchema = new mongoose.Schema(
             required: true,
             unique: true
         },
+        // Optional - lets the user reset their password by email
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            unique: true,
+            sparse: true
+        },
         passwordHash: {
             type: String,
             required: true
@@ -50,11 +68,39 @@ const userSchema = new mongoose.Schema(
             type: Number,
             default: 0
         },
+        // Set when the points ledger starts for this player - points they had before then are
+        // recorded once as an opening balance (see utils/pointsUtils.js)
+        pointsLedgerOpenedAt: {
+            type: Date,
+            default: null
+        },
         stats: {
             type: statsSchema,
             default: () => ({})
         },
-        avatarUrl: String
+        // Skill rating (Glicko) - see utils/ratingUtils.js
+        rating: {
+            type: ratingSchema,
+            default: () => ({})
+        },
+        avatarUrl: String,
+        // Set once the user proves the mobile number is theirs with a one-time code
+        mobileVerifiedAt: {
+            type: Date,
+            default: null
+        },
+        // Games, points and rooms played under the mobile number before registering:
+        // "pending" until the number is verified and they are moved over, then "linked"
+        historyLink: {
+            type: String,
+            enum: ["none", "pending", "linked"],
+            default: "none"
+        },
+        // Raised to end every session at once (password change) - see utils/tokenUtils.js
+        tokenVersion: {
+            type: Number,
+            default: 0
+        }
     },
     { timestamps: true }
 );
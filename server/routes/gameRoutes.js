@@ -1,25 +1,43 @@
 import express from "express";
 import {
+    generateTeams,
     createGame,
     getGameById,
     submitMatchResult,
+    correctMatchResult,
+    getMatchEvents,
+    recordMatchEvent,
+    undoMatchEvent,
+    createSpectatorLink,
+    getSpectatorView,
     calculateWinners,
     assignPoints,
     getUserRecentGames,
     getActiveGameForRoom,
+    cancelGame,
 } from "../controllers/gameController.js";
 import authMiddleware from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// All game routes require authentication
+// Public: read-only spectator view from a signed share link
+router.get("/spectate/:token", getSpectatorView);
+
+// All other game routes require authentication
+router.post("/generate-teams", authMiddleware, generateTeams);
 router.post("/create", authMiddleware, createGame);
 router.get("/user/recent", authMiddleware, getUserRecentGames);
 router.get("/room/:roomId/active", authMiddleware, getActiveGameForRoom);
 router.get("/:gameId", authMiddleware, getGameById);
 router.put("/match/:matchId/result", authMiddleware, submitMatchResult);
+router.put("/match/:matchId/correct", authMiddleware, correctMatchResult);
+router.get("/match/:matchId/events", authMiddleware, getMatchEvents);
+router.post("/match/:matchId/events", authMiddleware, recordMatchEvent);
+router.delete("/match/:matchId/events/last", authMiddleware, undoMatchEvent);
 router.post("/:gameId/calculate-winners", authMiddleware, calculateWinners);
 router.post("/:gameId/assign-points", authMiddleware, assignPoints);
+router.post("/:gameId/cancel", authMiddleware, cancelGame);
+router.post("/:gameId/share", authMiddleware, createSpectatorLink);
 
 export default router;
 
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+    createSeason,
+    getRoomSeasons,
+    getSeasonById,
+    closeSeason,
+} from "../controllers/seasonController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All season routes require authentication
+router.post("/create", authMiddleware, createSeason);
+router.get("/room/:roomId", authMiddleware, getRoomSeasons);
+router.get("/:seasonId", authMiddleware, getSeasonById);
+router.post("/:seasonId/close", authMiddleware, closeSeason);
+
+export default router;
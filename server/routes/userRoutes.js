@@ -1,11 +1,20 @@
 import express from "express";
-import { registerUser, loginUser, getAllUsers, getCurrentUser, updateUser, deleteUser, getFriends, addFriend, removeFriend, getUserPartnerStats, searchUsers, getUserProfile } from "../controllers/userController.js";
+import { registerUser, loginUser, refreshSession, logoutUser, logoutAllSessions, requestPasswordReset, resetPassword, requestMobileVerification, verifyMobile, retryHistoryLink, getAllUsers, getCurrentUser, updateUser, deleteUser, getFriends, addFriend, removeFriend, getUserPartnerStats, searchUsers, getUserProfile, getPointsHistory, reconcileUserPoints } from "../controllers/userController.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import { loginRateLimit, registerRateLimit, passwordResetRateLimit, searchRateLimit } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
-router.post("/register", registerUser);
-router.post("/login", loginUser);
+router.post("/register", registerRateLimit, registerUser);
+router.post("/login", loginRateLimit, loginUser);
+router.post("/refresh", refreshSession);
+router.post("/logout", logoutUser);
+router.post("/logout-all", authMiddleware, logoutAllSessions);
+router.post("/password-reset/request", passwordResetRateLimit, requestPasswordReset);
+router.post("/password-reset/confirm", passwordResetRateLimit, resetPassword);
+router.post("/mobile/verify/request", authMiddleware, requestMobileVerification);
+router.post("/mobile/verify/confirm", authMiddleware, verifyMobile);
+router.post("/mobile/link-history", authMiddleware, retryHistoryLink);
 router.get("/allusers", authMiddleware, getAllUsers);
 router.get("/currentuser", authMiddleware, getCurrentUser);
 router.get("/partner-stats", authMiddleware, getUserPartnerStats);
@@ -14,7 +23,10 @@ router.post("/friends/add", authMiddleware, addFriend);
 router.delete("/friends/:friendId", authMiddleware, removeFriend);
 router.put("/updateuser", authMiddleware, updateUser);
 router.delete("/deleteuser", authMiddleware, deleteUser);
-router.get("/search", authMiddleware, searchUsers);
+router.get("/search", authMiddleware, searchRateLimit, searchUsers);
 router.get("/profile/:userId", authMiddleware, getUserProfile);
+router.get("/profile/:userId/points", authMiddleware, getPointsHistory);
+router.get("/points/history", authMiddleware, getPointsHistory);
+router.post("/points/reconcile", authMiddleware, reconcileUserPoints);
 
 export default router;
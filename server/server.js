@@ -1,25 +1,22 @@
 import express from "express";
+import { createServer } from "http";
 import cors from "cors";
-import dotenv from "dotenv";
+import config from "./config/env.js";
 import connectDB from "./config/db.js";
+import { initSocket } from "./config/socket.js";
 import userRoutes from "./routes/userRoutes.js";
 import roomRoutes from "./routes/roomRoutes.js";
 import gameRoutes from "./routes/gameRoutes.js";
 import topScoresRoutes from "./routes/topScoresRoutes.js";
-
-dotenv.config();
-
-// Ensure JWT_SECRET is set
-if (!process.env.JWT_SECRET) {
-    console.warn("Warning: JWT_SECRET is not set in environment variables. Using default secret.");
-    process.env.JWT_SECRET = 'your-super-secret-key-123';
-}
+import seasonRoutes from "./routes/seasonRoutes.js";
 
 // Connect to MongoDB
 connectDB();
 
 // Initialize Express app
 const app = express();
+// Client IPs (used by the rate limits) come from X-Forwarded-For only behind trusted proxies
+app.set("trust proxy", config.trustProxy);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -29,32 +26,11 @@ const corsOptions = {
         // Allow requests with no origin (like mobile apps or Postman)
         if (!origin) return callback(null, true);
 
-        // Allow localhost and local network IPs
-        const allowedOrigins = [
-            'http://localhost:3000',
-            'http://localhost:5000',
-            'http://127.0.0.1:3000',
-            'http://127.0.0.1:5000',
-            /^http:\/\/192\.168\.\d+\.\d+:\d+$/, // Allow local network IPs
-            /^http:\/\/10\.\d+\.\d+\.\d+:\d+$/,  // Allow 10.x.x.x network
-        ];
-
-        const isAllowed = allowedOrigins.some(allowed => {
-            if (allowed instanceof RegExp) {
-                return allowed.test(origin);
-            }
-            return allowed === origin;
-        });
-
-        if (isAllowed) {
-            callback(null, true);
-        } else {
-            // For development, allow all origins
-            callback(null, true);
-        }
+        // Browsers only from the origins in CORS_ORIGINS (any origin in development when it is unset)
+        callback(null, config.cors.allowAllOrigins || config.cors.origins.includes(origin));
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
     credentials: true
 };
 
@@ -83,6 +59,7 @@ app.use("/api/v1/user", userRoutes);
 app.use("/api/v1/room", roomRoutes);
 app.use("/api/v1/game", gameRoutes);
 app.use("/api/v1/top-scores", topScoresRoutes);
+app.use("/api/v1/season", seasonRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -90,7 +67,7 @@ app.use((err, req, res, next) => {
     res.status(500).json({
         success: false,
         message: "Internal server error",
-        error: process.env.NODE_ENV === "development" ? err.message : undefined
+        error: config.isDevelopment ? err.message : undefined
     });
 });
 
@@ -102,9 +79,12 @@ app.use((req, res) => {
     });
 });
 
-const port = process.env.PORT || 5000;
-app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
+// HTTP server shared by Express and Socket.IO (real-time room and game updates)
+const server = createServer(app);
+initSocket(server, corsOptions);
+
+server.listen(config.port, () => {
+    console.log(`Server is running on port ${config.port}`);
 });
 
 export default app;
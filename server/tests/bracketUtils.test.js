@@ -0,0 +1,140 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getBracketSize,
+    getSeedOrder,
+    generateSeededKnockoutRound,
+    generateSeededKnockoutNextRound,
+    generateDoubleEliminationRound,
+} from "../utils/bracketUtils.js";
+
+// Helper: teams A, B, C... seeded in that order
+const makeTeams = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+        letter: String.fromCharCode(65 + i),
+        seed: i + 1,
+        players: [{ userId: null, name: `Player ${i + 1}`, mobile: null }],
+    }));
+
+// Helper: finish a generated round with teamA winning every match
+const finishRound = (matches, winner = "A") =>
+    matches.map((m) => ({ ...m, status: "finished", winner: m.isBye ? "A" : winner }));
+
+describe("getBracketSize", () => {
+    it("rounds up to the next power of two", () => {
+        assert.equal(getBracketSize(2), 2);
+        assert.equal(getBracketSize(3), 4);
+        assert.equal(getBracketSize(5), 8);
+        assert.equal(getBracketSize(32), 32);
+    });
+});
+
+describe("getSeedOrder", () => {
+    it("keeps seeds 1 and 2 apart until the final", () => {
+        assert.deepEqual(getSeedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+    });
+});
+
+describe("generateSeededKnockoutRound", () => {
+    it("pairs best against worst in a full bracket", () => {
+        const matches = generateSeededKnockoutRound(makeTeams(4));
+        assert.equal(matches.length, 2);
+        assert.deepEqual(matches.map((m) => [m.teamA.letter, m.teamB.letter]), [["A", "D"], ["B", "C"]]);
+        assert.ok(matches.every((m) => m.bracketType === "semifinal" && !m.isBye));
+    });
+
+    it("gives byes to the top seeds when the bracket is not full", () => {
+        const matches = generateSeededKnockoutRound(makeTeams(5));
+        assert.equal(matches.length, 4);
+        const byes = matches.filter((m) => m.isBye);
+        assert.deepEqual(byes.map((m) => m.teamA.letter).sort(), ["A", "B", "C"]);
+        assert.ok(byes.every((m) => m.teamB.letter === "BYE"));
+        const played = matches.find((m) => !m.isBye);
+        assert.deepEqual([played.teamA.letter, played.teamB.letter], ["D", "E"]);
+        assert.deepEqual(matches.map((m) => m.matchNumber), [1, 2, 3, 4]);
+    });
+});
+
+describe("generateSeededKnockoutNextRound", () => {
+    it("creates the final and the bronze match after the semifinals", () => {
+        const semifinals = finishRound(generateSeededKnockoutRound(makeTeams(4)));
+        const matches = generateSeededKnockoutNextRound(semifinals, 2);
+
+        const final = matches.find((m) => m.bracketType === "final");
+        const bronze = matches.find((m) => m.bracketType === "bronze");
+        assert.deepEqual([final.teamA.letter, final.teamB.letter], ["A", "B"]);
+        assert.deepEqual([bronze.teamA.letter, bronze.teamB.letter], ["D", "C"]);
+        assert.ok(matches.every((m) => m.roundNumber === 2));
+    });
+
+    it("gives bronze by bye when one semifinal was a bye", () => {
+        const semifinals = finishRound(generateSeededKnockoutRound(makeTeams(3)));
+        const matches = generateSeededKnockoutNextRound(semifinals, 2);
+
+        const bronze = matches.find((m) => m.bracketType === "bronze");
+        assert.equal(bronze.isBye, true);
+        assert.equal(bronze.teamA.letter, "C");
+    });
+
+    it("returns nothing once the final has been played", () => {
+        const semifinals = finishRound(generateSeededKnockoutRound(makeTeams(4)));
+        const lastRound = finishRound(generateSeededKnockoutNextRound(semifinals, 2));
+        assert.deepEqual(generateSeededKnockoutNextRound(lastRound, 3), []);
+    });
+});
+
+describe("generateDoubleEliminationRound", () => {
+    // Helper: play rounds until nothing is left, with the given pick choosing each winner
+    const playOut = (teams, pickWinner, options) => {
+        const allMatches = [];
+        for (let round = 1; round <= 20; round++) {
+            const matches = generateDoubleEliminationRound(teams, allMatches, round, options);
+            if (matches.length === 0) break;
+            matches.forEach((m) => {
+                allMatches.push({ ...m, status: "finished", winner: m.isBye ? "A" : pickWinner(m) });
+            });
+        }
+        return allMatches;
+    };
+
+    it("starts with every team in the winners bracket", () => {
+        const matches = generateDoubleEliminationRound(makeTeams(4), [], 1);
+        assert.equal(matches.length, 2);
+        assert.ok(matches.every((m) => m.bracketType === "winners"));
+    });
+
+    it("eliminates teams only after their second loss", () => {
+        const teams = makeTeams(4);
+        const allMatches = playOut(teams, () => "A");
+        const losses = new Map(teams.map((t) => [t.letter, 0]));
+        allMatches
+            .filter((m) => !m.isBye)
+            .forEach((m) => {
+                const loser = m.winner === "A" ? m.teamB : m.teamA;
+                losses.set(loser.letter, losses.get(loser.letter) + 1);
+            });
+
+        assert.equal(allMatches.filter((m) => m.bracketType === "final").length, 1);
+        assert.deepEqual([...losses.values()].sort(), [0, 2, 2, 2]);
+    });
+
+    it("plays a reset when the losers bracket team wins the grand final", () => {
+        const pick = (m) => (m.bracketType === "final" ? "B" : "A");
+        const allMatches = playOut(makeTeams(4), pick);
+        assert.equal(allMatches.filter((m) => m.bracketType === "reset").length, 1);
+    });
+
+    it("skips the reset when bracket reset is off", () => {
+        const pick = (m) => (m.bracketType === "final" ? "B" : "A");
+        const allMatches = playOut(makeTeams(4), pick, { bracketReset: false });
+        assert.equal(allMatches.filter((m) => m.bracketType === "reset").length, 0);
+        assert.equal(allMatches.at(-1).bracketType, "final");
+    });
+
+    it("gives an odd pool's bye to a team without one", () => {
+        const teams = makeTeams(3);
+        const first = generateDoubleEliminationRound(teams, [], 1);
+        const bye = first.find((m) => m.isBye);
+        assert.equal(bye.teamA.letter, "A");
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { pickRestedMatch, planCourtAssignments } from "../utils/courtUtils.js";
+
+// Helper: a round match between two team letters
+const match = (matchNumber, a, b, extra = {}) => ({
+    matchNumber,
+    status: "pending",
+    teamA: { letter: a },
+    teamB: { letter: b },
+    ...extra,
+});
+
+// Helper: "A-B@1" for each assignment
+const describeAssignments = (assignments) =>
+    assignments.map(({ match: m, court }) => `${m.teamA.letter}-${m.teamB.letter}@${court}`);
+
+describe("pickRestedMatch", () => {
+    it("skips resting teams while another pairing is available", () => {
+        const pairs = [{ teamA: "A", teamB: "B" }, { teamA: "C", teamB: "D" }];
+        assert.equal(pickRestedMatch(pairs, new Set(["A"]), {}), pairs[1]);
+        assert.equal(pickRestedMatch(pairs.slice(0, 1), new Set(["A"]), {}), pairs[0]);
+        assert.equal(pickRestedMatch([], new Set(), {}), null);
+    });
+
+    it("prefers teams that have played the fewest matches", () => {
+        const pairs = [{ teamA: "A", teamB: "B" }, { teamA: "C", teamB: "D" }];
+        assert.equal(pickRestedMatch(pairs, new Set(), { A: 2, C: 1 }), pairs[1]);
+    });
+});
+
+describe("planCourtAssignments", () => {
+    it("fills every free court in match order", () => {
+        const round = [match(1, "A", "B"), match(2, "C", "D"), match(3, "E", "F")];
+        assert.deepEqual(describeAssignments(planCourtAssignments(round, 2)), ["A-B@1", "C-D@2"]);
+    });
+
+    it("leaves busy courts and the teams on them alone", () => {
+        const round = [
+            match(1, "A", "B", { status: "live", court: 1 }),
+            match(2, "A", "C"),
+            match(3, "D", "E"),
+        ];
+        assert.deepEqual(describeAssignments(planCourtAssignments(round, 2)), ["D-E@2"]);
+    });
+
+    it("rests the teams that just came off court", () => {
+        const round = [
+            match(1, "A", "B", { status: "finished", updatedAt: "2026-01-01T10:00:00Z" }),
+            match(2, "C", "D", { status: "finished", updatedAt: "2026-01-01T10:05:00Z" }),
+            match(3, "C", "A"),
+            match(4, "B", "E"),
+        ];
+        assert.deepEqual(describeAssignments(planCourtAssignments(round, 1)), ["B-E@1"]);
+    });
+
+    it("keeps a mixer entry to one court at a time", () => {
+        const round = [match(1, "A+B", "C+D"), match(2, "A+E", "F+G"), match(3, "E+H", "F+G")];
+        assert.deepEqual(describeAssignments(planCourtAssignments(round, 3)), ["A+B-C+D@1", "E+H-F+G@2"]);
+    });
+
+    it("never puts a bye on court", () => {
+        const round = [match(1, "A", "BYE", { isBye: true }), match(2, "B", "C")];
+        assert.deepEqual(describeAssignments(planCourtAssignments(round, 2)), ["B-C@1"]);
+    });
+});
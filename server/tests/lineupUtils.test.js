@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    isRotatingMode,
+    countPlayedMatches,
+    rotatePlayers,
+    getMainTeamPlayers,
+} from "../utils/lineupUtils.js";
+
+const getKey = (player) => player?.name || null;
+
+// Helper: players by name
+const players = (...names) => names.map((name) => ({ name }));
+const names = (list) => list.map((p) => p.name);
+
+// Helper: a finished match between two lineups
+const lineupMatch = (a, b, extra = {}) => ({
+    status: "finished",
+    teamA: { letter: a[0], players: players(...a[1]) },
+    teamB: { letter: b[0], players: players(...b[1]) },
+    ...extra,
+});
+
+describe("isRotatingMode", () => {
+    it("only rotates lineups for sit-out and substitute", () => {
+        assert.equal(isRotatingMode("sit-out"), true);
+        assert.equal(isRotatingMode("substitute"), true);
+        assert.equal(isRotatingMode("plays-twice"), false);
+        assert.equal(isRotatingMode("ghost"), false);
+    });
+});
+
+describe("countPlayedMatches", () => {
+    it("skips byes and cancelled matches", () => {
+        const counts = countPlayedMatches([
+            lineupMatch(["A", ["Ann", "Bob"]], ["B", ["Cat", "Dan"]]),
+            lineupMatch(["A", ["Ann", "Eve"]], ["C", ["Fay", "Gus"]], { status: "cancelled" }),
+            lineupMatch(["A", ["Ann", "Bob"]], ["BYE", []], { isBye: true }),
+        ], getKey);
+        assert.equal(counts.get("Ann"), 1);
+        assert.equal(counts.has("Eve"), false);
+    });
+});
+
+describe("rotatePlayers", () => {
+    it("brings the waiting player in for whoever has played the most", () => {
+        const playCounts = new Map([["Ann", 2], ["Bob", 1], ["Cat", 1], ["Dan", 1], ["Eve", 1]]);
+        const { rosters, waiting } = rotatePlayers(
+            [players("Ann", "Bob"), players("Cat", "Dan")],
+            players("Eve"),
+            playCounts,
+            getKey
+        );
+        assert.deepEqual(rosters.map(names), [["Bob", "Eve"], ["Cat", "Dan"]]);
+        assert.deepEqual(names(waiting), ["Ann"]);
+    });
+
+    it("rotates out whoever has been on longest when counts are level", () => {
+        const playCounts = new Map([["Ann", 1], ["Bob", 1], ["Cat", 1], ["Dan", 1]]);
+        const { rosters, waiting } = rotatePlayers(
+            [players("Ann", "Bob"), players("Cat", "Dan")],
+            players("Eve"),
+            playCounts,
+            getKey
+        );
+        assert.deepEqual(rosters.map(names), [["Bob", "Eve"], ["Cat", "Dan"]]);
+        assert.deepEqual(names(waiting), ["Ann"]);
+    });
+
+    it("keeps the lineup when nobody waiting has played less", () => {
+        const playCounts = new Map([["Ann", 1], ["Bob", 1], ["Eve", 1]]);
+        const rosters = [players("Ann", "Bob")];
+        const result = rotatePlayers(rosters, players("Eve"), playCounts, getKey);
+        assert.deepEqual(result.rosters.map(names), [["Ann", "Bob"]]);
+        assert.deepEqual(names(result.waiting), ["Eve"]);
+        assert.notEqual(result.rosters[0], rosters[0]);
+    });
+
+    it("evens out playing time over a game", () => {
+        let rosters = [players("Ann", "Bob"), players("Cat", "Dan")];
+        let waiting = players("Eve");
+        const playCounts = new Map();
+        for (let match = 0; match < 5; match++) {
+            ({ rosters, waiting } = rotatePlayers(rosters, waiting, playCounts, getKey));
+            rosters.flat().forEach((p) => playCounts.set(p.name, (playCounts.get(p.name) || 0) + 1));
+        }
+        assert.deepEqual([...playCounts.values()], [4, 4, 4, 4, 4]);
+    });
+});
+
+describe("getMainTeamPlayers", () => {
+    // Eve sat out first, then rotated in for Ann on team A; the team record now lists Bob and Eve
+    const matches = [
+        lineupMatch(["A", ["Ann", "Bob"]], ["B", ["Cat", "Dan"]]),
+        lineupMatch(["A", ["Bob", "Eve"]], ["B", ["Cat", "Dan"]]),
+        lineupMatch(["A", ["Ann", "Bob"]], ["B", ["Cat", "Dan"]]),
+        lineupMatch(["A", ["Ann", "Bob"]], ["BYE", []], { isBye: true }),
+    ];
+
+    it("names everyone who played for the team, including rotated-out players", () => {
+        assert.deepEqual(names(getMainTeamPlayers(matches, "A", getKey)), ["Ann", "Bob", "Eve"]);
+    });
+
+    it("counts a player for the team they played the most matches for", () => {
+        const moreForB = [
+            ...matches,
+            lineupMatch(["C", ["Fay", "Gus"]], ["B", ["Cat", "Eve"]]),
+            lineupMatch(["D", ["Hal", "Ivy"]], ["B", ["Dan", "Eve"]]),
+        ];
+        assert.deepEqual(names(getMainTeamPlayers(moreForB, "A", getKey)), ["Ann", "Bob"]);
+        assert.deepEqual(names(getMainTeamPlayers(moreForB, "B", getKey)), ["Cat", "Dan", "Eve"]);
+    });
+
+    it("finds nobody for a team no lineup names", () => {
+        assert.deepEqual(getMainTeamPlayers(matches, "D", getKey), []);
+    });
+});
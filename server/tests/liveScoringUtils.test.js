@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isGameWon, replayRallies } from "../utils/liveScoringUtils.js";
+
+const rules = { pointsToWin: 11, winByTwo: true, cap: null, bestOf: 1 };
+const bestOfThree = { ...rules, bestOf: 3 };
+
+// Helper: rallies from a string of winning sides, e.g. "AAB"
+const rallies = (sides) => [...sides].map((wonBy) => ({ wonBy }));
+
+describe("isGameWon", () => {
+    it("needs the target and the margin, unless the cap is reached", () => {
+        assert.equal(isGameWon(rules, 11, 9), true);
+        assert.equal(isGameWon(rules, 11, 10), false);
+        assert.equal(isGameWon({ ...rules, cap: 15 }, 15, 14), true);
+        assert.equal(isGameWon({ ...rules, winByTwo: false }, 11, 10), true);
+    });
+});
+
+describe("replayRallies", () => {
+    it("opens a doubles game at 0-0-2", () => {
+        const state = replayRallies(rules, []);
+        assert.equal(state.call, "0-0-2");
+        assert.equal(state.servingSide, "A");
+        assert.equal(state.gameNumber, 1);
+    });
+
+    it("only lets the serving side score", () => {
+        const state = replayRallies(rules, rallies("AAB"));
+        assert.deepEqual(state.outcomes, ["point", "point", "side-out"]);
+        assert.deepEqual(state.currentGame, { scoreA: 2, scoreB: 0 });
+        assert.equal(state.servingSide, "B");
+        assert.equal(state.call, "0-2-1");
+    });
+
+    it("passes the serve to the second server before a side-out", () => {
+        // A sides out, B loses on server 1, then again on server 2
+        const state = replayRallies(rules, rallies("BAA"));
+        assert.deepEqual(state.outcomes, ["side-out", "second-server", "side-out"]);
+        assert.equal(state.servingSide, "A");
+        assert.equal(state.call, "0-0-1");
+    });
+
+    it("sides out on every lost serve in singles", () => {
+        const state = replayRallies(rules, rallies("AB"), { doubles: false });
+        assert.deepEqual(state.outcomes, ["point", "side-out"]);
+        assert.equal(state.call, "0-1");
+        assert.equal(state.serverNumber, null);
+    });
+
+    it("finishes a game and gives the other side first serve in the next", () => {
+        const state = replayRallies(bestOfThree, rallies("A".repeat(11)));
+        assert.deepEqual(state.games, [{ scoreA: 11, scoreB: 0, winner: "A" }]);
+        assert.equal(state.gameNumber, 2);
+        assert.equal(state.servingSide, "B");
+        assert.equal(state.call, "0-0-2");
+        assert.equal(state.matchWinner, null);
+    });
+
+    it("stops at the match winner and ignores later rallies", () => {
+        const state = replayRallies(rules, rallies("A".repeat(13)));
+        assert.equal(state.matchWinner, "A");
+        assert.equal(state.outcomes.length, 11);
+        assert.equal(state.call, null);
+        assert.equal(state.currentGame, null);
+    });
+});
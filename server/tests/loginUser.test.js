@@ -0,0 +1,98 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import User from "../models/userModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import { loginUser } from "../controllers/userController.js";
+import { createMemoryStore, setRateLimitStore } from "../utils/rateLimitUtils.js";
+
+const OWNER_MOBILE = "9876543210";
+const OWNER_PASSWORD = "correct horse";
+
+// Helper: call loginUser and collect what it sends
+const login = async (body, ip = "10.0.0.1") => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+    };
+    await loginUser({ body, ip, get: () => null }, res);
+    return res;
+};
+
+describe("loginUser", () => {
+    let owner;
+
+    before(() => {
+        owner = {
+            _id: new mongoose.Types.ObjectId(),
+            mobile: OWNER_MOBILE,
+            username: "owner",
+            tokenVersion: 0,
+            passwordHash: bcrypt.hashSync(OWNER_PASSWORD, 4),
+        };
+    });
+
+    // Only the owner's account exists; sessions are not saved
+    beforeEach(() => {
+        setRateLimitStore(createMemoryStore());
+        mock.method(User, "findOne", async (filter) =>
+            filter.mobile === OWNER_MOBILE || filter.username === "owner" ? owner : null
+        );
+        mock.method(RefreshToken, "create", async (doc) => doc);
+        mock.method(console, "log", () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("logs in with the right password", async () => {
+        const res = await login({ mobile: OWNER_MOBILE, password: OWNER_PASSWORD });
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.token);
+        assert.ok(res.body.refreshToken);
+    });
+
+    it("answers an unknown account exactly like a wrong password", async () => {
+        const unknown = await login({ mobile: "9123456789", password: OWNER_PASSWORD });
+        const wrong = await login({ mobile: OWNER_MOBILE, password: "guess" });
+        assert.equal(unknown.statusCode, 401);
+        assert.deepEqual(unknown.body, wrong.body);
+        assert.deepEqual(unknown.body, { success: false, message: "Invalid mobile number, username or password" });
+    });
+
+    it("locks out the address that keeps failing, not the account's owner", async () => {
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await login({ mobile: OWNER_MOBILE, password: "guess" }, "10.0.0.66")).statusCode, 401);
+        }
+        const locked = await login({ mobile: OWNER_MOBILE, password: "guess" }, "10.0.0.66");
+        assert.equal(locked.statusCode, 429);
+        assert.equal(locked.headers["Retry-After"], "60");
+        // Even the right password is refused from the locked address
+        assert.equal((await login({ mobile: OWNER_MOBILE, password: OWNER_PASSWORD }, "10.0.0.66")).statusCode, 429);
+
+        assert.equal((await login({ mobile: OWNER_MOBILE, password: OWNER_PASSWORD }, "10.0.0.2")).statusCode, 200);
+    });
+
+    it("counts failures by account, whichever identifier was used", async () => {
+        for (let i = 0; i < 4; i++) {
+            await login({ mobile: OWNER_MOBILE, password: "guess" });
+        }
+        const locked = await login({ username: "Owner", password: "guess" });
+        assert.equal(locked.statusCode, 429);
+    });
+});
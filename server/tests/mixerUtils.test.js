@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getMixerTeamLetter,
+    splitMixerTeamLetter,
+    generateMixerRound,
+    buildMixerStandings,
+} from "../utils/mixerUtils.js";
+
+// Helper: one entry per player, lettered A, B, C...
+const makeEntries = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+        letter: String.fromCharCode(65 + i),
+        players: [{ userId: null, name: `Player ${i + 1}`, mobile: null }],
+    }));
+
+// Helper: every pair of entries that partnered in the given matches
+const partnerPairs = (matches) =>
+    matches.flatMap((m) => [m.teamA.letter, m.teamB.letter]);
+
+describe("mixer team letters", () => {
+    it("joins entry letters in sorted order and splits them back", () => {
+        assert.equal(getMixerTeamLetter([{ letter: "C" }, { letter: "A" }]), "A+C");
+        assert.deepEqual(splitMixerTeamLetter("A+C"), ["A", "C"]);
+        assert.deepEqual(splitMixerTeamLetter(null), []);
+    });
+});
+
+describe("generateMixerRound", () => {
+    it("fills one court per four players and sits out the rest", () => {
+        const matches = generateMixerRound(makeEntries(9), [], 1);
+        assert.equal(matches.length, 2);
+        const playing = matches.flatMap((m) => [
+            ...splitMixerTeamLetter(m.teamA.letter),
+            ...splitMixerTeamLetter(m.teamB.letter),
+        ]);
+        assert.equal(new Set(playing).size, 8);
+    });
+
+    it("returns no matches with fewer than four players", () => {
+        assert.deepEqual(generateMixerRound(makeEntries(3), [], 1), []);
+    });
+
+    it("rotates partners so nobody repeats a partner over three rounds of four", () => {
+        const entries = makeEntries(4);
+        const allMatches = [];
+        for (let round = 1; round <= 3; round++) {
+            generateMixerRound(entries, allMatches, round).forEach((m) => {
+                allMatches.push({ ...m, status: "finished", winner: "A", scoreA: 11, scoreB: 5 });
+            });
+        }
+        const pairs = partnerPairs(allMatches);
+        assert.equal(pairs.length, 6);
+        assert.equal(new Set(pairs).size, 6);
+    });
+
+    it("plays whoever sat out last round", () => {
+        const entries = makeEntries(5);
+        const first = generateMixerRound(entries, [], 1);
+        const played = new Set(first.flatMap((m) => [
+            ...splitMixerTeamLetter(m.teamA.letter),
+            ...splitMixerTeamLetter(m.teamB.letter),
+        ]));
+        const satOut = entries.find((e) => !played.has(e.letter)).letter;
+
+        const history = first.map((m) => ({ ...m, status: "finished", winner: "A" }));
+        const second = generateMixerRound(entries, history, 2);
+        const playing = second.flatMap((m) => [
+            ...splitMixerTeamLetter(m.teamA.letter),
+            ...splitMixerTeamLetter(m.teamB.letter),
+        ]);
+        assert.ok(playing.includes(satOut));
+    });
+});
+
+describe("buildMixerStandings", () => {
+    it("ranks players by wins, then point differential", () => {
+        const entries = makeEntries(4);
+        const matches = [
+            { status: "finished", winner: "A", scoreA: 11, scoreB: 3, teamA: { letter: "A+B" }, teamB: { letter: "C+D" } },
+            { status: "finished", winner: "A", scoreA: 11, scoreB: 9, teamA: { letter: "A+C" }, teamB: { letter: "B+D" } },
+            { status: "cancelled", winner: "B", scoreA: 0, scoreB: 11, teamA: { letter: "A+D" }, teamB: { letter: "B+C" } },
+        ];
+        const standings = buildMixerStandings(entries, matches);
+
+        assert.deepEqual(standings.map((row) => row.letter), ["A", "B", "C", "D"]);
+        assert.equal(standings[0].wins, 2);
+        assert.equal(standings[0].pointDiff, 10);
+        assert.equal(standings[3].losses, 2);
+        assert.equal(standings[3].played, 2);
+    });
+});
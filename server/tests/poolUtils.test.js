@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getDefaultPoolCount,
+    getDefaultAdvancePerPool,
+    assignPools,
+    getPoolMatchPairs,
+    buildPoolStandings,
+    generatePlayoffRound,
+} from "../utils/poolUtils.js";
+
+// Helper: teams A, B, C... seeded in that order
+const makeTeams = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+        letter: String.fromCharCode(65 + i),
+        seed: i + 1,
+        players: [{ userId: null, name: `Player ${i + 1}`, mobile: null }],
+    }));
+
+// Helper: play every pool match, the better seed winning by the margin losingScore picks
+const playPools = (teams, losingScore) =>
+    getPoolMatchPairs(teams).map(({ teamA, teamB }, index) => ({
+        roundNumber: 1,
+        matchNumber: index + 1,
+        pool: teamA.pool,
+        teamA,
+        teamB,
+        status: "finished",
+        winner: "A",
+        scoreA: 11,
+        scoreB: losingScore(teamA, teamB),
+    }));
+
+describe("pool defaults", () => {
+    it("uses pools of about four with at least two pools", () => {
+        assert.equal(getDefaultPoolCount(5), 2);
+        assert.equal(getDefaultPoolCount(12), 3);
+    });
+
+    it("leaves at least one team behind in each pool", () => {
+        assert.equal(getDefaultAdvancePerPool(8, 2), 2);
+        assert.equal(getDefaultAdvancePerPool(5, 2), 1);
+    });
+});
+
+describe("assignPools", () => {
+    it("spreads seeds over the pools in snake order", () => {
+        const pools = assignPools(makeTeams(8), 2).map((t) => t.pool);
+        assert.deepEqual(pools, [1, 2, 2, 1, 1, 2, 2, 1]);
+    });
+});
+
+describe("getPoolMatchPairs", () => {
+    it("only pairs teams from the same pool", () => {
+        const pairs = getPoolMatchPairs(assignPools(makeTeams(8), 2));
+        assert.equal(pairs.length, 12);
+        assert.ok(pairs.every(({ teamA, teamB }) => teamA.pool === teamB.pool));
+    });
+});
+
+describe("buildPoolStandings", () => {
+    it("ranks each pool separately", () => {
+        const teams = assignPools(makeTeams(8), 2);
+        const standings = buildPoolStandings(teams, playPools(teams, () => 5));
+        const winners = standings.filter((row) => row.rank === 1);
+        assert.deepEqual(winners.map((row) => [row.pool, row.letter]), [[1, "A"], [2, "B"]]);
+    });
+});
+
+describe("generatePlayoffRound", () => {
+    it("seeds pool winners first and keeps pool mates apart in the first round", () => {
+        const teams = assignPools(makeTeams(8), 2);
+        // Pool 1 (A, D, E, H): A wins big, D only scrapes by
+        // Pool 2 (B, C, F, G): B wins close, C wins big
+        // Seeds become A, B, C, D, so A would meet pool mate D without the swap
+        const losingScore = (teamA, teamB) => {
+            if (teamA.letter === "A" || teamA.letter === "C") return 0;
+            return teamA.letter === "D" ? 10 : 9;
+        };
+        const matches = generatePlayoffRound(teams, playPools(teams, losingScore), 2, 4);
+
+        assert.equal(matches.length, 2);
+        assert.ok(matches.every((m) => m.roundNumber === 4 && m.bracketType === "semifinal"));
+        assert.ok(matches.every((m) => m.teamA.pool !== m.teamB.pool));
+        assert.deepEqual(matches.map((m) => m.teamA.letter), ["A", "B"]);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createMemoryStore,
+    setRateLimitStore,
+    consumeRateLimit,
+    getUserAccountKey,
+    getLoginAttemptKey,
+    getAccountKey,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+} from "../utils/rateLimitUtils.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createMemoryStore", () => {
+    it("counts up until the key expires", async () => {
+        const store = createMemoryStore();
+        assert.equal((await store.increment("k", 20)).value, 1);
+        assert.equal((await store.increment("k", 20)).value, 2);
+        await wait(30);
+        assert.equal(await store.get("k"), null);
+        assert.equal((await store.increment("k", 20)).value, 1);
+    });
+
+    it("drops the oldest key when full", async () => {
+        const store = createMemoryStore({ maxKeys: 2 });
+        await store.set("a", 1, 1000);
+        await store.set("b", 2, 1000);
+        await store.set("c", 3, 1000);
+        assert.equal(await store.get("a"), null);
+        assert.equal((await store.get("c")).value, 3);
+    });
+});
+
+describe("consumeRateLimit", () => {
+    beforeEach(() => {
+        setRateLimitStore(createMemoryStore());
+    });
+
+    it("limits a key after max requests in the window", async () => {
+        const limit = { windowMs: 60 * 1000, max: 2 };
+        const first = await consumeRateLimit("search", "ip1", limit);
+        assert.equal(first.limited, false);
+        assert.equal(first.limit, 2);
+        assert.equal(first.remaining, 1);
+        await consumeRateLimit("search", "ip1", limit);
+        const third = await consumeRateLimit("search", "ip1", limit);
+        assert.equal(third.limited, true);
+        assert.equal(third.remaining, 0);
+        assert.equal(third.retryAfter, 60);
+    });
+
+    it("counts each name and key separately", async () => {
+        const limit = { windowMs: 60 * 1000, max: 1 };
+        await consumeRateLimit("search", "ip1", limit);
+        assert.equal((await consumeRateLimit("search", "ip2", limit)).limited, false);
+        assert.equal((await consumeRateLimit("register", "ip1", limit)).limited, false);
+    });
+});
+
+describe("login keys", () => {
+    it("names an account by mobile, then username, then email", () => {
+        assert.equal(getAccountKey({ mobile: "+91 98765 43210", username: "ann" }), "mobile:9876543210");
+        assert.equal(getAccountKey({ username: " Ann " }), "username:ann");
+        assert.equal(getAccountKey({ email: "Ann@Example.com" }), "email:ann@example.com");
+        assert.equal(getAccountKey({ mobile: 9876543210 }), null);
+        assert.equal(getAccountKey(), null);
+    });
+
+    it("uses one key per user whichever identifier they logged in with", () => {
+        assert.equal(getUserAccountKey({ _id: { toString: () => "u1" } }), "user:u1");
+    });
+
+    it("keeps attempts from different addresses apart", () => {
+        assert.notEqual(getLoginAttemptKey("user:u1", "10.0.0.1"), getLoginAttemptKey("user:u1", "10.0.0.2"));
+    });
+});
+
+describe("login lockout", () => {
+    const attacker = getLoginAttemptKey("user:u1", "10.0.0.1");
+    const owner = getLoginAttemptKey("user:u1", "10.0.0.2");
+
+    beforeEach(() => {
+        setRateLimitStore(createMemoryStore());
+    });
+
+    it("locks after five failures and doubles the lock with every further one", async () => {
+        for (let i = 1; i < 5; i++) {
+            assert.deepEqual(await recordLoginFailure(attacker), { failures: i, retryAfter: null });
+        }
+        assert.deepEqual(await recordLoginFailure(attacker), { failures: 5, retryAfter: 60 });
+        assert.deepEqual(await recordLoginFailure(attacker), { failures: 6, retryAfter: 120 });
+        assert.equal((await getLoginLockout(attacker)).retryAfter, 120);
+    });
+
+    it("caps the lock at an hour", async () => {
+        let failure;
+        for (let i = 0; i < 15; i++) {
+            failure = await recordLoginFailure(attacker);
+        }
+        assert.equal(failure.retryAfter, 60 * 60);
+    });
+
+    it("does not lock the owner out from another address", async () => {
+        for (let i = 0; i < 5; i++) {
+            await recordLoginFailure(attacker);
+        }
+        assert.ok(await getLoginLockout(attacker));
+        assert.equal(await getLoginLockout(owner), null);
+    });
+
+    it("forgets failures and the lock after a successful login", async () => {
+        for (let i = 0; i < 5; i++) {
+            await recordLoginFailure(attacker);
+        }
+        await clearLoginFailures(attacker);
+        assert.equal(await getLoginLockout(attacker), null);
+        assert.deepEqual(await recordLoginFailure(attacker), { failures: 1, retryAfter: null });
+    });
+});
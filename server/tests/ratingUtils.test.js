@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    getCurrentDeviation,
+    getTeamRating,
+    rateMatch,
+    toPublicRating,
+} from "../utils/ratingUtils.js";
+
+const newPlayer = { value: DEFAULT_RATING, deviation: DEFAULT_DEVIATION };
+const settled = (value) => ({ value, deviation: 60 });
+
+describe("rateMatch", () => {
+    it("moves two new players apart by the Glicko amount", () => {
+        const { A, B } = rateMatch([newPlayer], [newPlayer], "A");
+        assert.equal(A.expected, 0.5);
+        assert.deepEqual(A.players, [{ value: 1662.2, deviation: 290.2 }]);
+        assert.deepEqual(B.players, [{ value: 1337.8, deviation: 290.2 }]);
+    });
+
+    it("rewards an upset more than an expected win", () => {
+        const upset = rateMatch([settled(1400)], [settled(1700)], "A");
+        const expected = rateMatch([settled(1700)], [settled(1400)], "A");
+        assert.ok(upset.A.expected < 0.5);
+        assert.ok(upset.A.players[0].value - 1400 > expected.A.players[0].value - 1700);
+    });
+
+    it("moves an uncertain rating further than a settled one", () => {
+        const { A } = rateMatch([newPlayer, settled(1500)], [settled(1500), settled(1500)], "A");
+        const [uncertain, steady] = A.players;
+        assert.ok(uncertain.value - 1500 > steady.value - 1500);
+        assert.ok(steady.value > 1500);
+    });
+
+    it("rates every doubles player against the opposing average", () => {
+        const { B } = rateMatch([settled(1600), settled(1400)], [settled(1500), settled(1500)], "A");
+        assert.equal(B.expected, 0.5);
+        assert.equal(B.players.length, 2);
+        assert.ok(B.players.every((p) => p.value < 1500));
+    });
+});
+
+describe("getTeamRating", () => {
+    it("averages ratings and combines deviations as a root mean square", () => {
+        const team = getTeamRating([{ value: 1600, deviation: 30 }, { value: 1400, deviation: 40 }]);
+        assert.equal(team.value, 1500);
+        assert.equal(Math.round(team.deviation * 100) / 100, 35.36);
+    });
+});
+
+describe("getCurrentDeviation", () => {
+    const now = new Date("2026-06-01T00:00:00Z");
+
+    it("grows while a player is idle, up to the new-player deviation", () => {
+        const rating = { value: 1500, deviation: 50, lastRatedAt: "2026-05-25T00:00:00Z" };
+        assert.ok(getCurrentDeviation(rating, now) > 50);
+        assert.equal(getCurrentDeviation({ ...rating, lastRatedAt: "2020-01-01T00:00:00Z" }, now), DEFAULT_DEVIATION);
+    });
+
+    it("starts unrated players at the new-player deviation", () => {
+        assert.equal(getCurrentDeviation(null, now), DEFAULT_DEVIATION);
+    });
+});
+
+describe("toPublicRating", () => {
+    it("rounds the rating and flags provisional ratings", () => {
+        assert.deepEqual(toPublicRating(null), { value: 1500, deviation: 350, matches: 0, provisional: true });
+        const now = new Date("2026-06-01T00:00:00Z");
+        const rating = { value: 1623.4, deviation: 60, matches: 12, lastRatedAt: now };
+        assert.deepEqual(toPublicRating(rating, now), { value: 1623, deviation: 60, matches: 12, provisional: false });
+    });
+});
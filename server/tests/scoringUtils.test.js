@@ -0,0 +1,138 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    validateGameScore,
+    parseSubmittedGames,
+    evaluateMatchScore,
+    getMatchPoints,
+} from "../utils/scoringUtils.js";
+
+const winByTwo = { pointsToWin: 11, winByTwo: true, cap: null, bestOf: 1 };
+const winByOne = { pointsToWin: 11, winByTwo: false, cap: null, bestOf: 1 };
+const capped = { pointsToWin: 11, winByTwo: true, cap: 15, bestOf: 1 };
+const bestOfThree = { pointsToWin: 11, winByTwo: true, cap: null, bestOf: 3 };
+
+describe("normalizeScoringRules", () => {
+    it("fills in defaults", () => {
+        assert.deepEqual(normalizeScoringRules({}).rules, DEFAULT_SCORING_RULES);
+        assert.deepEqual(normalizeScoringRules(null).rules, DEFAULT_SCORING_RULES);
+        assert.equal(normalizeScoringRules({ winByTwo: undefined }).rules.winByTwo, true);
+    });
+
+    it("reads form values", () => {
+        const { rules } = normalizeScoringRules({ pointsToWin: "21", bestOf: "3", winByTwo: "false", cap: "" });
+        assert.deepEqual(rules, { pointsToWin: 21, winByTwo: false, cap: null, bestOf: 3 });
+    });
+
+    it("refuses a win-by-two value that is not true or false", () => {
+        ["yes", 0, 1, null, "False"].forEach((value) => {
+            assert.equal(normalizeScoringRules({ winByTwo: value }).error, "Win by two must be true or false");
+        });
+    });
+
+    it("refuses unknown targets, match lengths and caps at or below the target", () => {
+        assert.ok(normalizeScoringRules({ pointsToWin: 12 }).error);
+        assert.ok(normalizeScoringRules({ bestOf: 2 }).error);
+        assert.ok(normalizeScoringRules({ cap: 11 }).error);
+        assert.ok(normalizeScoringRules({ cap: 13.5 }).error);
+    });
+});
+
+describe("validateGameScore", () => {
+    it("accepts normal and extended finishes with win by two", () => {
+        assert.equal(validateGameScore(winByTwo, 11, 9), null);
+        assert.equal(validateGameScore(winByTwo, 3, 11), null);
+        assert.equal(validateGameScore(winByTwo, 14, 12), null);
+    });
+
+    it("refuses unfinished, too-narrow and overlong games with win by two", () => {
+        assert.ok(validateGameScore(winByTwo, 10, 8));
+        assert.ok(validateGameScore(winByTwo, 11, 10));
+        assert.ok(validateGameScore(winByTwo, 14, 10));
+        assert.ok(validateGameScore(winByTwo, 11, 11));
+    });
+
+    it("ends win-by-one games at the target", () => {
+        assert.equal(validateGameScore(winByOne, 11, 10), null);
+        assert.equal(validateGameScore(winByOne, 12, 10), "Games end as soon as one side reaches 11");
+        assert.ok(validateGameScore(winByOne, 13, 12));
+    });
+
+    it("lets the cap decide a game by one point and refuses scores past it", () => {
+        assert.equal(validateGameScore(capped, 15, 14), null);
+        assert.ok(validateGameScore(capped, 16, 14));
+    });
+
+    it("refuses negative and non-whole scores", () => {
+        assert.ok(validateGameScore(winByTwo, -1, 11));
+        assert.ok(validateGameScore(winByTwo, 11, 4.5));
+        assert.ok(validateGameScore(winByTwo, 11, NaN));
+    });
+});
+
+describe("parseSubmittedGames", () => {
+    it("reads a single game or a list of games", () => {
+        assert.deepEqual(parseSubmittedGames({ scoreA: "11", scoreB: 7 }), [{ scoreA: 11, scoreB: 7 }]);
+        assert.deepEqual(parseSubmittedGames({ games: [{ scoreA: 11, scoreB: 5 }] }), [{ scoreA: 11, scoreB: 5 }]);
+        assert.equal(parseSubmittedGames({}), null);
+    });
+
+    it("never reads a missing or empty score as 0", () => {
+        const [game] = parseSubmittedGames({ scoreA: "", scoreB: 11 });
+        assert.ok(Number.isNaN(game.scoreA));
+        const [listed] = parseSubmittedGames({ games: [{ scoreA: null, scoreB: 11 }] });
+        assert.ok(Number.isNaN(listed.scoreA));
+        assert.equal(evaluateMatchScore(winByTwo, [game]).error, "Scores must be whole numbers of 0 or more");
+        assert.equal(evaluateMatchScore(null, [listed]).error, "Both scores are required");
+    });
+});
+
+describe("evaluateMatchScore", () => {
+    it("returns points for single-game matches", () => {
+        assert.deepEqual(evaluateMatchScore(winByTwo, [{ scoreA: 9, scoreB: 11 }]), {
+            games: [{ scoreA: 9, scoreB: 11, winner: "B" }],
+            scoreA: 9,
+            scoreB: 11,
+            winner: "B",
+        });
+    });
+
+    it("returns games won for best-of matches", () => {
+        const result = evaluateMatchScore(bestOfThree, [
+            { scoreA: 11, scoreB: 8 },
+            { scoreA: 6, scoreB: 11 },
+            { scoreA: 12, scoreB: 10 },
+        ]);
+        assert.equal(result.winner, "A");
+        assert.equal(result.scoreA, 2);
+        assert.equal(result.scoreB, 1);
+        assert.deepEqual(getMatchPoints(result), { pointsA: 29, pointsB: 29 });
+    });
+
+    it("refuses undecided matches and games after the match was decided", () => {
+        assert.ok(evaluateMatchScore(bestOfThree, [{ scoreA: 11, scoreB: 8 }]).error);
+        assert.equal(
+            evaluateMatchScore(bestOfThree, [
+                { scoreA: 11, scoreB: 8 },
+                { scoreA: 11, scoreB: 8 },
+                { scoreA: 11, scoreB: 8 },
+            ]).error,
+            "The match was already decided after game 2"
+        );
+    });
+
+    it("names the game that has a bad score", () => {
+        const result = evaluateMatchScore(bestOfThree, [
+            { scoreA: 11, scoreB: 8 },
+            { scoreA: 11, scoreB: 10 },
+        ]);
+        assert.equal(result.error, "Game 2: Games must be won by 2");
+    });
+
+    it("only needs unequal scores for games without rules", () => {
+        assert.equal(evaluateMatchScore(null, [{ scoreA: 5, scoreB: 3 }]).winner, "A");
+        assert.equal(evaluateMatchScore(null, [{ scoreA: 3, scoreB: 3 }]).error, "Scores cannot be equal");
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getDefaultSwissRounds,
+    getMaxSwissRounds,
+    generateSwissRound,
+    buildSwissStandings,
+} from "../utils/swissUtils.js";
+
+// Helper: teams A, B, C... seeded in that order
+const makeTeams = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+        letter: String.fromCharCode(65 + i),
+        seed: i + 1,
+        players: [{ userId: null, name: `Player ${i + 1}`, mobile: null }],
+    }));
+
+// Helper: play the given number of rounds, the better seed always winning 11-5
+const playRounds = (teams, rounds) => {
+    const allMatches = [];
+    for (let round = 1; round <= rounds; round++) {
+        generateSwissRound(teams, allMatches, round).forEach((m) => {
+            const winner = m.isBye || m.teamA.seed < m.teamB.seed ? "A" : "B";
+            allMatches.push({ ...m, status: "finished", winner, scoreA: winner === "A" ? 11 : 5, scoreB: winner === "A" ? 5 : 11 });
+        });
+    }
+    return allMatches;
+};
+
+describe("Swiss round counts", () => {
+    it("defaults to enough rounds to find one unbeaten team", () => {
+        assert.equal(getDefaultSwissRounds(8), 3);
+        assert.equal(getDefaultSwissRounds(5), 3);
+    });
+
+    it("caps rounds at the number that avoids rematches", () => {
+        assert.equal(getMaxSwissRounds(8), 7);
+        assert.equal(getMaxSwissRounds(7), 7);
+    });
+});
+
+describe("generateSwissRound", () => {
+    it("pairs the top half against the bottom half in round 1", () => {
+        const matches = generateSwissRound(makeTeams(8), [], 1);
+        assert.deepEqual(
+            matches.map((m) => [m.teamA.letter, m.teamB.letter]),
+            [["A", "E"], ["B", "F"], ["C", "G"], ["D", "H"]]
+        );
+    });
+
+    it("never repeats a pairing", () => {
+        const allMatches = playRounds(makeTeams(6), 5);
+        const pairings = allMatches
+            .filter((m) => !m.isBye)
+            .map((m) => [m.teamA.letter, m.teamB.letter].sort().join("-"));
+        assert.equal(pairings.length, 15);
+        assert.equal(new Set(pairings).size, 15);
+    });
+
+    it("gives each bye to a different team", () => {
+        const byes = playRounds(makeTeams(5), 5).filter((m) => m.isBye);
+        assert.equal(byes.length, 5);
+        assert.equal(new Set(byes.map((m) => m.teamA.letter)).size, 5);
+    });
+
+    it("pairs teams with the same record", () => {
+        const allMatches = playRounds(makeTeams(8), 1);
+        const second = generateSwissRound(makeTeams(8), allMatches, 2);
+        const winners = new Set(["A", "B", "C", "D"]);
+        second.forEach((m) => {
+            assert.equal(winners.has(m.teamA.letter), winners.has(m.teamB.letter));
+        });
+    });
+});
+
+describe("buildSwissStandings", () => {
+    it("counts a bye as a win and breaks ties on Buchholz", () => {
+        const teams = makeTeams(3);
+        const [a, b, c] = teams;
+        const matches = [
+            { status: "finished", winner: "A", scoreA: 11, scoreB: 4, teamA: a, teamB: b },
+            { status: "finished", winner: "A", isBye: true, teamA: c, teamB: { letter: "BYE" } },
+            { status: "finished", winner: "A", scoreA: 11, scoreB: 9, teamA: b, teamB: c },
+        ];
+        const standings = buildSwissStandings(teams, matches);
+
+        // Everyone has one win: B faced both other teams so leads on Buchholz, then A on point differential
+        assert.deepEqual(standings.map((row) => row.letter), ["B", "A", "C"]);
+        const rowC = standings.find((row) => row.letter === "C");
+        assert.equal(rowC.wins, 1);
+        assert.equal(rowC.byes, 1);
+        assert.deepEqual(standings.map((row) => row.buchholz), [2, 1, 1]);
+    });
+});
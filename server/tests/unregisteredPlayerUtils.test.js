@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import SeasonStanding from "../models/seasonStandingModel.js";
+import { mergeSeasonStandings, normalizeMobile } from "../utils/unregisteredPlayerUtils.js";
+
+// Helper: whether a stored row matches a query on plain fields
+const matches = (row, filter) => Object.entries(filter).every(([field, value]) => row[field] === value);
+
+describe("normalizeMobile", () => {
+    it("strips formatting and the country code", () => {
+        assert.equal(normalizeMobile("+91 98765-43210"), "9876543210");
+        assert.equal(normalizeMobile("(987) 654 3210"), "9876543210");
+    });
+});
+
+describe("mergeSeasonStandings", () => {
+    let rows;
+
+    // Season standings kept in memory instead of the database
+    beforeEach(() => {
+        rows = [];
+        mock.method(SeasonStanding, "find", async (filter) => rows.filter((row) => matches(row, filter)));
+        mock.method(SeasonStanding, "findOneAndUpdate", async (filter, { $inc }) => {
+            const row = rows.find((r) => matches(r, filter));
+            if (!row) return null;
+            Object.entries($inc).forEach(([field, amount]) => {
+                row[field] = (row[field] || 0) + amount;
+            });
+            return row;
+        });
+        mock.method(SeasonStanding, "deleteOne", async ({ _id }) => {
+            rows = rows.filter((row) => row._id !== _id);
+        });
+        mock.method(SeasonStanding, "updateOne", async ({ _id }, { $set }) => {
+            Object.assign(rows.find((row) => row._id === _id), $set);
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("adds the mobile's totals to the user's row in the same season", async () => {
+        rows.push(
+            { _id: "s1-user", seasonId: "s1", userId: "u1", mobile: null, points: 30, teamPoints: 10, games: 2, wins: 1, gold: 1, silver: 0, bronze: 0 },
+            { _id: "s1-mobile", seasonId: "s1", userId: null, mobile: "9876543210", points: 20, teamPoints: 5, games: 1, wins: 1, gold: 0, silver: 1, bronze: 0 }
+        );
+
+        await mergeSeasonStandings("u1", "9876543210");
+
+        assert.equal(rows.length, 1);
+        assert.deepEqual(rows[0], {
+            _id: "s1-user", seasonId: "s1", userId: "u1", mobile: null,
+            points: 50, teamPoints: 15, games: 3, wins: 2, gold: 1, silver: 1, bronze: 0,
+        });
+    });
+
+    it("hands the row over when the user has none in that season", async () => {
+        rows.push(
+            { _id: "s1-user", seasonId: "s1", userId: "u1", mobile: null, points: 30 },
+            { _id: "s2-mobile", seasonId: "s2", userId: null, mobile: "9876543210", points: 20 }
+        );
+
+        await mergeSeasonStandings("u1", "9876543210");
+
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows.find((row) => row._id === "s2-mobile"), {
+            _id: "s2-mobile", seasonId: "s2", userId: "u1", mobile: null, points: 20,
+        });
+        assert.equal(rows.find((row) => row._id === "s1-user").points, 30);
+    });
+
+    it("leaves other mobiles and users alone", async () => {
+        rows.push(
+            { _id: "other-mobile", seasonId: "s1", userId: null, mobile: "9999999999", points: 7 },
+            { _id: "other-user", seasonId: "s1", userId: "u2", mobile: null, points: 9 }
+        );
+
+        await mergeSeasonStandings("u1", "9876543210");
+
+        assert.deepEqual(rows.map((row) => [row._id, row.userId, row.points]), [
+            ["other-mobile", null, 7],
+            ["other-user", "u2", 9],
+        ]);
+    });
+});
@@ -0,0 +1,273 @@
+// Bracket helpers shared by the tournament formats in gameController
+
+// Largest single-elimination bracket supported
+const MAX_KNOCKOUT_TEAMS = 32;
+
+// Create a BYE team object for bye matches
+// Always returns a team object with letter "BYE" regardless of originalTeam
+const createByeTeam = (originalTeam = null) => {
+    // Always return a BYE team object with letter "BYE"
+    // The originalTeam parameter is used to get player info if needed, but letter is always "BYE"
+    return {
+        letter: "BYE", // Always "BYE", never use originalTeam.letter
+        players: originalTeam && originalTeam.players ? originalTeam.players.map((p) => ({
+            userId: p.userId || null,
+            name: p.name || "Bye",
+            mobile: p.mobile || null,
+        })) : [],
+        points: originalTeam && originalTeam.totalPoints ? originalTeam.totalPoints : 0,
+    };
+};
+
+// Get the winning and losing team of a finished match
+// Bye matches always return teamA as the winner and no loser
+const getMatchResult = (match) => {
+    if (match.isBye) {
+        return { winner: match.teamA, loser: null };
+    }
+    if (match.winner === "A") {
+        return { winner: match.teamA, loser: match.teamB };
+    }
+    if (match.winner === "B") {
+        return { winner: match.teamB, loser: match.teamA };
+    }
+    return { winner: null, loser: null };
+};
+
+// Smallest power of two that fits all teams (minimum 2)
+const getBracketSize = (teamCount) => {
+    let size = 2;
+    while (size < teamCount) {
+        size *= 2;
+    }
+    return size;
+};
+
+// Standard seed order for a bracket, e.g. size 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+// Adjacent pairs play each other and seeds 1 and 2 can only meet in the final
+const getSeedOrder = (bracketSize) => {
+    let order = [1, 2];
+    while (order.length < bracketSize) {
+        const nextSize = order.length * 2;
+        order = order.flatMap((seed) => [seed, nextSize + 1 - seed]);
+    }
+    return order;
+};
+
+// Bracket type label for a knockout round with the given number of matches
+const getKnockoutBracketType = (matchesInRound) => {
+    if (matchesInRound === 1) return "final";
+    if (matchesInRound === 2) return "semifinal";
+    return null;
+};
+
+// Round 1 of a seeded single-elimination bracket
+// seededTeams must be sorted strongest first; missing seeds become byes for the top seeds
+const generateSeededKnockoutRound = (seededTeams, roundNumber = 1) => {
+    const bracketSize = getBracketSize(seededTeams.length);
+    const seedOrder = getSeedOrder(bracketSize);
+    const bracketType = getKnockoutBracketType(bracketSize / 2);
+    const matches = [];
+
+    for (let i = 0; i < seedOrder.length; i += 2) {
+        const teamA = seededTeams[seedOrder[i] - 1];
+        const teamB = seededTeams[seedOrder[i + 1] - 1];
+
+        if (teamA && teamB) {
+            matches.push({
+                roundNumber,
+                matchNumber: matches.length + 1,
+                teamA,
+                teamB,
+                bracketType,
+            });
+        } else {
+            // The higher seed is always teamA, so only teamB can be missing
+            matches.push({
+                roundNumber,
+                matchNumber: matches.length + 1,
+                teamA,
+                teamB: createByeTeam(teamA),
+                bracketType,
+                isBye: true,
+            });
+        }
+    }
+
+    return matches;
+};
+
+// Next round of a seeded single-elimination bracket
+// Winners of matches 1 & 2, 3 & 4, ... meet; after the semifinals the final and bronze match are created
+const generateSeededKnockoutNextRound = (roundMatches, nextRoundNumber) => {
+    const bracketMatches = roundMatches
+        .filter((m) => m.bracketType !== "bronze")
+        .sort((a, b) => a.matchNumber - b.matchNumber);
+
+    // Final has been played - nothing left to generate
+    if (bracketMatches.length <= 1) {
+        return [];
+    }
+
+    const matches = [];
+    const results = bracketMatches.map(getMatchResult);
+    const bracketType = getKnockoutBracketType(bracketMatches.length / 2);
+
+    for (let i = 0; i < results.length; i += 2) {
+        matches.push({
+            roundNumber: nextRoundNumber,
+            matchNumber: matches.length + 1,
+            teamA: results[i].winner,
+            teamB: results[i + 1].winner,
+            bracketType,
+        });
+    }
+
+    // Semifinal losers play for bronze (a lone loser gets bronze by bye)
+    if (bracketMatches.length === 2) {
+        const semifinalLosers = results.map((r) => r.loser).filter(Boolean);
+        if (semifinalLosers.length === 2) {
+            matches.push({
+                roundNumber: nextRoundNumber,
+                matchNumber: matches.length + 1,
+                teamA: semifinalLosers[0],
+                teamB: semifinalLosers[1],
+                bracketType: "bronze",
+            });
+        } else if (semifinalLosers.length === 1) {
+            matches.push({
+                roundNumber: nextRoundNumber,
+                matchNumber: matches.length + 1,
+                teamA: semifinalLosers[0],
+                teamB: createByeTeam(semifinalLosers[0]),
+                bracketType: "bronze",
+                isBye: true,
+            });
+        }
+    }
+
+    return matches;
+};
+
+// Sort teams strongest seed first (unseeded teams keep their order at the end)
+const sortBySeed = (teams) =>
+    [...teams].sort((a, b) => (a.seed || Infinity) - (b.seed || Infinity));
+
+// Pair a pool of teams for one double-elimination bracket round
+// Odd pools give a bye to the team with the fewest byes so far (best seed first),
+// then the rest pair best vs worst, avoiding rematches when possible
+const pairDoubleEliminationPool = (pool, { opponents, byeCounts }) => {
+    const remaining = sortBySeed(pool);
+    const pairs = [];
+    let byeTeam = null;
+
+    if (remaining.length % 2 === 1) {
+        const fewestByes = Math.min(...remaining.map((t) => byeCounts.get(t.letter) || 0));
+        const byeIndex = remaining.findIndex((t) => (byeCounts.get(t.letter) || 0) === fewestByes);
+        byeTeam = remaining.splice(byeIndex, 1)[0];
+    }
+
+    while (remaining.length > 0) {
+        const team = remaining.shift();
+        const played = opponents.get(team.letter) || new Set();
+        // Lowest remaining seed that this team has not met yet, otherwise the lowest seed
+        let opponentIndex = remaining.length - 1;
+        for (let i = remaining.length - 1; i >= 0; i--) {
+            if (!played.has(remaining[i].letter)) {
+                opponentIndex = i;
+                break;
+            }
+        }
+        pairs.push([team, remaining.splice(opponentIndex, 1)[0]]);
+    }
+
+    return { pairs, byeTeam };
+};
+
+// Next round of a double-elimination bracket, derived from each team's losses so far
+// Undefeated teams play in the winners bracket, one-loss teams in the losers bracket,
+// the last team standing in each meets in the grand final. If the losers bracket team
+// wins the grand final and bracketReset is enabled, a deciding "reset" match is played.
+// Returns [] once a champion is decided.
+const generateDoubleEliminationRound = (teams, allMatches, nextRoundNumber, { bracketReset = true } = {}) => {
+    const losses = new Map(teams.map((t) => [t.letter, 0]));
+    const opponents = new Map(teams.map((t) => [t.letter, new Set()]));
+    const byeCounts = new Map();
+    let grandFinalPlayed = false;
+
+    allMatches
+        .filter((m) => m.status === "finished")
+        .forEach((match) => {
+            if (match.bracketType === "final") {
+                grandFinalPlayed = true;
+            }
+            const { winner, loser } = getMatchResult(match);
+            if (match.isBye) {
+                byeCounts.set(winner.letter, (byeCounts.get(winner.letter) || 0) + 1);
+                return;
+            }
+            if (!winner || !loser) return;
+            losses.set(loser.letter, (losses.get(loser.letter) || 0) + 1);
+            opponents.get(winner.letter)?.add(loser.letter);
+            opponents.get(loser.letter)?.add(winner.letter);
+        });
+
+    const winnersPool = teams.filter((t) => losses.get(t.letter) === 0);
+    const losersPool = teams.filter((t) => losses.get(t.letter) === 1);
+    const matches = [];
+
+    const addMatch = (teamA, teamB, bracketType) => {
+        matches.push({
+            roundNumber: nextRoundNumber,
+            matchNumber: matches.length + 1,
+            teamA,
+            teamB,
+            bracketType,
+        });
+    };
+
+    // Grand final: winners bracket champion vs losers bracket champion
+    if (winnersPool.length === 1 && losersPool.length === 1) {
+        addMatch(winnersPool[0], losersPool[0], "final");
+        return matches;
+    }
+
+    // Bracket reset: the losers bracket champion won the grand final, both teams now have one loss
+    if (winnersPool.length === 0 && losersPool.length === 2) {
+        if (grandFinalPlayed && bracketReset && !allMatches.some((m) => m.bracketType === "reset")) {
+            addMatch(losersPool[0], losersPool[1], "reset");
+        }
+        return matches;
+    }
+
+    // Winners and losers bracket rounds are played side by side
+    // A pool with a single team waits for the other bracket to catch up
+    [[winnersPool, "winners"], [losersPool, "losers"]].forEach(([pool, bracketType]) => {
+        if (pool.length < 2) return;
+        const { pairs, byeTeam } = pairDoubleEliminationPool(pool, { opponents, byeCounts });
+        pairs.forEach(([teamA, teamB]) => addMatch(teamA, teamB, bracketType));
+        if (byeTeam) {
+            matches.push({
+                roundNumber: nextRoundNumber,
+                matchNumber: matches.length + 1,
+                teamA: byeTeam,
+                teamB: createByeTeam(byeTeam),
+                bracketType,
+                isBye: true,
+            });
+        }
+    });
+
+    return matches;
+};
+
+export {
+    MAX_KNOCKOUT_TEAMS,
+    createByeTeam,
+    getMatchResult,
+    getBracketSize,
+    getSeedOrder,
+    generateSeededKnockoutRound,
+    generateSeededKnockoutNextRound,
+    generateDoubleEliminationRound,
+};
@@ -0,0 +1,81 @@
+// Multi-court scheduling helpers
+// A game played on several courts keeps one live match per court. Whenever a court is free
+// the next pending match of the round goes on it - never with a team that is still on
+// another court, and preferring teams that did not just come off court.
+
+// Most courts a game can be played on at once
+const MAX_COURTS = 8;
+
+// Entry letters playing on either side of a pairing or match
+// Mixer doubles teams combine two entries, e.g. "A+C"
+const getPairLetters = (pair) => [pair.teamA, pair.teamB]
+    .map((team) => team?.letter || team)
+    .flatMap((letter) => (typeof letter === "string" ? letter.split("+") : []))
+    .filter(Boolean);
+
+// Pick the next pairing to play: skip teams that need rest (they just played) unless
+// nothing else is left, then prefer the teams that have played the fewest matches
+const pickRestedMatch = (pairs, restingLetters, matchCounts) => {
+    if (pairs.length === 0) return null;
+
+    // Filter out pairings involving teams that just played (give them rest)
+    const availablePairs = pairs.filter((pair) =>
+        getPairLetters(pair).every((letter) => !restingLetters.has(letter))
+    );
+
+    // If no pairing avoids the resting teams, use all of them (will happen at the end)
+    const candidates = availablePairs.length > 0 ? availablePairs : pairs;
+
+    const playedCount = (pair) => getPairLetters(pair)
+        .reduce((sum, letter) => sum + (matchCounts[letter] || 0), 0);
+
+    return [...candidates].sort((a, b) => playedCount(a) - playedCount(b))[0];
+};
+
+// Plan which pending matches of a round go on which free courts
+// roundMatches: every match of the current round; courtCount: courts the game is played on
+// Returns [{ match, court }] - the caller saves the assignments
+const planCourtAssignments = (roundMatches, courtCount) => {
+    const playable = roundMatches.filter((m) => !m.isBye);
+    const onCourt = playable.filter((m) => m.status === "live");
+    const finished = playable.filter((m) => m.status === "finished");
+
+    const busyCourts = new Set(onCourt.map((m) => m.court).filter(Boolean));
+    const busyLetters = new Set(onCourt.flatMap(getPairLetters));
+
+    const matchCounts = {};
+    finished.flatMap(getPairLetters).forEach((letter) => {
+        matchCounts[letter] = (matchCounts[letter] || 0) + 1;
+    });
+
+    // Teams that just came off court rest first, like back-to-back matches in a schedule
+    const lastFinished = [...finished]
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0];
+    const restingLetters = new Set(lastFinished ? getPairLetters(lastFinished) : []);
+
+    let queue = playable
+        .filter((m) => m.status === "pending")
+        .sort((a, b) => (a.matchNumber || 0) - (b.matchNumber || 0));
+
+    const assignments = [];
+    for (let court = 1; court <= courtCount; court++) {
+        if (busyCourts.has(court)) continue;
+
+        // A team can only be on one court at a time
+        const ready = queue.filter((m) => getPairLetters(m).every((letter) => !busyLetters.has(letter)));
+        const next = pickRestedMatch(ready, restingLetters, matchCounts);
+        if (!next) break;
+
+        assignments.push({ match: next, court });
+        getPairLetters(next).forEach((letter) => busyLetters.add(letter));
+        queue = queue.filter((m) => m !== next);
+    }
+
+    return assignments;
+};
+
+export {
+    MAX_COURTS,
+    pickRestedMatch,
+    planCourtAssignments,
+};
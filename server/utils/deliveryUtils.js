@@ -0,0 +1,102 @@
+import fs from "node:fs/promises";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import config from "../config/env.js";
+
+// Message delivery (one-time codes and other notices)
+// Messages go out through a provider per channel, chosen with SMS_PROVIDER and EMAIL_PROVIDER:
+//   console - print the message to the server log (default, for local development)
+//   file    - append the message as a JSON line to OUTBOX_FILE (default: outbox.log), so
+//             tests and offline runs can read the codes back
+//   smtp    - email through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS, sent from SMTP_FROM
+//   http    - SMS through an HTTP gateway: POSTs { to, message } to SMS_API_URL with SMS_API_KEY
+// Other providers can be added with registerDeliveryProvider.
+// A provider is an object with send({ channel, to, subject, message }).
+// The settings are read and checked in config/env.js.
+
+const createConsoleProvider = () => ({
+    send: async ({ channel, to, subject, message }) => {
+        console.log(`📨 [Delivery:${channel}] To ${to}${subject ? ` - ${subject}` : ""}: ${message}`);
+    },
+});
+
+const createFileProvider = () => ({
+    send: async ({ channel, to, subject, message }) => {
+        const line = JSON.stringify({ channel, to, subject: subject || null, message, sentAt: new Date().toISOString() });
+        await fs.appendFile(config.delivery.outboxFile, `${line}\n`);
+    },
+});
+
+const createSmtpProvider = () => {
+    const { smtp } = config.delivery;
+    const transporter = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.port === 465,
+        auth: smtp.user
+            ? { user: smtp.user, pass: smtp.pass }
+            : undefined,
+    });
+    return {
+        send: async ({ to, subject, message }) => {
+            await transporter.sendMail({
+                from: smtp.from,
+                to,
+                subject: subject || "PickleMatch",
+                text: message,
+            });
+        },
+    };
+};
+
+const createHttpSmsProvider = () => ({
+    send: async ({ to, message }) => {
+        await axios.post(
+            config.delivery.smsApi.url,
+            { to, message },
+            { headers: { Authorization: `Bearer ${config.delivery.smsApi.key}` }, timeout: 10000 }
+        );
+    },
+});
+
+// Provider name -> factory
+const providerFactories = {
+    console: createConsoleProvider,
+    file: createFileProvider,
+    smtp: createSmtpProvider,
+    http: createHttpSmsProvider,
+};
+
+// Providers are created on first use and then reused
+const providers = new Map();
+
+// Add (or replace) a provider under a name, for use in SMS_PROVIDER / EMAIL_PROVIDER
+const registerDeliveryProvider = (name, factory) => {
+    providerFactories[name] = factory;
+    providers.delete(name);
+};
+
+// The provider configured for a channel ("sms" or "email")
+const getDeliveryProvider = (channel) => {
+    const name = channel === "email" ? config.delivery.emailProvider : config.delivery.smsProvider;
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown ${channel} delivery provider "${name}"`);
+    }
+    if (!providers.has(name)) {
+        providers.set(name, factory());
+    }
+    return providers.get(name);
+};
+
+// Send a message over a channel
+// message: { to, subject, message }
+const sendMessage = async (channel, message) => {
+    await getDeliveryProvider(channel).send({ channel, ...message });
+};
+
+export {
+    registerDeliveryProvider,
+    getDeliveryProvider,
+    sendMessage,
+};
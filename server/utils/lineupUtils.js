@@ -0,0 +1,96 @@
+// Odd player counts
+// With an odd number of players in a doubles game the room admin picks how the extra player
+// takes part:
+//   plays-twice - the odd player is paired with someone who then plays for two teams
+//   sit-out     - the extra player waits on the bench and players rotate through it between matches
+//   ghost       - the odd player forms a singles team of their own
+//   substitute  - the extra player joins a team as a substitute, rotating in between that team's matches
+// Rotating players come in for whoever has played the most, so playing time evens out.
+
+const ODD_PLAYER_MODES = ["plays-twice", "sit-out", "ghost", "substitute"];
+const DEFAULT_ODD_PLAYER_MODE = "plays-twice";
+
+// Modes where the lineup of a team changes from match to match
+const isRotatingMode = (mode) => mode === "sit-out" || mode === "substitute";
+
+// Matches each player has played in a game (byes and cancelled matches don't count)
+// getKey: player -> identity key
+const countPlayedMatches = (matches, getKey) => {
+    const playCounts = new Map();
+    matches
+        .filter((match) => !match.isBye && match.status !== "cancelled")
+        .forEach((match) => {
+            [match.teamA, match.teamB].forEach((team) => {
+                (team?.players || []).forEach((player) => {
+                    const key = getKey(player);
+                    if (key) playCounts.set(key, (playCounts.get(key) || 0) + 1);
+                });
+            });
+        });
+    return playCounts;
+};
+
+// Bring waiting players in for the players on court who have played the most
+// rosters: player lists about to play; waiting: players waiting, first in line first
+// A swap only happens when the waiting player has played fewer matches. Ties on court go to
+// whoever has been on longest (the front of the roster - players coming in join the back).
+// Returns { rosters, waiting } as new arrays
+const rotatePlayers = (rosters, waiting, playCounts, getKey) => {
+    const nextRosters = rosters.map((roster) => [...roster]);
+    let queue = [...waiting];
+    const played = (player) => playCounts.get(getKey(player)) || 0;
+
+    for (let turn = 0; turn < waiting.length; turn++) {
+        const incoming = queue[0];
+
+        let outgoing = null;
+        nextRosters.forEach((roster, rosterIndex) => roster.forEach((player, index) => {
+            if (!outgoing || played(player) > played(outgoing.player)) {
+                outgoing = { rosterIndex, index, player };
+            }
+        }));
+        if (!outgoing || played(outgoing.player) <= played(incoming)) break;
+
+        nextRosters[outgoing.rosterIndex].splice(outgoing.index, 1);
+        nextRosters[outgoing.rosterIndex].push(incoming);
+        queue = [...queue.slice(1), outgoing.player];
+    }
+
+    return { rosters: nextRosters, waiting: queue };
+};
+
+// Players whose main team in a game is the given team, taken from the match lineups
+// A player who played for more than one team counts for the one they played the most matches for
+// getKey: player -> identity key
+const getMainTeamPlayers = (matches, letter, getKey) => {
+    const appearances = new Map();
+    matches
+        .filter((match) => !match.isBye)
+        .forEach((match) => {
+            [match.teamA, match.teamB].forEach((side) => {
+                (side?.players || []).forEach((player) => {
+                    const key = getKey(player);
+                    if (!key) return;
+                    const entry = appearances.get(key) || { player, counts: new Map() };
+                    entry.counts.set(side.letter, (entry.counts.get(side.letter) || 0) + 1);
+                    appearances.set(key, entry);
+                });
+            });
+        });
+
+    return [...appearances.values()]
+        .filter(({ counts }) => {
+            const [mainLetter] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+            return mainLetter === letter;
+        })
+        .map(({ player }) => player);
+};
+
+export {
+    ODD_PLAYER_MODES,
+    DEFAULT_ODD_PLAYER_MODE,
+    isRotatingMode,
+    countPlayedMatches,
+    rotatePlayers,
+    getMainTeamPlayers,
+};
@@ -0,0 +1,90 @@
+// Rally-by-rally live scoring with traditional side-out scoring
+// Only the serving side scores. In doubles each side has two servers: losing a rally on
+// server 1 passes the serve to server 2, losing it on server 2 is a side-out. A game opens
+// at "0-0-2" so the first serving side only gets one server. In singles every lost serve
+// is a side-out and the call has no server number.
+
+const otherSide = (side) => (side === "A" ? "B" : "A");
+
+// Whether a game in progress has just been won under the scoring rules
+const isGameWon = (rules, scoreA, scoreB) => {
+    const winnerScore = Math.max(scoreA, scoreB);
+    const loserScore = Math.min(scoreA, scoreB);
+    const margin = rules.winByTwo ? 2 : 1;
+    if (rules.cap && winnerScore >= rules.cap) return true;
+    return winnerScore >= rules.pointsToWin && winnerScore - loserScore >= margin;
+};
+
+// Replay recorded rallies from the start of the match and derive the live state
+// events: [{ wonBy: "A" | "B" }], firstServer: side serving first in game 1
+// Sides swap first serve every game. Returns the games already won, the current game score,
+// who is serving, the score call (e.g. "7-4-2") and the outcome of every rally.
+const replayRallies = (rules, events, { firstServer = "A", doubles = true } = {}) => {
+    const startingServerNumber = doubles ? 2 : 1;
+    const gamesToWin = Math.ceil(rules.bestOf / 2);
+
+    const games = [];
+    const outcomes = [];
+    let gameFirstServer = firstServer;
+    let servingSide = firstServer;
+    let serverNumber = startingServerNumber;
+    let score = { A: 0, B: 0 };
+    let matchWinner = null;
+
+    const gamesWon = (side) => games.filter((g) => g.winner === side).length;
+
+    events.forEach(({ wonBy }) => {
+        if (matchWinner) return;
+
+        if (wonBy === servingSide) {
+            score[servingSide] += 1;
+            outcomes.push("point");
+        } else if (doubles && serverNumber === 1) {
+            serverNumber = 2;
+            outcomes.push("second-server");
+        } else {
+            servingSide = otherSide(servingSide);
+            serverNumber = 1;
+            outcomes.push("side-out");
+            return;
+        }
+
+        if (!isGameWon(rules, score.A, score.B)) return;
+
+        const winner = score.A > score.B ? "A" : "B";
+        games.push({ scoreA: score.A, scoreB: score.B, winner });
+        if (gamesWon(winner) >= gamesToWin) {
+            matchWinner = winner;
+            return;
+        }
+
+        // Next game: the other side serves first, again starting on the second server
+        gameFirstServer = otherSide(gameFirstServer);
+        servingSide = gameFirstServer;
+        serverNumber = startingServerNumber;
+        score = { A: 0, B: 0 };
+    });
+
+    const receivingSide = otherSide(servingSide);
+    const call = matchWinner
+        ? null
+        : [score[servingSide], score[receivingSide], ...(doubles ? [serverNumber] : [])].join("-");
+
+    return {
+        games,
+        currentGame: matchWinner ? null : { scoreA: score.A, scoreB: score.B },
+        gameNumber: matchWinner ? games.length : games.length + 1,
+        gamesWonA: gamesWon("A"),
+        gamesWonB: gamesWon("B"),
+        servingSide: matchWinner ? null : servingSide,
+        serverNumber: matchWinner || !doubles ? null : serverNumber,
+        call,
+        matchWinner,
+        outcomes,
+    };
+};
+
+export {
+    isGameWon,
+    replayRallies,
+};
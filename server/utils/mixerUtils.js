@@ -0,0 +1,213 @@
+// Mixer format helpers
+// In a mixer every game team entry is a single player. Each round the server pairs the
+// players into doubles teams ("A+C") so partners and opponents rotate.
+
+import { getMatchPoints } from "./scoringUtils.js";
+
+const MIXER_MIN_PLAYERS = 4;
+const PAIRING_ATTEMPTS = 200;
+
+// Combined letter for a mixer doubles team, e.g. ["C", "A"] -> "A+C"
+const getMixerTeamLetter = (entries) =>
+    entries.map((e) => e.letter).sort().join("+");
+
+// Split a match team letter into the entry letters it is made of
+const splitMixerTeamLetter = (letter) => (letter || "").split("+").filter(Boolean);
+
+// Default number of rounds - enough for everyone to partner everyone once
+const getDefaultMixerRounds = (playerCount) => Math.max(playerCount - 1, 1);
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const shuffle = (array) => {
+    const copy = [...array];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+// Count partners, opponents and matches played per entry from previous rounds
+const buildMixerHistory = (allMatches) => {
+    const partnerCounts = new Map();
+    const opponentCounts = new Map();
+    const playedCounts = new Map();
+    const lastRoundPlayed = new Map();
+
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    allMatches
+        .filter((m) => m.status !== "cancelled")
+        .forEach((match) => {
+            const sideA = splitMixerTeamLetter(match.teamA?.letter);
+            const sideB = splitMixerTeamLetter(match.teamB?.letter);
+
+            [sideA, sideB].forEach((side) => {
+                side.forEach((letter) => {
+                    increment(playedCounts, letter);
+                    lastRoundPlayed.set(letter, Math.max(lastRoundPlayed.get(letter) || 0, match.roundNumber));
+                });
+                for (let i = 0; i < side.length; i++) {
+                    for (let j = i + 1; j < side.length; j++) {
+                        increment(partnerCounts, pairKey(side[i], side[j]));
+                    }
+                }
+            });
+            sideA.forEach((a) => sideB.forEach((b) => increment(opponentCounts, pairKey(a, b))));
+        });
+
+    return { partnerCounts, opponentCounts, playedCounts, lastRoundPlayed };
+};
+
+// Pick who plays this round: those who have played the least (and sat out most recently) play first
+const selectMixerPlayers = (entries, history, courts) => {
+    const ranked = shuffle(entries).sort((a, b) =>
+        (history.playedCounts.get(a.letter) || 0) - (history.playedCounts.get(b.letter) || 0) ||
+        (history.lastRoundPlayed.get(a.letter) || 0) - (history.lastRoundPlayed.get(b.letter) || 0)
+    );
+    const playing = ranked.slice(0, courts * 4);
+    const sittingOut = ranked.slice(courts * 4);
+    return { playing, sittingOut };
+};
+
+// One randomised greedy attempt at pairing the players into partners, then partners into matches
+// Returns the pairing and its cost (repeat partners weigh more than repeat opponents)
+const attemptMixerPairing = (playing, history) => {
+    const { partnerCounts, opponentCounts } = history;
+    const remaining = shuffle(playing);
+    const pairs = [];
+    let cost = 0;
+
+    while (remaining.length > 0) {
+        const player = remaining.shift();
+        let bestIndex = 0;
+        let bestCount = Infinity;
+        remaining.forEach((candidate, index) => {
+            const count = partnerCounts.get(pairKey(player.letter, candidate.letter)) || 0;
+            if (count < bestCount) {
+                bestCount = count;
+                bestIndex = index;
+            }
+        });
+        pairs.push([player, remaining.splice(bestIndex, 1)[0]]);
+        cost += bestCount * 10;
+    }
+
+    const opponentCost = (pairA, pairB) =>
+        pairA.reduce((sum, a) =>
+            sum + pairB.reduce((inner, b) => inner + (opponentCounts.get(pairKey(a.letter, b.letter)) || 0), 0),
+        0);
+
+    const matchups = [];
+    while (pairs.length > 0) {
+        const pair = pairs.shift();
+        let bestIndex = 0;
+        let bestCost = Infinity;
+        pairs.forEach((candidate, index) => {
+            const c = opponentCost(pair, candidate);
+            if (c < bestCost) {
+                bestCost = c;
+                bestIndex = index;
+            }
+        });
+        matchups.push([pair, pairs.splice(bestIndex, 1)[0]]);
+        cost += bestCost;
+    }
+
+    return { matchups, cost };
+};
+
+// Build a doubles team for a match from two individual entries
+const buildMixerTeam = (pair) => ({
+    letter: getMixerTeamLetter(pair),
+    players: pair.flatMap((entry) => entry.players || []),
+    totalPoints: 0,
+});
+
+// Generate one mixer round
+// entries: game teams (one player each), allMatches: matches from earlier rounds
+const generateMixerRound = (entries, allMatches, roundNumber) => {
+    const courts = Math.floor(entries.length / 4);
+    if (courts === 0) return [];
+
+    const history = buildMixerHistory(allMatches);
+    const { playing, sittingOut } = selectMixerPlayers(entries, history, courts);
+
+    let best = null;
+    for (let attempt = 0; attempt < PAIRING_ATTEMPTS; attempt++) {
+        const result = attemptMixerPairing(playing, history);
+        if (!best || result.cost < best.cost) {
+            best = result;
+        }
+        if (best.cost === 0) break;
+    }
+
+    console.log('🔀 [Backend] Mixer round generated:', {
+        roundNumber,
+        courts,
+        repeatCost: best.cost,
+        sittingOut: sittingOut.map((e) => e.letter),
+    });
+
+    return best.matchups.map(([pairA, pairB], index) => ({
+        roundNumber,
+        matchNumber: index + 1,
+        teamA: buildMixerTeam(pairA),
+        teamB: buildMixerTeam(pairB),
+    }));
+};
+
+// Per-individual standings: wins, then point differential, then points scored
+const buildMixerStandings = (entries, allMatches) => {
+    const rows = new Map(entries.map((entry) => [entry.letter, {
+        letter: entry.letter,
+        player: entry.players?.[0] || null,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        pointDiff: 0,
+    }]));
+
+    allMatches
+        .filter((m) => m.status === "finished" && m.winner && !m.isBye)
+        .forEach((match) => {
+            const { pointsA, pointsB } = getMatchPoints(match);
+            const sides = [
+                { letters: splitMixerTeamLetter(match.teamA.letter), scored: pointsA, conceded: pointsB, won: match.winner === "A" },
+                { letters: splitMixerTeamLetter(match.teamB.letter), scored: pointsB, conceded: pointsA, won: match.winner === "B" },
+            ];
+            sides.forEach(({ letters, scored, conceded, won }) => {
+                letters.forEach((letter) => {
+                    const row = rows.get(letter);
+                    if (!row) return;
+                    row.played += 1;
+                    row.wins += won ? 1 : 0;
+                    row.losses += won ? 0 : 1;
+                    row.pointsFor += scored;
+                    row.pointsAgainst += conceded;
+                    row.pointDiff = row.pointsFor - row.pointsAgainst;
+                });
+            });
+        });
+
+    return [...rows.values()]
+        .sort((a, b) =>
+            b.wins - a.wins ||
+            b.pointDiff - a.pointDiff ||
+            b.pointsFor - a.pointsFor ||
+            a.letter.localeCompare(b.letter)
+        )
+        .map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+export {
+    MIXER_MIN_PLAYERS,
+    getMixerTeamLetter,
+    splitMixerTeamLetter,
+    getDefaultMixerRounds,
+    generateMixerRound,
+    buildMixerStandings,
+};
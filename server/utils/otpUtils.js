@@ -0,0 +1,114 @@
+import crypto from "node:crypto";
+import bcrypt from "bcryptjs";
+import Otp from "../models/otpModel.js";
+import { sendMessage } from "./deliveryUtils.js";
+
+// One-time codes
+// A code is sent to the user's mobile (SMS) or email through the delivery providers and checked
+// with verifyOtp. Codes expire, allow a limited number of wrong guesses and work once.
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+// Wait before another code can be sent for the same purpose
+const OTP_RESEND_SECONDS = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+// What each purpose's message says
+const OTP_MESSAGES = {
+    "password-reset": {
+        subject: "Reset your PickleMatch password",
+        text: (code) => `Your PickleMatch password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you didn't ask to reset your password, ignore this message.`,
+    },
+    "mobile-verification": {
+        subject: "Verify your PickleMatch mobile number",
+        text: (code) => `Your PickleMatch verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+    },
+};
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, "0");
+
+// Create a code for a user and send it
+// Returns { expiresAt } or { error, retryAfter } when a code was sent too recently
+const sendOtp = async ({ userId, purpose, channel, destination }) => {
+    const latest = await Otp.findOne({ userId, purpose }).sort({ createdAt: -1 });
+    if (latest) {
+        const waitMs = latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now();
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+            return { error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter };
+        }
+    }
+
+    // Only the newest code works
+    await Otp.updateMany(
+        { userId, purpose, usedAt: null, replacedAt: null },
+        { $set: { replacedAt: new Date() } }
+    );
+
+    const code = generateCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * MINUTE_MS);
+    await Otp.create({
+        userId,
+        purpose,
+        channel,
+        destination,
+        codeHash: await bcrypt.hash(code, 10),
+        expiresAt,
+    });
+
+    const { subject, text } = OTP_MESSAGES[purpose];
+    await sendMessage(channel, { to: destination, subject, message: text(code) });
+    console.log('🔐 [OTP] Code sent:', { userId: userId.toString(), purpose, channel });
+
+    return { expiresAt };
+};
+
+// Check a code entered by a user and use it up when it is right
+// Returns { otp } or { error, attemptsLeft }
+const verifyOtp = async ({ userId, purpose, code }) => {
+    const otp = await Otp.findOne({ userId, purpose, usedAt: null, replacedAt: null }).sort({ createdAt: -1 });
+    if (!otp || otp.expiresAt < new Date()) {
+        return { error: "This code has expired. Please request a new one.", attemptsLeft: 0 };
+    }
+
+    // Take an attempt before checking, so parallel guesses can't get past the limit
+    const attempt = await Otp.findOneAndUpdate(
+        { _id: otp._id, usedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!attempt) {
+        return { error: "Too many wrong codes. Please request a new one.", attemptsLeft: 0 };
+    }
+
+    const isValid = typeof code === "string" && await bcrypt.compare(code.trim(), attempt.codeHash);
+    if (!isValid) {
+        const attemptsLeft = OTP_MAX_ATTEMPTS - attempt.attempts;
+        return {
+            error: attemptsLeft > 0
+                ? `Wrong code. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left.`
+                : "Too many wrong codes. Please request a new one.",
+            attemptsLeft,
+        };
+    }
+
+    // Use the code up - a code entered twice at once only works once
+    const used = await Otp.findOneAndUpdate(
+        { _id: otp._id, usedAt: null },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!used) {
+        return { error: "This code has already been used. Please request a new one.", attemptsLeft: 0 };
+    }
+
+    return { otp: used };
+};
+
+export {
+    OTP_LENGTH,
+    sendOtp,
+    verifyOtp,
+};
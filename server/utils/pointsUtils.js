@@ -0,0 +1,184 @@
+import PointsTransaction from "../models/pointsTransactionModel.js";
+import User from "../models/userModel.js";
+import UnregisteredPlayer from "../models/unregisteredPlayerModel.js";
+import { normalizeMobile } from "./unregisteredPlayerUtils.js";
+import { requireTransaction } from "./transactionUtils.js";
+
+// Points ledger
+// Every change to a player's points is recorded as a PointsTransaction. A user's
+// individualPoints/teamPoints (an unregistered player's pending points) are running totals of
+// their transactions, kept alongside so leaderboards stay cheap; reconcilePoints checks a
+// balance against the ledger and corrects it.
+// A balance and its transaction are separate writes, so everything that writes them runs inside
+// runInTransaction (enforced) - a failure between the two must roll both back, not leave drift.
+// Points a player had before the ledger was kept are written once as an opening balance, before
+// their first other entry (openLedger) - until then their stored balance is the only record.
+
+// Points awarded when a finished game's medals are assigned
+// individual: points for every player on a medal team; team: team points split among its players
+const MEDAL_POINTS = {
+    gold: { individual: 3, team: 4 },
+    silver: { individual: 1, team: 2 },
+    bronze: { individual: 1, team: 1 },
+};
+
+// Points for every player who took part without winning a medal
+const PARTICIPATION_POINTS = 0.5;
+
+// Point amounts closer than this are equal (team points are split into fractions)
+const POINTS_EPSILON = 1e-6;
+
+// Whose points a transaction changes: registered players by user id, unregistered players by
+// mobile; null for players known only by name
+const getPointsOwner = (player) => {
+    if (player?.userId) return { userId: player.userId, mobile: null };
+    if (player?.mobile) return { userId: null, mobile: normalizeMobile(player.mobile) };
+    return null;
+};
+
+// Ledger query for an owner - a mobile's entries are those not yet moved to a user
+const getOwnerFilter = (owner) => owner.userId
+    ? { userId: owner.userId }
+    : { userId: null, mobile: owner.mobile };
+
+// Stored balance of an owner's user or unregistered player record
+const getBalance = (owner, record) => owner.userId
+    ? { amount: record.individualPoints || 0, teamAmount: record.teamPoints || 0 }
+    : { amount: record.pendingIndividualPoints || 0, teamAmount: record.pendingTeamPoints || 0 };
+
+// Start an owner's ledger: record the part of their balance it doesn't hold yet as an opening
+// balance. Runs once per player - the record is claimed atomically, so concurrent calls can't
+// both write one.
+// Returns the opening balance, or null when the ledger was already open (or there is no record)
+const openLedger = async (owner) => {
+    requireTransaction("openLedger");
+    const claim = { $set: { pointsLedgerOpenedAt: new Date() } };
+    // The record as it was before the claim
+    const record = owner.userId
+        ? await User.findOneAndUpdate({ _id: owner.userId, pointsLedgerOpenedAt: null }, claim)
+            .select("individualPoints teamPoints")
+        : await UnregisteredPlayer.findOneAndUpdate({ mobile: owner.mobile, linkedToUserId: null, pointsLedgerOpenedAt: null }, claim)
+            .select("pendingIndividualPoints pendingTeamPoints");
+    if (!record) return null;
+
+    const balance = getBalance(owner, record);
+    const ledger = await getLedgerTotals(owner);
+    const opening = {
+        amount: balance.amount - ledger.amount,
+        teamAmount: balance.teamAmount - ledger.teamAmount,
+    };
+    if (Math.abs(opening.amount) > POINTS_EPSILON || Math.abs(opening.teamAmount) > POINTS_EPSILON) {
+        await PointsTransaction.create({ ...owner, reason: "opening-balance", ...opening });
+    }
+    return opening;
+};
+
+// Record a points change for a player and update their balance
+// entry: { reason, amount, teamAmount, gameId, matchId, medal }
+// Returns the transaction, or null when there is nothing to record
+const recordPoints = async (player, { reason, amount = 0, teamAmount = 0, gameId = null, matchId = null, medal = null }) => {
+    requireTransaction("recordPoints");
+    const owner = getPointsOwner(player);
+    if (!owner || (amount === 0 && teamAmount === 0)) return null;
+
+    await openLedger(owner);
+
+    const transaction = await PointsTransaction.create({
+        ...owner,
+        gameId,
+        matchId,
+        reason,
+        medal,
+        amount,
+        teamAmount,
+    });
+
+    if (owner.userId) {
+        await User.findByIdAndUpdate(owner.userId, {
+            $inc: { individualPoints: amount, teamPoints: teamAmount }
+        });
+    } else {
+        // Pending points are carried over when the player registers
+        await UnregisteredPlayer.updateOne(
+            { mobile: owner.mobile, linkedToUserId: null },
+            { $inc: { pendingIndividualPoints: amount, pendingTeamPoints: teamAmount } }
+        );
+    }
+
+    return transaction;
+};
+
+// Sum of an owner's transactions
+const getLedgerTotals = async (owner) => {
+    const [totals] = await PointsTransaction.aggregate([
+        { $match: getOwnerFilter(owner) },
+        {
+            $group: {
+                _id: null,
+                amount: { $sum: "$amount" },
+                teamAmount: { $sum: "$teamAmount" },
+                transactions: { $sum: 1 },
+            }
+        },
+    ]);
+    return {
+        amount: totals?.amount || 0,
+        teamAmount: totals?.teamAmount || 0,
+        transactions: totals?.transactions || 0,
+    };
+};
+
+// Check an owner's stored balance against the ledger and correct it
+// A ledger that isn't open yet is opened with the balance instead - the balance is only
+// corrected once the ledger holds everything the player had
+// Returns { balance, ledger, drift, corrected }, or null when the player has no record
+const reconcilePoints = async (owner) => {
+    requireTransaction("reconcilePoints");
+    const record = owner.userId
+        ? await User.findById(owner.userId).select("individualPoints teamPoints")
+        : await UnregisteredPlayer.findOne({ mobile: owner.mobile, linkedToUserId: null })
+            .select("pendingIndividualPoints pendingTeamPoints");
+    if (!record) return null;
+
+    const balance = getBalance(owner, record);
+    if (await openLedger(owner)) {
+        return { balance, ledger: { ...balance }, drift: { amount: 0, teamAmount: 0 }, corrected: false };
+    }
+    const ledger = await getLedgerTotals(owner);
+
+    const drift = {
+        amount: balance.amount - ledger.amount,
+        teamAmount: balance.teamAmount - ledger.teamAmount,
+    };
+    const corrected = Math.abs(drift.amount) > POINTS_EPSILON || Math.abs(drift.teamAmount) > POINTS_EPSILON;
+
+    if (corrected) {
+        console.log('⚠️ [Points] Balance differs from the ledger, correcting:', {
+            owner: owner.userId ? owner.userId.toString() : owner.mobile,
+            balance,
+            ledger,
+        });
+        if (owner.userId) {
+            await User.findByIdAndUpdate(owner.userId, {
+                $set: { individualPoints: ledger.amount, teamPoints: ledger.teamAmount }
+            });
+        } else {
+            await UnregisteredPlayer.updateOne(
+                { mobile: owner.mobile, linkedToUserId: null },
+                { $set: { pendingIndividualPoints: ledger.amount, pendingTeamPoints: ledger.teamAmount } }
+            );
+        }
+    }
+
+    return { balance, ledger, drift, corrected };
+};
+
+export {
+    MEDAL_POINTS,
+    PARTICIPATION_POINTS,
+    getPointsOwner,
+    openLedger,
+    recordPoints,
+    getLedgerTotals,
+    reconcilePoints,
+};
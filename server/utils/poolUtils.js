@@ -0,0 +1,99 @@
+// Pools-to-knockout format helpers
+// Teams play a round robin inside their pool, then the top finishers of every pool
+// are seeded into a single-elimination playoff bracket
+
+import { generateSeededKnockoutRound } from "./bracketUtils.js";
+import { buildRoundRobinStandings } from "./standingsUtils.js";
+
+const MIN_TEAMS_PER_POOL = 2;
+const DEFAULT_ADVANCE_PER_POOL = 2;
+
+// Default pool count - pools of about four teams, at least two pools
+const getDefaultPoolCount = (teamCount) => Math.max(2, Math.floor(teamCount / 4));
+
+// Default qualifiers per pool - two, but always leave someone behind in the smallest pool
+const getDefaultAdvancePerPool = (teamCount, poolCount) =>
+    Math.max(1, Math.min(DEFAULT_ADVANCE_PER_POOL, Math.floor(teamCount / poolCount) - 1));
+
+// Spread seeded teams over the pools in snake order (1-2-3-3-2-1...) so pools are balanced
+// seededTeams must be sorted strongest first
+const assignPools = (seededTeams, poolCount) =>
+    seededTeams.map((team, index) => {
+        const lap = Math.floor(index / poolCount);
+        const position = index % poolCount;
+        const pool = lap % 2 === 0 ? position + 1 : poolCount - position;
+        return { ...team, pool };
+    });
+
+// Round robin pairs inside each pool
+const getPoolMatchPairs = (teams) => {
+    const pairs = [];
+    teams.forEach((teamA, i) => {
+        teams.slice(i + 1).forEach((teamB) => {
+            if (teamA.pool === teamB.pool) {
+                pairs.push({ teamA, teamB });
+            }
+        });
+    });
+    return pairs;
+};
+
+// Standings table for every pool, ranked with the round robin tiebreak chain
+const buildPoolStandings = (teams, allMatches, tiebreakers) => {
+    const poolMatches = allMatches.filter((m) => m.pool);
+    const pools = [...new Set(teams.map((t) => t.pool))].sort((a, b) => a - b);
+    return pools.flatMap((pool) =>
+        buildRoundRobinStandings(teams.filter((t) => t.pool === pool), poolMatches, tiebreakers)
+            .map((row) => ({ pool, ...row }))
+    );
+};
+
+// Swap opponents so that two teams from the same pool do not meet in the first playoff round
+const separatePoolRematches = (matches) => {
+    const playable = matches.filter((m) => !m.isBye);
+    playable.forEach((match) => {
+        if (match.teamA.pool !== match.teamB.pool) return;
+        const swapWith = playable.find((other) =>
+            other !== match &&
+            other.teamA.pool !== match.teamB.pool &&
+            match.teamA.pool !== other.teamB.pool
+        );
+        if (swapWith) {
+            [match.teamB, swapWith.teamB] = [swapWith.teamB, match.teamB];
+        }
+    });
+    return matches;
+};
+
+// First playoff round: pool winners are seeded first (best record first), then runners-up, ...
+const generatePlayoffRound = (teams, allMatches, advancePerPool, roundNumber, tiebreakers) => {
+    const standings = buildPoolStandings(teams, allMatches, tiebreakers);
+    const qualifiers = standings
+        .filter((row) => row.rank <= advancePerPool)
+        .sort((a, b) =>
+            a.rank - b.rank ||
+            b.wins - a.wins ||
+            b.pointDiff - a.pointDiff ||
+            b.pointsFor - a.pointsFor ||
+            a.pool - b.pool
+        )
+        .map((row) => teams.find((t) => t.letter === row.letter));
+
+    console.log('🏊 [Backend] Pool qualifiers seeded into playoffs:', qualifiers.map((t, index) => ({
+        seed: index + 1,
+        team: t.letter,
+        pool: t.pool,
+    })));
+
+    return separatePoolRematches(generateSeededKnockoutRound(qualifiers, roundNumber));
+};
+
+export {
+    MIN_TEAMS_PER_POOL,
+    getDefaultPoolCount,
+    getDefaultAdvancePerPool,
+    assignPools,
+    getPoolMatchPairs,
+    buildPoolStandings,
+    generatePlayoffRound,
+};
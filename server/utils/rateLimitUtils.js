@@ -0,0 +1,182 @@
+import { normalizeMobile } from "./unregisteredPlayerUtils.js";
+
+// Rate limiting and login lockout
+// Counters live in a store. The default store keeps them in this process's memory, which is
+// enough for a single server; with several instances (or serverless) plug in a shared store
+// with setRateLimitStore. A store is an object with:
+//   increment(key, ttlMs) -> { value, expiresAt }  add 1, starting a new count that expires
+//                                                  after ttlMs when the key has none
+//   get(key)              -> { value, expiresAt } or null
+//   set(key, value, ttlMs)
+//   delete(key)
+// All methods may be async.
+
+// Login attempts per account from anywhere, counted once the account is known (see loginUser)
+// Loose on purpose: anyone can use it up for someone else's account, so it only caps attempts
+// spread over many addresses - the lockout below is what stops guessing
+const LOGIN_ACCOUNT_RATE_LIMIT = { windowMs: 60 * 60 * 1000, max: 100 };
+
+// Failed logins for one account from one address before that address is locked out of the
+// account; every failure after that doubles the lock
+const LOGIN_FAILURES_BEFORE_LOCKOUT = 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// Failures are forgotten a day after the first one (or on a successful login)
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Memory store limits - expired counters are swept out every minute, and when the store is
+// full the oldest counter makes room
+const MEMORY_STORE_SWEEP_MS = 60 * 1000;
+const MEMORY_STORE_MAX_KEYS = 100000;
+
+const createMemoryStore = ({ maxKeys = MEMORY_STORE_MAX_KEYS } = {}) => {
+    const entries = new Map();
+
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    };
+    setInterval(sweep, MEMORY_STORE_SWEEP_MS).unref();
+
+    const getLive = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const put = (key, entry) => {
+        if (!entries.has(key) && entries.size >= maxKeys) {
+            // Maps keep insertion order - the first key is the oldest
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, entry);
+    };
+
+    const toResult = (entry) => ({ value: entry.value, expiresAt: new Date(entry.expiresAt) });
+
+    return {
+        increment: async (key, ttlMs) => {
+            let entry = getLive(key);
+            if (!entry) {
+                entry = { value: 0, expiresAt: Date.now() + ttlMs };
+                put(key, entry);
+            }
+            entry.value += 1;
+            return toResult(entry);
+        },
+        get: async (key) => {
+            const entry = getLive(key);
+            return entry ? toResult(entry) : null;
+        },
+        set: async (key, value, ttlMs) => {
+            put(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        delete: async (key) => {
+            entries.delete(key);
+        },
+    };
+};
+
+// Created on first use, so a replacement store can be plugged in before any request
+let store = null;
+
+// Use another store (e.g. Redis-backed) for every rate limit and lockout
+const setRateLimitStore = (newStore) => {
+    store = newStore;
+};
+
+const getRateLimitStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+// Count a request against a limit
+// Returns { limited, limit, remaining, retryAfter } - retryAfter is when the window resets (seconds)
+const consumeRateLimit = async (name, key, { windowMs, max }) => {
+    const { value, expiresAt } = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+    return {
+        limited: value > max,
+        limit: max,
+        remaining: Math.max(0, max - value),
+        retryAfter: secondsUntil(expiresAt),
+    };
+};
+
+// The login key of a known user - the same whichever identifier they logged in with
+const getUserAccountKey = (user) => `user:${user._id.toString()}`;
+
+// Key of the failed login count and lockout: the account together with the client address,
+// so failing to log in to someone else's account doesn't lock its owner out
+const getLoginAttemptKey = (account, ip) => `${account}|ip:${ip}`;
+
+// The account a login, registration or reset request is for - mobile, else username, else email
+// Returns null when the body names none
+const getAccountKey = ({ mobile, username, email } = {}) => {
+    if (typeof mobile === "string" && mobile.trim()) {
+        return `mobile:${normalizeMobile(mobile)}`;
+    }
+    if (typeof username === "string" && username.trim()) {
+        return `username:${username.trim().toLowerCase()}`;
+    }
+    if (typeof email === "string" && email.trim()) {
+        return `email:${email.trim().toLowerCase()}`;
+    }
+    return null;
+};
+
+// Seconds until a date, at least 1
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Whether logins are locked after failed ones - attemptKey from getLoginAttemptKey
+// Returns { retryAfter } (seconds) or null
+const getLoginLockout = async (attemptKey) => {
+    const lock = await getRateLimitStore().get(`login-lock:${attemptKey}`);
+    return lock ? { retryAfter: secondsUntil(lock.expiresAt) } : null;
+};
+
+// Count a failed login; locks logins once there have been too many
+// Returns { failures, retryAfter } - retryAfter is null while logins aren't locked
+const recordLoginFailure = async (attemptKey) => {
+    const { value: failures } = await getRateLimitStore().increment(`login-fail:${attemptKey}`, LOGIN_FAILURE_WINDOW_MS);
+    if (failures < LOGIN_FAILURES_BEFORE_LOCKOUT) {
+        return { failures, retryAfter: null };
+    }
+
+    const lockMs = Math.min(
+        LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_FAILURES_BEFORE_LOCKOUT),
+        LOGIN_LOCKOUT_MAX_MS
+    );
+    await getRateLimitStore().set(`login-lock:${attemptKey}`, failures, lockMs);
+    console.log('🔒 [RateLimit] Logins locked after failed attempts:', { attemptKey, failures, lockSeconds: lockMs / 1000 });
+    return { failures, retryAfter: Math.ceil(lockMs / 1000) };
+};
+
+// Forget failed logins (after a successful login)
+const clearLoginFailures = async (attemptKey) => {
+    await getRateLimitStore().delete(`login-fail:${attemptKey}`);
+    await getRateLimitStore().delete(`login-lock:${attemptKey}`);
+};
+
+export {
+    LOGIN_ACCOUNT_RATE_LIMIT,
+    createMemoryStore,
+    setRateLimitStore,
+    getRateLimitStore,
+    consumeRateLimit,
+    getUserAccountKey,
+    getLoginAttemptKey,
+    getAccountKey,
+    secondsUntil,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+};
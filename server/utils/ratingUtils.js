@@ -0,0 +1,91 @@
+// Skill ratings (Glicko)
+// Every player has a rating and a rating deviation (how uncertain the rating is). New players
+// start at 1500 ± 350; each rated match moves the rating by an amount that grows with the
+// player's own deviation and shrinks the deviation. Deviation grows back while a player is
+// inactive. Doubles are rated by team average: the expected result comes from the average
+// rating of each side, and every player on a side is updated against the opposing average.
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+
+// Deviation above which a rating is still provisional (shown, but ranked after settled ratings)
+const PROVISIONAL_DEVIATION = 110;
+
+// Deviation regained per idle week - a settled rating is fully uncertain again after about two years
+const DEVIATION_GROWTH_PER_WEEK = 34.6;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const Q = Math.LN10 / 400;
+
+const roundTo = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Weight of a result against an opponent, lower when the opponent's rating is uncertain
+const g = (deviation) => 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+
+// Deviation of a stored rating today, grown for the time since it was last rated
+const getCurrentDeviation = (rating, now = new Date()) => {
+    const deviation = rating?.deviation ?? DEFAULT_DEVIATION;
+    if (!rating?.lastRatedAt) return deviation;
+
+    const idleWeeks = Math.max(0, (now - new Date(rating.lastRatedAt)) / WEEK_MS);
+    return Math.min(Math.sqrt(deviation ** 2 + DEVIATION_GROWTH_PER_WEEK ** 2 * idleWeeks), DEFAULT_DEVIATION);
+};
+
+// Average rating of a side; deviations combine as a root mean square
+const getTeamRating = (ratings) => ({
+    value: ratings.reduce((sum, r) => sum + r.value, 0) / ratings.length,
+    deviation: Math.sqrt(ratings.reduce((sum, r) => sum + r.deviation ** 2, 0) / ratings.length),
+});
+
+// Rate one match
+// sideA, sideB: current { value, deviation } of every player on each side; winner: "A" | "B"
+// Returns the new { value, deviation } of every player, in the same order, with the
+// side's expected score (0-1) before the match
+const rateMatch = (sideA, sideB, winner) => {
+    const teamA = getTeamRating(sideA);
+    const teamB = getTeamRating(sideB);
+
+    const rateSide = (side, own, opponent, score) => {
+        const weight = g(opponent.deviation);
+        const expected = 1 / (1 + 10 ** (-weight * (own.value - opponent.value) / 400));
+        const inverseVariance = Q * Q * weight * weight * expected * (1 - expected);
+
+        return {
+            expected: roundTo(expected, 3),
+            players: side.map((player) => {
+                const precision = 1 / player.deviation ** 2 + inverseVariance;
+                return {
+                    value: roundTo(player.value + (Q / precision) * weight * (score - expected)),
+                    deviation: roundTo(Math.max(Math.sqrt(1 / precision), MIN_DEVIATION)),
+                };
+            }),
+        };
+    };
+
+    return {
+        A: rateSide(sideA, teamA, teamB, winner === "A" ? 1 : 0),
+        B: rateSide(sideB, teamB, teamA, winner === "B" ? 1 : 0),
+    };
+};
+
+// Rating as shown to clients
+const toPublicRating = (rating, now = new Date()) => {
+    const deviation = getCurrentDeviation(rating, now);
+    return {
+        value: Math.round(rating?.value ?? DEFAULT_RATING),
+        deviation: Math.round(deviation),
+        matches: rating?.matches || 0,
+        provisional: deviation > PROVISIONAL_DEVIATION,
+    };
+};
+
+export {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    PROVISIONAL_DEVIATION,
+    getCurrentDeviation,
+    getTeamRating,
+    rateMatch,
+    toPublicRating,
+};
@@ -0,0 +1,190 @@
+// Per-game scoring rules and score validation
+// A match is best-of-N games; each game is played to pointsToWin, optionally win-by-two
+// with an optional cap where the next point wins regardless of the margin
+
+const POINTS_TO_WIN_OPTIONS = [11, 15, 21];
+const BEST_OF_OPTIONS = [1, 3, 5];
+
+const DEFAULT_SCORING_RULES = {
+    pointsToWin: 11,
+    winByTwo: true,
+    cap: null,
+    bestOf: 1,
+};
+
+// Build scoring rules from request input, filling in defaults
+// Returns { rules } or { error }
+const normalizeScoringRules = (input = {}) => {
+    const rules = { ...DEFAULT_SCORING_RULES, ...(input || {}) };
+    rules.pointsToWin = Number(rules.pointsToWin);
+    rules.bestOf = Number(rules.bestOf);
+    // Form values arrive as text - "true" and "false" are read as booleans, anything else is refused
+    if (rules.winByTwo === undefined) rules.winByTwo = DEFAULT_SCORING_RULES.winByTwo;
+    rules.winByTwo = rules.winByTwo === "true" ? true : rules.winByTwo === "false" ? false : rules.winByTwo;
+    rules.cap = rules.cap === null || rules.cap === undefined || rules.cap === "" ? null : Number(rules.cap);
+
+    if (!POINTS_TO_WIN_OPTIONS.includes(rules.pointsToWin)) {
+        return { error: `Points to win must be one of: ${POINTS_TO_WIN_OPTIONS.join(", ")}` };
+    }
+    if (!BEST_OF_OPTIONS.includes(rules.bestOf)) {
+        return { error: `Best of must be one of: ${BEST_OF_OPTIONS.join(", ")}` };
+    }
+    if (typeof rules.winByTwo !== "boolean") {
+        return { error: "Win by two must be true or false" };
+    }
+    if (rules.cap !== null && (!Number.isInteger(rules.cap) || rules.cap <= rules.pointsToWin)) {
+        return { error: "Score cap must be a whole number greater than the points to win" };
+    }
+
+    return {
+        rules: {
+            pointsToWin: rules.pointsToWin,
+            winByTwo: rules.winByTwo,
+            cap: rules.cap,
+            bestOf: rules.bestOf,
+        },
+    };
+};
+
+// Check that a single game score is a possible final score under the rules
+// Returns an error message or null
+const validateGameScore = (rules, scoreA, scoreB) => {
+    if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+        return "Scores must be whole numbers of 0 or more";
+    }
+    if (scoreA === scoreB) {
+        return "Scores cannot be equal";
+    }
+
+    const { pointsToWin, winByTwo, cap } = rules;
+    const margin = winByTwo ? 2 : 1;
+    const winnerScore = Math.max(scoreA, scoreB);
+    const loserScore = Math.min(scoreA, scoreB);
+    const lead = winnerScore - loserScore;
+
+    if (cap && winnerScore > cap) {
+        return `No game can go past the cap of ${cap}`;
+    }
+    if (winnerScore < pointsToWin) {
+        return `The winning side must reach ${pointsToWin} points`;
+    }
+    // Without win-by-two the first side to reach the target wins, so no score goes past it
+    if (!winByTwo && winnerScore > pointsToWin) {
+        return `Games end as soon as one side reaches ${pointsToWin}`;
+    }
+    // Reaching the cap ends the game whatever the margin
+    const reachedCap = cap && winnerScore === cap;
+    if (lead < margin && !reachedCap) {
+        return `Games must be won by ${margin}`;
+    }
+    // Past the target score the game stops as soon as the lead reaches the margin
+    if (winnerScore > pointsToWin && lead > margin) {
+        return `A game past ${pointsToWin} ends as soon as one side leads by ${margin}`;
+    }
+    return null;
+};
+
+// A submitted score as a number - NaN unless it is a number or a numeric string, so a missing,
+// null or empty score is never taken as 0
+const toScore = (value) => {
+    if (typeof value === "number") {
+        return value;
+    }
+    if (typeof value === "string" && value.trim() !== "") {
+        return Number(value);
+    }
+    return NaN;
+};
+
+// Read submitted games from a request body
+// Accepts { games: [{ scoreA, scoreB }] } or a single game as { scoreA, scoreB }
+const parseSubmittedGames = (body = {}) => {
+    if (Array.isArray(body.games)) {
+        return body.games.map((g) => ({ scoreA: toScore(g?.scoreA), scoreB: toScore(g?.scoreB) }));
+    }
+    if (body.scoreA !== undefined && body.scoreB !== undefined) {
+        return [{ scoreA: toScore(body.scoreA), scoreB: toScore(body.scoreB) }];
+    }
+    return null;
+};
+
+// Validate a full match and work out the result
+// scoreA/scoreB are the points for single-game matches and games won for best-of-3/5
+// Games without rules (created before scoring rules existed) only need unequal scores
+// Returns { error } or { games, scoreA, scoreB, winner }
+const evaluateMatchScore = (rules, games) => {
+    if (!games || games.length === 0) {
+        return { error: "Both scores are required" };
+    }
+
+    if (!rules) {
+        const [{ scoreA, scoreB }] = games;
+        if (games.length !== 1 || Number.isNaN(scoreA) || Number.isNaN(scoreB)) {
+            return { error: "Both scores are required" };
+        }
+        if (scoreA === scoreB) {
+            return { error: "Scores cannot be equal" };
+        }
+        const winner = scoreA > scoreB ? "A" : "B";
+        return { games: [{ scoreA, scoreB, winner }], scoreA, scoreB, winner };
+    }
+
+    const gamesToWin = Math.ceil(rules.bestOf / 2);
+    if (games.length > rules.bestOf) {
+        return { error: `This match is best of ${rules.bestOf} - at most ${rules.bestOf} games can be entered` };
+    }
+
+    let gamesWonA = 0;
+    let gamesWonB = 0;
+    const scoredGames = [];
+    for (let i = 0; i < games.length; i++) {
+        if (gamesWonA === gamesToWin || gamesWonB === gamesToWin) {
+            return { error: `The match was already decided after game ${i}` };
+        }
+        const { scoreA, scoreB } = games[i];
+        const error = validateGameScore(rules, scoreA, scoreB);
+        if (error) {
+            return { error: games.length > 1 ? `Game ${i + 1}: ${error}` : error };
+        }
+        const winner = scoreA > scoreB ? "A" : "B";
+        if (winner === "A") gamesWonA++;
+        else gamesWonB++;
+        scoredGames.push({ scoreA, scoreB, winner });
+    }
+
+    if (gamesWonA < gamesToWin && gamesWonB < gamesToWin) {
+        return { error: `A side must win ${gamesToWin} game${gamesToWin > 1 ? "s" : ""} to take the match` };
+    }
+
+    const winner = gamesWonA > gamesWonB ? "A" : "B";
+    if (rules.bestOf === 1) {
+        return { games: scoredGames, scoreA: scoredGames[0].scoreA, scoreB: scoredGames[0].scoreB, winner };
+    }
+    return { games: scoredGames, scoreA: gamesWonA, scoreB: gamesWonB, winner };
+};
+
+// Total points each side scored in a finished match
+// Best-of matches sum their individual games, since scoreA/scoreB hold games won
+const getMatchPoints = (match) => {
+    if (match.games?.length > 1) {
+        return match.games.reduce(
+            (totals, game) => ({
+                pointsA: totals.pointsA + (game.scoreA || 0),
+                pointsB: totals.pointsB + (game.scoreB || 0),
+            }),
+            { pointsA: 0, pointsB: 0 }
+        );
+    }
+    return { pointsA: match.scoreA || 0, pointsB: match.scoreB || 0 };
+};
+
+export {
+    POINTS_TO_WIN_OPTIONS,
+    BEST_OF_OPTIONS,
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    validateGameScore,
+    parseSubmittedGames,
+    evaluateMatchScore,
+    getMatchPoints,
+};
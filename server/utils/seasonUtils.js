@@ -0,0 +1,135 @@
+import Season from "../models/seasonModel.js";
+import SeasonStanding from "../models/seasonStandingModel.js";
+import { MEDAL_POINTS, PARTICIPATION_POINTS } from "./pointsUtils.js";
+import { normalizeMobile } from "./unregisteredPlayerUtils.js";
+
+// Seasons
+// A room runs one season at a time. Points are added to the season table when a game's
+// points are assigned, using the season's scoring rules. Closing a season - by the room
+// admin, or automatically once its end date has passed - archives the final table.
+
+const MEDALS = ["gold", "silver", "bronze"];
+
+// Highest points a season may give for one medal or one participation
+const MAX_SEASON_POINTS = 100;
+
+// Seasons score like the app's own points unless the room admin sets other values
+const DEFAULT_SEASON_SCORING = {
+    ...MEDAL_POINTS,
+    participation: PARTICIPATION_POINTS,
+};
+
+// Build season scoring rules from request input, filling in defaults
+// Returns { rules } or { error }
+const normalizeSeasonScoring = (input = {}) => {
+    const isValidPoints = (value) => Number.isFinite(value) && value >= 0 && value <= MAX_SEASON_POINTS;
+    const rules = {};
+
+    for (const medal of MEDALS) {
+        const individual = Number(input?.[medal]?.individual ?? DEFAULT_SEASON_SCORING[medal].individual);
+        const team = Number(input?.[medal]?.team ?? DEFAULT_SEASON_SCORING[medal].team);
+        if (!isValidPoints(individual) || !isValidPoints(team)) {
+            return { error: `${medal[0].toUpperCase()}${medal.slice(1)} points must be between 0 and ${MAX_SEASON_POINTS}` };
+        }
+        rules[medal] = { individual, team };
+    }
+
+    rules.participation = Number(input?.participation ?? DEFAULT_SEASON_SCORING.participation);
+    if (!isValidPoints(rules.participation)) {
+        return { error: `Participation points must be between 0 and ${MAX_SEASON_POINTS}` };
+    }
+
+    return { rules };
+};
+
+// The room's season running at a date
+const findActiveSeason = (roomId, date = new Date()) => Season.findOne({
+    roomId,
+    status: "active",
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+});
+
+// Add a finished game to its season table
+// placements: every player of the game once - [{ player, medal, medalTeamSize }], medal null without one
+const accrueSeasonPoints = async (season, placements) => {
+    const rules = season.scoringRules;
+
+    for (const { player, medal, medalTeamSize } of placements) {
+        if (!player.userId && !player.mobile) continue;
+
+        const inc = { games: 1 };
+        if (medal) {
+            inc.points = rules[medal].individual;
+            inc.teamPoints = rules[medal].team / medalTeamSize;
+            inc.wins = 1;
+            inc[medal] = 1;
+        } else {
+            inc.points = rules.participation;
+        }
+
+        await SeasonStanding.findOneAndUpdate(
+            player.userId
+                ? { seasonId: season._id, userId: player.userId, mobile: null }
+                : { seasonId: season._id, userId: null, mobile: normalizeMobile(player.mobile) },
+            { $inc: inc, $set: { name: player.name } },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+    }
+};
+
+// Order a season table: points, then wins, then fewer games played
+const rankSeasonStandings = (rows) => [...rows]
+    .sort((a, b) =>
+        (b.points || 0) - (a.points || 0) ||
+        (b.wins || 0) - (a.wins || 0) ||
+        (a.games || 0) - (b.games || 0) ||
+        (a.name || "").localeCompare(b.name || "")
+    )
+    .map((row, index) => ({
+        rank: index + 1,
+        userId: row.userId || null,
+        mobile: row.mobile || null,
+        name: row.name,
+        points: row.points || 0,
+        teamPoints: row.teamPoints || 0,
+        games: row.games || 0,
+        wins: row.wins || 0,
+        gold: row.gold || 0,
+        silver: row.silver || 0,
+        bronze: row.bronze || 0,
+    }));
+
+// Close a season: archive its final table and drop the running totals
+// A closed season's table is final - closing it again changes nothing
+const closeSeason = async (season, closedAt = new Date()) => {
+    if (season.status === "closed") return season;
+
+    const standings = await SeasonStanding.find({ seasonId: season._id }).lean();
+
+    season.finalStandings = rankSeasonStandings(standings);
+    season.status = "closed";
+    season.closedAt = closedAt;
+    await season.save();
+
+    await SeasonStanding.deleteMany({ seasonId: season._id });
+    return season;
+};
+
+// Close the room's seasons whose end date has passed
+const closeExpiredSeasons = async (roomId, now = new Date()) => {
+    const expired = await Season.find({ roomId, status: "active", endDate: { $lt: now } });
+    for (const season of expired) {
+        await closeSeason(season, season.endDate);
+    }
+};
+
+export {
+    DEFAULT_SEASON_SCORING,
+    normalizeSeasonScoring,
+    findActiveSeason,
+    accrueSeasonPoints,
+    rankSeasonStandings,
+    closeSeason,
+    closeExpiredSeasons,
+};
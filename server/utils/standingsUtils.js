@@ -0,0 +1,139 @@
+// Round robin standings with a configurable tiebreak chain
+// Teams are ranked by wins; teams level on wins are separated by each tiebreaker in turn,
+// and anything still level falls back to seed, then team letter, so the order is deterministic
+
+import { getMatchPoints } from "./scoringUtils.js";
+
+// headToHead: wins in matches between the tied teams only
+// pointDiff: points scored minus points conceded (every game of a best-of match counts)
+// pointsFor: total points scored
+const TIEBREAKERS = ["headToHead", "pointDiff", "pointsFor"];
+const DEFAULT_TIEBREAKERS = [...TIEBREAKERS];
+
+// Check a requested tiebreak chain - every entry must be known and used only once
+const isValidTiebreakChain = (tiebreakers) =>
+    Array.isArray(tiebreakers) &&
+    tiebreakers.every((t) => TIEBREAKERS.includes(t)) &&
+    new Set(tiebreakers).size === tiebreakers.length;
+
+// Split rows into runs that share the same value, keeping the given order
+const groupByValue = (rows, getValue) => {
+    const groups = [];
+    rows.forEach((row) => {
+        const last = groups[groups.length - 1];
+        if (last && getValue(last[0]) === getValue(row)) {
+            last.push(row);
+        } else {
+            groups.push([row]);
+        }
+    });
+    return groups;
+};
+
+// Wins each row has against the other rows in the same tied group
+const getHeadToHeadWins = (group, finishedMatches) => {
+    const letters = new Set(group.map((row) => row.letter));
+    const wins = new Map(group.map((row) => [row.letter, 0]));
+    finishedMatches.forEach((match) => {
+        const teamA = match.teamA?.letter;
+        const teamB = match.teamB?.letter;
+        if (!letters.has(teamA) || !letters.has(teamB)) return;
+        const winner = match.winner === "A" ? teamA : teamB;
+        wins.set(winner, wins.get(winner) + 1);
+    });
+    return wins;
+};
+
+// Order a group of rows level on everything so far, applying the remaining tiebreakers
+// The last row of each separated run records which criterion put it above the next row
+const resolveTiedGroup = (group, tiebreakers, finishedMatches) => {
+    if (group.length === 1) return group;
+
+    if (tiebreakers.length === 0) {
+        const ordered = [...group].sort((a, b) =>
+            (a.seed || Infinity) - (b.seed || Infinity) ||
+            a.letter.localeCompare(b.letter)
+        );
+        ordered.slice(0, -1).forEach((row) => {
+            row.decidedBy = "fallback";
+        });
+        return ordered;
+    }
+
+    const [criterion, ...rest] = tiebreakers;
+    let getValue = (row) => row[criterion];
+    if (criterion === "headToHead") {
+        const headToHeadWins = getHeadToHeadWins(group, finishedMatches);
+        group.forEach((row) => {
+            row.headToHead = headToHeadWins.get(row.letter);
+        });
+        getValue = (row) => row.headToHead;
+    }
+
+    const runs = groupByValue([...group].sort((a, b) => getValue(b) - getValue(a)), getValue);
+    return runs.flatMap((run, index) => {
+        const ordered = resolveTiedGroup(run, rest, finishedMatches);
+        if (index < runs.length - 1) {
+            ordered[ordered.length - 1].decidedBy = criterion;
+        }
+        return ordered;
+    });
+};
+
+// Full standings table for a round robin between the given teams
+const buildRoundRobinStandings = (teams, allMatches, tiebreakers = DEFAULT_TIEBREAKERS) => {
+    const letters = new Set(teams.map((t) => t.letter));
+    const finishedMatches = allMatches.filter((m) =>
+        m.status === "finished" && m.winner && !m.isBye &&
+        letters.has(m.teamA?.letter) && letters.has(m.teamB?.letter)
+    );
+
+    const rows = new Map(teams.map((team) => [team.letter, {
+        letter: team.letter,
+        seed: team.seed || null,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        pointDiff: 0,
+        headToHead: null,
+        decidedBy: null,
+    }]));
+
+    finishedMatches.forEach((match) => {
+        const { pointsA, pointsB } = getMatchPoints(match);
+        [
+            [match.teamA.letter, pointsA, pointsB, match.winner === "A"],
+            [match.teamB.letter, pointsB, pointsA, match.winner === "B"],
+        ].forEach(([letter, scored, conceded, won]) => {
+            const row = rows.get(letter);
+            row.played += 1;
+            row.wins += won ? 1 : 0;
+            row.losses += won ? 0 : 1;
+            row.pointsFor += scored;
+            row.pointsAgainst += conceded;
+            row.pointDiff = row.pointsFor - row.pointsAgainst;
+        });
+    });
+
+    const chain = isValidTiebreakChain(tiebreakers) ? tiebreakers : DEFAULT_TIEBREAKERS;
+    const byWins = groupByValue([...rows.values()].sort((a, b) => b.wins - a.wins), (row) => row.wins);
+
+    return byWins
+        .flatMap((group, index) => {
+            const ordered = resolveTiedGroup(group, chain, finishedMatches);
+            if (index < byWins.length - 1) {
+                ordered[ordered.length - 1].decidedBy = "wins";
+            }
+            return ordered;
+        })
+        .map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+export {
+    TIEBREAKERS,
+    DEFAULT_TIEBREAKERS,
+    isValidTiebreakChain,
+    buildRoundRobinStandings,
+};
@@ -0,0 +1,183 @@
+// Swiss-system format helpers
+// Each round pairs teams with the same record, never repeats a pairing and gives an odd
+// team out a bye (counted as a win). Standings use Buchholz (sum of opponents' wins) as tiebreak.
+
+import { createByeTeam, getMatchResult } from "./bracketUtils.js";
+import { getMatchPoints } from "./scoringUtils.js";
+
+// Give up on a no-rematch pairing after this many search steps
+const MAX_PAIRING_STEPS = 20000;
+
+// Default number of rounds - enough to separate a single unbeaten team
+const getDefaultSwissRounds = (teamCount) => Math.max(Math.ceil(Math.log2(teamCount)), 1);
+
+// Most rounds that can be played without a rematch
+const getMaxSwissRounds = (teamCount) => Math.max(teamCount % 2 === 0 ? teamCount - 1 : teamCount, 1);
+
+// Wins, opponents, byes and points per team from finished matches
+const buildSwissRecords = (teams, allMatches) => {
+    const records = new Map(teams.map((team) => [team.letter, {
+        team,
+        wins: 0,
+        losses: 0,
+        byes: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        opponents: [],
+    }]));
+
+    allMatches
+        .filter((m) => m.status === "finished" && m.winner)
+        .forEach((match) => {
+            const { winner, loser } = getMatchResult(match);
+            const winnerRecord = records.get(winner?.letter);
+
+            if (match.isBye) {
+                if (winnerRecord) {
+                    winnerRecord.wins += 1;
+                    winnerRecord.byes += 1;
+                }
+                return;
+            }
+
+            const loserRecord = records.get(loser?.letter);
+            const { pointsA, pointsB } = getMatchPoints(match);
+            const winnerScore = match.winner === "A" ? pointsA : pointsB;
+            const loserScore = match.winner === "A" ? pointsB : pointsA;
+
+            if (winnerRecord) {
+                winnerRecord.wins += 1;
+                winnerRecord.pointsFor += winnerScore;
+                winnerRecord.pointsAgainst += loserScore;
+                winnerRecord.opponents.push(loser.letter);
+            }
+            if (loserRecord) {
+                loserRecord.losses += 1;
+                loserRecord.pointsFor += loserScore;
+                loserRecord.pointsAgainst += winnerScore;
+                loserRecord.opponents.push(winner.letter);
+            }
+        });
+
+    // Buchholz: total wins of every opponent faced
+    records.forEach((record) => {
+        record.buchholz = record.opponents.reduce(
+            (sum, letter) => sum + (records.get(letter)?.wins || 0),
+            0
+        );
+    });
+
+    return records;
+};
+
+// Rank records: wins, Buchholz, point differential, points scored, then seed
+const compareSwissRecords = (a, b) =>
+    b.wins - a.wins ||
+    b.buchholz - a.buchholz ||
+    (b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst) ||
+    b.pointsFor - a.pointsFor ||
+    (a.team.seed || Infinity) - (b.team.seed || Infinity) ||
+    a.team.letter.localeCompare(b.team.letter);
+
+// Pair ranked records top-down, each team taking the closest-ranked opponent it has not played
+// Backtracks when the bottom of the table cannot be paired; returns null if no pairing exists
+const pairWithoutRematches = (ranked) => {
+    let steps = 0;
+
+    const search = (remaining) => {
+        if (remaining.length === 0) return [];
+        if (++steps > MAX_PAIRING_STEPS) return null;
+
+        const [first, ...rest] = remaining;
+        for (let i = 0; i < rest.length; i++) {
+            if (first.opponents.includes(rest[i].team.letter)) continue;
+            const others = rest.filter((_, index) => index !== i);
+            const pairs = search(others);
+            if (pairs) return [[first, rest[i]], ...pairs];
+        }
+        return null;
+    };
+
+    return search(ranked);
+};
+
+// Round 1: seed 1 plays the first seed of the bottom half, seed 2 the next, and so on
+const pairTopHalfVsBottomHalf = (ranked) => {
+    const half = ranked.length / 2;
+    return ranked.slice(0, half).map((record, index) => [record, ranked[half + index]]);
+};
+
+// Generate one Swiss round for the given teams
+const generateSwissRound = (teams, allMatches, roundNumber) => {
+    const records = buildSwissRecords(teams, allMatches);
+    const ranked = [...records.values()].sort(compareSwissRecords);
+
+    // Odd team count: the lowest-ranked team that has not had a bye sits out with a bye
+    const byeCandidates = ranked.length % 2 === 1
+        ? [...ranked].reverse().sort((a, b) => a.byes - b.byes)
+        : [null];
+
+    let pairs = null;
+    let byeRecord = null;
+    for (const candidate of byeCandidates) {
+        const pool = candidate ? ranked.filter((r) => r !== candidate) : ranked;
+        pairs = allMatches.length === 0 ? pairTopHalfVsBottomHalf(pool) : pairWithoutRematches(pool);
+        if (pairs) {
+            byeRecord = candidate;
+            break;
+        }
+    }
+
+    // Every pairing would be a rematch - fall back to pairing neighbours in the table
+    if (!pairs) {
+        byeRecord = byeCandidates[0];
+        const pool = byeRecord ? ranked.filter((r) => r !== byeRecord) : ranked;
+        pairs = [];
+        for (let i = 0; i + 1 < pool.length; i += 2) {
+            pairs.push([pool[i], pool[i + 1]]);
+        }
+        console.log('🇨🇭 [Backend] Swiss round could not avoid rematches, pairing by standings');
+    }
+
+    const matches = pairs.map(([a, b], index) => ({
+        roundNumber,
+        matchNumber: index + 1,
+        teamA: a.team,
+        teamB: b.team,
+    }));
+
+    if (byeRecord) {
+        matches.push({
+            roundNumber,
+            matchNumber: matches.length + 1,
+            teamA: byeRecord.team,
+            teamB: createByeTeam(byeRecord.team),
+            isBye: true,
+        });
+    }
+
+    return matches;
+};
+
+// Final Swiss standings table
+const buildSwissStandings = (teams, allMatches) =>
+    [...buildSwissRecords(teams, allMatches).values()]
+        .sort(compareSwissRecords)
+        .map((record, index) => ({
+            rank: index + 1,
+            letter: record.team.letter,
+            wins: record.wins,
+            losses: record.losses,
+            byes: record.byes,
+            buchholz: record.buchholz,
+            pointsFor: record.pointsFor,
+            pointsAgainst: record.pointsAgainst,
+            pointDiff: record.pointsFor - record.pointsAgainst,
+        }));
+
+export {
+    getDefaultSwissRounds,
+    getMaxSwissRounds,
+    generateSwissRound,
+    buildSwissStandings,
+};
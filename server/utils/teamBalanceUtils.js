@@ -0,0 +1,170 @@
+// Team generation for a new game
+// Balanced mode pairs doubles teams so the combined strength (rating) of every team is as
+// even as possible, and splits up players who partnered in recent games where that costs
+// little balance. Random mode shuffles, as team assignment always did.
+
+const TEAM_MODES = ["balanced", "random"];
+
+// One recent partnership costs as much as this much spread in team strength
+const REPEAT_PARTNER_PENALTY = 150;
+
+// Stop improving a pairing after this many passes without reaching a local optimum
+const MAX_SWAP_PASSES = 50;
+
+// Team letters A..Z, then AA, AB, ... so large brackets get unique letters
+const getTeamLetter = (index) => {
+    let letter = "";
+    let n = index;
+    do {
+        letter = String.fromCharCode(65 + (n % 26)) + letter;
+        n = Math.floor(n / 26) - 1;
+    } while (n >= 0);
+    return letter;
+};
+
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const pairKey = (a, b) => [a, b].sort().join("|");
+
+// How often two players partnered in the recent games
+// partnerCounts: Map of pairKey -> count (see countRecentPartners)
+const getPartnerCount = (partnerCounts, a, b) => partnerCounts.get(pairKey(a.key, b.key)) || 0;
+
+const getTeamStrength = (team) => team.reduce((sum, player) => sum + player.strength, 0);
+
+// Difference between the strongest and the weakest team
+const getStrengthSpread = (teams) => {
+    const strengths = teams.map(getTeamStrength);
+    return Math.max(...strengths) - Math.min(...strengths);
+};
+
+const countRepeatedPartners = (teams, partnerCounts) => teams.reduce((sum, team) => {
+    let repeats = 0;
+    for (let i = 0; i < team.length; i++) {
+        for (let j = i + 1; j < team.length; j++) {
+            repeats += getPartnerCount(partnerCounts, team[i], team[j]);
+        }
+    }
+    return sum + repeats;
+}, 0);
+
+const getPairingCost = (teams, partnerCounts) =>
+    getStrengthSpread(teams) + REPEAT_PARTNER_PENALTY * countRepeatedPartners(teams, partnerCounts);
+
+// Count partnerships in recent games
+// games: [{ teams: [{ players: [...] }] }], getKey: player -> identity key
+const countRecentPartners = (games, getKey) => {
+    const partnerCounts = new Map();
+    games.forEach((game) => {
+        (game.teams || []).forEach((team) => {
+            const keys = [...new Set((team.players || []).map(getKey).filter(Boolean))];
+            for (let i = 0; i < keys.length; i++) {
+                for (let j = i + 1; j < keys.length; j++) {
+                    const key = pairKey(keys[i], keys[j]);
+                    partnerCounts.set(key, (partnerCounts.get(key) || 0) + 1);
+                }
+            }
+        });
+    });
+    return partnerCounts;
+};
+
+// Pair an even number of players into doubles teams
+// players: [{ key, strength, ... }]; returns [[player, player], ...]
+const pairPlayers = (players, { mode = "balanced", partnerCounts = new Map() } = {}) => {
+    // Shuffle first so equally rated players are paired differently every time
+    const shuffled = shuffle(players);
+    if (mode === "random") {
+        const teams = [];
+        for (let i = 0; i + 1 < shuffled.length; i += 2) {
+            teams.push([shuffled[i], shuffled[i + 1]]);
+        }
+        return teams;
+    }
+
+    // Start strongest with weakest, then swap players between teams while the cost drops
+    const sorted = shuffled.sort((a, b) => b.strength - a.strength);
+    const teams = [];
+    for (let i = 0; i < sorted.length / 2; i++) {
+        teams.push([sorted[i], sorted[sorted.length - 1 - i]]);
+    }
+
+    let cost = getPairingCost(teams, partnerCounts);
+    for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < teams.length; i++) {
+            for (let j = i + 1; j < teams.length; j++) {
+                for (let a = 0; a < 2; a++) {
+                    for (let b = 0; b < 2; b++) {
+                        [teams[i][a], teams[j][b]] = [teams[j][b], teams[i][a]];
+                        const swappedCost = getPairingCost(teams, partnerCounts);
+                        if (swappedCost < cost) {
+                            cost = swappedCost;
+                            improved = true;
+                        } else {
+                            [teams[i][a], teams[j][b]] = [teams[j][b], teams[i][a]];
+                        }
+                    }
+                }
+            }
+        }
+        if (!improved) break;
+    }
+
+    return teams;
+};
+
+// Pick who plays a second time alongside the odd player out
+// Balanced mode picks the partner that brings the extra team closest to the average team
+// strength, avoiding recent partners; random mode picks anyone
+const pickSecondTimePartner = (oddPlayer, teams, { mode = "balanced", partnerCounts = new Map() } = {}) => {
+    const candidates = teams.flat();
+    if (mode === "random") {
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    const averageStrength = teams.reduce((sum, team) => sum + getTeamStrength(team), 0) / teams.length;
+    const cost = (candidate) =>
+        Math.abs(oddPlayer.strength + candidate.strength - averageStrength) +
+        REPEAT_PARTNER_PENALTY * getPartnerCount(partnerCounts, oddPlayer, candidate);
+
+    return shuffle(candidates).sort((a, b) => cost(a) - cost(b))[0];
+};
+
+// Pick the team a substitute joins
+// The substitute rotates with the two regular players, so the team fields two of its three
+// players on average: balanced mode picks the team whose average lineup comes closest to the
+// average team strength, avoiding recent partners; random mode picks any team
+// Returns the index of the team in teams
+const pickSubstituteTeam = (substitute, teams, { mode = "balanced", partnerCounts = new Map() } = {}) => {
+    if (mode === "random") {
+        return Math.floor(Math.random() * teams.length);
+    }
+
+    const averageStrength = teams.reduce((sum, team) => sum + getTeamStrength(team), 0) / teams.length;
+    const cost = (team) =>
+        Math.abs((2 / 3) * (getTeamStrength(team) + substitute.strength) - averageStrength) +
+        REPEAT_PARTNER_PENALTY * team.reduce((sum, player) => sum + getPartnerCount(partnerCounts, substitute, player), 0);
+
+    const indexes = shuffle(teams.map((_, index) => index));
+    return indexes.sort((a, b) => cost(teams[a]) - cost(teams[b]))[0];
+};
+
+export {
+    TEAM_MODES,
+    getTeamLetter,
+    getTeamStrength,
+    getStrengthSpread,
+    countRecentPartners,
+    countRepeatedPartners,
+    pairPlayers,
+    pickSecondTimePartner,
+    pickSubstituteTeam,
+};
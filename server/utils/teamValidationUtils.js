@@ -0,0 +1,191 @@
+import { normalizeMobile } from "./unregisteredPlayerUtils.js";
+import { DEFAULT_ODD_PLAYER_MODE } from "./lineupUtils.js";
+
+// Validation of the teams posted when a game is created
+// Every player must belong to the room, nobody may play for two teams unless they are the
+// explicit "plays twice" partner of an odd player out, team sizes must fit the format and
+// letters must be unique. Substitutes and bench players follow the same rules and are only
+// accepted with the odd player mode that uses them. Errors are structured so the client can
+// point at the bad entry.
+
+// Players per team for each format - formats not listed play doubles, or singles for an odd player
+const TEAM_SIZES = {
+    "one-vs-one": { min: 1, max: 1 },
+    "two-vs-two": { min: 2, max: 2 },
+    "mixer": { min: 1, max: 1 },
+};
+const DEFAULT_TEAM_SIZE = { min: 1, max: 2 };
+
+// Formats that are played by exactly two teams
+const FIXED_TEAM_COUNTS = {
+    "one-vs-one": 2,
+    "two-vs-two": 2,
+};
+
+// A player who plays twice appears in at most this many teams
+const MAX_APPEARANCES = 2;
+
+// Letters A-Z, AA, AB, ... - "+" joins mixer partners so it can't be part of a letter
+const TEAM_LETTER_PATTERN = /^[A-Z]{1,3}$/;
+
+const teamError = (code, message, details = {}) => ({ code, message, ...details });
+
+// Find a posted player in the room: by user id (members, creator or linked players), else by mobile
+const findRoomPlayer = (room, player) => {
+    if (player.userId) {
+        const userId = player.userId.toString();
+        const roomPlayer = (room.players || []).find((p) => p.userId && p.userId.toString() === userId);
+        if (roomPlayer) return roomPlayer;
+
+        const isMember = room.createdBy?.toString() === userId ||
+            (room.members || []).some((memberId) => memberId.toString() === userId);
+        return isMember ? { userId: player.userId, name: player.name, mobile: player.mobile || null } : null;
+    }
+
+    if (!player.mobile) return null;
+    const mobile = normalizeMobile(player.mobile);
+    return (room.players || []).find((p) => !p.userId && p.mobile && normalizeMobile(p.mobile) === mobile) || null;
+};
+
+// Identity of a room player - user id, else mobile
+const getRoomPlayerKey = (player) => player.userId
+    ? `user:${player.userId.toString()}`
+    : `mobile:${normalizeMobile(player.mobile)}`;
+
+// Validate posted teams against the room and the game format
+// options: bench (sit-out mode players), oddPlayerMode
+// Returns { teams, bench, errors }: teams and bench are rebuilt from the room's player records
+// (letters upper-cased, no client points or wins), errors is empty when the teams are valid
+const validateGameTeams = (teams, room, gameType, { bench = [], oddPlayerMode = DEFAULT_ODD_PLAYER_MODE } = {}) => {
+    const errors = [];
+    const cleanTeams = [];
+
+    if (FIXED_TEAM_COUNTS[gameType] && teams.length !== FIXED_TEAM_COUNTS[gameType]) {
+        errors.push(teamError(
+            "TEAM_COUNT",
+            `This format is played by exactly ${FIXED_TEAM_COUNTS[gameType]} teams`,
+        ));
+    }
+
+    const { min, max } = TEAM_SIZES[gameType] || DEFAULT_TEAM_SIZE;
+    const seenLetters = new Set();
+    // player key -> appearances [{ team, playsTwice }]
+    const appearances = new Map();
+
+    // Check one posted player; returns the player rebuilt from the room, or null after recording an error
+    const checkPlayer = (player, ref, teamName, teamKeys) => {
+        if (!player || (!player.userId && !player.mobile)) {
+            errors.push(teamError("INVALID_PLAYER", `${teamName} has a player without an account or mobile number`, {
+                ...ref,
+                player: player?.name || null,
+            }));
+            return null;
+        }
+
+        const roomPlayer = findRoomPlayer(room, player);
+        if (!roomPlayer) {
+            errors.push(teamError("PLAYER_NOT_IN_ROOM", `${player.name || "A player"} is not a player in this room`, {
+                ...ref,
+                player: player.name || null,
+            }));
+            return null;
+        }
+
+        const key = getRoomPlayerKey(roomPlayer);
+        if (teamKeys.has(key)) {
+            errors.push(teamError("DUPLICATE_PLAYER", `${roomPlayer.name} is listed twice in ${teamName}`, {
+                ...ref,
+                player: roomPlayer.name,
+            }));
+            return null;
+        }
+        teamKeys.add(key);
+
+        const playsTwice = player.playsTwice === true;
+        if (!appearances.has(key)) appearances.set(key, { name: roomPlayer.name, entries: [] });
+        appearances.get(key).entries.push({ ...ref, playsTwice });
+
+        return {
+            userId: roomPlayer.userId || null,
+            name: roomPlayer.name || player.name,
+            mobile: roomPlayer.mobile || null,
+            playsTwice,
+        };
+    };
+
+    teams.forEach((team, teamIndex) => {
+        const letter = typeof team?.letter === "string" ? team.letter.trim().toUpperCase() : "";
+        const teamRef = { team: letter || null, teamIndex };
+
+        if (!TEAM_LETTER_PATTERN.test(letter)) {
+            errors.push(teamError("INVALID_LETTER", `Team ${teamIndex + 1} needs a letter (A-Z)`, teamRef));
+        } else if (seenLetters.has(letter)) {
+            errors.push(teamError("DUPLICATE_LETTER", `More than one team is called Team ${letter}`, teamRef));
+        }
+        seenLetters.add(letter);
+
+        const players = Array.isArray(team?.players) ? team.players : [];
+        const teamName = letter ? `Team ${letter}` : `Team ${teamIndex + 1}`;
+        if (players.length < min || players.length > max) {
+            errors.push(teamError(
+                "TEAM_SIZE",
+                min === max
+                    ? `${teamName} must have exactly ${min} player${min === 1 ? "" : "s"} in this format`
+                    : `${teamName} must have ${min} to ${max} players`,
+                teamRef,
+            ));
+        }
+
+        const teamKeys = new Set();
+        const cleanPlayers = players
+            .map((player) => checkPlayer(player, teamRef, teamName, teamKeys))
+            .filter(Boolean);
+
+        const substitutes = Array.isArray(team?.substitutes) ? team.substitutes : [];
+        if (substitutes.length > 0 && oddPlayerMode !== "substitute") {
+            errors.push(teamError("SUBSTITUTES_NOT_ALLOWED", `${teamName} can only have substitutes in substitute mode`, teamRef));
+        } else if (substitutes.length > 0 && players.length !== 2) {
+            errors.push(teamError("TEAM_SIZE", `${teamName} needs 2 players to take a substitute`, teamRef));
+        }
+        const cleanSubstitutes = substitutes
+            .map((player) => checkPlayer(player, teamRef, teamName, teamKeys))
+            .filter(Boolean)
+            .map(({ playsTwice, ...player }) => player);
+
+        cleanTeams.push({ letter, players: cleanPlayers, substitutes: cleanSubstitutes, totalPoints: 0, wins: 0 });
+    });
+
+    const benchPlayers = Array.isArray(bench) ? bench : [];
+    if (benchPlayers.length > 0 && oddPlayerMode !== "sit-out") {
+        errors.push(teamError("BENCH_NOT_ALLOWED", "Players can only sit out in sit-out mode"));
+    }
+    const benchKeys = new Set();
+    const cleanBench = benchPlayers
+        .map((player) => checkPlayer(player, { team: null }, "Bench", benchKeys))
+        .filter(Boolean)
+        .map(({ playsTwice, ...player }) => player);
+
+    // A player may only be on two teams as the flagged partner of the odd player out
+    appearances.forEach(({ name, entries }) => {
+        if (entries.length === 1) return;
+
+        const details = { player: name, teams: entries.map((entry) => entry.team) };
+        if (oddPlayerMode !== "plays-twice") {
+            errors.push(teamError("DUPLICATE_PLAYER", `${name} can only be listed once`, details));
+        } else if (entries.length > MAX_APPEARANCES) {
+            errors.push(teamError("DUPLICATE_PLAYER", `${name} is on ${entries.length} teams`, details));
+        } else if (!entries.every((entry) => entry.playsTwice)) {
+            errors.push(teamError(
+                "DUPLICATE_PLAYER",
+                `${name} is on more than one team without being marked to play twice`,
+                details,
+            ));
+        }
+    });
+
+    return { teams: cleanTeams, bench: cleanBench, errors };
+};
+
+export {
+    validateGameTeams,
+};
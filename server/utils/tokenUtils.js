@@ -0,0 +1,125 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshTokenModel.js";
+import User from "../models/userModel.js";
+import config from "../config/env.js";
+import { disconnectUserSockets } from "../config/socket.js";
+
+// Sessions
+// Login issues a short-lived access token (JWT, sent as the Bearer token) and a refresh token.
+// The client exchanges the refresh token at /user/refresh for a new pair when the access token
+// expires; refresh tokens rotate on every use (see models/refreshTokenModel.js). Access tokens
+// carry the user's tokenVersion - raising it (password change, logout everywhere) makes every
+// access token issued before it invalid straight away.
+
+// Lifetimes are set with ACCESS_TOKEN_TTL_MINUTES and REFRESH_TOKEN_TTL_DAYS (config/env.js)
+const { accessTokenTtlSeconds: ACCESS_TOKEN_TTL_SECONDS, refreshTokenTtlDays: REFRESH_TOKEN_TTL_DAYS } = config.tokens;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign an access token for a user
+const signAccessToken = (user) => jwt.sign(
+    {
+        userId: user._id,
+        username: user.username,
+        mobile: user.mobile,
+        tokenVersion: user.tokenVersion || 0,
+    },
+    config.jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+// Create and store a refresh token; returns the token to hand to the client
+const createRefreshToken = async (user, familyId, { userAgent = null } = {}) => {
+    const token = crypto.randomBytes(48).toString("base64url");
+    await RefreshToken.create({
+        userId: user._id,
+        tokenHash: hashToken(token),
+        familyId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+        userAgent,
+    });
+    return token;
+};
+
+// Start a new session for a user (login)
+// Returns { token, refreshToken, expiresIn } - expiresIn is the access token lifetime in seconds
+const issueSession = async (user, meta = {}) => ({
+    token: signAccessToken(user),
+    refreshToken: await createRefreshToken(user, crypto.randomUUID(), meta),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+});
+
+// Exchange a refresh token for a new access token and refresh token
+// Returns { user, token, refreshToken, expiresIn } or { error }
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored || stored.revokedAt || stored.expiresAt < new Date()) {
+        return { error: "Session expired, please log in again" };
+    }
+
+    // Claim the token - only one refresh can use it
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, usedAt: null, revokedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+    if (!claimed) {
+        // Already used: someone else has a copy of this token - end the session everywhere it is used
+        await RefreshToken.updateMany(
+            { familyId: stored.familyId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        console.log('⚠️ [Auth] Refresh token reused, session revoked:', {
+            userId: stored.userId.toString(),
+            familyId: stored.familyId,
+        });
+        return { error: "Session expired, please log in again" };
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user) {
+        return { error: "User not found" };
+    }
+
+    return {
+        user,
+        token: signAccessToken(user),
+        refreshToken: await createRefreshToken(user, stored.familyId, meta),
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+};
+
+// End the session a refresh token belongs to (logout)
+// Returns false when the token is unknown
+const revokeSession = async (refreshToken) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) return false;
+
+    await RefreshToken.updateMany(
+        { familyId: stored.familyId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return true;
+};
+
+// End every session of a user: refresh tokens are revoked, access tokens stop working and
+// open sockets are closed
+const revokeAllSessions = async (user) => {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    await RefreshToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    disconnectUserSockets(user._id);
+};
+
+export {
+    issueSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import mongoose from "mongoose";
+
+// MongoDB transactions
+// Work passed to runInTransaction runs in one session transaction: every Mongoose query and
+// save inside it joins the session automatically (transactionAsyncLocalStorage, set in
+// config/db.js), and it is all committed or all rolled back. The driver retries the whole
+// function on transient errors such as a write conflict with a concurrent request, so it must
+// load what it changes itself. Side effects that must only happen once the writes are
+// committed (socket events) go through afterCommit.
+// Transactions need a replica set or sharded cluster; on a standalone server (local
+// development) the work runs without one. Writes that must never be left half done (the
+// points ledger) call requireTransaction, so they can only run inside runInTransaction.
+
+const commitContext = new AsyncLocalStorage();
+
+let transactionSupport = null;
+
+// Whether the connected MongoDB deployment supports transactions (checked once)
+const supportsTransactions = async () => {
+    if (transactionSupport === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionSupport = Boolean(hello.setName) || hello.msg === "isdbgrid";
+        if (!transactionSupport) {
+            console.log("⚠️ [Transactions] MongoDB is a standalone server - writes run without transactions");
+        }
+    }
+    return transactionSupport;
+};
+
+// Run fn in a transaction and return its result
+// Callbacks queued with afterCommit run once the transaction has committed
+const runInTransaction = async (fn) => {
+    let result;
+    let pending = [];
+
+    if (!(await supportsTransactions())) {
+        result = await commitContext.run({ pending }, fn);
+        pending.forEach((callback) => callback());
+        return result;
+    }
+
+    await mongoose.connection.transaction(async () => {
+        // A retried attempt starts with a clean queue
+        pending = [];
+        result = await commitContext.run({ pending }, fn);
+    });
+
+    pending.forEach((callback) => callback());
+    return result;
+};
+
+// Throw unless called inside runInTransaction - operation names the caller in the error
+const requireTransaction = (operation) => {
+    if (!commitContext.getStore()) {
+        throw new Error(`${operation} must run inside runInTransaction`);
+    }
+};
+
+// Run a callback once the current transaction commits - straight away outside a transaction
+const afterCommit = (callback) => {
+    const context = commitContext.getStore();
+    if (context) {
+        context.pending.push(callback);
+    } else {
+        callback();
+    }
+};
+
+export {
+    supportsTransactions,
+    runInTransaction,
+    requireTransaction,
+    afterCommit,
+};
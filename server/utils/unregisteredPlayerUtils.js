@@ -1,5 +1,11 @@
 import UnregisteredPlayer from "../models/unregisteredPlayerModel.js";
 import User from "../models/userModel.js";
+import RatingChange from "../models/ratingChangeModel.js";
+import SeasonStanding from "../models/seasonStandingModel.js";
+import PointsTransaction from "../models/pointsTransactionModel.js";
+
+// Season standing counters carried over from a mobile's row to the user's
+const SEASON_STANDING_TOTALS = ["points", "teamPoints", "games", "wins", "gold", "silver", "bronze"];
 
 const normalizeMobile = (mobile) => {
     const cleanMobile = mobile.replace(/[\s\-+()]/g, '');
@@ -85,21 +91,6 @@ const getOrCreateUnregisteredPlayer = async (mobile, name) => {
     return unregisteredPlayer;
 };
 
-// Add points to an unregistered player
-const addPointsToUnregisteredPlayer = async (mobile, points) => {
-    const normalizedMobile = normalizeMobile(mobile);
-
-    await UnregisteredPlayer.updateOne(
-        {
-            mobile: normalizedMobile,
-            linkedToUserId: null
-        },
-        {
-            $inc: { pendingIndividualPoints: points }
-        }
-    );
-};
-
 // Track game/match/room participation
 const trackUnregisteredPlayerParticipation = async (mobile, { gameId, matchId, roomId }) => {
     const normalizedMobile = normalizeMobile(mobile);
@@ -127,15 +118,16 @@ const trackUnregisteredPlayerParticipation = async (mobile, { gameId, matchId, r
 };
 
 // Update stats for unregistered player
+// Negative values are allowed so that cancelled/corrected results can be reversed
 const updateUnregisteredPlayerStats = async (mobile, { totalGames = 0, totalWins = 0 }) => {
     const normalizedMobile = normalizeMobile(mobile);
 
     const updateData = {};
-    if (totalGames > 0) {
+    if (totalGames !== 0) {
         updateData.$inc = { 'pendingStats.totalGames': totalGames };
     }
-    if (totalWins > 0) {
-        updateData.$inc = { 'pendingStats.totalWins': totalWins };
+    if (totalWins !== 0) {
+        updateData.$inc = { ...updateData.$inc, 'pendingStats.totalWins': totalWins };
     }
 
     if (Object.keys(updateData).length > 0) {
@@ -149,6 +141,32 @@ const updateUnregisteredPlayerStats = async (mobile, { totalGames = 0, totalWins
     }
 };
 
+// Move a mobile's season standings to a user who just registered with that mobile
+// Totals are added to the user's own row when they already have one in that season (played
+// there after registering), else the row becomes theirs
+const mergeSeasonStandings = async (userId, normalizedMobile) => {
+    const mobileStandings = await SeasonStanding.find({ mobile: normalizedMobile, userId: null });
+    for (const standing of mobileStandings) {
+        const totals = {};
+        SEASON_STANDING_TOTALS.forEach((field) => {
+            totals[field] = standing[field] || 0;
+        });
+
+        const merged = await SeasonStanding.findOneAndUpdate(
+            { seasonId: standing.seasonId, userId, mobile: null },
+            { $inc: totals }
+        );
+        if (merged) {
+            await SeasonStanding.deleteOne({ _id: standing._id });
+        } else {
+            await SeasonStanding.updateOne(
+                { _id: standing._id },
+                { $set: { userId, mobile: null } }
+            );
+        }
+    }
+};
+
 // Transfer all data from UnregisteredPlayer to User and link records
 // IMPORTANT: Matching is done by MOBILE NUMBER ONLY, not by name
 // Returns system name to be used when replacing names for privacy
@@ -171,6 +189,7 @@ const transferUnregisteredPlayerToUser = async (userId, normalizedMobile, system
         individualPoints: unregisteredPlayer.pendingIndividualPoints || 0,
         teamPoints: unregisteredPlayer.pendingTeamPoints || 0,
         stats: unregisteredPlayer.pendingStats || {},
+        rating: unregisteredPlayer.rating?.toObject() || null,
         gameIds: unregisteredPlayer.gameIds || [],
         matchIds: unregisteredPlayer.matchIds || [],
         roomIds: unregisteredPlayer.roomIds || [],
@@ -188,15 +207,30 @@ const transferUnregisteredPlayerToUser = async (userId, normalizedMobile, system
     unregisteredPlayer.linkedAt = new Date();
     await unregisteredPlayer.save();
 
+    // Rating history recorded against the mobile number now belongs to the user
+    await RatingChange.updateMany(
+        { mobile: normalizedMobile, userId: null },
+        { $set: { userId } }
+    );
+
+    // So do their points transactions - the mobile is kept as a record of where they came from
+    await PointsTransaction.updateMany(
+        { mobile: normalizedMobile, userId: null },
+        { $set: { userId } }
+    );
+
+    // And their totals in running seasons
+    await mergeSeasonStandings(userId, normalizedMobile);
+
     return result;
 };
 
 export {
     getOrCreateUnregisteredPlayer,
-    addPointsToUnregisteredPlayer,
     trackUnregisteredPlayerParticipation,
     updateUnregisteredPlayerStats,
     transferUnregisteredPlayerToUser,
+    mergeSeasonStandings,
     normalizeMobile,
     generateSystemName
 };